@@ -0,0 +1,28 @@
+// Service worker for customer order notifications. The Web Push server
+// function sends a JSON payload of { title, body, url, order_id }; clicking the
+// notification opens (or focuses) the order it is about.
+
+self.addEventListener('push', (event) => {
+  const payload = event.data?.json() ?? {};
+  const title = payload.title || 'Your order has been updated';
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body,
+      tag: payload.order_id ? `order-${payload.order_id}` : undefined,
+      data: { url: payload.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -1,35 +1,226 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+import { lazy, Suspense } from 'react';
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+import { AdminLayout } from '@/components/admin/AdminLayout';
+import { AuthProvider } from '@/components/auth/AuthProvider';
+import { RequireAuth } from '@/components/auth/RequireAuth';
+import { CartProvider } from '@/components/store/CartProvider';
+import { StoreLayout } from '@/components/store/StoreLayout';
+import { STAFF_ROLES } from '@/lib/permissions';
+import Auth from '@/pages/Auth';
+import NotFound from '@/pages/NotFound';
 
-function App() {
-  const [count, setCount] = useState(0)
+const AdminOrdersSection = lazy(() =>
+  import('@/components/admin/AdminOrderSection').then((m) => ({ default: m.AdminOrdersSection }))
+);
+const AdminMenuSection = lazy(() =>
+  import('@/components/admin/AdminMenuSection').then((m) => ({ default: m.AdminMenuSection }))
+);
+const AdminInventorySection = lazy(() =>
+  import('@/components/admin/AdminInventorySection').then((m) => ({ default: m.AdminInventorySection }))
+);
+const AdminIngredientsSection = lazy(() =>
+  import('@/components/admin/AdminIngredientsSection').then((m) => ({ default: m.AdminIngredientsSection }))
+);
+const AdminPurchasingSection = lazy(() =>
+  import('@/components/admin/AdminPurchasingSection').then((m) => ({ default: m.AdminPurchasingSection }))
+);
+const AdminLedgerSection = lazy(() =>
+  import('@/components/admin/AdminLedgerSection').then((m) => ({ default: m.AdminLedgerSection }))
+);
+const AdminPickupSection = lazy(() =>
+  import('@/components/admin/AdminPickupSection').then((m) => ({ default: m.AdminPickupSection }))
+);
+const AdminCashUpSection = lazy(() =>
+  import('@/components/admin/AdminCashUpSection').then((m) => ({ default: m.AdminCashUpSection }))
+);
+const AdminWalletsSection = lazy(() =>
+  import('@/components/admin/AdminWalletsSection').then((m) => ({ default: m.AdminWalletsSection }))
+);
+const AdminCustomerNotificationsSection = lazy(() =>
+  import('@/components/admin/AdminCustomerNotificationsSection').then((m) => ({
+    default: m.AdminCustomerNotificationsSection,
+  }))
+);
+const AdminAnalyticsSection = lazy(() =>
+  import('@/components/admin/AdminAnalyticsSection').then((m) => ({ default: m.AdminAnalyticsSection }))
+);
+const KitchenDisplay = lazy(() =>
+  import('@/components/kitchen/KitchenDisplay').then((m) => ({ default: m.KitchenDisplay }))
+);
+const StoreMenuSection = lazy(() =>
+  import('@/components/store/StoreMenuSection').then((m) => ({ default: m.StoreMenuSection }))
+);
+const StoreCartSection = lazy(() =>
+  import('@/components/store/StoreCartSection').then((m) => ({ default: m.StoreCartSection }))
+);
+const StoreOrderSection = lazy(() =>
+  import('@/components/store/StoreOrderSection').then((m) => ({ default: m.StoreOrderSection }))
+);
+const StoreWalletSection = lazy(() =>
+  import('@/components/store/StoreWalletSection').then((m) => ({ default: m.StoreWalletSection }))
+);
+const StoreOrdersSection = lazy(() =>
+  import('@/components/store/StoreOrdersSection').then((m) => ({ default: m.StoreOrdersSection }))
+);
+const StoreNotificationsSection = lazy(() =>
+  import('@/components/store/StoreNotificationsSection').then((m) => ({ default: m.StoreNotificationsSection }))
+);
 
-  return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
-  )
-}
+const App = () => (
+  <BrowserRouter>
+    <AuthProvider>
+      <CartProvider>
+        <Routes>
+          <Route path="/auth" element={<Auth />} />
+          <Route path="/" element={<StoreLayout />}>
+            <Route index element={<StoreMenuSection />} />
+            <Route path="cart" element={<StoreCartSection />} />
+            <Route
+              path="orders"
+              element={
+                <RequireAuth>
+                  <StoreOrdersSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="orders/:orderId"
+              element={
+                <RequireAuth>
+                  <StoreOrderSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="wallet"
+              element={
+                <RequireAuth>
+                  <StoreWalletSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="notifications"
+              element={
+                <RequireAuth>
+                  <StoreNotificationsSection />
+                </RequireAuth>
+              }
+            />
+          </Route>
+          <Route
+            path="/admin"
+            element={
+              <RequireAuth roles={STAFF_ROLES}>
+                <AdminLayout />
+              </RequireAuth>
+            }
+          >
+            <Route index element={<Navigate to="orders" replace />} />
+            <Route
+              path="orders"
+              element={
+                <RequireAuth capability="orders:view">
+                  <AdminOrdersSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="menu"
+              element={
+                <RequireAuth capability="menu:view">
+                  <AdminMenuSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="inventory"
+              element={
+                <RequireAuth capability="inventory:view">
+                  <AdminInventorySection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="ingredients"
+              element={
+                <RequireAuth capability="inventory:view">
+                  <AdminIngredientsSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="purchasing"
+              element={
+                <RequireAuth capability="inventory:view">
+                  <AdminPurchasingSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="ledger"
+              element={
+                <RequireAuth capability="inventory:view">
+                  <AdminLedgerSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="pickup"
+              element={
+                <RequireAuth capability="orders:pickup">
+                  <AdminPickupSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="cash-up"
+              element={
+                <RequireAuth capability="payments:take">
+                  <AdminCashUpSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="wallets"
+              element={
+                <RequireAuth capability="wallets:view">
+                  <AdminWalletsSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="customer-notifications"
+              element={
+                <RequireAuth capability="notifications:view">
+                  <AdminCustomerNotificationsSection />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="analytics"
+              element={
+                <RequireAuth capability="analytics:view">
+                  <AdminAnalyticsSection />
+                </RequireAuth>
+              }
+            />
+          </Route>
+          <Route
+            path="/kitchen"
+            element={
+              <RequireAuth capability="kitchen:view">
+                <Suspense fallback={null}>
+                  <KitchenDisplay />
+                </Suspense>
+              </RequireAuth>
+            }
+          />
+          <Route path="*" element={<NotFound />} />
+        </Routes>
+      </CartProvider>
+    </AuthProvider>
+  </BrowserRouter>
+);
 
-export default App
+export default App;
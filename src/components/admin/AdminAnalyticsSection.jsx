@@ -0,0 +1,384 @@
+import { useEffect, useMemo, useState } from 'react';
+import { endOfDay, format, startOfDay, startOfMonth, subDays } from 'date-fns';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { ArrowDownRight, ArrowUpRight } from 'lucide-react';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/hooks/use-toast';
+import {
+  GRANULARITIES,
+  GRANULARITY_LABELS,
+  hourlyHeatmap,
+  paymentSplit,
+  percentChange,
+  previousPeriod,
+  revenueSeries,
+  salesByCategory,
+  summarizeOrders,
+  topItems,
+  WEEKDAY_LABELS,
+} from '@/lib/analytics';
+import { cn } from '@/lib/utils';
+
+const ANALYTICS_SELECT = `
+  id,
+  status,
+  payment_method,
+  total_amount,
+  created_at,
+  order_items (
+    quantity,
+    price_at_time,
+    cost_at_time,
+    menu_items (name, category)
+  )
+`;
+
+// PostgREST caps a single response, so long ranges are read in pages.
+const FETCH_PAGE = 1000;
+
+const CHART_COLORS = ['hsl(24 95% 45%)', 'hsl(200 80% 45%)', 'hsl(142 60% 40%)', 'hsl(280 60% 50%)', 'hsl(45 90% 50%)'];
+
+const toInputDate = (date) => format(date, 'yyyy-MM-dd');
+
+const PRESETS = [
+  { label: 'Last 7 days', range: () => ({ from: subDays(new Date(), 6), to: new Date() }) },
+  { label: 'Last 30 days', range: () => ({ from: subDays(new Date(), 29), to: new Date() }) },
+  { label: 'This month', range: () => ({ from: startOfMonth(new Date()), to: new Date() }) },
+];
+
+const money = (value) => `$${value.toFixed(2)}`;
+
+const fetchOrders = async (from, to) => {
+  const orders = [];
+
+  for (let offset = 0; ; offset += FETCH_PAGE) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select(ANALYTICS_SELECT)
+      .gte('created_at', startOfDay(from).toISOString())
+      .lte('created_at', endOfDay(to).toISOString())
+      .order('created_at', { ascending: true })
+      .range(offset, offset + FETCH_PAGE - 1);
+
+    if (error) throw error;
+    orders.push(...data);
+    if (data.length < FETCH_PAGE) return orders;
+  }
+};
+
+const Delta = ({ current, previous, invert = false }) => {
+  const change = percentChange(current, previous);
+  if (change === null) return <p className="text-xs text-muted-foreground">No sales in previous period</p>;
+
+  const up = change >= 0;
+  const good = invert ? !up : up;
+
+  return (
+    <p className={cn('flex items-center gap-1 text-xs', good ? 'text-green-700' : 'text-red-700')}>
+      {up ? <ArrowUpRight className="h-3 w-3" /> : <ArrowDownRight className="h-3 w-3" />}
+      {Math.abs(change).toFixed(1)}% vs previous period
+    </p>
+  );
+};
+
+export const AdminAnalyticsSection = () => {
+  const [dateFrom, setDateFrom] = useState(() => toInputDate(subDays(new Date(), 29)));
+  const [dateTo, setDateTo] = useState(() => toInputDate(new Date()));
+  const [granularity, setGranularity] = useState('day');
+  const [orders, setOrders] = useState([]);
+  const [previousOrders, setPreviousOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const from = useMemo(() => new Date(`${dateFrom}T00:00`), [dateFrom]);
+  const to = useMemo(() => new Date(`${dateTo}T00:00`), [dateTo]);
+  const validRange = dateFrom && dateTo && from <= to;
+
+  useEffect(() => {
+    if (!validRange) return;
+    let cancelled = false;
+
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const previous = previousPeriod(from, to);
+        const [current, before] = await Promise.all([
+          fetchOrders(from, to),
+          fetchOrders(previous.from, previous.to),
+        ]);
+        if (cancelled) return;
+        setOrders(current);
+        setPreviousOrders(before);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load analytics',
+          variant: 'destructive',
+        });
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchData();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, validRange]);
+
+  const summary = useMemo(() => summarizeOrders(orders), [orders]);
+  const previousSummary = useMemo(() => summarizeOrders(previousOrders), [previousOrders]);
+  const series = useMemo(
+    () => (validRange ? revenueSeries(orders, { from, to, granularity }) : []),
+    [orders, from, to, granularity, validRange]
+  );
+  const bestSellers = useMemo(() => topItems(orders), [orders]);
+  const categories = useMemo(() => salesByCategory(orders), [orders]);
+  const payments = useMemo(() => paymentSplit(orders), [orders]);
+  const heatmap = useMemo(() => hourlyHeatmap(orders), [orders]);
+  const heatmapMax = Math.max(1, ...heatmap.flat());
+
+  const applyPreset = (preset) => {
+    const range = preset.range();
+    setDateFrom(toInputDate(range.from));
+    setDateTo(toInputDate(range.to));
+  };
+
+  const kpis = [
+    { label: 'Revenue', value: money(summary.revenue), current: summary.revenue, previous: previousSummary.revenue },
+    { label: 'Orders', value: summary.orderCount, current: summary.orderCount, previous: previousSummary.orderCount },
+    {
+      label: 'Average Order Value',
+      value: money(summary.averageOrderValue),
+      current: summary.averageOrderValue,
+      previous: previousSummary.averageOrderValue,
+    },
+    {
+      label: 'Cancellation Rate',
+      value: `${summary.cancellationRate.toFixed(1)}%`,
+      current: summary.cancellationRate,
+      previous: previousSummary.cancellationRate,
+      invert: true,
+    },
+    {
+      label: 'Cost of Goods',
+      value: money(summary.costOfGoods),
+      current: summary.costOfGoods,
+      previous: previousSummary.costOfGoods,
+      invert: true,
+    },
+    {
+      label: 'Gross Margin',
+      value: `${summary.grossMargin.toFixed(1)}%`,
+      current: summary.grossMargin,
+      previous: previousSummary.grossMargin,
+      note: summary.uncostedRevenue > 0 ? `${money(summary.uncostedRevenue)} of sales had no known cost` : null,
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <h2 className="text-2xl font-bold">Analytics</h2>
+        <div className="flex flex-wrap items-end gap-2">
+          {PRESETS.map((preset) => (
+            <Button key={preset.label} variant="outline" size="sm" onClick={() => applyPreset(preset)}>
+              {preset.label}
+            </Button>
+          ))}
+          <div className="space-y-1">
+            <Label htmlFor="analytics-from" className="text-xs">From</Label>
+            <Input
+              id="analytics-from"
+              type="date"
+              className="w-40"
+              value={dateFrom}
+              max={dateTo || undefined}
+              onChange={(e) => setDateFrom(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="analytics-to" className="text-xs">To</Label>
+            <Input
+              id="analytics-to"
+              type="date"
+              className="w-40"
+              value={dateTo}
+              min={dateFrom || undefined}
+              onChange={(e) => setDateTo(e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {!validRange ? (
+        <p className="text-center text-muted-foreground py-12">Choose a start date on or before the end date.</p>
+      ) : loading ? (
+        <div className="flex justify-center py-12">
+          <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+        </div>
+      ) : (
+        <>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            {kpis.map((kpi) => (
+              <Card key={kpi.label}>
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-sm font-medium text-muted-foreground">{kpi.label}</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-1">
+                  <p className="text-3xl font-bold">{kpi.value}</p>
+                  <Delta current={kpi.current} previous={kpi.previous} invert={kpi.invert} />
+                  {kpi.note && <p className="text-xs text-muted-foreground">{kpi.note}</p>}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between">
+              <CardTitle>Revenue</CardTitle>
+              <Select value={granularity} onValueChange={setGranularity}>
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {GRANULARITIES.map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {GRANULARITY_LABELS[value]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </CardHeader>
+            <CardContent>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={series}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="label" fontSize={12} />
+                    <YAxis fontSize={12} tickFormatter={(value) => `$${value}`} />
+                    <Tooltip formatter={(value) => money(value)} />
+                    <Bar dataKey="revenue" name="Revenue" fill={CHART_COLORS[0]} radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </CardContent>
+          </Card>
+
+          <div className="grid gap-4 lg:grid-cols-3">
+            <Card>
+              <CardHeader>
+                <CardTitle>Top Items</CardTitle>
+              </CardHeader>
+              <CardContent>
+                {bestSellers.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No sales in this period</p>
+                ) : (
+                  <div className="space-y-3">
+                    {bestSellers.map((item, index) => (
+                      <div key={item.name} className="flex items-center justify-between text-sm">
+                        <span>
+                          <span className="text-muted-foreground mr-2">{index + 1}.</span>
+                          {item.name}
+                        </span>
+                        <span className="text-right">
+                          <span className="font-medium">{item.quantity} sold</span>
+                          <span className="block text-xs text-muted-foreground">{money(item.revenue)}</span>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Sales by Category</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="h-56">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={categories} layout="vertical">
+                      <XAxis type="number" fontSize={12} tickFormatter={(value) => `$${value}`} />
+                      <YAxis type="category" dataKey="label" fontSize={12} width={80} />
+                      <Tooltip formatter={(value) => money(value)} />
+                      <Bar dataKey="revenue" name="Revenue" fill={CHART_COLORS[1]} radius={[0, 4, 4, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Payment Methods</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="h-56">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <PieChart>
+                      <Pie data={payments} dataKey="revenue" nameKey="label" innerRadius={45} outerRadius={75}>
+                        {payments.map((entry, index) => (
+                          <Cell key={entry.method} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+                        ))}
+                      </Pie>
+                      <Tooltip formatter={(value) => money(value)} />
+                      <Legend />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Busiest Hours</CardTitle>
+            </CardHeader>
+            <CardContent className="overflow-x-auto">
+              <div className="grid min-w-[640px] gap-1" style={{ gridTemplateColumns: '3rem repeat(24, minmax(0, 1fr))' }}>
+                <div />
+                {heatmap[0].map((_, hour) => (
+                  <div key={hour} className="text-center text-[10px] text-muted-foreground">
+                    {hour}
+                  </div>
+                ))}
+                {heatmap.map((row, day) => (
+                  <div key={WEEKDAY_LABELS[day]} className="contents">
+                    <div className="text-xs text-muted-foreground self-center">{WEEKDAY_LABELS[day]}</div>
+                    {row.map((count, hour) => (
+                      <div
+                        key={hour}
+                        title={`${WEEKDAY_LABELS[day]} ${hour}:00 · ${count} orders`}
+                        className="aspect-square rounded-sm bg-primary"
+                        style={{ opacity: count ? 0.15 + (count / heatmapMax) * 0.85 : 0.05 }}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
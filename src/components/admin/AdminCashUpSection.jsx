@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { canteenDate, canteenDayRange } from '@/lib/canteen-time';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { cashUpSchema, cashUpSummary, roundMoney, TILL_METHODS } from '@/lib/payments';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+const differenceClass = (value) => (value < 0 ? 'text-destructive' : value > 0 ? 'text-green-700' : '');
+
+export const AdminCashUpSection = () => {
+  const { can } = useAuth();
+  const [date, setDate] = useState(canteenDate);
+  const [deliveredOrders, setDeliveredOrders] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [topUps, setTopUps] = useState([]);
+  const [cashUps, setCashUps] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchDay = async () => {
+      setLoading(true);
+      const { from, to } = canteenDayRange(date);
+
+      try {
+        const [deliveriesResponse, paymentsResponse, topUpsResponse, cashUpsResponse] = await Promise.all([
+          supabase
+            .from('order_status_history')
+            .select('created_at, orders (id, total_amount, payment_method, payment_status, profiles (full_name))')
+            .eq('to_status', 'delivered')
+            .gte('created_at', from)
+            .lt('created_at', to)
+            .order('created_at'),
+          supabase
+            .from('payments')
+            .select('id, method, kind, amount')
+            .eq('status', 'succeeded')
+            .gte('settled_at', from)
+            .lt('settled_at', to)
+            .order('settled_at'),
+          supabase
+            .from('wallet_transactions')
+            .select('id, method, amount')
+            .eq('kind', 'top_up')
+            .gte('created_at', from)
+            .lt('created_at', to),
+          supabase.from('cash_ups').select('*, profiles (full_name)').eq('business_date', date),
+        ]);
+
+        if (deliveriesResponse.error) throw deliveriesResponse.error;
+        if (paymentsResponse.error) throw paymentsResponse.error;
+        if (topUpsResponse.error) throw topUpsResponse.error;
+        if (cashUpsResponse.error) throw cashUpsResponse.error;
+
+        setDeliveredOrders((deliveriesResponse.data || []).map((entry) => entry.orders).filter(Boolean));
+        setPayments(paymentsResponse.data || []);
+        setTopUps(topUpsResponse.data || []);
+        setCashUps(cashUpsResponse.data || []);
+        setCounts({});
+        setNotes('');
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load takings for this day',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDay();
+  }, [date, refreshKey]);
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = cashUpSchema.parse({
+        notes,
+        counts: Object.fromEntries(
+          TILL_METHODS.map((method) => [method, counts[method] === undefined || counts[method] === '' ? NaN : Number(counts[method])])
+        ),
+      });
+
+      const { error } = await supabase.rpc('close_cash_up', {
+        p_date: date,
+        p_counts: values.counts,
+        p_notes: values.notes,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Day Closed',
+        description: `Cash-up for ${format(new Date(`${date}T00:00`), 'PP')} recorded`,
+      });
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to close the day',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const summary = cashUpSummary({ deliveredOrders, payments, topUps });
+  const closed = cashUps.length > 0;
+  const closedLine = (method) => cashUps.find((line) => line.method === method);
+  const total = (key) => roundMoney(summary.methods.reduce((sum, line) => sum + line[key], 0));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <h2 className="text-2xl font-bold">Cash-Up</h2>
+        <div className="space-y-2">
+          <Label htmlFor="cash-up-date">Business Day</Label>
+          <Input
+            id="cash-up-date"
+            type="date"
+            value={date}
+            max={canteenDate()}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+        </div>
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>Takings by Payment Method</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Payments, less refunds, are reconciled against the orders delivered by each method. Expected adds
+                wallet top-ups to them; the count is checked against it.
+              </p>
+            </CardHeader>
+            <CardContent className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 font-medium">Method</th>
+                    <th className="py-2 text-right font-medium">Delivered Orders</th>
+                    <th className="py-2 text-right font-medium">Collected</th>
+                    <th className="py-2 text-right font-medium">Refunded</th>
+                    <th className="py-2 text-right font-medium">Difference</th>
+                    <th className="py-2 text-right font-medium">Top-Ups</th>
+                    <th className="py-2 text-right font-medium">Expected</th>
+                    {closed && <th className="py-2 text-right font-medium">Counted</th>}
+                    {closed && <th className="py-2 text-right font-medium">Over / Short</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.methods.map((line) => {
+                    const counted = closedLine(line.method);
+                    const variance = counted ? roundMoney(counted.counted_amount - counted.expected_amount) : 0;
+                    return (
+                      <tr key={line.method} className="border-b last:border-0">
+                        <td className="py-2">{PAYMENT_METHOD_LABELS[line.method]}</td>
+                        <td className="py-2 text-right">{money(line.delivered)}</td>
+                        <td className="py-2 text-right">{money(line.collected)}</td>
+                        <td className="py-2 text-right">{money(line.refunded)}</td>
+                        <td className={`py-2 text-right ${differenceClass(line.difference)}`}>{money(line.difference)}</td>
+                        <td className="py-2 text-right">{money(line.toppedUp)}</td>
+                        <td className="py-2 text-right font-medium">{money(line.expected)}</td>
+                        {closed && <td className="py-2 text-right">{counted ? money(counted.counted_amount) : '—'}</td>}
+                        {closed && (
+                          <td className={`py-2 text-right ${differenceClass(variance)}`}>{counted ? money(variance) : '—'}</td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                <tfoot>
+                  <tr className="font-semibold">
+                    <td className="pt-3">Total</td>
+                    <td className="pt-3 text-right">{money(total('delivered'))}</td>
+                    <td className="pt-3 text-right">{money(total('collected'))}</td>
+                    <td className="pt-3 text-right">{money(total('refunded'))}</td>
+                    <td className={`pt-3 text-right ${differenceClass(total('difference'))}`}>{money(total('difference'))}</td>
+                    <td className="pt-3 text-right">{money(total('toppedUp'))}</td>
+                    <td className="pt-3 text-right">{money(total('expected'))}</td>
+                    {closed && (
+                      <td className="pt-3 text-right">
+                        {money(roundMoney(cashUps.reduce((sum, line) => sum + line.counted_amount, 0)))}
+                      </td>
+                    )}
+                    {closed && <td className="pt-3"></td>}
+                  </tr>
+                </tfoot>
+              </table>
+              {closed && (
+                <p className="mt-4 text-sm text-muted-foreground">
+                  Closed {format(new Date(cashUps[0].created_at), 'PPp')}
+                  {cashUps[0].profiles && ` by ${cashUps[0].profiles.full_name}`}
+                  {cashUps[0].notes && ` · ${cashUps[0].notes}`}
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Delivered Without Payment</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-2 text-sm">
+                {summary.unpaidDeliveries.map((order) => (
+                  <div key={order.id} className="flex justify-between gap-4 border-b py-2 last:border-0">
+                    <span>
+                      Order #{order.id.substring(0, 8)}
+                      <span className="block text-muted-foreground">
+                        {order.profiles?.full_name} · {PAYMENT_METHOD_LABELS[order.payment_method]}
+                      </span>
+                    </span>
+                    <span className="font-medium">{money(order.total_amount)}</span>
+                  </div>
+                ))}
+                {summary.unpaidDeliveries.length === 0 && (
+                  <p className="text-muted-foreground">Every delivered order was paid</p>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {!closed && can('payments:take') && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Close the Day</CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  Count the cash drawer and read the M-Pesa statement and meal card terminal totals for the day.
+                </p>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleClose} className="space-y-4">
+                  <div className="grid gap-4 md:grid-cols-3">
+                    {TILL_METHODS.map((method) => (
+                      <div key={method} className="space-y-2">
+                        <Label htmlFor={`count-${method}`}>{PAYMENT_METHOD_LABELS[method]} Counted</Label>
+                        <Input
+                          id={`count-${method}`}
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={counts[method] ?? ''}
+                          onChange={(e) => setCounts({ ...counts, [method]: e.target.value })}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="cash-up-notes">Notes</Label>
+                    <Textarea id="cash-up-notes" value={notes} onChange={(e) => setNotes(e.target.value)} />
+                  </div>
+                  <div className="flex justify-end">
+                    <Button type="submit" disabled={saving}>
+                      Close Day
+                    </Button>
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
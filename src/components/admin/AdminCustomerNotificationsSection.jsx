@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from '@/hooks/use-toast';
+import {
+  NOTIFICATION_CHANNEL_LABELS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATE_COLORS,
+  NOTIFICATION_STATE_LABELS,
+  NOTIFICATION_STATES,
+} from '@/lib/customer-notifications';
+
+const LOG_LIMIT = 100;
+
+// The log of every order notification sent to customers, newest first.
+export const AdminCustomerNotificationsSection = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [channel, setChannel] = useState('all');
+  const [state, setState] = useState('all');
+  const [loading, setLoading] = useState(true);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      let query = supabase
+        .from('customer_notifications')
+        .select('*, profiles (full_name)')
+        .order('created_at', { ascending: false })
+        .limit(LOG_LIMIT);
+      if (channel !== 'all') query = query.eq('channel', channel);
+      if (state !== 'all') query = query.eq('state', state);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setNotifications(data || []);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load customer notifications',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [channel, state]);
+
+  useEffect(() => {
+    fetchNotifications();
+
+    const subscription = supabase
+      .channel('customer-notification-log')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'customer_notifications',
+        },
+        fetchNotifications
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(subscription);
+    };
+  }, [fetchNotifications]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold">Customer Notifications</h2>
+        <p className="text-sm text-muted-foreground">
+          Order updates sent to customers. Push, SMS and email are sent by the server as orders change.
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <div className="grid gap-4 md:grid-cols-4">
+            <div className="space-y-1">
+              <Label htmlFor="notification-channel" className="text-xs">Channel</Label>
+              <Select value={channel} onValueChange={setChannel}>
+                <SelectTrigger id="notification-channel">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All channels</SelectItem>
+                  {NOTIFICATION_CHANNELS.map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {NOTIFICATION_CHANNEL_LABELS[value]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="notification-state" className="text-xs">Status</Label>
+              <Select value={state} onValueChange={setState}>
+                <SelectTrigger id="notification-state">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Any status</SelectItem>
+                  {NOTIFICATION_STATES.map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {NOTIFICATION_STATE_LABELS[value]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          ) : notifications.length === 0 ? (
+            <p className="py-8 text-center text-muted-foreground">No notifications match these filters</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 font-medium">Time</th>
+                    <th className="py-2 font-medium">Customer</th>
+                    <th className="py-2 font-medium">Notification</th>
+                    <th className="py-2 font-medium">Channel</th>
+                    <th className="py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {notifications.map((notification) => (
+                    <tr key={notification.id} className="border-b align-top last:border-0">
+                      <td className="whitespace-nowrap py-2 pr-4">{format(new Date(notification.created_at), 'PPp')}</td>
+                      <td className="py-2 pr-4">{notification.profiles?.full_name ?? 'Unknown'}</td>
+                      <td className="py-2 pr-4">
+                        <p className="font-medium">{notification.title}</p>
+                        <p className="text-xs text-muted-foreground">
+                          Order #{notification.order_id.substring(0, 8)}
+                          {notification.recipient && notification.channel !== 'push' && ` · ${notification.recipient}`}
+                        </p>
+                      </td>
+                      <td className="py-2 pr-4">{NOTIFICATION_CHANNEL_LABELS[notification.channel]}</td>
+                      <td className="py-2">
+                        <Badge variant="outline" className={NOTIFICATION_STATE_COLORS[notification.state]}>
+                          {NOTIFICATION_STATE_LABELS[notification.state]}
+                        </Badge>
+                        {notification.error && <p className="mt-1 text-xs text-destructive">{notification.error}</p>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
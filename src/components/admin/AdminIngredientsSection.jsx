@@ -0,0 +1,410 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { AlertTriangle, Edit, Plus, Truck, Wheat } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
+import { format } from 'date-fns';
+import { useAuth } from '@/hooks/use-auth';
+import { z } from 'zod';
+import { formatQuantity, INGREDIENT_UNIT_LABELS, INGREDIENT_UNITS, ingredientSchema, isLowStock } from '@/lib/ingredients';
+
+const emptyForm = { name: '', unit: 'kg', low_stock_threshold: 0 };
+
+export const AdminIngredientsSection = () => {
+  const { can } = useAuth();
+  const canAdjust = can('inventory:adjust');
+  const [ingredients, setIngredients] = useState([]);
+  const [ingredientLogs, setIngredientLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [adjusting, setAdjusting] = useState(null);
+  const [adjustmentAmount, setAdjustmentAmount] = useState(0);
+  const [adjustmentReason, setAdjustmentReason] = useState('');
+
+  useEffect(() => {
+    fetchData();
+
+    // Finished orders take ingredients out of stock, so follow the log.
+    const channel = supabase
+      .channel('admin-ingredient-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'ingredient_logs',
+        },
+        () => {
+          fetchData();
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [ingredientsResponse, logsResponse] = await Promise.all([
+        supabase
+          .from('ingredients')
+          .select('*, recipe_items (menu_items (name, archived_at))')
+          .order('name'),
+        supabase
+          .from('ingredient_logs')
+          .select(`
+            *,
+            ingredients (name, unit),
+            profiles (full_name)
+          `)
+          .order('created_at', { ascending: false })
+          .limit(20),
+      ]);
+
+      if (ingredientsResponse.error) throw ingredientsResponse.error;
+      if (logsResponse.error) throw logsResponse.error;
+
+      setIngredients(ingredientsResponse.data || []);
+      setIngredientLogs(logsResponse.data || []);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load ingredients',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (ingredient) => {
+    setEditing(ingredient ?? 'new');
+    setFormData(
+      ingredient
+        ? { name: ingredient.name, unit: ingredient.unit, low_stock_threshold: ingredient.low_stock_threshold }
+        : emptyForm
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      const values = ingredientSchema.parse(formData);
+
+      const { error } =
+        editing === 'new'
+          ? await supabase.from('ingredients').insert(values)
+          : await supabase.from('ingredients').update(values).eq('id', editing.id);
+
+      if (error) throw error;
+
+      toast({
+        title: editing === 'new' ? 'Ingredient Added' : 'Ingredient Updated',
+        description: `${values.name} has been saved`,
+      });
+
+      setEditing(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to save ingredient',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const closeAdjustment = () => {
+    setAdjusting(null);
+    setAdjustmentAmount(0);
+    setAdjustmentReason('');
+  };
+
+  const handleAdjustment = async () => {
+    if (!adjustmentReason.trim()) {
+      toast({
+        title: 'Invalid Input',
+        description: 'Please provide a reason for the adjustment',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    try {
+      const { error } = await supabase.rpc('adjust_ingredient_stock', {
+        p_ingredient_id: adjusting.id,
+        p_change_amount: adjustmentAmount,
+        p_reason: adjustmentReason,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Stock Updated',
+        description: `Stock for ${adjusting.name} has been updated`,
+      });
+
+      closeAdjustment();
+      fetchData();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update stock',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const lowStock = ingredients.filter(isLowStock);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Ingredients</h2>
+        {canAdjust && (
+          <Button onClick={() => openEditor(null)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Ingredient
+          </Button>
+        )}
+      </div>
+
+      {lowStock.length > 0 && (
+        <Card className="border-yellow-200 bg-yellow-50">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-yellow-800">
+              <AlertTriangle className="h-5 w-5" />
+              Low Stock Alert
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-2">
+              {lowStock.map((ingredient) => (
+                <div key={ingredient.id} className="flex justify-between items-center text-sm">
+                  <span>{ingredient.name}</span>
+                  <Badge variant="destructive">
+                    {formatQuantity(ingredient.stock_quantity, ingredient.unit)} left
+                  </Badge>
+                </div>
+              ))}
+            </div>
+            {canAdjust && (
+              <Button asChild size="sm" variant="outline" className="mt-4">
+                <Link to="/admin/purchasing" state={{ suggest: true }}>
+                  <Truck className="h-4 w-4" />
+                  Create Purchase Order
+                </Link>
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+        {ingredients.map((ingredient) => {
+          const usedIn = ingredient.recipe_items
+            .map((line) => line.menu_items)
+            .filter((item) => !item.archived_at)
+            .map((item) => item.name)
+            .sort();
+
+          return (
+            <Card key={ingredient.id}>
+              <CardHeader>
+                <div className="flex items-start justify-between">
+                  <div>
+                    <CardTitle className="text-lg">{ingredient.name}</CardTitle>
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      Low below {formatQuantity(ingredient.low_stock_threshold, ingredient.unit)}
+                    </p>
+                  </div>
+                  <Wheat className="h-5 w-5 text-muted-foreground" />
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-4">
+                  <div>
+                    <p className="text-sm text-muted-foreground">Current Stock</p>
+                    <p className={`text-3xl font-bold ${isLowStock(ingredient) ? 'text-destructive' : ''}`}>
+                      {formatQuantity(ingredient.stock_quantity, ingredient.unit)}
+                    </p>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {usedIn.length ? `Used in ${usedIn.join(', ')}` : 'Not used in any recipe'}
+                  </p>
+                  {canAdjust && (
+                    <div className="flex gap-2">
+                      <Button variant="outline" className="flex-1" onClick={() => setAdjusting(ingredient)}>
+                        Adjust Stock
+                      </Button>
+                      <Button variant="outline" size="icon" onClick={() => openEditor(ingredient)} aria-label={`Edit ${ingredient.name}`}>
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      {ingredients.length === 0 && (
+        <p className="py-12 text-center text-muted-foreground">No ingredients yet</p>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Ingredient Changes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-3">
+            {ingredientLogs.map((log) => (
+              <div key={log.id} className="flex justify-between items-center py-2 border-b last:border-0">
+                <div>
+                  <p className="font-medium">{log.ingredients.name}</p>
+                  <p className="text-sm text-muted-foreground">{log.reason}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {format(new Date(log.created_at), 'PPp')}
+                    {log.profiles && ` · by ${log.profiles.full_name}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <Badge variant={log.change_amount > 0 ? 'default' : 'secondary'}>
+                    {log.change_amount > 0 ? '+' : ''}{formatQuantity(log.change_amount, log.ingredients.unit)}
+                  </Badge>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {formatQuantity(log.previous_stock, log.ingredients.unit)} → {formatQuantity(log.new_stock, log.ingredients.unit)}
+                  </p>
+                </div>
+              </div>
+            ))}
+            {ingredientLogs.length === 0 && (
+              <p className="text-sm text-muted-foreground">No ingredient movements yet</p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(editing)} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editing === 'new' ? 'Add Ingredient' : `Edit ${editing?.name}`}</DialogTitle>
+            <DialogDescription>
+              {editing === 'new' ? 'New ingredients start with no stock; adjust it once they are delivered.' : 'Update the ingredient details'}
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="ingredient-name">Name</Label>
+              <Input
+                id="ingredient-name"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="ingredient-unit">Unit</Label>
+                <Select value={formData.unit} onValueChange={(unit) => setFormData({ ...formData, unit })}>
+                  <SelectTrigger id="ingredient-unit">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {INGREDIENT_UNITS.map((unit) => (
+                      <SelectItem key={unit} value={unit}>
+                        {INGREDIENT_UNIT_LABELS[unit]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="ingredient-threshold">Low-Stock Level</Label>
+                <Input
+                  id="ingredient-threshold"
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={formData.low_stock_threshold}
+                  onChange={(e) => setFormData({ ...formData, low_stock_threshold: parseFloat(e.target.value) })}
+                  required
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditing(null)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save Ingredient</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(adjusting)} onOpenChange={(open) => !open && closeAdjustment()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Adjust Stock for {adjusting?.name}</DialogTitle>
+            <DialogDescription>
+              Current stock: {adjusting && formatQuantity(adjusting.stock_quantity, adjusting.unit)}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="ingredient-adjustment">Adjustment ({adjusting?.unit})</Label>
+              <Input
+                id="ingredient-adjustment"
+                type="number"
+                step="0.001"
+                value={adjustmentAmount}
+                onChange={(e) => setAdjustmentAmount(parseFloat(e.target.value) || 0)}
+                placeholder="Enter positive or negative number"
+              />
+              {adjusting && (
+                <p className="text-sm text-muted-foreground">
+                  New stock will be: {formatQuantity(adjusting.stock_quantity + adjustmentAmount, adjusting.unit)}
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ingredient-reason">Reason</Label>
+              <Input
+                id="ingredient-reason"
+                value={adjustmentReason}
+                onChange={(e) => setAdjustmentReason(e.target.value)}
+                placeholder="e.g., Delivery, Spoiled stock"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={closeAdjustment}>
+              Cancel
+            </Button>
+            <Button onClick={handleAdjustment}>Update Stock</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -1,4 +1,5 @@
 import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { supabase } from '@/integrations/supabase/client';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -6,46 +7,81 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Badge } from '@/components/ui/badge';
-import { Package, AlertTriangle } from 'lucide-react';
+import { Package, AlertTriangle, Settings2, Truck } from 'lucide-react';
 import { toast } from '@/hooks/use-toast';
 import { format } from 'date-fns';
+import { useAuth } from '@/hooks/use-auth';
+import { exportInventoryLogs } from '@/lib/reports';
+import { capacityByItem } from '@/lib/ingredients';
+import { needsReorder, reorderSettingsSchema } from '@/lib/purchasing';
+import { z } from 'zod';
+import { ExportButtons } from '@/components/admin/ExportButtons';
 
 export const AdminInventorySection = () => {
+  const { can } = useAuth();
   const [menuItems, setMenuItems] = useState([]);
   const [inventoryLogs, setInventoryLogs] = useState([]);
+  const [capacity, setCapacity] = useState(new Map());
   const [loading, setLoading] = useState(true);
   const [selectedItem, setSelectedItem] = useState(null);
   const [adjustmentAmount, setAdjustmentAmount] = useState(0);
   const [adjustmentReason, setAdjustmentReason] = useState('');
   const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [reorderItem, setReorderItem] = useState(null);
+  const [reorderForm, setReorderForm] = useState({ reorder_level: 0, reorder_quantity: 0 });
 
   useEffect(() => {
     fetchData();
+
+    // Orders and cancellations move stock too, so follow the log as it grows.
+    const channel = supabase
+      .channel('admin-inventory-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'inventory_logs',
+        },
+        () => {
+          fetchData();
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
   }, []);
 
   const fetchData = async () => {
     try {
-      const [itemsResponse, logsResponse] = await Promise.all([
+      const [itemsResponse, logsResponse, capacityResponse] = await Promise.all([
         supabase
           .from('menu_items')
-          .select('id, name, stock_quantity, category')
+          .select('id, name, stock_quantity, category, reorder_level, reorder_quantity')
+          .is('archived_at', null)
           .order('stock_quantity', { ascending: true }),
         supabase
           .from('inventory_logs')
           .select(`
             *,
-            menu_items (name)
+            menu_items (name),
+            profiles (full_name)
           `)
           .order('created_at', { ascending: false })
-          .limit(20)
+          .limit(20),
+        supabase.rpc('menu_capacity'),
       ]);
 
       if (itemsResponse.error) throw itemsResponse.error;
       if (logsResponse.error) throw logsResponse.error;
+      if (capacityResponse.error) throw capacityResponse.error;
 
       setMenuItems(itemsResponse.data || []);
       setInventoryLogs(logsResponse.data || []);
-    } catch (error) {
+      setCapacity(capacityByItem(capacityResponse.data));
+    } catch {
       toast({
         title: 'Error',
         description: 'Failed to load inventory data',
@@ -78,13 +114,11 @@ export const AdminInventorySection = () => {
     }
 
     try {
-      const { error } = await supabase
-        .from('menu_items')
-        .update({
-          stock_quantity: newStock,
-          is_available: newStock > 0
-        })
-        .eq('id', selectedItem.id);
+      const { error } = await supabase.rpc('adjust_stock', {
+        p_menu_item_id: selectedItem.id,
+        p_change_amount: adjustmentAmount,
+        p_reason: adjustmentReason,
+      });
 
       if (error) throw error;
 
@@ -101,13 +135,44 @@ export const AdminInventorySection = () => {
     } catch (error) {
       toast({
         title: 'Error',
-        description: 'Failed to update stock',
+        description: error.message || 'Failed to update stock',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const openReorderSettings = (item) => {
+    setReorderItem(item);
+    setReorderForm({ reorder_level: item.reorder_level, reorder_quantity: item.reorder_quantity });
+  };
+
+  const handleReorderSettings = async (e) => {
+    e.preventDefault();
+
+    try {
+      const values = reorderSettingsSchema.parse(reorderForm);
+
+      const { error } = await supabase.from('menu_items').update(values).eq('id', reorderItem.id);
+
+      if (error) throw error;
+
+      toast({
+        title: 'Reorder Settings Saved',
+        description: `${reorderItem.name} will be flagged at ${values.reorder_level} left`,
+      });
+
+      setReorderItem(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to save reorder settings',
         variant: 'destructive',
       });
     }
   };
 
-  const lowStockItems = menuItems.filter(item => item.stock_quantity <= 10);
+  const lowStockItems = menuItems.filter(needsReorder);
 
   if (loading) {
     return (
@@ -136,12 +201,23 @@ export const AdminInventorySection = () => {
               {lowStockItems.map((item) => (
                 <div key={item.id} className="flex justify-between items-center text-sm">
                   <span>{item.name}</span>
-                  <Badge variant="destructive">
-                    {item.stock_quantity} remaining
-                  </Badge>
+                  <div className="flex items-center gap-3">
+                    <span className="text-yellow-800">Suggested order: {item.reorder_quantity}</span>
+                    <Badge variant="destructive">
+                      {item.stock_quantity} remaining
+                    </Badge>
+                  </div>
                 </div>
               ))}
             </div>
+            {can('inventory:adjust') && (
+              <Button asChild size="sm" variant="outline" className="mt-4">
+                <Link to="/admin/purchasing" state={{ suggest: true }}>
+                  <Truck className="h-4 w-4" />
+                  Create Purchase Order
+                </Link>
+              </Button>
+            )}
           </CardContent>
         </Card>
       )}
@@ -164,66 +240,86 @@ export const AdminInventorySection = () => {
               <div className="space-y-4">
                 <div>
                   <p className="text-sm text-muted-foreground">Current Stock</p>
-                  <p className="text-3xl font-bold">{item.stock_quantity}</p>
+                  <p className={`text-3xl font-bold ${needsReorder(item) ? 'text-destructive' : ''}`}>{item.stock_quantity}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Reorder at {item.reorder_level}, {item.reorder_quantity} at a time
+                  </p>
+                  {capacity.has(item.id) && (
+                    <p className="text-xs text-muted-foreground">
+                      Ingredients for {capacity.get(item.id)} more
+                    </p>
+                  )}
                 </div>
-                <Dialog open={isDialogOpen && selectedItem?.id === item.id} onOpenChange={(open) => {
-                  setIsDialogOpen(open);
-                  if (!open) {
-                    setSelectedItem(null);
-                    setAdjustmentAmount(0);
-                    setAdjustmentReason('');
-                  }
-                }}>
-                  <DialogTrigger asChild>
-                    <Button
-                      variant="outline"
-                      className="w-full"
-                      onClick={() => setSelectedItem(item)}
-                    >
-                      Adjust Stock
-                    </Button>
-                  </DialogTrigger>
-                  <DialogContent>
-                    <DialogHeader>
-                      <DialogTitle>Adjust Stock for {item.name}</DialogTitle>
-                      <DialogDescription>
-                        Current stock: {item.stock_quantity}
-                      </DialogDescription>
-                    </DialogHeader>
-                    <div className="space-y-4">
-                      <div className="space-y-2">
-                        <Label htmlFor="adjustment">Adjustment Amount</Label>
-                        <Input
-                          id="adjustment"
-                          type="number"
-                          value={adjustmentAmount}
-                          onChange={(e) => setAdjustmentAmount(parseInt(e.target.value) || 0)}
-                          placeholder="Enter positive or negative number"
-                        />
-                        <p className="text-sm text-muted-foreground">
-                          New stock will be: {item.stock_quantity + adjustmentAmount}
-                        </p>
-                      </div>
-                      <div className="space-y-2">
-                        <Label htmlFor="reason">Reason</Label>
-                        <Input
-                          id="reason"
-                          value={adjustmentReason}
-                          onChange={(e) => setAdjustmentReason(e.target.value)}
-                          placeholder="e.g., Restocking, Damaged goods"
-                        />
-                      </div>
-                    </div>
-                    <DialogFooter>
-                      <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
-                        Cancel
+                {can('inventory:adjust') && (
+                  <Dialog open={isDialogOpen && selectedItem?.id === item.id} onOpenChange={(open) => {
+                    setIsDialogOpen(open);
+                    if (!open) {
+                      setSelectedItem(null);
+                      setAdjustmentAmount(0);
+                      setAdjustmentReason('');
+                    }
+                  }}>
+                    <div className="flex gap-2">
+                      <DialogTrigger asChild>
+                        <Button
+                          variant="outline"
+                          className="flex-1"
+                          onClick={() => setSelectedItem(item)}
+                        >
+                          Adjust Stock
+                        </Button>
+                      </DialogTrigger>
+                      <Button
+                        variant="outline"
+                        size="icon"
+                        onClick={() => openReorderSettings(item)}
+                        aria-label={`Reorder settings for ${item.name}`}
+                      >
+                        <Settings2 className="h-4 w-4" />
                       </Button>
-                      <Button onClick={handleAdjustment}>
-                        Update Stock
-                      </Button>
-                    </DialogFooter>
-                  </DialogContent>
-                </Dialog>
+                    </div>
+                    <DialogContent>
+                      <DialogHeader>
+                        <DialogTitle>Adjust Stock for {item.name}</DialogTitle>
+                        <DialogDescription>
+                          Current stock: {item.stock_quantity}
+                        </DialogDescription>
+                      </DialogHeader>
+                      <div className="space-y-4">
+                        <div className="space-y-2">
+                          <Label htmlFor="adjustment">Adjustment Amount</Label>
+                          <Input
+                            id="adjustment"
+                            type="number"
+                            value={adjustmentAmount}
+                            onChange={(e) => setAdjustmentAmount(parseInt(e.target.value) || 0)}
+                            placeholder="Enter positive or negative number"
+                          />
+                          <p className="text-sm text-muted-foreground">
+                            New stock will be: {item.stock_quantity + adjustmentAmount}
+                          </p>
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="reason">Reason</Label>
+                          <Input
+                            id="reason"
+                            value={adjustmentReason}
+                            onChange={(e) => setAdjustmentReason(e.target.value)}
+                            placeholder="e.g., Restocking, Damaged goods"
+                          />
+                        </div>
+                      </div>
+                      <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
+                          Cancel
+                        </Button>
+                        <Button onClick={handleAdjustment}>
+                          Update Stock
+                        </Button>
+                      </DialogFooter>
+                    </DialogContent>
+                  </Dialog>
+                )}
               </div>
             </CardContent>
           </Card>
@@ -232,7 +328,17 @@ export const AdminInventorySection = () => {
 
       <Card>
         <CardHeader>
-          <CardTitle>Recent Inventory Changes</CardTitle>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <CardTitle>Recent Inventory Changes</CardTitle>
+            <div className="flex flex-wrap gap-2">
+              {can('reports:export') && (
+                <ExportButtons onExport={(fileFormat) => exportInventoryLogs({}, fileFormat)} label="log entries" />
+              )}
+              <Button asChild variant="outline" size="sm">
+                <Link to="/admin/ledger">View Full Ledger</Link>
+              </Button>
+            </div>
+          </div>
         </CardHeader>
         <CardContent>
           <div className="space-y-3">
@@ -243,6 +349,7 @@ export const AdminInventorySection = () => {
                   <p className="text-sm text-muted-foreground">{log.reason}</p>
                   <p className="text-xs text-muted-foreground">
                     {format(new Date(log.created_at), 'PPp')}
+                    {log.profiles && ` · by ${log.profiles.full_name}`}
                   </p>
                 </div>
                 <div className="text-right">
@@ -258,6 +365,49 @@ export const AdminInventorySection = () => {
           </div>
         </CardContent>
       </Card>
+
+      <Dialog open={Boolean(reorderItem)} onOpenChange={(open) => !open && setReorderItem(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reorder Settings for {reorderItem?.name}</DialogTitle>
+            <DialogDescription>
+              Staff are notified when stock falls to the reorder level, and purchase orders suggest the reorder quantity.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleReorderSettings} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="reorder-level">Reorder Level</Label>
+                <Input
+                  id="reorder-level"
+                  type="number"
+                  min="0"
+                  value={reorderForm.reorder_level}
+                  onChange={(e) => setReorderForm({ ...reorderForm, reorder_level: parseInt(e.target.value) })}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="reorder-quantity">Reorder Quantity</Label>
+                <Input
+                  id="reorder-quantity"
+                  type="number"
+                  min="1"
+                  value={reorderForm.reorder_quantity}
+                  onChange={(e) => setReorderForm({ ...reorderForm, reorder_quantity: parseInt(e.target.value) })}
+                  required
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setReorderItem(null)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save Settings</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 };
@@ -0,0 +1,93 @@
+import { Suspense } from 'react';
+import { NavLink, Outlet } from 'react-router-dom';
+import {
+  Banknote,
+  BarChart3,
+  ChefHat,
+  ClipboardList,
+  LogOut,
+  MessageSquare,
+  Package,
+  ScanLine,
+  ScrollText,
+  Truck,
+  UtensilsCrossed,
+  Wallet,
+  Wheat,
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { StaffNotifications } from '@/components/admin/StaffNotifications';
+import { useAuth } from '@/hooks/use-auth';
+import { ROLE_LABELS } from '@/lib/permissions';
+
+const navItems = [
+  { to: 'orders', label: 'Orders', icon: ClipboardList, capability: 'orders:view' },
+  { to: '/kitchen', label: 'Kitchen Display', icon: ChefHat, capability: 'kitchen:view' },
+  { to: 'menu', label: 'Menu', icon: UtensilsCrossed, capability: 'menu:view' },
+  { to: 'inventory', label: 'Inventory', icon: Package, capability: 'inventory:view' },
+  { to: 'ingredients', label: 'Ingredients', icon: Wheat, capability: 'inventory:view' },
+  { to: 'purchasing', label: 'Purchasing', icon: Truck, capability: 'inventory:view' },
+  { to: 'ledger', label: 'Stock Ledger', icon: ScrollText, capability: 'inventory:view' },
+  { to: 'pickup', label: 'Pickup', icon: ScanLine, capability: 'orders:pickup' },
+  { to: 'cash-up', label: 'Cash-Up', icon: Banknote, capability: 'payments:take' },
+  { to: 'wallets', label: 'Wallets', icon: Wallet, capability: 'wallets:view' },
+  {
+    to: 'customer-notifications',
+    label: 'Customer Notifications',
+    icon: MessageSquare,
+    capability: 'notifications:view',
+  },
+  { to: 'analytics', label: 'Analytics', icon: BarChart3, capability: 'analytics:view' },
+];
+
+export const AdminLayout = () => {
+  const { profile, role, can, signOut } = useAuth();
+
+  return (
+    <div className="min-h-screen flex flex-col md:flex-row">
+      <aside className="border-b md:border-b-0 md:border-r md:w-60 md:min-h-screen">
+        <div className="flex items-center justify-between px-6 py-5">
+          <h1 className="text-lg font-bold">Canteen Admin</h1>
+          <StaffNotifications />
+        </div>
+        <nav className="flex md:flex-col gap-1 px-3 pb-3">
+          {navItems.filter((item) => can(item.capability)).map((item) => (
+            <NavLink
+              key={item.to}
+              to={item.to}
+              className={({ isActive }) =>
+                `flex items-center gap-2 rounded-md px-3 py-2 text-sm font-medium ${
+                  isActive ? 'bg-primary text-primary-foreground' : 'text-muted-foreground hover:bg-muted'
+                }`
+              }
+            >
+              <item.icon className="h-4 w-4" />
+              {item.label}
+            </NavLink>
+          ))}
+        </nav>
+        <div className="flex items-center justify-between gap-2 border-t px-6 py-4 md:flex-col md:items-start">
+          <div className="text-sm">
+            <p className="font-medium">{profile?.full_name}</p>
+            <p className="text-muted-foreground">{ROLE_LABELS[role]}</p>
+          </div>
+          <Button size="sm" variant="outline" onClick={signOut}>
+            <LogOut className="h-4 w-4" />
+            Sign Out
+          </Button>
+        </div>
+      </aside>
+      <main className="flex-1 p-6">
+        <Suspense
+          fallback={
+            <div className="flex justify-center py-12">
+              <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          }
+        >
+          <Outlet />
+        </Suspense>
+      </main>
+    </div>
+  );
+};
@@ -0,0 +1,540 @@
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { ChevronLeft, ChevronRight, ClipboardCheck } from 'lucide-react';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { ExportButtons } from '@/components/admin/ExportButtons';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import {
+  applyLedgerFilters,
+  LEDGER_ENTRY_TYPE_LABELS,
+  LEDGER_ENTRY_TYPES,
+  stockSeries,
+  stockTakeSchema,
+  varianceSummary,
+} from '@/lib/ledger';
+import { exportInventoryLogs } from '@/lib/reports';
+
+const PAGE_SIZE = 25;
+
+// The chart reads at most this many entries for one item and range.
+const CHART_LIMIT = 1000;
+
+const emptyFilters = { menuItemId: 'all', entryType: 'all', changedBy: 'all', from: '', to: '' };
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+export const AdminLedgerSection = () => {
+  const { can } = useAuth();
+  const [menuItems, setMenuItems] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [stockTakes, setStockTakes] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [logs, setLogs] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [chartLogs, setChartLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [viewingStockTake, setViewingStockTake] = useState(null);
+  const [counting, setCounting] = useState(false);
+  const [counts, setCounts] = useState({});
+  const [countNotes, setCountNotes] = useState('');
+  const [applyCounts, setApplyCounts] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [itemsResponse, staffResponse, stockTakesResponse] = await Promise.all([
+          supabase.from('menu_items').select('id, name, stock_quantity, archived_at').order('name'),
+          supabase.from('profiles').select('id, full_name').neq('role', 'customer').order('full_name'),
+          supabase
+            .from('stock_takes')
+            .select(`
+              *,
+              profiles (full_name),
+              stock_take_counts (*, menu_items (name))
+            `)
+            .order('created_at', { ascending: false })
+            .limit(10),
+        ]);
+
+        if (itemsResponse.error) throw itemsResponse.error;
+        if (staffResponse.error) throw staffResponse.error;
+        if (stockTakesResponse.error) throw stockTakesResponse.error;
+
+        setMenuItems(itemsResponse.data || []);
+        setStaff(staffResponse.data || []);
+        setStockTakes(stockTakesResponse.data || []);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load stock takes',
+          variant: 'destructive',
+        });
+      }
+    };
+
+    fetchOptions();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    const fetchLedger = async () => {
+      setLoading(true);
+      try {
+        const pageQuery = applyLedgerFilters(
+          supabase.from('inventory_logs').select('*, menu_items (name), profiles (full_name)', { count: 'exact' }),
+          filters
+        )
+          .order('created_at', { ascending: false })
+          .range(page * PAGE_SIZE, page * PAGE_SIZE + PAGE_SIZE - 1);
+
+        // Only one item's stock can be charted at a time.
+        const chartQuery =
+          filters.menuItemId === 'all'
+            ? Promise.resolve({ data: [], error: null })
+            : applyLedgerFilters(
+                supabase.from('inventory_logs').select('created_at, previous_stock, new_stock'),
+                { menuItemId: filters.menuItemId, from: filters.from, to: filters.to }
+              )
+                .order('created_at', { ascending: true })
+                .limit(CHART_LIMIT);
+
+        const [pageResponse, chartResponse] = await Promise.all([pageQuery, chartQuery]);
+
+        if (pageResponse.error) throw pageResponse.error;
+        if (chartResponse.error) throw chartResponse.error;
+
+        setLogs(pageResponse.data || []);
+        setTotalCount(pageResponse.count ?? 0);
+        setChartLogs(chartResponse.data || []);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load the stock ledger',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLedger();
+  }, [filters, page, refreshKey]);
+
+  const updateFilters = (patch) => {
+    setFilters({ ...filters, ...patch });
+    setPage(0);
+  };
+
+  const openStockTake = () => {
+    setCounts({});
+    setCountNotes('');
+    setApplyCounts(true);
+    setCounting(true);
+  };
+
+  const handleStockTake = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = stockTakeSchema.parse({
+        notes: countNotes,
+        counts: Object.entries(counts)
+          .filter(([, counted]) => counted !== '')
+          .map(([menu_item_id, counted]) => ({ menu_item_id, counted: Number(counted) })),
+      });
+
+      const { data, error } = await supabase.rpc('record_stock_take', {
+        p_counts: values.counts,
+        p_notes: values.notes,
+        p_apply: applyCounts,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Stock Take Recorded',
+        description: applyCounts
+          ? `${values.counts.length} items counted and stock updated to match`
+          : `${values.counts.length} items counted; stock was left as it was`,
+      });
+
+      setCounting(false);
+      setRefreshKey((key) => key + 1);
+      setViewingStockTake(data.id);
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to record stock take',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectedItem = menuItems.find((item) => item.id === filters.menuItemId);
+  const series = stockSeries(chartLogs);
+  const pageCount = Math.max(1, Math.ceil(totalCount / PAGE_SIZE));
+  const activeItems = menuItems.filter((item) => !item.archived_at);
+  const stockTake = stockTakes.find((candidate) => candidate.id === viewingStockTake);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">Stock Ledger</h2>
+        <div className="flex flex-wrap gap-2">
+          {can('reports:export') && (
+            <ExportButtons onExport={(fileFormat) => exportInventoryLogs(filters, fileFormat)} label="log entries" />
+          )}
+          {can('inventory:adjust') && (
+            <Button onClick={openStockTake}>
+              <ClipboardCheck className="mr-2 h-4 w-4" />
+              New Stock Take
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <div className="grid gap-4 md:grid-cols-3 lg:grid-cols-6">
+            <div className="space-y-1">
+              <Label htmlFor="ledger-item" className="text-xs">Item</Label>
+              <Select value={filters.menuItemId} onValueChange={(menuItemId) => updateFilters({ menuItemId })}>
+                <SelectTrigger id="ledger-item">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All items</SelectItem>
+                  {menuItems.map((item) => (
+                    <SelectItem key={item.id} value={item.id}>
+                      {item.name}
+                      {item.archived_at ? ' (archived)' : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="ledger-type" className="text-xs">Type</Label>
+              <Select value={filters.entryType} onValueChange={(entryType) => updateFilters({ entryType })}>
+                <SelectTrigger id="ledger-type">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All types</SelectItem>
+                  {LEDGER_ENTRY_TYPES.map((type) => (
+                    <SelectItem key={type} value={type}>
+                      {LEDGER_ENTRY_TYPE_LABELS[type]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="ledger-user" className="text-xs">Changed By</Label>
+              <Select value={filters.changedBy} onValueChange={(changedBy) => updateFilters({ changedBy })}>
+                <SelectTrigger id="ledger-user">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Anyone</SelectItem>
+                  {staff.map((profile) => (
+                    <SelectItem key={profile.id} value={profile.id}>
+                      {profile.full_name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="ledger-from" className="text-xs">From</Label>
+              <Input
+                id="ledger-from"
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => updateFilters({ from: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="ledger-to" className="text-xs">To</Label>
+              <Input
+                id="ledger-to"
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => updateFilters({ to: e.target.value })}
+              />
+            </div>
+            <div className="flex items-end">
+              <Button variant="outline" className="w-full" onClick={() => updateFilters(emptyFilters)}>
+                Clear Filters
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {selectedItem && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{selectedItem.name} Stock Level</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {series.length ? (
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={series}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis
+                      dataKey="time"
+                      type="number"
+                      scale="time"
+                      domain={['dataMin', 'dataMax']}
+                      fontSize={12}
+                      tickFormatter={(time) => format(new Date(time), 'd MMM')}
+                    />
+                    <YAxis fontSize={12} allowDecimals={false} />
+                    <Tooltip labelFormatter={(time) => format(new Date(time), 'PPp')} />
+                    <Line type="stepAfter" dataKey="stock" name="Stock" stroke="hsl(24 95% 45%)" dot={false} strokeWidth={2} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <p className="py-6 text-center text-sm text-muted-foreground">No stock movements in this period</p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <CardTitle>Entries</CardTitle>
+            <p className="text-sm text-muted-foreground">
+              {totalCount} {totalCount === 1 ? 'entry' : 'entries'}
+            </p>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {logs.map((log) => (
+                <div key={log.id} className="flex justify-between items-center gap-4 py-2 border-b last:border-0">
+                  <div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <p className="font-medium">{log.menu_items?.name}</p>
+                      <Badge variant="outline">{LEDGER_ENTRY_TYPE_LABELS[log.entry_type]}</Badge>
+                    </div>
+                    <p className="text-sm text-muted-foreground">{log.reason}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {format(new Date(log.created_at), 'PPp')}
+                      {log.profiles && ` · by ${log.profiles.full_name}`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <Badge variant={log.change_amount > 0 ? 'default' : 'secondary'}>{signed(log.change_amount)}</Badge>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {log.previous_stock} → {log.new_stock}
+                    </p>
+                  </div>
+                </div>
+              ))}
+              {logs.length === 0 && (
+                <p className="py-6 text-center text-sm text-muted-foreground">No entries match these filters</p>
+              )}
+            </div>
+          )}
+          <div className="mt-4 flex items-center justify-end gap-2">
+            <span className="text-sm text-muted-foreground">
+              Page {page + 1} of {pageCount}
+            </span>
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0 || loading}
+              aria-label="Previous page"
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= pageCount || loading}
+              aria-label="Next page"
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Stock Takes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-3">
+            {stockTakes.map((take) => {
+              const summary = varianceSummary(take.stock_take_counts);
+              return (
+                <div key={take.id} className="flex justify-between items-center gap-4 py-2 border-b last:border-0">
+                  <div>
+                    <p className="font-medium">{format(new Date(take.created_at), 'PPp')}</p>
+                    <p className="text-sm text-muted-foreground">
+                      {take.stock_take_counts.length} counted · {summary.mismatched} off
+                      {summary.mismatched > 0 && ` (${signed(summary.units)} units, ${summary.value < 0 ? '-' : ''}$${Math.abs(summary.value).toFixed(2)})`}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {take.applied ? 'Stock updated to the counts' : 'Count only'}
+                      {take.profiles && ` · by ${take.profiles.full_name}`}
+                    </p>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={() => setViewingStockTake(take.id)}>
+                    Variance Report
+                  </Button>
+                </div>
+              );
+            })}
+            {stockTakes.length === 0 && <p className="text-sm text-muted-foreground">No stock takes yet</p>}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(stockTake)} onOpenChange={(open) => !open && setViewingStockTake(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Variance Report</DialogTitle>
+            <DialogDescription>
+              Stock take of {stockTake && format(new Date(stockTake.created_at), 'PPp')}
+              {stockTake?.notes && ` · ${stockTake.notes}`}
+            </DialogDescription>
+          </DialogHeader>
+          {stockTake && (
+            <div className="max-h-[60vh] overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 font-medium">Item</th>
+                    <th className="py-2 text-right font-medium">System</th>
+                    <th className="py-2 text-right font-medium">Counted</th>
+                    <th className="py-2 text-right font-medium">Variance</th>
+                    <th className="py-2 text-right font-medium">Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...stockTake.stock_take_counts]
+                    .sort((a, b) => a.menu_items.name.localeCompare(b.menu_items.name))
+                    .map((count) => {
+                      const variance = count.counted - count.system_count;
+                      return (
+                        <tr key={count.id} className="border-b last:border-0">
+                          <td className="py-2">{count.menu_items.name}</td>
+                          <td className="py-2 text-right">{count.system_count}</td>
+                          <td className="py-2 text-right">{count.counted}</td>
+                          <td className={`py-2 text-right ${variance < 0 ? 'text-destructive' : ''}`}>
+                            {variance ? signed(variance) : '—'}
+                          </td>
+                          <td className="py-2 text-right">
+                            {variance && count.unit_cost != null ? `$${(variance * count.unit_cost).toFixed(2)}` : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                </tbody>
+                <tfoot>
+                  {(() => {
+                    const summary = varianceSummary(stockTake.stock_take_counts);
+                    return (
+                      <tr className="font-semibold">
+                        <td className="pt-3" colSpan={3}>
+                          {summary.mismatched} of {stockTake.stock_take_counts.length} items off
+                        </td>
+                        <td className="pt-3 text-right">{signed(summary.units)}</td>
+                        <td className="pt-3 text-right">${summary.value.toFixed(2)}</td>
+                      </tr>
+                    );
+                  })()}
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={counting} onOpenChange={setCounting}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>New Stock Take</DialogTitle>
+            <DialogDescription>
+              Enter what is physically on the shelf. Items left blank are not counted.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleStockTake} className="space-y-4">
+            <div className="max-h-[45vh] space-y-2 overflow-y-auto pr-1">
+              {activeItems.map((item) => (
+                <div key={item.id} className="flex items-center justify-between gap-4">
+                  <div>
+                    <Label htmlFor={`count-${item.id}`}>{item.name}</Label>
+                    <p className="text-xs text-muted-foreground">System: {item.stock_quantity}</p>
+                  </div>
+                  <Input
+                    id={`count-${item.id}`}
+                    type="number"
+                    min="0"
+                    step="1"
+                    className="w-28"
+                    value={counts[item.id] ?? ''}
+                    onChange={(e) => setCounts({ ...counts, [item.id]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="count-notes">Notes</Label>
+              <Textarea id="count-notes" value={countNotes} onChange={(e) => setCountNotes(e.target.value)} />
+            </div>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-primary"
+                checked={applyCounts}
+                onChange={(e) => setApplyCounts(e.target.checked)}
+              />
+              Update stock to the counted figures
+            </label>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setCounting(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                Record Stock Take
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -8,32 +8,73 @@ import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Badge } from '@/components/ui/badge';
-import { Plus, Edit, Trash2 } from 'lucide-react';
+import { ToastAction } from '@/components/ui/toast';
+import { Archive, ArchiveRestore, CalendarDays, Clock, Edit, LayoutGrid, ListChecks, Plus } from 'lucide-react';
+import { format } from 'date-fns';
 import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
 import { z } from 'zod';
+import { CATEGORY_LABELS, MENU_CATEGORIES, menuItemSchema } from '@/lib/menu';
+import { exportMenu } from '@/lib/reports';
+import { prepareMenuImage, removeMenuImage, uploadMenuImage } from '@/lib/images';
+import { ExportButtons } from '@/components/admin/ExportButtons';
+import { MenuImportDialog } from '@/components/admin/MenuImportDialog';
+import { ImageDropzone } from '@/components/admin/ImageDropzone';
+import { ConfirmDialog } from '@/components/admin/ConfirmDialog';
+import { MenuScheduleEditor } from '@/components/admin/MenuScheduleEditor';
+import { MenuOptionGroupsEditor } from '@/components/admin/MenuOptionGroupsEditor';
+import { MenuRecipeEditor } from '@/components/admin/MenuRecipeEditor';
+import { WeeklyMenuCalendar } from '@/components/admin/WeeklyMenuCalendar';
+import { describeSchedule, scheduleSchema } from '@/lib/schedules';
+import { describeRule, optionGroupSchema, sortedOptionGroups } from '@/lib/options';
+import { capacityByItem, recipeLineSchema } from '@/lib/ingredients';
 
-const menuItemSchema = z.object({
-  name: z.string().min(2).max(100),
-  description: z.string().max(500),
-  price: z.number().min(0),
-  category: z.enum(['breakfast', 'lunch', 'dinner', 'snacks', 'beverages', 'desserts']),
-  stock_quantity: z.number().int().min(0),
-  image_url: z.string().url().optional().or(z.literal('')),
+const emptyForm = {
+  name: '',
+  description: '',
+  price: 0,
+  category: 'breakfast',
+  stock_quantity: 0,
+  image_url: '',
+  thumbnail_url: '',
+  schedules: [],
+  option_groups: [],
+  recipe: [],
+};
+
+// Schedules as the form edits them: HH:MM times and '' for no date.
+const toScheduleDraft = (schedule) => ({
+  days_of_week: schedule.days_of_week,
+  start_time: schedule.start_time.slice(0, 5),
+  end_time: schedule.end_time.slice(0, 5),
+  start_date: schedule.start_date ?? '',
+  end_date: schedule.end_date ?? '',
+});
+
+const toOptionGroupDraft = (group) => ({
+  id: group.id,
+  name: group.name,
+  min_select: group.min_select,
+  max_select: group.max_select,
+  options: group.menu_options.map(({ id, name, price_delta }) => ({ id, name, price_delta })),
 });
 
 export const AdminMenuSection = () => {
+  const { can } = useAuth();
+  const canEdit = can('menu:edit');
   const [menuItems, setMenuItems] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [capacity, setCapacity] = useState(new Map());
   const [loading, setLoading] = useState(true);
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: 0,
-    category: 'breakfast',
-    stock_quantity: 0,
-    image_url: '',
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [pendingImage, setPendingImage] = useState(null);
+  const [processingImage, setProcessingImage] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [view, setView] = useState('items');
+  const [showArchived, setShowArchived] = useState(false);
+  const [archiving, setArchiving] = useState(null);
 
   useEffect(() => {
     fetchMenuItems();
@@ -41,15 +82,29 @@ export const AdminMenuSection = () => {
 
   const fetchMenuItems = async () => {
     try {
-      const { data, error } = await supabase
-        .from('menu_items')
-        .select('*')
-        .order('category')
-        .order('name');
-
-      if (error) throw error;
-      setMenuItems(data || []);
-    } catch (error) {
+      const [itemsResponse, ingredientsResponse, capacityResponse] = await Promise.all([
+        supabase
+          .from('menu_items')
+          .select('*, menu_item_schedules (*), menu_option_groups (*, menu_options (*)), recipe_items (ingredient_id, quantity)')
+          .order('category')
+          .order('name'),
+        supabase.from('ingredients').select('id, name, unit').order('name'),
+        supabase.rpc('menu_capacity'),
+      ]);
+
+      if (itemsResponse.error) throw itemsResponse.error;
+      if (ingredientsResponse.error) throw ingredientsResponse.error;
+      if (capacityResponse.error) throw capacityResponse.error;
+
+      setMenuItems(
+        (itemsResponse.data || []).map((item) => ({
+          ...item,
+          menu_option_groups: sortedOptionGroups(item.menu_option_groups),
+        }))
+      );
+      setIngredients(ingredientsResponse.data || []);
+      setCapacity(capacityByItem(capacityResponse.data));
+    } catch {
       toast({
         title: 'Error',
         description: 'Failed to load menu items',
@@ -60,55 +115,142 @@ export const AdminMenuSection = () => {
     }
   };
 
+  const handleImageSelect = async (file) => {
+    setProcessingImage(true);
+    try {
+      const prepared = await prepareMenuImage(file);
+      if (pendingImage) URL.revokeObjectURL(pendingImage.previewUrl);
+      setPendingImage({ ...prepared, previewUrl: URL.createObjectURL(prepared.full) });
+    } catch (error) {
+      toast({
+        title: 'Image Not Used',
+        description: error.message || 'Failed to process the image',
+        variant: 'destructive',
+      });
+    } finally {
+      setProcessingImage(false);
+    }
+  };
+
+  const handleImageRemove = () => {
+    if (pendingImage) URL.revokeObjectURL(pendingImage.previewUrl);
+    setPendingImage(null);
+    setFormData({ ...formData, image_url: '', thumbnail_url: '' });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    let uploaded = null;
+    setSaving(true);
     try {
       menuItemSchema.parse(formData);
+      const schedules = formData.schedules.map((schedule) =>
+        scheduleSchema.parse({
+          ...schedule,
+          start_date: schedule.start_date || null,
+          end_date: schedule.end_date || null,
+        })
+      );
+      const optionGroups = formData.option_groups.map((group) => optionGroupSchema.parse(group));
+      const recipe = formData.recipe.map((line) => recipeLineSchema.parse(line));
+
+      // New images are uploaded only when the item is saved, so abandoning the
+      // dialog never leaves files behind.
+      if (pendingImage) uploaded = await uploadMenuImage(pendingImage);
+      const image = uploaded ?? { image_url: formData.image_url, thumbnail_url: formData.thumbnail_url };
+      const values = {
+        name: formData.name,
+        description: formData.description,
+        price: formData.price,
+        category: formData.category,
+        image_url: image.image_url || null,
+        thumbnail_url: image.thumbnail_url || null,
+      };
 
+      let itemId = editingItem?.id;
       if (editingItem) {
         const { error } = await supabase
           .from('menu_items')
-          .update({
-            name: formData.name,
-            description: formData.description,
-            price: formData.price,
-            category: formData.category,
-            stock_quantity: formData.stock_quantity,
-            image_url: formData.image_url || null,
-          })
+          .update(values)
           .eq('id', editingItem.id);
 
         if (error) throw error;
-
-        toast({
-          title: 'Menu Item Updated',
-          description: 'The menu item has been updated successfully',
-        });
       } else {
-        const { error } = await supabase
+        // New items start empty and unavailable, like imported ones; their
+        // opening stock goes through the stock ledger below.
+        const { data, error } = await supabase
           .from('menu_items')
-          .insert({
-            name: formData.name,
-            description: formData.description,
-            price: formData.price,
-            category: formData.category,
-            stock_quantity: formData.stock_quantity,
-            image_url: formData.image_url || null,
-          });
+          .insert({ ...values, stock_quantity: 0, is_available: false })
+          .select('id')
+          .single();
 
         if (error) throw error;
+        itemId = data.id;
+      }
 
-        toast({
-          title: 'Menu Item Added',
-          description: 'New menu item has been added successfully',
+      // The item now points at the new files; from here on they are its own.
+      if (uploaded) {
+        URL.revokeObjectURL(pendingImage.previewUrl);
+        setPendingImage(null);
+        setFormData((form) => ({ ...form, image_url: image.image_url || '', thumbnail_url: image.thumbnail_url || '' }));
+      }
+      uploaded = null;
+      if (editingItem?.image_url && editingItem.image_url !== values.image_url) {
+        await removeMenuImage(editingItem);
+      }
+      // Schedules, options and the recipe are saved separately below. If one
+      // of them fails, saving again updates this item instead of adding a
+      // second copy of it.
+      setEditingItem({ ...editingItem, ...values, id: itemId });
+
+      if (!editingItem && formData.stock_quantity > 0) {
+        const { error: stockError } = await supabase.rpc('adjust_stock', {
+          p_menu_item_id: itemId,
+          p_change_amount: formData.stock_quantity,
+          p_reason: 'Opening stock',
         });
+
+        if (stockError) {
+          setFormData((form) => ({ ...form, stock_quantity: 0 }));
+          throw stockError;
+        }
       }
 
+      const { error: scheduleError } = await supabase.rpc('set_menu_item_schedules', {
+        p_menu_item_id: itemId,
+        p_schedules: schedules,
+      });
+
+      if (scheduleError) throw scheduleError;
+
+      const { error: optionsError } = await supabase.rpc('set_menu_item_options', {
+        p_menu_item_id: itemId,
+        p_groups: optionGroups,
+      });
+
+      if (optionsError) throw optionsError;
+
+      const { error: recipeError } = await supabase.rpc('set_menu_item_recipe', {
+        p_menu_item_id: itemId,
+        p_lines: recipe,
+      });
+
+      if (recipeError) throw recipeError;
+
+      toast({
+        title: editingItem ? 'Menu Item Updated' : 'Menu Item Added',
+        description: editingItem
+          ? 'The menu item has been updated successfully'
+          : 'New menu item has been added successfully',
+      });
+
       setIsDialogOpen(false);
       resetForm();
       fetchMenuItems();
     } catch (error) {
+      if (uploaded) await removeMenuImage(uploaded);
+
       if (error instanceof z.ZodError) {
         toast({
           title: 'Validation Error',
@@ -122,6 +264,8 @@ export const AdminMenuSection = () => {
           variant: 'destructive',
         });
       }
+    } finally {
+      setSaving(false);
     }
   };
 
@@ -134,48 +278,77 @@ export const AdminMenuSection = () => {
       category: item.category,
       stock_quantity: item.stock_quantity,
       image_url: item.image_url || '',
+      thumbnail_url: item.thumbnail_url || '',
+      schedules: (item.menu_item_schedules ?? []).map(toScheduleDraft),
+      option_groups: item.menu_option_groups.map(toOptionGroupDraft),
+      recipe: item.recipe_items.map(({ ingredient_id, quantity }) => ({ ingredient_id, quantity })),
     });
     setIsDialogOpen(true);
   };
 
-  const handleDelete = async (id) => {
-    if (!confirm('Are you sure you want to delete this item?')) return;
+  // Items are archived rather than deleted: orders and inventory logs keep
+  // referencing them, and the photo, schedule and options are kept for a
+  // restore.
+  const setArchivedAt = async (item, archivedAt) => {
+    const { error } = await supabase
+      .from('menu_items')
+      .update({ archived_at: archivedAt })
+      .eq('id', item.id);
 
-    try {
-      const { error } = await supabase
-        .from('menu_items')
-        .delete()
-        .eq('id', id);
+    if (error) throw error;
+    fetchMenuItems();
+  };
 
-      if (error) throw error;
+  const handleArchive = async (item) => {
+    try {
+      await setArchivedAt(item, new Date().toISOString());
 
       toast({
-        title: 'Item Deleted',
-        description: 'Menu item has been deleted successfully',
+        title: 'Item Archived',
+        description: `${item.name} has been taken off the menu`,
+        action: (
+          <ToastAction altText={`Restore ${item.name}`} onClick={() => handleRestore(item)}>
+            Undo
+          </ToastAction>
+        ),
       });
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to archive menu item',
+        variant: 'destructive',
+      });
+    }
+  };
 
-      fetchMenuItems();
-    } catch (error) {
+  const handleRestore = async (item) => {
+    try {
+      await setArchivedAt(item, null);
+
+      toast({
+        title: 'Item Restored',
+        description: `${item.name} is back in the menu list`,
+      });
+    } catch {
       toast({
         title: 'Error',
-        description: 'Failed to delete menu item',
+        description: 'Failed to restore menu item',
         variant: 'destructive',
       });
     }
   };
 
   const resetForm = () => {
-    setFormData({
-      name: '',
-      description: '',
-      price: 0,
-      category: 'breakfast',
-      stock_quantity: 0,
-      image_url: '',
-    });
+    setFormData(emptyForm);
+    if (pendingImage) URL.revokeObjectURL(pendingImage.previewUrl);
+    setPendingImage(null);
     setEditingItem(null);
   };
 
+  const activeItems = menuItems.filter((item) => !item.archived_at);
+  const archivedItems = menuItems.filter((item) => item.archived_at);
+  const listedItems = showArchived ? archivedItems : activeItems;
+
   if (loading) {
     return (
       <div className="flex justify-center py-12">
@@ -188,151 +361,276 @@ export const AdminMenuSection = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">Menu Management</h2>
-        <Dialog
-          open={isDialogOpen}
-          onOpenChange={(open) => {
-            setIsDialogOpen(open);
-            if (!open) resetForm();
-          }}
-        >
-          <DialogTrigger asChild>
-            <Button>
-              <Plus className="mr-2 h-4 w-4" />
-              Add Menu Item
-            </Button>
-          </DialogTrigger>
-          <DialogContent className="max-w-2xl">
-            <DialogHeader>
-              <DialogTitle>{editingItem ? 'Edit' : 'Add'} Menu Item</DialogTitle>
-              <DialogDescription>
-                {editingItem ? 'Update' : 'Create a new'} menu item
-              </DialogDescription>
-            </DialogHeader>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="grid gap-4 md:grid-cols-2">
+        <div className="flex flex-wrap items-center gap-2">
+          {can('reports:export') && <ExportButtons onExport={exportMenu} label="menu items" />}
+          {canEdit && <MenuImportDialog menuItems={menuItems} onImported={fetchMenuItems} />}
+          <Dialog
+            open={isDialogOpen}
+            onOpenChange={(open) => {
+              setIsDialogOpen(open);
+              if (!open) resetForm();
+            }}
+          >
+            {canEdit && (
+              <DialogTrigger asChild>
+                <Button>
+                  <Plus className="mr-2 h-4 w-4" />
+                  Add Menu Item
+                </Button>
+              </DialogTrigger>
+            )}
+            <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>{editingItem ? 'Edit' : 'Add'} Menu Item</DialogTitle>
+                <DialogDescription>
+                  {editingItem ? 'Update' : 'Create a new'} menu item
+                </DialogDescription>
+              </DialogHeader>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid gap-4 md:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="name">Name</Label>
+                    <Input
+                      id="name"
+                      value={formData.name}
+                      onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="category">Category</Label>
+                    <Select
+                      value={formData.category}
+                      onValueChange={(value) => setFormData({ ...formData, category: value })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {MENU_CATEGORIES.map((category) => (
+                          <SelectItem key={category} value={category}>
+                            {CATEGORY_LABELS[category]}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
                 <div className="space-y-2">
-                  <Label htmlFor="name">Name</Label>
-                  <Input
-                    id="name"
-                    value={formData.name}
-                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                    required
+                  <Label htmlFor="description">Description</Label>
+                  <Textarea
+                    id="description"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    rows={3}
                   />
                 </div>
+                <div className="grid gap-4 md:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="price">Price ($)</Label>
+                    <Input
+                      id="price"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={formData.price}
+                      onChange={(e) => setFormData({ ...formData, price: parseFloat(e.target.value) })}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="stock">{editingItem ? 'Stock Quantity' : 'Opening Stock'}</Label>
+                    <Input
+                      id="stock"
+                      type="number"
+                      min="0"
+                      value={formData.stock_quantity}
+                      onChange={(e) => setFormData({ ...formData, stock_quantity: parseInt(e.target.value) })}
+                      disabled={Boolean(editingItem)}
+                      required
+                    />
+                    {editingItem && (
+                      <p className="text-xs text-muted-foreground">
+                        Orders move stock as they are placed; adjust it from the Inventory page.
+                      </p>
+                    )}
+                  </div>
+                </div>
                 <div className="space-y-2">
-                  <Label htmlFor="category">Category</Label>
-                  <Select
-                    value={formData.category}
-                    onValueChange={(value) => setFormData({ ...formData, category: value })}
-                  >
-                    <SelectTrigger>
-                      <SelectValue />
-                    </SelectTrigger>
-                    <SelectContent>
-                      <SelectItem value="breakfast">Breakfast</SelectItem>
-                      <SelectItem value="lunch">Lunch</SelectItem>
-                      <SelectItem value="dinner">Dinner</SelectItem>
-                      <SelectItem value="snacks">Snacks</SelectItem>
-                      <SelectItem value="beverages">Beverages</SelectItem>
-                      <SelectItem value="desserts">Desserts</SelectItem>
-                    </SelectContent>
-                  </Select>
+                  <Label htmlFor="image">Photo (Optional)</Label>
+                  <ImageDropzone
+                    id="image"
+                    previewUrl={pendingImage?.previewUrl ?? formData.image_url}
+                    processing={processingImage}
+                    onSelect={handleImageSelect}
+                    onRemove={handleImageRemove}
+                  />
                 </div>
-              </div>
-              <div className="space-y-2">
-                <Label htmlFor="description">Description</Label>
-                <Textarea
-                  id="description"
-                  value={formData.description}
-                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                  rows={3}
-                />
-              </div>
-              <div className="grid gap-4 md:grid-cols-2">
                 <div className="space-y-2">
-                  <Label htmlFor="price">Price ($)</Label>
-                  <Input
-                    id="price"
-                    type="number"
-                    step="0.01"
-                    min="0"
-                    value={formData.price}
-                    onChange={(e) => setFormData({ ...formData, price: parseFloat(e.target.value) })}
-                    required
+                  <Label>Serving Times</Label>
+                  <MenuScheduleEditor
+                    value={formData.schedules}
+                    onChange={(schedules) => setFormData({ ...formData, schedules })}
                   />
                 </div>
                 <div className="space-y-2">
-                  <Label htmlFor="stock">Stock Quantity</Label>
-                  <Input
-                    id="stock"
-                    type="number"
-                    min="0"
-                    value={formData.stock_quantity}
-                    onChange={(e) => setFormData({ ...formData, stock_quantity: parseInt(e.target.value) })}
-                    required
+                  <Label>Recipe (per serving)</Label>
+                  <MenuRecipeEditor
+                    value={formData.recipe}
+                    ingredients={ingredients}
+                    onChange={(recipe) => setFormData({ ...formData, recipe })}
                   />
                 </div>
-              </div>
-              <div className="space-y-2">
-                <Label htmlFor="image">Image URL (Optional)</Label>
-                <Input
-                  id="image"
-                  type="url"
-                  value={formData.image_url}
-                  onChange={(e) => setFormData({ ...formData, image_url: e.target.value })}
-                  placeholder="https://example.com/image.jpg"
-                />
-              </div>
-              <DialogFooter>
-                <Button type="button" variant="outline" onClick={() => setIsDialogOpen(false)}>
-                  Cancel
-                </Button>
-                <Button type="submit">
-                  {editingItem ? 'Update' : 'Add'} Item
-                </Button>
-              </DialogFooter>
-            </form>
-          </DialogContent>
-        </Dialog>
+                <div className="space-y-2">
+                  <Label>Options</Label>
+                  <MenuOptionGroupsEditor
+                    value={formData.option_groups}
+                    onChange={(option_groups) => setFormData({ ...formData, option_groups })}
+                  />
+                </div>
+                <DialogFooter>
+                  <Button type="button" variant="outline" onClick={() => setIsDialogOpen(false)}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" disabled={saving || processingImage}>
+                    {saving ? 'Saving...' : `${editingItem ? 'Update' : 'Add'} Item`}
+                  </Button>
+                </DialogFooter>
+              </form>
+            </DialogContent>
+          </Dialog>
+        </div>
       </div>
 
-      <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-        {menuItems.map((item) => (
-          <Card key={item.id}>
-            <CardHeader>
-              <div className="flex items-start justify-between">
-                <div>
-                  <CardTitle>{item.name}</CardTitle>
-                  <Badge variant="secondary" className="mt-2 capitalize">
-                    {item.category}
-                  </Badge>
+      <div className="flex flex-wrap justify-between gap-2">
+        <div className="flex gap-2">
+          <Button size="sm" variant={view === 'items' ? 'default' : 'outline'} onClick={() => setView('items')}>
+            <LayoutGrid className="h-4 w-4" />
+            Items
+          </Button>
+          <Button size="sm" variant={view === 'week' ? 'default' : 'outline'} onClick={() => setView('week')}>
+            <CalendarDays className="h-4 w-4" />
+            Weekly Schedule
+          </Button>
+        </div>
+        {view === 'items' && (
+          <div className="flex gap-2">
+            <Button size="sm" variant={showArchived ? 'outline' : 'secondary'} onClick={() => setShowArchived(false)}>
+              Active ({activeItems.length})
+            </Button>
+            <Button size="sm" variant={showArchived ? 'secondary' : 'outline'} onClick={() => setShowArchived(true)}>
+              <Archive className="h-4 w-4" />
+              Archived ({archivedItems.length})
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {view === 'week' && <WeeklyMenuCalendar menuItems={activeItems} />}
+
+      {view === 'items' && listedItems.length === 0 && (
+        <p className="py-12 text-center text-muted-foreground">
+          {showArchived ? 'No archived menu items' : 'No menu items yet'}
+        </p>
+      )}
+
+      {view === 'items' && (
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+          {listedItems.map((item) => (
+            <Card key={item.id}>
+              {item.image_url && (
+                <img
+                  src={item.thumbnail_url ?? item.image_url}
+                  alt={item.name}
+                  loading="lazy"
+                  className="h-40 w-full rounded-t-lg object-cover"
+                />
+              )}
+              <CardHeader>
+                <div className="flex items-start justify-between">
+                  <div>
+                    <CardTitle>{item.name}</CardTitle>
+                    <Badge variant="secondary" className="mt-2 capitalize">
+                      {item.category}
+                    </Badge>
+                  </div>
+                  <div className="text-2xl font-bold text-primary">
+                    ${item.price.toFixed(2)}
+                  </div>
                 </div>
-                <div className="text-2xl font-bold text-primary">
-                  ${item.price.toFixed(2)}
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-muted-foreground">{item.description}</p>
+                <div className="mt-4 flex flex-wrap gap-2">
+                  {item.archived_at ? (
+                    <Badge variant="outline">Archived {format(new Date(item.archived_at), 'PP')}</Badge>
+                  ) : (
+                    <Badge variant={item.is_available ? 'default' : 'secondary'}>
+                      {item.is_available ? 'Available' : 'Unavailable'}
+                    </Badge>
+                  )}
+                  <Badge variant="outline">Stock: {item.stock_quantity}</Badge>
+                  {!item.archived_at && capacity.has(item.id) && (
+                    <Badge variant={capacity.get(item.id) === 0 ? 'destructive' : 'outline'}>
+                      Can make {capacity.get(item.id)} more
+                    </Badge>
+                  )}
                 </div>
-              </div>
-            </CardHeader>
-            <CardContent>
-              <p className="text-sm text-muted-foreground">{item.description}</p>
-              <div className="mt-4 flex gap-2">
-                <Badge variant={item.is_available ? 'default' : 'secondary'}>
-                  {item.is_available ? 'Available' : 'Unavailable'}
-                </Badge>
-                <Badge variant="outline">Stock: {item.stock_quantity}</Badge>
-              </div>
-            </CardContent>
-            <CardFooter className="gap-2">
-              <Button size="sm" variant="outline" className="flex-1" onClick={() => handleEdit(item)}>
-                <Edit className="mr-2 h-4 w-4" />
-                Edit
-              </Button>
-              <Button size="sm" variant="destructive" onClick={() => handleDelete(item.id)}>
-                <Trash2 className="h-4 w-4" />
-              </Button>
-            </CardFooter>
-          </Card>
-        ))}
-      </div>
+                <div className="mt-3 space-y-1 text-xs text-muted-foreground">
+                  {item.menu_item_schedules?.length ? (
+                    item.menu_item_schedules.map((schedule) => (
+                      <p key={schedule.id} className="flex items-center gap-1">
+                        <Clock className="h-3 w-3" />
+                        {describeSchedule(schedule)}
+                      </p>
+                    ))
+                  ) : (
+                    <p className="flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      Served all day
+                    </p>
+                  )}
+                  {item.menu_option_groups.map((group) => (
+                    <p key={group.id} className="flex items-center gap-1">
+                      <ListChecks className="h-3 w-3" />
+                      {group.name} ({describeRule(group).toLowerCase()}): {group.menu_options.map((option) => option.name).join(', ')}
+                    </p>
+                  ))}
+                </div>
+              </CardContent>
+              {canEdit && !item.archived_at && (
+                <CardFooter className="gap-2">
+                  <Button size="sm" variant="outline" className="flex-1" onClick={() => handleEdit(item)}>
+                    <Edit className="mr-2 h-4 w-4" />
+                    Edit
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => setArchiving(item)} aria-label={`Archive ${item.name}`}>
+                    <Archive className="h-4 w-4" />
+                  </Button>
+                </CardFooter>
+              )}
+              {canEdit && item.archived_at && (
+                <CardFooter>
+                  <Button size="sm" variant="outline" className="flex-1" onClick={() => handleRestore(item)}>
+                    <ArchiveRestore className="mr-2 h-4 w-4" />
+                    Restore
+                  </Button>
+                </CardFooter>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <ConfirmDialog
+        open={Boolean(archiving)}
+        onOpenChange={(open) => !open && setArchiving(null)}
+        title={`Archive ${archiving?.name}?`}
+        description="It comes off the menu and out of stock lists. Past orders and inventory history keep showing it, and you can restore it from the Archived list."
+        confirmLabel="Archive"
+        destructive
+        onConfirm={() => handleArchive(archiving)}
+      />
     </div>
   );
 };
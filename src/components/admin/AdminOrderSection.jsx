@@ -1,121 +1,108 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { supabase } from '@/integrations/supabase/client';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { format } from 'date-fns';
+import { FileDown, Printer, Receipt } from 'lucide-react';
 import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { ORDER_SELECT, useOrderFeed } from '@/hooks/use-order-feed';
+import { usePrintSettings } from '@/hooks/use-print-settings';
+import { useTicketAutoPrint } from '@/hooks/use-ticket-auto-print';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { describeOptions } from '@/lib/options';
+import { nextStatuses, ORDER_STATUS_LABELS, ORDER_STATUSES } from '@/lib/orders';
+import { canSetOrderStatus } from '@/lib/permissions';
+import { pickupLabel } from '@/lib/pickup';
+import { sendRefunds } from '@/lib/payment-providers';
+import { kitchenTicketHtml, PAPER_WIDTHS, printHtml, receiptHtml } from '@/lib/receipts';
+import { downloadReceiptPdf } from '@/lib/receipt-pdf';
+import { exportOrders } from '@/lib/reports';
+import { ExportButtons } from '@/components/admin/ExportButtons';
+import { OrderPaymentPanel } from '@/components/admin/OrderPaymentPanel';
 
 export const AdminOrdersSection = () => {
-  const [orders, setOrders] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { role, can } = useAuth();
   const [filterStatus, setFilterStatus] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const { orders, totalCount, hasMore, loading, loadingMore, loadMore, upsertOrder } = useOrderFeed({
+    status: filterStatus,
+    from: dateFrom,
+    to: dateTo,
+  });
+  const sentinelRef = useRef(null);
+  const [printSettings, updatePrintSettings] = usePrintSettings();
+  useTicketAutoPrint({ enabled: printSettings.autoPrintTickets, paperWidth: printSettings.paperWidth });
 
+  // Infinite scroll: load the next page when the end of the list comes into view.
   useEffect(() => {
-    fetchOrders();
-
-    // Subscribe to real-time updates
-    const channel = supabase
-      .channel('admin-orders-changes')
-      .on(
-        'postgres_changes',
-        {
-          event: '*',
-          schema: 'public',
-          table: 'orders',
-        },
-        () => {
-          fetchOrders();
-        }
-      )
-      .subscribe();
-
-    return () => {
-      supabase.removeChannel(channel);
-    };
-  }, []);
-
-  const fetchOrders = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('orders')
-        .select(`
-          *,
-          profiles (full_name, email),
-          order_items (
-            quantity,
-            price_at_time,
-            menu_items (name)
-          )
-        `)
-        .order('created_at', { ascending: false });
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) return;
 
-      if (error) throw error;
-      setOrders(data || []);
-    } catch (error) {
-      toast({
-        title: 'Error',
-        description: 'Failed to load orders',
-        variant: 'destructive',
-      });
-    } finally {
-      setLoading(false);
-    }
-  };
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
 
   const updateOrderStatus = async (orderId, newStatus) => {
     try {
-      const { error } = await supabase
-        .from('orders')
-        .update({ status: newStatus })
-        .eq('id', orderId);
-
+      const { error } = await supabase.from('orders').update({ status: newStatus }).eq('id', orderId);
       if (error) throw error;
 
+      // Read the order back once the update is done, so the refunds added when
+      // it is cancelled are among its payments.
+      const { data, error: fetchError } = await supabase.from('orders').select(ORDER_SELECT).eq('id', orderId).single();
+      if (fetchError) throw fetchError;
+      upsertOrder(data);
+
+      // Cancelling a paid order issues refunds; online ones go out through the provider.
+      const unsent = newStatus === 'cancelled' ? await sendRefunds(data.payments) : 0;
+
       toast({
         title: 'Order Updated',
-        description: `Order status updated to ${newStatus}`,
+        description: unsent
+          ? 'Order cancelled, but its refund could not be sent yet. Use Send Refund to try again.'
+          : `Order status updated to ${ORDER_STATUS_LABELS[newStatus]}`,
       });
-
-      fetchOrders();
     } catch (error) {
       toast({
         title: 'Error',
-        description: 'Failed to update order status',
+        description: error.message || 'Failed to update order status',
         variant: 'destructive',
       });
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'preparing':
-        return 'bg-blue-100 text-blue-800';
-      case 'ready':
-        return 'bg-green-100 text-green-800';
-      case 'delivered':
-        return 'bg-gray-100 text-gray-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  const handlePdf = async (order) => {
+    try {
+      await downloadReceiptPdf(order);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to create the PDF',
+        variant: 'destructive',
+      });
     }
   };
 
-  const filteredOrders =
-    filterStatus === 'all'
-      ? orders
-      : orders.filter((order) => order.status === filterStatus);
+  const refreshOrder = async (orderId) => {
+    const { data, error } = await supabase.from('orders').select(ORDER_SELECT).eq('id', orderId).maybeSingle();
+    if (!error && data) upsertOrder(data);
+  };
 
-  if (loading) {
-    return (
-      <div className="flex justify-center py-12">
-        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
-      </div>
-    );
-  }
+  // The current status plus the next states this role is allowed to pick.
+  const statusOptions = (status) => [
+    status,
+    ...nextStatuses(status).filter((next) => canSetOrderStatus(role, next)),
+  ];
 
   return (
     <div className="space-y-6">
@@ -127,28 +114,107 @@ export const AdminOrdersSection = () => {
           </SelectTrigger>
           <SelectContent>
             <SelectItem value="all">All Orders</SelectItem>
-            <SelectItem value="pending">Pending</SelectItem>
-            <SelectItem value="preparing">Preparing</SelectItem>
-            <SelectItem value="ready">Ready</SelectItem>
-            <SelectItem value="delivered">Delivered</SelectItem>
-            <SelectItem value="cancelled">Cancelled</SelectItem>
+            {ORDER_STATUSES.map((status) => (
+              <SelectItem key={status} value={status}>
+                {ORDER_STATUS_LABELS[status]}
+              </SelectItem>
+            ))}
           </SelectContent>
         </Select>
       </div>
 
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="orders-from">From</Label>
+          <Input
+            id="orders-from"
+            type="date"
+            value={dateFrom}
+            max={dateTo || undefined}
+            onChange={(e) => setDateFrom(e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="orders-to">To</Label>
+          <Input
+            id="orders-to"
+            type="date"
+            value={dateTo}
+            min={dateFrom || undefined}
+            onChange={(e) => setDateTo(e.target.value)}
+          />
+        </div>
+        {(dateFrom || dateTo) && (
+          <Button
+            variant="ghost"
+            onClick={() => {
+              setDateFrom('');
+              setDateTo('');
+            }}
+          >
+            Clear dates
+          </Button>
+        )}
+        {!loading && (
+          <p className="ml-auto text-sm text-muted-foreground">
+            Showing {orders.length} of {totalCount} orders
+          </p>
+        )}
+        <div className="flex items-center gap-2">
+          <Select
+            value={String(printSettings.paperWidth)}
+            onValueChange={(value) => updatePrintSettings({ paperWidth: Number(value) })}
+          >
+            <SelectTrigger className="w-[130px]" title="Receipt printer paper">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PAPER_WIDTHS.map((width) => (
+                <SelectItem key={width} value={String(width)}>
+                  {width}mm paper
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            variant={printSettings.autoPrintTickets ? 'default' : 'outline'}
+            onClick={() => updatePrintSettings({ autoPrintTickets: !printSettings.autoPrintTickets })}
+            title="Print a kitchen ticket on this device when an order starts preparing"
+          >
+            <Printer className="h-4 w-4" />
+            {printSettings.autoPrintTickets ? 'Auto-print on' : 'Auto-print tickets'}
+          </Button>
+        </div>
+        {can('reports:export') && (
+          <ExportButtons
+            onExport={(format) => exportOrders({ status: filterStatus, from: dateFrom, to: dateTo }, format)}
+            label="orders"
+          />
+        )}
+      </div>
+
+      {loading && (
+        <div className="flex justify-center py-12">
+          <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+        </div>
+      )}
+
       <div className="grid gap-4">
-        {filteredOrders.map((order) => (
+        {!loading && orders.map((order) => (
           <Card key={order.id}>
             <CardHeader>
               <div className="flex items-start justify-between">
                 <div className="space-y-2">
-                  <CardTitle>Order #{order.id.substring(0, 8)}</CardTitle>
+                  <CardTitle>
+                    Order #{order.id.substring(0, 8)}
+                    {order.pickup_number && <span className="text-muted-foreground"> · {pickupLabel(order)}</span>}
+                  </CardTitle>
                   <div className="text-sm text-muted-foreground space-y-1">
                     <p>
                       Customer: {order.profiles.full_name} ({order.profiles.email})
                     </p>
                     <p>Date: {format(new Date(order.created_at), 'PPp')}</p>
-                    <p className="capitalize">Payment: {order.payment_method}</p>
+                    <p>Payment: {PAYMENT_METHOD_LABELS[order.payment_method] ?? order.payment_method}</p>
                   </div>
                 </div>
                 <div className="text-right space-y-2">
@@ -158,16 +224,17 @@ export const AdminOrdersSection = () => {
                   <Select
                     value={order.status}
                     onValueChange={(value) => updateOrderStatus(order.id, value)}
+                    disabled={!can('orders:update') || statusOptions(order.status).length === 1}
                   >
                     <SelectTrigger className="w-[140px]">
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="pending">Pending</SelectItem>
-                      <SelectItem value="preparing">Preparing</SelectItem>
-                      <SelectItem value="ready">Ready</SelectItem>
-                      <SelectItem value="delivered">Delivered</SelectItem>
-                      <SelectItem value="cancelled">Cancelled</SelectItem>
+                      {statusOptions(order.status).map((status) => (
+                        <SelectItem key={status} value={status}>
+                          {ORDER_STATUS_LABELS[status]}
+                        </SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </div>
@@ -180,6 +247,9 @@ export const AdminOrdersSection = () => {
                   <div key={index} className="flex justify-between text-sm">
                     <span>
                       {item.quantity}x {item.menu_items.name}
+                      {item.options?.length > 0 && (
+                        <span className="block text-muted-foreground">{describeOptions(item.options)}</span>
+                      )}
                     </span>
                     <span className="font-medium">
                       ${(item.price_at_time * item.quantity).toFixed(2)}
@@ -187,18 +257,71 @@ export const AdminOrdersSection = () => {
                   </div>
                 ))}
               </div>
+              <OrderPaymentPanel order={order} onChange={() => refreshOrder(order.id)} />
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => printHtml(receiptHtml(order, { paperWidth: printSettings.paperWidth }))}
+                >
+                  <Receipt className="h-4 w-4" />
+                  Print Receipt
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => printHtml(kitchenTicketHtml(order, { paperWidth: printSettings.paperWidth }))}
+                >
+                  <Printer className="h-4 w-4" />
+                  Print Ticket
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handlePdf(order)}>
+                  <FileDown className="h-4 w-4" />
+                  PDF Receipt
+                </Button>
+              </div>
               {order.notes && (
                 <div className="text-sm">
                   <p className="font-semibold">Notes:</p>
                   <p className="text-muted-foreground">{order.notes}</p>
                 </div>
               )}
+              {order.order_status_history?.length > 0 && (
+                <div className="space-y-2 text-sm">
+                  <p className="font-semibold">Status History:</p>
+                  <ol className="space-y-1">
+                    {[...order.order_status_history]
+                      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+                      .map((entry) => (
+                        <li key={entry.id} className="flex justify-between">
+                          <span>
+                            {ORDER_STATUS_LABELS[entry.to_status]}
+                            {entry.profiles && (
+                              <span className="text-muted-foreground"> · {entry.profiles.full_name}</span>
+                            )}
+                          </span>
+                          <span className="text-muted-foreground">
+                            {format(new Date(entry.created_at), 'PPp')}
+                          </span>
+                        </li>
+                      ))}
+                  </ol>
+                </div>
+              )}
             </CardContent>
           </Card>
         ))}
       </div>
 
-      {filteredOrders.length === 0 && (
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center">
+          <Button variant="outline" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </Button>
+        </div>
+      )}
+
+      {!loading && orders.length === 0 && (
         <div className="text-center py-12">
           <p className="text-muted-foreground">No orders found</p>
         </div>
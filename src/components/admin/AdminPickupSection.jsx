@@ -0,0 +1,264 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+import { ORDER_SELECT } from '@/hooks/use-order-feed';
+import { describeOptions } from '@/lib/options';
+import { ORDER_STATUS_LABELS } from '@/lib/orders';
+import { outstandingAmount, PAYMENT_STATUS_COLORS, PAYMENT_STATUS_LABELS } from '@/lib/payments';
+import { parsePickupCode, pickupLabel, pickupProblem } from '@/lib/pickup';
+import { OrderPaymentPanel } from '@/components/admin/OrderPaymentPanel';
+import { PickupScanner } from '@/components/admin/PickupScanner';
+
+// Already handed over or cancelled: stop. Not ready yet: wait.
+const warningStyle = (order) =>
+  ['delivered', 'cancelled'].includes(order.status)
+    ? 'border-red-200 bg-red-50 text-red-800'
+    : 'border-yellow-200 bg-yellow-50 text-yellow-800';
+
+export const AdminPickupSection = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [code, setCode] = useState('');
+  // { order, problem, delivered } for the last order scanned or typed.
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const busyRef = useRef(false);
+
+  const fetchOrder = async (orderId) => {
+    const { data, error } = await supabase.from('orders').select(ORDER_SELECT).eq('id', orderId).maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  const deliver = useCallback(async (order) => {
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ status: 'delivered' })
+      .eq('id', order.id)
+      .select(ORDER_SELECT)
+      .single();
+
+    if (error) throw error;
+    setResult({ order: data, problem: null, delivered: true });
+    toast({
+      title: 'Order Collected',
+      description: `${pickupLabel(data) ?? `Order #${data.id.substring(0, 8)}`} handed to ${data.profiles.full_name}`,
+    });
+  }, []);
+
+  // Looks up a scanned or typed code and, when the order is ready and paid
+  // for, marks it delivered straight away.
+  const handleCode = useCallback(
+    async (text) => {
+      if (busyRef.current) return;
+
+      const parsed = parsePickupCode(text);
+      if (!parsed) {
+        toast({ title: 'Unknown Code', description: 'That is not a pickup code', variant: 'destructive' });
+        return;
+      }
+
+      busyRef.current = true;
+      setBusy(true);
+      try {
+        // Numbers are looked up on the server, which knows what day it is at
+        // the canteen.
+        let orderId = parsed.orderId;
+        if (!orderId) {
+          const { data, error } = await supabase.rpc('find_pickup_order', { p_pickup_number: parsed.pickupNumber });
+          if (error) throw error;
+          orderId = data;
+        }
+        const order = orderId ? await fetchOrder(orderId) : null;
+
+        if (!order) {
+          setResult(null);
+          toast({
+            title: 'Not Found',
+            description: parsed.orderId ? 'No order matches that code' : `There is no order ${parsed.pickupNumber} today`,
+            variant: 'destructive',
+          });
+          return;
+        }
+
+        const problem = pickupProblem(order);
+        if (problem) {
+          setResult({ order, problem, delivered: false });
+          toast({ title: `Check ${pickupLabel(order)}`, description: problem, variant: 'destructive' });
+          return;
+        }
+
+        if (outstandingAmount(order) > 0) {
+          setResult({ order, problem: null, delivered: false });
+          return;
+        }
+
+        await deliver(order);
+      } catch (error) {
+        toast({
+          title: 'Error',
+          description: error.message || 'Failed to look up the order',
+          variant: 'destructive',
+        });
+      } finally {
+        busyRef.current = false;
+        setBusy(false);
+      }
+    },
+    [deliver]
+  );
+
+  // A phone camera that opened a customer's pickup link lands here.
+  const linkedOrder = searchParams.get('order');
+  useEffect(() => {
+    if (!linkedOrder) return;
+    setSearchParams({}, { replace: true });
+    handleCode(linkedOrder);
+  }, [linkedOrder, handleCode, setSearchParams]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleCode(code);
+    setCode('');
+  };
+
+  const handleDeliver = async () => {
+    setBusy(true);
+    try {
+      await deliver(result.order);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update order status',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const refreshResult = async () => {
+    try {
+      const order = await fetchOrder(result.order.id);
+      if (order) setResult((current) => ({ ...current, order }));
+    } catch {
+      // The panel has already reported what went wrong.
+    }
+  };
+
+  const order = result?.order;
+  const outstanding = order ? outstandingAmount(order) : 0;
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold">Pickup Counter</h2>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Scan or Enter a Code</CardTitle>
+            <p className="text-sm text-muted-foreground">
+              Scan the QR code on the customer's order page, or type their pickup number. Ready orders that
+              are paid for are marked delivered straight away.
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <PickupScanner onScan={handleCode} />
+            <form onSubmit={handleSubmit} className="flex items-end gap-2">
+              <div className="flex-1 space-y-2">
+                <Label htmlFor="pickup-code">Pickup number</Label>
+                <Input
+                  id="pickup-code"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="e.g. 12"
+                />
+              </div>
+              <Button type="submit" disabled={busy || !code.trim()}>
+                Find Order
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        {order && (
+          <Card>
+            <CardHeader>
+              <div className="flex items-start justify-between gap-4">
+                <div className="space-y-1">
+                  <CardTitle className="text-3xl">{pickupLabel(order) ?? `#${order.id.substring(0, 8)}`}</CardTitle>
+                  <p className="text-sm text-muted-foreground">
+                    Order #{order.id.substring(0, 8)} · {order.profiles.full_name}
+                  </p>
+                </div>
+                <div className="flex flex-col items-end gap-1">
+                  <Badge>{ORDER_STATUS_LABELS[order.status]}</Badge>
+                  <Badge variant="outline" className={PAYMENT_STATUS_COLORS[order.payment_status]}>
+                    {PAYMENT_STATUS_LABELS[order.payment_status] ?? order.payment_status}
+                  </Badge>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {result.problem && (
+                <div className={`flex items-start gap-2 rounded-md border p-3 font-medium ${warningStyle(order)}`}>
+                  <AlertTriangle className="mt-0.5 h-5 w-5 shrink-0" />
+                  {result.problem}
+                </div>
+              )}
+              {result.delivered && (
+                <div className="flex items-start gap-2 rounded-md border border-green-200 bg-green-50 p-3 font-medium text-green-800">
+                  <CheckCircle2 className="mt-0.5 h-5 w-5 shrink-0" />
+                  Handed over. The order is now delivered.
+                </div>
+              )}
+
+              <div className="space-y-2">
+                {order.order_items.map((item, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <span>
+                      {item.quantity}x {item.menu_items.name}
+                      {item.options?.length > 0 && (
+                        <span className="block text-muted-foreground">{describeOptions(item.options)}</span>
+                      )}
+                    </span>
+                    <span className="font-medium">${(item.price_at_time * item.quantity).toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between border-t pt-2 font-semibold">
+                <span>Total</span>
+                <span>${order.total_amount.toFixed(2)}</span>
+              </div>
+              {order.notes && <p className="text-sm text-muted-foreground">Notes: {order.notes}</p>}
+
+              {order.status === 'ready' && !result.delivered && (
+                <>
+                  <OrderPaymentPanel order={order} onChange={refreshResult} />
+                  <div className="flex items-center justify-between gap-4">
+                    <p className="text-sm text-muted-foreground">
+                      {outstanding > 0
+                        ? `Collect $${outstanding.toFixed(2)} before handing this order over.`
+                        : 'Paid in full.'}
+                    </p>
+                    <Button onClick={handleDeliver} disabled={busy}>
+                      Mark Delivered
+                    </Button>
+                  </div>
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,621 @@
+import { useEffect, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { ClipboardList, Edit, FileDown, PackageCheck, Plus, Send, Sparkles, Truck, X } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
+import { format } from 'date-fns';
+import { useAuth } from '@/hooks/use-auth';
+import { z } from 'zod';
+import { ConfirmDialog } from '@/components/admin/ConfirmDialog';
+import { PurchaseOrderLinesEditor } from '@/components/admin/PurchaseOrderLinesEditor';
+import { formatQuantity } from '@/lib/ingredients';
+import {
+  canReceive,
+  canTransitionPurchaseOrder,
+  outstanding,
+  PURCHASE_ORDER_STATUS_LABELS,
+  purchaseOrderReference,
+  purchaseOrderSchema,
+  purchaseOrderTotal,
+  suggestedLines,
+  supplierSchema,
+} from '@/lib/purchasing';
+import { downloadPurchaseOrderPdf } from '@/lib/purchase-order-pdf';
+
+const STATUS_VARIANTS = {
+  draft: 'outline',
+  sent: 'default',
+  partially_received: 'secondary',
+  received: 'secondary',
+  cancelled: 'destructive',
+};
+
+const emptySupplier = { name: '', contact_name: '', phone: '', email: '' };
+
+const lineName = (line) => line.menu_items?.name ?? line.ingredients?.name;
+const lineUnit = (line) => line.ingredients?.unit ?? 'pcs';
+
+export const AdminPurchasingSection = () => {
+  const { can } = useAuth();
+  const canManage = can('inventory:adjust');
+  const location = useLocation();
+  // The low-stock alerts link here to start an order for what is running low.
+  const suggestOnLoad = useRef(Boolean(location.state?.suggest));
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('orders');
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [receiving, setReceiving] = useState(null);
+  const [receivedQuantities, setReceivedQuantities] = useState({});
+  const [cancelling, setCancelling] = useState(null);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplier);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [ordersResponse, suppliersResponse, menuResponse, ingredientsResponse] = await Promise.all([
+        supabase
+          .from('purchase_orders')
+          .select(`
+            *,
+            suppliers (*),
+            profiles (full_name),
+            purchase_order_items (*, menu_items (name), ingredients (name, unit))
+          `)
+          .order('created_at', { ascending: false }),
+        supabase.from('suppliers').select('*').order('name'),
+        supabase
+          .from('menu_items')
+          .select('id, name, stock_quantity, reorder_level, reorder_quantity, unit_cost, recipe_items (id)')
+          .is('archived_at', null)
+          .order('name'),
+        supabase.from('ingredients').select('*').order('name'),
+      ]);
+
+      if (ordersResponse.error) throw ordersResponse.error;
+      if (suppliersResponse.error) throw suppliersResponse.error;
+      if (menuResponse.error) throw menuResponse.error;
+      if (ingredientsResponse.error) throw ingredientsResponse.error;
+
+      setPurchaseOrders(ordersResponse.data || []);
+      setSuppliers(suppliersResponse.data || []);
+      setMenuItems(menuResponse.data || []);
+      setIngredients(ingredientsResponse.data || []);
+
+      if (suggestOnLoad.current) {
+        suggestOnLoad.current = false;
+        setDraft({
+          supplier_id: '',
+          notes: '',
+          lines: suggestedLines(menuResponse.data || [], ingredientsResponse.data || []),
+        });
+      }
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load purchase orders',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = purchaseOrderSchema.parse(draft);
+
+      const { data, error } = await supabase.rpc('create_purchase_order', {
+        p_supplier_id: values.supplier_id,
+        p_notes: values.notes,
+        p_lines: values.lines,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Purchase Order Created',
+        description: `${purchaseOrderReference(data.id)} has been saved as a draft`,
+      });
+
+      setDraft(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to create purchase order',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setStatus = async (order, status) => {
+    try {
+      const { error } = await supabase.from('purchase_orders').update({ status }).eq('id', order.id);
+
+      if (error) throw error;
+
+      toast({
+        title: 'Purchase Order Updated',
+        description: `${purchaseOrderReference(order.id)} is now ${PURCHASE_ORDER_STATUS_LABELS[status].toLowerCase()}`,
+      });
+
+      fetchData();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update purchase order',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const openReceiving = (order) => {
+    setReceiving(order);
+    setReceivedQuantities(
+      Object.fromEntries(order.purchase_order_items.map((line) => [line.id, outstanding(line)]))
+    );
+  };
+
+  const handleReceive = async () => {
+    setSaving(true);
+
+    try {
+      const { data, error } = await supabase.rpc('receive_purchase_order', {
+        p_purchase_order_id: receiving.id,
+        p_lines: Object.entries(receivedQuantities).map(([id, quantity]) => ({ id, quantity: quantity || 0 })),
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Delivery Received',
+        description:
+          data.status === 'received'
+            ? `${purchaseOrderReference(data.id)} is complete and stock has been updated`
+            : `Stock has been updated; the rest of ${purchaseOrderReference(data.id)} is still expected`,
+      });
+
+      setReceiving(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to receive delivery',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePdf = async (order) => {
+    try {
+      await downloadPurchaseOrderPdf({
+        order,
+        supplier: order.suppliers,
+        lines: order.purchase_order_items.map((line) => ({ ...line, name: lineName(line), unit: lineUnit(line) })),
+      });
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to create the PDF',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const openSupplierEditor = (supplier) => {
+    setEditingSupplier(supplier ?? 'new');
+    setSupplierForm(
+      supplier
+        ? {
+            name: supplier.name,
+            contact_name: supplier.contact_name ?? '',
+            phone: supplier.phone ?? '',
+            email: supplier.email ?? '',
+          }
+        : emptySupplier
+    );
+  };
+
+  const handleSaveSupplier = async (e) => {
+    e.preventDefault();
+
+    try {
+      const parsed = supplierSchema.parse(supplierForm);
+      const values = Object.fromEntries(Object.entries(parsed).map(([key, value]) => [key, value || null]));
+
+      const { error } =
+        editingSupplier === 'new'
+          ? await supabase.from('suppliers').insert(values)
+          : await supabase.from('suppliers').update(values).eq('id', editingSupplier.id);
+
+      if (error) throw error;
+
+      toast({
+        title: editingSupplier === 'new' ? 'Supplier Added' : 'Supplier Updated',
+        description: `${values.name} has been saved`,
+      });
+
+      setEditingSupplier(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to save supplier',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Purchasing</h2>
+        {canManage && (
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => openSupplierEditor(null)}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Supplier
+            </Button>
+            <Button onClick={() => setDraft({ supplier_id: '', notes: '', lines: [] })} disabled={suppliers.length === 0}>
+              <Plus className="mr-2 h-4 w-4" />
+              New Purchase Order
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <Button size="sm" variant={view === 'orders' ? 'default' : 'outline'} onClick={() => setView('orders')}>
+          <ClipboardList className="h-4 w-4" />
+          Purchase Orders
+        </Button>
+        <Button size="sm" variant={view === 'suppliers' ? 'default' : 'outline'} onClick={() => setView('suppliers')}>
+          <Truck className="h-4 w-4" />
+          Suppliers
+        </Button>
+      </div>
+
+      {view === 'orders' && (
+        <div className="space-y-4">
+          {purchaseOrders.map((order) => {
+            const lines = order.purchase_order_items;
+            const arrived = lines.filter((line) => outstanding(line) === 0).length;
+
+            return (
+              <Card key={order.id}>
+                <CardHeader>
+                  <div className="flex flex-wrap items-start justify-between gap-2">
+                    <div>
+                      <CardTitle className="text-lg">
+                        {purchaseOrderReference(order.id)} · {order.suppliers.name}
+                      </CardTitle>
+                      <p className="mt-1 text-xs text-muted-foreground">
+                        Created {format(new Date(order.created_at), 'PPp')}
+                        {order.profiles && ` by ${order.profiles.full_name}`}
+                        {order.sent_at && ` · sent ${format(new Date(order.sent_at), 'PP')}`}
+                        {order.received_at && ` · received ${format(new Date(order.received_at), 'PP')}`}
+                      </p>
+                    </div>
+                    <Badge variant={STATUS_VARIANTS[order.status]}>{PURCHASE_ORDER_STATUS_LABELS[order.status]}</Badge>
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-4">
+                    <div className="space-y-1 text-sm">
+                      {lines.map((line) => (
+                        <div key={line.id} className="flex justify-between gap-4">
+                          <span>
+                            {lineName(line)} · {formatQuantity(line.quantity_ordered, lineUnit(line))} @ ${Number(line.unit_cost).toFixed(2)}
+                          </span>
+                          {order.status !== 'draft' && (
+                            <span className="text-muted-foreground">
+                              {formatQuantity(line.quantity_received, lineUnit(line))} received
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {order.notes && <p className="text-sm text-muted-foreground">{order.notes}</p>}
+                    <div className="flex flex-wrap items-center justify-between gap-2 border-t pt-3">
+                      <div className="text-sm">
+                        <span className="font-semibold">${purchaseOrderTotal(lines).toFixed(2)}</span>
+                        {order.status !== 'draft' && (
+                          <span className="text-muted-foreground">
+                            {' '}· {arrived} of {lines.length} lines in full
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        <Button size="sm" variant="outline" onClick={() => handlePdf(order)}>
+                          <FileDown className="h-4 w-4" />
+                          PDF
+                        </Button>
+                        {canManage && canTransitionPurchaseOrder(order.status, 'sent') && (
+                          <Button size="sm" variant="outline" onClick={() => setStatus(order, 'sent')}>
+                            <Send className="h-4 w-4" />
+                            Mark Sent
+                          </Button>
+                        )}
+                        {canManage && canReceive(order.status) && (
+                          <Button size="sm" onClick={() => openReceiving(order)}>
+                            <PackageCheck className="h-4 w-4" />
+                            Receive
+                          </Button>
+                        )}
+                        {canManage && canTransitionPurchaseOrder(order.status, 'cancelled') && (
+                          <Button size="sm" variant="ghost" onClick={() => setCancelling(order)}>
+                            <X className="h-4 w-4" />
+                            Cancel
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          {purchaseOrders.length === 0 && (
+            <p className="py-12 text-center text-muted-foreground">No purchase orders yet</p>
+          )}
+        </div>
+      )}
+
+      {view === 'suppliers' && (
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+          {suppliers.map((supplier) => {
+            const open = purchaseOrders.filter(
+              (order) => order.supplier_id === supplier.id && ['draft', 'sent', 'partially_received'].includes(order.status)
+            ).length;
+
+            return (
+              <Card key={supplier.id}>
+                <CardHeader>
+                  <div className="flex items-start justify-between">
+                    <CardTitle className="text-lg">{supplier.name}</CardTitle>
+                    {canManage && (
+                      <Button
+                        variant="outline"
+                        size="icon"
+                        onClick={() => openSupplierEditor(supplier)}
+                        aria-label={`Edit ${supplier.name}`}
+                      >
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-1 text-sm">
+                    {supplier.contact_name && <p>{supplier.contact_name}</p>}
+                    {supplier.phone && <p className="text-muted-foreground">{supplier.phone}</p>}
+                    {supplier.email && <p className="text-muted-foreground">{supplier.email}</p>}
+                    <p className="pt-2 text-xs text-muted-foreground">
+                      {open ? `${open} open purchase order${open === 1 ? '' : 's'}` : 'No open purchase orders'}
+                    </p>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+
+          {suppliers.length === 0 && (
+            <p className="py-12 text-center text-muted-foreground md:col-span-2 lg:col-span-3">No suppliers yet</p>
+          )}
+        </div>
+      )}
+
+      <Dialog open={Boolean(draft)} onOpenChange={(open) => !open && setDraft(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>New Purchase Order</DialogTitle>
+            <DialogDescription>The order is saved as a draft; mark it sent once it has gone to the supplier.</DialogDescription>
+          </DialogHeader>
+          {draft && (
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="purchase-order-supplier">Supplier</Label>
+                <Select value={draft.supplier_id} onValueChange={(supplier_id) => setDraft({ ...draft, supplier_id })}>
+                  <SelectTrigger id="purchase-order-supplier">
+                    <SelectValue placeholder="Choose a supplier" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {suppliers.map((supplier) => (
+                      <SelectItem key={supplier.id} value={supplier.id}>
+                        {supplier.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label>Lines (quantity, unit cost)</Label>
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setDraft({ ...draft, lines: suggestedLines(menuItems, ingredients) })}
+                  >
+                    <Sparkles className="h-4 w-4" />
+                    Fill From Low Stock
+                  </Button>
+                </div>
+                <PurchaseOrderLinesEditor
+                  value={draft.lines}
+                  onChange={(lines) => setDraft({ ...draft, lines })}
+                  menuItems={menuItems}
+                  ingredients={ingredients}
+                />
+                <p className="text-right text-sm font-semibold">
+                  Total ${draft.lines.reduce((sum, line) => sum + (line.quantity || 0) * (line.unit_cost || 0), 0).toFixed(2)}
+                </p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="purchase-order-notes">Notes</Label>
+                <Textarea
+                  id="purchase-order-notes"
+                  value={draft.notes}
+                  onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                  placeholder="e.g., Deliver before 7am"
+                />
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => setDraft(null)}>
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={saving}>
+                  Save Draft
+                </Button>
+              </DialogFooter>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(receiving)} onOpenChange={(open) => !open && setReceiving(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Receive {receiving && purchaseOrderReference(receiving.id)}</DialogTitle>
+            <DialogDescription>
+              Enter what arrived. Anything short stays on the order for a later delivery.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            {receiving?.purchase_order_items
+              .filter((line) => outstanding(line) > 0)
+              .map((line) => (
+                <div key={line.id} className="flex items-center justify-between gap-4">
+                  <div>
+                    <Label htmlFor={`receive-${line.id}`}>{lineName(line)}</Label>
+                    <p className="text-xs text-muted-foreground">
+                      {formatQuantity(outstanding(line), lineUnit(line))} outstanding
+                    </p>
+                  </div>
+                  <Input
+                    id={`receive-${line.id}`}
+                    type="number"
+                    step={line.menu_item_id ? '1' : '0.001'}
+                    min="0"
+                    max={outstanding(line)}
+                    className="w-28"
+                    value={receivedQuantities[line.id] ?? ''}
+                    onChange={(e) => setReceivedQuantities({ ...receivedQuantities, [line.id]: parseFloat(e.target.value) })}
+                  />
+                </div>
+              ))}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setReceiving(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleReceive} disabled={saving}>
+              Receive Into Stock
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmDialog
+        open={Boolean(cancelling)}
+        onOpenChange={(open) => !open && setCancelling(null)}
+        title={`Cancel ${cancelling ? purchaseOrderReference(cancelling.id) : ''}?`}
+        description={
+          cancelling?.status === 'partially_received'
+            ? 'What has already arrived stays in stock; the rest will no longer be expected.'
+            : 'The supplier will no longer be expected to deliver this order.'
+        }
+        confirmLabel="Cancel Order"
+        destructive
+        onConfirm={() => setStatus(cancelling, 'cancelled')}
+      />
+
+      <Dialog open={Boolean(editingSupplier)} onOpenChange={(open) => !open && setEditingSupplier(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingSupplier === 'new' ? 'Add Supplier' : `Edit ${editingSupplier?.name}`}</DialogTitle>
+            <DialogDescription>Contact details are printed on purchase orders.</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSaveSupplier} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="supplier-name">Name</Label>
+              <Input
+                id="supplier-name"
+                value={supplierForm.name}
+                onChange={(e) => setSupplierForm({ ...supplierForm, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="supplier-contact">Contact Person</Label>
+              <Input
+                id="supplier-contact"
+                value={supplierForm.contact_name}
+                onChange={(e) => setSupplierForm({ ...supplierForm, contact_name: e.target.value })}
+              />
+            </div>
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="supplier-phone">Phone</Label>
+                <Input
+                  id="supplier-phone"
+                  type="tel"
+                  value={supplierForm.phone}
+                  onChange={(e) => setSupplierForm({ ...supplierForm, phone: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="supplier-email">Email</Label>
+                <Input
+                  id="supplier-email"
+                  type="email"
+                  value={supplierForm.email}
+                  onChange={(e) => setSupplierForm({ ...supplierForm, email: e.target.value })}
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditingSupplier(null)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save Supplier</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -0,0 +1,471 @@
+import { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { WalletStatement } from '@/components/wallet/WalletStatement';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { TILL_METHODS } from '@/lib/payments';
+import { ROLE_LABELS } from '@/lib/permissions';
+import { topUpSchema, walletAdjustmentSchema, walletLimitsSchema, walletPlanSchema } from '@/lib/wallets';
+
+const RESULT_LIMIT = 20;
+
+const limitValue = (text) => (text === '' ? null : Number(text));
+
+const showError = (error, fallback) => {
+  toast({
+    title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+    description: error instanceof z.ZodError ? error.errors[0].message : error.message || fallback,
+    variant: 'destructive',
+  });
+};
+
+export const AdminWalletsSection = () => {
+  const { can } = useAuth();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [balances, setBalances] = useState({});
+  const [searching, setSearching] = useState(false);
+  const [customer, setCustomer] = useState(null);
+  const [wallet, setWallet] = useState(null);
+  const [plan, setPlan] = useState({ monthlyAllowance: '0', sponsorEmail: '', spendLimit: '', dailyCap: '' });
+  const [dialog, setDialog] = useState(null);
+  const [method, setMethod] = useState('cash');
+  const [amount, setAmount] = useState('');
+  const [reference, setReference] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    // Credits this month's allowances if nobody has opened a wallet yet.
+    supabase.rpc('credit_monthly_allowances').then(({ error }) => {
+      if (error) showError(error, 'Failed to credit monthly allowances');
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!customer) return;
+
+    const fetchWallet = async () => {
+      const { data, error } = await supabase
+        .from('wallets')
+        .select('*, sponsor:profiles!sponsor_id (full_name, email)')
+        .eq('profile_id', customer.id)
+        .maybeSingle();
+
+      if (error) {
+        toast({
+          title: 'Error',
+          description: 'Failed to load the wallet',
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      setWallet(data);
+      setBalances((current) => ({ ...current, [customer.id]: data?.balance ?? 0 }));
+      setPlan({
+        monthlyAllowance: (data?.monthly_allowance ?? 0).toString(),
+        sponsorEmail: data?.sponsor?.email ?? '',
+        spendLimit: data?.spend_limit?.toString() ?? '',
+        dailyCap: data?.daily_cap?.toString() ?? '',
+      });
+    };
+
+    fetchWallet();
+  }, [customer, refreshKey]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    // Commas and brackets would break the `or` filter; nobody searches for them.
+    const term = query.replace(/[,()*%]/g, ' ').trim();
+    if (!term) return;
+    setSearching(true);
+
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, full_name, email, role')
+        .or(`full_name.ilike.%${term}%,email.ilike.%${term}%`)
+        .order('full_name')
+        .limit(RESULT_LIMIT);
+
+      if (error) throw error;
+
+      const { data: wallets, error: walletsError } = await supabase
+        .from('wallets')
+        .select('profile_id, balance')
+        .in('profile_id', (data || []).map((profile) => profile.id));
+
+      if (walletsError) throw walletsError;
+
+      setResults(data || []);
+      setBalances(Object.fromEntries((wallets || []).map((row) => [row.profile_id, row.balance])));
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to search customers',
+        variant: 'destructive',
+      });
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const afterChange = () => {
+    setDialog(null);
+    setRefreshKey((key) => key + 1);
+  };
+
+  const openDialog = (kind) => {
+    setMethod('cash');
+    setAmount('');
+    setReference('');
+    setReason('');
+    setDialog(kind);
+  };
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = topUpSchema.parse({ method, amount: Number(amount), reference });
+      const { error } = await supabase.rpc('top_up_wallet', {
+        p_profile_id: customer.id,
+        p_method: values.method,
+        p_amount: values.amount,
+        p_reference: values.reference,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Wallet Topped Up',
+        description: `$${values.amount.toFixed(2)} ${PAYMENT_METHOD_LABELS[values.method]} added for ${customer.full_name}`,
+      });
+      afterChange();
+    } catch (error) {
+      showError(error, 'Failed to top up the wallet');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = walletAdjustmentSchema.parse({ amount: Number(amount), reason });
+      const { error } = await supabase.rpc('adjust_wallet', {
+        p_profile_id: customer.id,
+        p_amount: values.amount,
+        p_reason: values.reason,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Balance Adjusted',
+        description: `${values.amount > 0 ? 'Added' : 'Took'} $${Math.abs(values.amount).toFixed(2)} ${
+          values.amount > 0 ? 'to' : 'from'
+        } ${customer.full_name}'s wallet`,
+      });
+      afterChange();
+    } catch (error) {
+      showError(error, 'Failed to adjust the balance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePlan = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const planValues = walletPlanSchema.parse({
+        monthly_allowance: Number(plan.monthlyAllowance),
+        sponsor_email: plan.sponsorEmail,
+      });
+      const limits = walletLimitsSchema.parse({
+        spend_limit: limitValue(plan.spendLimit),
+        daily_cap: limitValue(plan.dailyCap),
+      });
+
+      const { error } = await supabase.rpc('set_wallet_plan', {
+        p_profile_id: customer.id,
+        p_monthly_allowance: planValues.monthly_allowance,
+        p_sponsor_email: planValues.sponsor_email || null,
+      });
+      if (error) throw error;
+
+      const { error: limitsError } = await supabase.rpc('set_wallet_limits', {
+        p_profile_id: customer.id,
+        p_spend_limit: limits.spend_limit,
+        p_daily_cap: limits.daily_cap,
+      });
+      if (limitsError) throw limitsError;
+
+      toast({
+        title: 'Meal Plan Saved',
+        description: `Wallet settings for ${customer.full_name} updated`,
+      });
+      afterChange();
+    } catch (error) {
+      showError(error, 'Failed to save the meal plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold">Wallets</h2>
+
+      <Card>
+        <CardContent className="space-y-4 pt-6">
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search customers by name or email"
+              aria-label="Search customers"
+            />
+            <Button type="submit" disabled={searching}>
+              <Search className="h-4 w-4" />
+              Search
+            </Button>
+          </form>
+          {results.length > 0 && (
+            <div className="divide-y rounded-md border text-sm">
+              {results.map((profile) => (
+                <button
+                  key={profile.id}
+                  type="button"
+                  onClick={() => setCustomer(profile)}
+                  className={`flex w-full items-center justify-between gap-4 px-4 py-2 text-left hover:bg-muted ${
+                    customer?.id === profile.id ? 'bg-muted' : ''
+                  }`}
+                >
+                  <span>
+                    <span className="font-medium">{profile.full_name}</span>
+                    <span className="block text-muted-foreground">{profile.email}</span>
+                  </span>
+                  <span className="flex items-center gap-2">
+                    {profile.role !== 'customer' && <Badge variant="outline">{ROLE_LABELS[profile.role]}</Badge>}
+                    <span className="font-medium">${(balances[profile.id] ?? 0).toFixed(2)}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {customer && (
+        <>
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>{customer.full_name}</CardTitle>
+                <p className="text-sm text-muted-foreground">{customer.email}</p>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <p className="text-4xl font-bold text-primary">${(wallet?.balance ?? 0).toFixed(2)}</p>
+                {wallet?.sponsor && (
+                  <p className="text-sm text-muted-foreground">
+                    Sponsored by {wallet.sponsor.full_name} ({wallet.sponsor.email})
+                  </p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {can('wallets:top_up') && <Button onClick={() => openDialog('top-up')}>Top Up</Button>}
+                  {can('wallets:adjust') && (
+                    <Button variant="outline" onClick={() => openDialog('adjust')}>
+                      Adjust Balance
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Meal Plan</CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  The allowance is credited on the first of each month. Sponsors can change the limits themselves.
+                </p>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSavePlan} className="space-y-4">
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="monthly-allowance">Monthly Allowance</Label>
+                      <Input
+                        id="monthly-allowance"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={plan.monthlyAllowance}
+                        onChange={(e) => setPlan({ ...plan, monthlyAllowance: e.target.value })}
+                        disabled={!can('wallets:adjust')}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="sponsor-email">Sponsor Email (Optional)</Label>
+                      <Input
+                        id="sponsor-email"
+                        type="email"
+                        value={plan.sponsorEmail}
+                        onChange={(e) => setPlan({ ...plan, sponsorEmail: e.target.value })}
+                        disabled={!can('wallets:adjust')}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="plan-spend-limit">Per-Order Limit</Label>
+                      <Input
+                        id="plan-spend-limit"
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={plan.spendLimit}
+                        onChange={(e) => setPlan({ ...plan, spendLimit: e.target.value })}
+                        placeholder="None"
+                        disabled={!can('wallets:adjust')}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="plan-daily-cap">Daily Cap</Label>
+                      <Input
+                        id="plan-daily-cap"
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={plan.dailyCap}
+                        onChange={(e) => setPlan({ ...plan, dailyCap: e.target.value })}
+                        placeholder="None"
+                        disabled={!can('wallets:adjust')}
+                      />
+                    </div>
+                  </div>
+                  {can('wallets:adjust') && (
+                    <div className="flex justify-end">
+                      <Button type="submit" disabled={saving}>
+                        Save Plan
+                      </Button>
+                    </div>
+                  )}
+                </form>
+              </CardContent>
+            </Card>
+          </div>
+
+          <WalletStatement profileId={customer.id} refreshKey={refreshKey} />
+        </>
+      )}
+
+      <Dialog open={dialog === 'top-up'} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Top Up Wallet</DialogTitle>
+            <DialogDescription>Money taken at the counter for {customer?.full_name}'s wallet.</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleTopUp} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="top-up-method">Method</Label>
+                <Select value={method} onValueChange={setMethod}>
+                  <SelectTrigger id="top-up-method">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TILL_METHODS.map((option) => (
+                      <SelectItem key={option} value={option}>
+                        {PAYMENT_METHOD_LABELS[option]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="top-up-amount">Amount</Label>
+                <Input
+                  id="top-up-amount"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="top-up-reference">Reference (Optional)</Label>
+              <Input
+                id="top-up-reference"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder="e.g., M-Pesa receipt or meal card number"
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                Top Up
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={dialog === 'adjust'} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Adjust Balance</DialogTitle>
+            <DialogDescription>
+              Use a negative amount to take money off. The reason and your name appear on the statement.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleAdjust} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="adjust-amount">Amount</Label>
+              <Input
+                id="adjust-amount"
+                type="number"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="adjust-reason">Reason</Label>
+              <Textarea id="adjust-reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                Adjust Balance
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
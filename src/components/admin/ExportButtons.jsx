@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/hooks/use-toast';
+import { SPREADSHEET_FORMAT_LABELS, SPREADSHEET_FORMATS } from '@/lib/spreadsheet';
+
+// One button per file format. `onExport(format)` builds and downloads the file
+// and resolves to the number of records written.
+export const ExportButtons = ({ onExport, label = 'records' }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const count = await onExport(format);
+      toast({
+        title: 'Export Ready',
+        description: `Exported ${count} ${label} to ${SPREADSHEET_FORMAT_LABELS[format]}`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to export data',
+        variant: 'destructive',
+      });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      {SPREADSHEET_FORMATS.map((format) => (
+        <Button
+          key={format}
+          variant="outline"
+          size="sm"
+          disabled={exporting !== null}
+          onClick={() => handleExport(format)}
+        >
+          <Download className="h-4 w-4" />
+          {exporting === format ? 'Exporting...' : SPREADSHEET_FORMAT_LABELS[format]}
+        </Button>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,89 @@
+import { useRef, useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { ACCEPTED_IMAGE_TYPES } from '@/lib/images';
+import { cn } from '@/lib/utils';
+
+// Drop target and file picker for a single image. `previewUrl` is whatever
+// should be shown right now: the saved image or a freshly picked one.
+export const ImageDropzone = ({ id, previewUrl, processing = false, onSelect, onRemove }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const pick = (files) => {
+    const file = files?.[0];
+    if (file) onSelect(file);
+  };
+
+  const input = (
+    <input
+      ref={inputRef}
+      id={id}
+      type="file"
+      accept={ACCEPTED_IMAGE_TYPES.join(',')}
+      className="hidden"
+      onChange={(e) => {
+        pick(e.target.files);
+        e.target.value = '';
+      }}
+    />
+  );
+
+  if (previewUrl) {
+    return (
+      <div className="relative overflow-hidden rounded-md border">
+        <img src={previewUrl} alt="Menu item preview" className="h-48 w-full object-cover" />
+        <div className="absolute right-2 top-2 flex gap-2">
+          <Button type="button" size="sm" variant="secondary" onClick={() => inputRef.current?.click()}>
+            Replace
+          </Button>
+          <Button type="button" size="sm" variant="secondary" onClick={onRemove} aria-label="Remove image">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+        {input}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => inputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            inputRef.current?.click();
+          }
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          pick(e.dataTransfer.files);
+        }}
+        className={cn(
+          'flex h-48 cursor-pointer flex-col items-center justify-center gap-2 rounded-md border-2 border-dashed text-sm text-muted-foreground transition-colors',
+          dragging ? 'border-primary bg-primary/5' : 'hover:bg-muted'
+        )}
+      >
+        {processing ? (
+          <div className="h-6 w-6 animate-spin rounded-full border-2 border-primary border-t-transparent"></div>
+        ) : (
+          <>
+            <ImagePlus className="h-6 w-6" />
+            <span>Drop a photo here or click to choose one</span>
+            <span className="text-xs">JPEG, PNG or WebP</span>
+          </>
+        )}
+      </div>
+      {input}
+    </>
+  );
+};
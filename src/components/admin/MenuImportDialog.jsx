@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import { FileUp } from 'lucide-react';
+import { supabase } from '@/integrations/supabase/client';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { toast } from '@/hooks/use-toast';
+import { MENU_IMPORT_COLUMNS, validateMenuImport } from '@/lib/menu-import';
+import { readSpreadsheet, SPREADSHEET_ACCEPT } from '@/lib/spreadsheet';
+
+export const MenuImportDialog = ({ menuItems, onImported }) => {
+  const [open, setOpen] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [importing, setImporting] = useState(false);
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+
+  const reset = () => {
+    setFileName('');
+    setRows([]);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (parsed.length === 0) throw new Error('The file has no rows to import');
+      setFileName(file.name);
+      setRows(validateMenuImport(parsed, menuItems));
+    } catch (error) {
+      reset();
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to read the file',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const { data, error } = await supabase.rpc('import_menu_items', {
+        p_items: validRows.map((row) => row.item),
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Menu Imported',
+        description: `${data.created} added, ${data.updated} updated${invalidCount ? `, ${invalidCount} skipped` : ''}`,
+      });
+
+      setOpen(false);
+      reset();
+      onImported();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to import menu items',
+        variant: 'destructive',
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) reset();
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <FileUp className="mr-2 h-4 w-4" />
+          Import
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Import Menu Items</DialogTitle>
+          <DialogDescription>
+            Upload a CSV or Excel file with the columns {MENU_IMPORT_COLUMNS.join(', ')}. Rows whose name matches
+            an existing item update it, restoring it if it was archived; the rest are added.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="menu-import-file">File</Label>
+            <Input id="menu-import-file" type="file" accept={SPREADSHEET_ACCEPT} onChange={handleFile} />
+          </div>
+
+          {rows.length > 0 && (
+            <>
+              <div className="flex flex-wrap gap-2 text-sm">
+                <span className="font-medium">{fileName}</span>
+                <Badge variant="secondary">{validRows.filter((row) => !row.existing).length} new</Badge>
+                <Badge variant="secondary">{validRows.filter((row) => row.existing).length} updates</Badge>
+                {invalidCount > 0 && <Badge variant="destructive">{invalidCount} with errors</Badge>}
+              </div>
+              <div className="max-h-80 overflow-y-auto rounded-md border">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-muted text-left">
+                    <tr>
+                      <th className="px-3 py-2 font-medium">Row</th>
+                      <th className="px-3 py-2 font-medium">Name</th>
+                      <th className="px-3 py-2 font-medium">Price</th>
+                      <th className="px-3 py-2 font-medium">Stock</th>
+                      <th className="px-3 py-2 font-medium">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => (
+                      <tr key={row.rowNumber} className="border-t align-top">
+                        <td className="px-3 py-2 text-muted-foreground">{row.rowNumber}</td>
+                        <td className="px-3 py-2">{row.item.name}</td>
+                        <td className="px-3 py-2">{Number.isFinite(row.item.price) ? `$${row.item.price.toFixed(2)}` : '—'}</td>
+                        <td className="px-3 py-2">{row.item.stock_quantity ?? '—'}</td>
+                        <td className="px-3 py-2">
+                          {row.errors.length > 0 ? (
+                            <ul className="text-destructive">
+                              {row.errors.map((message) => (
+                                <li key={message}>{message}</li>
+                              ))}
+                            </ul>
+                          ) : row.existing?.archived_at ? (
+                            <span>Restore and update</span>
+                          ) : row.existing ? (
+                            <span>Update</span>
+                          ) : (
+                            <span>New</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {invalidCount > 0 && (
+                <p className="text-sm text-muted-foreground">
+                  Rows with errors are skipped. Fix them in the file and upload it again to include them.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => setOpen(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleImport} disabled={validRows.length === 0 || importing}>
+            {importing ? 'Importing...' : `Import ${validRows.length} ${validRows.length === 1 ? 'Item' : 'Items'}`}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,120 @@
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { describeRule } from '@/lib/options';
+
+const newOption = () => ({ name: '', price_delta: 0 });
+
+const newGroup = () => ({ name: '', min_select: 0, max_select: 1, options: [newOption()] });
+
+// Edits the option groups (sizes, add-ons, spice level, ...) of one menu
+// item. Existing groups and options keep their ids so carts that already
+// hold them stay valid after a rename or price change.
+export const MenuOptionGroupsEditor = ({ value, onChange }) => {
+  const updateGroup = (index, patch) =>
+    onChange(value.map((group, i) => (i === index ? { ...group, ...patch } : group)));
+
+  const updateOption = (groupIndex, optionIndex, patch) =>
+    updateGroup(groupIndex, {
+      options: value[groupIndex].options.map((option, i) => (i === optionIndex ? { ...option, ...patch } : option)),
+    });
+
+  return (
+    <div className="space-y-3">
+      {value.length === 0 && <p className="text-sm text-muted-foreground">No options; the item is sold as is.</p>}
+      {value.map((group, index) => (
+        <div key={group.id ?? index} className="space-y-3 rounded-md border p-3">
+          <div className="flex items-end gap-2">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor={`group-${index}-name`} className="text-xs">Group</Label>
+              <Input
+                id={`group-${index}-name`}
+                value={group.name}
+                placeholder="e.g., Size"
+                onChange={(e) => updateGroup(index, { name: e.target.value })}
+              />
+            </div>
+            <div className="w-20 space-y-1">
+              <Label htmlFor={`group-${index}-min`} className="text-xs">Min</Label>
+              <Input
+                id={`group-${index}-min`}
+                type="number"
+                min="0"
+                value={group.min_select}
+                onChange={(e) => updateGroup(index, { min_select: parseInt(e.target.value) })}
+              />
+            </div>
+            <div className="w-20 space-y-1">
+              <Label htmlFor={`group-${index}-max`} className="text-xs">Max</Label>
+              <Input
+                id={`group-${index}-max`}
+                type="number"
+                min="1"
+                value={group.max_select}
+                onChange={(e) => updateGroup(index, { max_select: parseInt(e.target.value) })}
+              />
+            </div>
+            <Button
+              type="button"
+              size="icon"
+              variant="ghost"
+              className="h-10 w-10"
+              onClick={() => onChange(value.filter((_, i) => i !== index))}
+              aria-label="Remove option group"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+          {group.min_select <= group.max_select && (
+            <p className="text-xs text-muted-foreground">{describeRule(group)}</p>
+          )}
+          <div className="space-y-2">
+            {group.options.map((option, optionIndex) => (
+              <div key={option.id ?? optionIndex} className="flex items-center gap-2">
+                <Input
+                  value={option.name}
+                  placeholder="Option name"
+                  aria-label="Option name"
+                  onChange={(e) => updateOption(index, optionIndex, { name: e.target.value })}
+                />
+                <Input
+                  type="number"
+                  step="0.01"
+                  className="w-28"
+                  value={option.price_delta}
+                  aria-label="Price change ($)"
+                  title="Price change ($)"
+                  onChange={(e) => updateOption(index, optionIndex, { price_delta: parseFloat(e.target.value) })}
+                />
+                <Button
+                  type="button"
+                  size="icon"
+                  variant="ghost"
+                  className="h-10 w-10 shrink-0"
+                  onClick={() => updateGroup(index, { options: group.options.filter((_, i) => i !== optionIndex) })}
+                  aria-label="Remove option"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => updateGroup(index, { options: [...group.options, newOption()] })}
+            >
+              <Plus className="h-4 w-4" />
+              Add Option
+            </Button>
+          </div>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange([...value, newGroup()])}>
+        <Plus className="h-4 w-4" />
+        Add Option Group
+      </Button>
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+// Edits the ingredients that go into one serving of a menu item. Items with
+// no recipe are limited only by their own stock count.
+export const MenuRecipeEditor = ({ value, onChange, ingredients }) => {
+  const update = (index, patch) => onChange(value.map((line, i) => (i === index ? { ...line, ...patch } : line)));
+  const unitOf = (ingredientId) => ingredients.find((ingredient) => ingredient.id === ingredientId)?.unit;
+
+  return (
+    <div className="space-y-2">
+      {value.length === 0 && (
+        <p className="text-sm text-muted-foreground">No recipe; ingredients are not tracked for this item.</p>
+      )}
+      {value.map((line, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <Select value={line.ingredient_id} onValueChange={(ingredient_id) => update(index, { ingredient_id })}>
+            <SelectTrigger aria-label="Ingredient">
+              <SelectValue placeholder="Choose an ingredient" />
+            </SelectTrigger>
+            <SelectContent>
+              {ingredients
+                .filter(
+                  (ingredient) =>
+                    ingredient.id === line.ingredient_id || !value.some((other) => other.ingredient_id === ingredient.id)
+                )
+                .map((ingredient) => (
+                  <SelectItem key={ingredient.id} value={ingredient.id}>
+                    {ingredient.name}
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          <Input
+            type="number"
+            step="0.001"
+            min="0"
+            className="w-28"
+            value={line.quantity}
+            aria-label="Quantity per serving"
+            onChange={(e) => update(index, { quantity: parseFloat(e.target.value) })}
+          />
+          <span className="w-8 text-sm text-muted-foreground">{unitOf(line.ingredient_id)}</span>
+          <Button
+            type="button"
+            size="icon"
+            variant="ghost"
+            className="h-10 w-10 shrink-0"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            aria-label="Remove ingredient"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...value, { ingredient_id: '', quantity: 0 }])}
+        disabled={value.length >= ingredients.length}
+      >
+        <Plus className="h-4 w-4" />
+        Add Ingredient
+      </Button>
+    </div>
+  );
+};
@@ -0,0 +1,107 @@
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { WEEKDAY_SHORT_LABELS, WEEKDAYS } from '@/lib/schedules';
+
+const newWindow = () => ({
+  days_of_week: [1, 2, 3, 4, 5],
+  start_time: '11:30',
+  end_time: '15:00',
+  start_date: '',
+  end_date: '',
+});
+
+// Edits the list of serving windows for one menu item. An empty list means
+// the item is served whenever it is available.
+export const MenuScheduleEditor = ({ value, onChange }) => {
+  const update = (index, patch) =>
+    onChange(value.map((schedule, i) => (i === index ? { ...schedule, ...patch } : schedule)));
+
+  const toggleDay = (index, day) => {
+    const days = value[index].days_of_week;
+    update(index, { days_of_week: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  return (
+    <div className="space-y-3">
+      {value.length === 0 && (
+        <p className="text-sm text-muted-foreground">Served all day, every day while in stock.</p>
+      )}
+      {value.map((schedule, index) => (
+        <div key={index} className="space-y-3 rounded-md border p-3">
+          <div className="flex items-start justify-between gap-2">
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map((day) => (
+                <Button
+                  key={day}
+                  type="button"
+                  size="sm"
+                  variant={schedule.days_of_week.includes(day) ? 'default' : 'outline'}
+                  className="h-8 w-11 px-0"
+                  onClick={() => toggleDay(index, day)}
+                >
+                  {WEEKDAY_SHORT_LABELS[day]}
+                </Button>
+              ))}
+            </div>
+            <Button
+              type="button"
+              size="icon"
+              variant="ghost"
+              className="h-8 w-8"
+              onClick={() => onChange(value.filter((_, i) => i !== index))}
+              aria-label="Remove serving window"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+          <div className="grid gap-3 grid-cols-2 md:grid-cols-4">
+            <div className="space-y-1">
+              <Label htmlFor={`schedule-${index}-start`} className="text-xs">From</Label>
+              <Input
+                id={`schedule-${index}-start`}
+                type="time"
+                value={schedule.start_time}
+                onChange={(e) => update(index, { start_time: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`schedule-${index}-end`} className="text-xs">Until</Label>
+              <Input
+                id={`schedule-${index}-end`}
+                type="time"
+                value={schedule.end_time}
+                onChange={(e) => update(index, { end_time: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`schedule-${index}-start-date`} className="text-xs">First day (optional)</Label>
+              <Input
+                id={`schedule-${index}-start-date`}
+                type="date"
+                value={schedule.start_date}
+                max={schedule.end_date || undefined}
+                onChange={(e) => update(index, { start_date: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`schedule-${index}-end-date`} className="text-xs">Last day (optional)</Label>
+              <Input
+                id={`schedule-${index}-end-date`}
+                type="date"
+                value={schedule.end_date}
+                min={schedule.start_date || undefined}
+                onChange={(e) => update(index, { end_date: e.target.value })}
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange([...value, newWindow()])}>
+        <Plus className="h-4 w-4" />
+        Add Serving Window
+      </Button>
+    </div>
+  );
+};
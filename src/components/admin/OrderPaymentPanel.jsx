@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import {
+  counterPaymentSchema,
+  outstandingAmount,
+  PAYMENT_STATUS_COLORS,
+  PAYMENT_STATUS_LABELS,
+  paymentTotals,
+  refundSchema,
+  TILL_METHODS,
+} from '@/lib/payments';
+import { sendRefunds } from '@/lib/payment-providers';
+
+const oldestFirst = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+const counterMethodOf = (order) => (TILL_METHODS.includes(order.payment_method) ? order.payment_method : 'cash');
+
+const showError = (error, fallback) => {
+  toast({
+    title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+    description: error instanceof z.ZodError ? error.errors[0].message : error.message || fallback,
+    variant: 'destructive',
+  });
+};
+
+// Payment status, payments and refunds of one order on its admin card, with
+// taking a payment at the counter and issuing refunds. `onChange` re-reads
+// the order after anything here changes it.
+export const OrderPaymentPanel = ({ order, onChange }) => {
+  const { can } = useAuth();
+  const [dialog, setDialog] = useState(null);
+  const [method, setMethod] = useState(() => counterMethodOf(order));
+  const [amount, setAmount] = useState('');
+  const [reference, setReference] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const payments = [...(order.payments ?? [])].sort(oldestFirst);
+  const outstanding = outstandingAmount(order);
+  const { refundable } = paymentTotals(payments);
+  const unsentRefunds = payments.filter((row) => row.kind === 'refund' && row.status === 'pending');
+
+  const openPayment = () => {
+    setMethod(counterMethodOf(order));
+    setAmount(outstanding.toFixed(2));
+    setReference('');
+    setDialog('payment');
+  };
+
+  const openRefund = () => {
+    setAmount(refundable.toFixed(2));
+    setReason('');
+    setDialog('refund');
+  };
+
+  const handlePayment = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = counterPaymentSchema.parse({ method, amount: Number(amount), reference });
+      const { error } = await supabase.rpc('record_counter_payment', {
+        p_order_id: order.id,
+        p_method: values.method,
+        p_amount: values.amount,
+        p_reference: values.reference,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Payment Recorded',
+        description: `$${values.amount.toFixed(2)} ${PAYMENT_METHOD_LABELS[values.method]} for order #${order.id.substring(0, 8)}`,
+      });
+      setDialog(null);
+      onChange();
+    } catch (error) {
+      showError(error, 'Failed to record the payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = refundSchema.parse({ amount: Number(amount), reason });
+      const { data, error } = await supabase.rpc('refund_payment', {
+        p_order_id: order.id,
+        p_amount: values.amount,
+        p_reason: values.reason,
+      });
+
+      if (error) throw error;
+
+      const unsent = await sendRefunds(data);
+      toast({
+        title: 'Refund Issued',
+        description: unsent
+          ? `$${values.amount.toFixed(2)} refunded; ${unsent} could not be sent to the provider yet`
+          : `$${values.amount.toFixed(2)} refunded on order #${order.id.substring(0, 8)}`,
+      });
+      setDialog(null);
+      onChange();
+    } catch (error) {
+      showError(error, 'Failed to issue the refund');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResend = async () => {
+    const unsent = await sendRefunds(unsentRefunds);
+    toast(
+      unsent
+        ? { title: 'Error', description: 'The refund could not be sent to the provider', variant: 'destructive' }
+        : { title: 'Refund Sent', description: 'The provider will confirm it shortly' }
+    );
+    onChange();
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <p className="font-semibold">Payment:</p>
+          <span className={`rounded-md px-2 py-0.5 text-xs font-medium ${PAYMENT_STATUS_COLORS[order.payment_status]}`}>
+            {PAYMENT_STATUS_LABELS[order.payment_status] ?? order.payment_status}
+          </span>
+          {order.status !== 'cancelled' && outstanding > 0 && (
+            <span className="text-muted-foreground">${outstanding.toFixed(2)} due</span>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {can('payments:take') && order.status !== 'cancelled' && outstanding > 0 && (
+            <Button size="sm" variant="outline" onClick={openPayment}>
+              Record Payment
+            </Button>
+          )}
+          {can('payments:refund') && unsentRefunds.length > 0 && (
+            <Button size="sm" variant="outline" onClick={handleResend}>
+              Send Refund
+            </Button>
+          )}
+          {can('payments:refund') && refundable > 0 && (
+            <Button size="sm" variant="outline" onClick={openRefund}>
+              Refund
+            </Button>
+          )}
+        </div>
+      </div>
+      {payments.length > 0 && (
+        <ol className="space-y-1">
+          {payments.map((payment) => (
+            <li key={payment.id} className="flex justify-between gap-4">
+              <span>
+                {payment.kind === 'refund' ? 'Refund' : 'Payment'} · {PAYMENT_METHOD_LABELS[payment.method] ?? payment.method}
+                {payment.status !== 'succeeded' && (
+                  <Badge variant={payment.status === 'failed' ? 'destructive' : 'secondary'} className="ml-2 capitalize">
+                    {payment.status}
+                  </Badge>
+                )}
+                <span className="block text-muted-foreground">
+                  {format(new Date(payment.created_at), 'PPp')}
+                  {payment.provider_reference && ` · ${payment.provider_reference}`}
+                  {payment.reason && ` · ${payment.reason}`}
+                  {payment.failure_reason && ` · ${payment.failure_reason}`}
+                </span>
+              </span>
+              <span className="font-medium">
+                {payment.kind === 'refund' ? '-' : ''}${payment.amount.toFixed(2)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <Dialog open={dialog === 'payment'} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Record Payment</DialogTitle>
+            <DialogDescription>
+              Money taken at the counter for order #{order.id.substring(0, 8)}. ${outstanding.toFixed(2)} is due.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handlePayment} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor={`payment-method-${order.id}`}>Method</Label>
+                <Select value={method} onValueChange={setMethod}>
+                  <SelectTrigger id={`payment-method-${order.id}`}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TILL_METHODS.map((option) => (
+                      <SelectItem key={option} value={option}>
+                        {PAYMENT_METHOD_LABELS[option]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor={`payment-amount-${order.id}`}>Amount</Label>
+                <Input
+                  id={`payment-amount-${order.id}`}
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor={`payment-reference-${order.id}`}>Reference (Optional)</Label>
+              <Input
+                id={`payment-reference-${order.id}`}
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder="e.g., M-Pesa receipt or meal card number"
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                Record Payment
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={dialog === 'refund'} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Refund Order #{order.id.substring(0, 8)}</DialogTitle>
+            <DialogDescription>
+              Up to ${refundable.toFixed(2)} can be refunded. Cash and meal card refunds are handed back at the
+              counter, wallet refunds go back into the wallet and M-Pesa refunds to the customer's phone.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleRefund} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor={`refund-amount-${order.id}`}>Amount</Label>
+              <Input
+                id={`refund-amount-${order.id}`}
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor={`refund-reason-${order.id}`}>Reason</Label>
+              <Textarea id={`refund-reason-${order.id}`} value={reason} onChange={(e) => setReason(e.target.value)} />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="destructive" disabled={saving}>
+                Issue Refund
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
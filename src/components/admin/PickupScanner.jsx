@@ -0,0 +1,121 @@
+import { useEffect, useRef, useState } from 'react';
+import { Camera, CameraOff } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// jsQR is only needed once the camera is on, so it is loaded on demand.
+const loadJsQr = () => import('jsqr');
+
+// Decoding every frame is wasted work on a counter tablet.
+const SCAN_INTERVAL_MS = 250;
+// A code held in front of the camera is reported once; it has to be out of
+// view this long before the same code counts as a new scan.
+const REPEAT_AFTER_MS = 3000;
+
+const cameraErrorMessage = (error) => {
+  if (error?.name === 'NotAllowedError') return 'Camera access was blocked. Allow it in the browser to scan codes.';
+  if (error?.name === 'NotFoundError') return 'No camera was found on this device.';
+  return 'The camera could not be started. Scanning needs HTTPS or localhost.';
+};
+
+/**
+ * Camera QR scanner for the pickup counter. Calls `onScan` with the text of
+ * each new code it sees.
+ */
+export const PickupScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+  const [active, setActive] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    let stopped = false;
+    let stream = null;
+    let frame = null;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    const start = async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) throw new Error('Camera unavailable');
+
+        const [{ default: jsQR }, media] = await Promise.all([
+          loadJsQr(),
+          navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false }),
+        ]);
+        stream = media;
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+
+        const video = videoRef.current;
+        video.srcObject = stream;
+        await video.play();
+
+        let lastDecode = 0;
+        let last = { text: null, seenAt: 0 };
+
+        const tick = (time) => {
+          if (stopped) return;
+
+          if (time - lastDecode >= SCAN_INTERVAL_MS && video.readyState >= video.HAVE_ENOUGH_DATA) {
+            lastDecode = time;
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            context.drawImage(video, 0, 0);
+            const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(data, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+
+            if (code?.data) {
+              const isNew = code.data !== last.text || time - last.seenAt > REPEAT_AFTER_MS;
+              last = { text: code.data, seenAt: time };
+              if (isNew) onScanRef.current(code.data);
+            }
+          }
+
+          frame = requestAnimationFrame(tick);
+        };
+
+        frame = requestAnimationFrame(tick);
+      } catch (cameraError) {
+        if (stopped) return;
+        setError(cameraErrorMessage(cameraError));
+        setActive(false);
+      }
+    };
+
+    start();
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [active]);
+
+  return (
+    <div className="space-y-3">
+      <video
+        ref={videoRef}
+        muted
+        playsInline
+        className={`aspect-video w-full rounded-md bg-black object-cover ${active ? '' : 'hidden'}`}
+      />
+      {error && !active && <p className="text-sm text-destructive">{error}</p>}
+      <Button
+        type="button"
+        variant={active ? 'outline' : 'default'}
+        onClick={() => {
+          setError(null);
+          setActive(!active);
+        }}
+      >
+        {active ? <CameraOff className="h-4 w-4" /> : <Camera className="h-4 w-4" />}
+        {active ? 'Stop Camera' : 'Scan with Camera'}
+      </Button>
+    </div>
+  );
+};
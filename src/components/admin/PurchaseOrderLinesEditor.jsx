@@ -0,0 +1,100 @@
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+// Select values are prefixed with the kind of thing being ordered so that menu
+// items and ingredients can share one list.
+const targetOf = (line) =>
+  line.menu_item_id ? `menu:${line.menu_item_id}` : line.ingredient_id ? `ingredient:${line.ingredient_id}` : '';
+
+// Edits the lines of a draft purchase order. Menu items made from a recipe are
+// restocked through their ingredients, so only bought-in items are offered.
+export const PurchaseOrderLinesEditor = ({ value, onChange, menuItems, ingredients }) => {
+  const update = (index, patch) => onChange(value.map((line, i) => (i === index ? { ...line, ...patch } : line)));
+  const boughtIn = menuItems.filter((item) => !item.recipe_items?.length);
+  const taken = new Set(value.map(targetOf));
+
+  const choose = (index, target) => {
+    const [kind, id] = target.split(':');
+    const source = kind === 'menu' ? boughtIn.find((item) => item.id === id) : ingredients.find((ingredient) => ingredient.id === id);
+    update(index, {
+      menu_item_id: kind === 'menu' ? id : null,
+      ingredient_id: kind === 'ingredient' ? id : null,
+      unit_cost: source?.unit_cost ?? 0,
+    });
+  };
+
+  const unitOf = (line) =>
+    line.ingredient_id ? ingredients.find((ingredient) => ingredient.id === line.ingredient_id)?.unit : line.menu_item_id && 'pcs';
+
+  return (
+    <div className="space-y-2">
+      {value.length === 0 && <p className="text-sm text-muted-foreground">Nothing on this order yet.</p>}
+      {value.map((line, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <Select value={targetOf(line)} onValueChange={(target) => choose(index, target)}>
+            <SelectTrigger aria-label="Item">
+              <SelectValue placeholder="Choose what to order" />
+            </SelectTrigger>
+            <SelectContent>
+              {ingredients
+                .filter((ingredient) => targetOf(line) === `ingredient:${ingredient.id}` || !taken.has(`ingredient:${ingredient.id}`))
+                .map((ingredient) => (
+                  <SelectItem key={ingredient.id} value={`ingredient:${ingredient.id}`}>
+                    {ingredient.name}
+                  </SelectItem>
+                ))}
+              {boughtIn
+                .filter((item) => targetOf(line) === `menu:${item.id}` || !taken.has(`menu:${item.id}`))
+                .map((item) => (
+                  <SelectItem key={item.id} value={`menu:${item.id}`}>
+                    {item.name}
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          <Input
+            type="number"
+            step={line.menu_item_id ? '1' : '0.001'}
+            min="0"
+            className="w-24"
+            value={line.quantity}
+            aria-label="Quantity"
+            onChange={(e) => update(index, { quantity: parseFloat(e.target.value) })}
+          />
+          <span className="w-8 text-sm text-muted-foreground">{unitOf(line)}</span>
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            className="w-24"
+            value={line.unit_cost}
+            aria-label="Unit cost"
+            onChange={(e) => update(index, { unit_cost: parseFloat(e.target.value) })}
+          />
+          <Button
+            type="button"
+            size="icon"
+            variant="ghost"
+            className="h-10 w-10 shrink-0"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            aria-label="Remove line"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...value, { menu_item_id: null, ingredient_id: null, quantity: 1, unit_cost: 0 }])}
+        disabled={value.length >= boughtIn.length + ingredients.length}
+      >
+        <Plus className="h-4 w-4" />
+        Add Line
+      </Button>
+    </div>
+  );
+};
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Bell, CalendarClock, PackageMinus } from 'lucide-react';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { useAuth } from '@/hooks/use-auth';
+import { useStaffNotifications } from '@/hooks/use-staff-notifications';
+
+const KIND_ICONS = {
+  low_stock: PackageMinus,
+  daily_digest: CalendarClock,
+};
+
+// Bell in the admin sidebar for low-stock alerts and the daily stock digest.
+export const StaffNotifications = () => {
+  const { profile, can } = useAuth();
+  const { notifications, unreadCount, markRead } = useStaffNotifications({
+    enabled: can('inventory:view'),
+    userId: profile?.id,
+  });
+  const [open, setOpen] = useState(false);
+
+  if (!can('inventory:view')) return null;
+
+  const unreadIds = notifications.filter((notification) => !notification.read_at).map((notification) => notification.id);
+
+  return (
+    <>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="relative"
+        onClick={() => setOpen(true)}
+        aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -right-0.5 -top-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-destructive px-1 text-[10px] font-semibold text-destructive-foreground">
+            {unreadCount}
+          </span>
+        )}
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Notifications</DialogTitle>
+            <DialogDescription>Stock alerts and the daily digest of what to reorder.</DialogDescription>
+          </DialogHeader>
+          <div className="max-h-[60vh] space-y-3 overflow-y-auto">
+            {notifications.map((notification) => {
+              const Icon = KIND_ICONS[notification.kind] ?? Bell;
+              return (
+                <div
+                  key={notification.id}
+                  className={`flex gap-3 rounded-md border p-3 ${notification.read_at ? 'opacity-70' : 'bg-muted/50'}`}
+                >
+                  <Icon className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                  <div className="min-w-0 flex-1">
+                    <p className={`text-sm ${notification.read_at ? '' : 'font-semibold'}`}>{notification.title}</p>
+                    {notification.body && (
+                      <p className="whitespace-pre-line text-sm text-muted-foreground">{notification.body}</p>
+                    )}
+                    <p className="mt-1 text-xs text-muted-foreground">{format(new Date(notification.created_at), 'PPp')}</p>
+                  </div>
+                  {!notification.read_at && (
+                    <Button size="sm" variant="ghost" onClick={() => markRead([notification.id])}>
+                      Mark Read
+                    </Button>
+                  )}
+                </div>
+              );
+            })}
+            {notifications.length === 0 && <p className="py-6 text-center text-sm text-muted-foreground">No notifications</p>}
+          </div>
+          <DialogFooter>
+            {can('inventory:adjust') && (
+              <Button asChild variant="outline" onClick={() => setOpen(false)}>
+                <Link to="/admin/purchasing" state={{ suggest: true }}>
+                  Create Purchase Order
+                </Link>
+              </Button>
+            )}
+            <Button onClick={() => markRead(unreadIds)} disabled={!unreadIds.length}>
+              Mark All Read
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { addDays, addWeeks, format, isToday, startOfWeek } from 'date-fns';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { CATEGORY_LABELS } from '@/lib/menu';
+import { windowsOn } from '@/lib/schedules';
+import { cn } from '@/lib/utils';
+
+const CATEGORY_COLORS = {
+  breakfast: 'border-l-yellow-500',
+  lunch: 'border-l-orange-500',
+  dinner: 'border-l-red-500',
+  snacks: 'border-l-green-500',
+  beverages: 'border-l-blue-500',
+  desserts: 'border-l-pink-500',
+};
+
+// Week-at-a-glance planner: which scheduled items are served on each day of
+// the chosen week, including date-limited (term or holiday) windows.
+export const WeeklyMenuCalendar = ({ menuItems }) => {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date(), { weekStartsOn: 1 }));
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+
+  const alwaysOn = menuItems.filter((item) => !item.menu_item_schedules?.length);
+  const scheduled = menuItems.filter((item) => item.menu_item_schedules?.length);
+
+  const entriesOn = (date) =>
+    scheduled
+      .flatMap((item) => windowsOn(item.menu_item_schedules, date).map((slot) => ({ item, ...slot })))
+      .sort((a, b) => a.start.localeCompare(b.start) || a.item.name.localeCompare(b.item.name));
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle>
+          Week of {format(weekStart, 'd MMM')} – {format(addDays(weekStart, 6), 'd MMM yyyy')}
+        </CardTitle>
+        <div className="flex gap-2">
+          <Button variant="outline" size="icon" onClick={() => setWeekStart(addWeeks(weekStart, -1))} aria-label="Previous week">
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" onClick={() => setWeekStart(startOfWeek(new Date(), { weekStartsOn: 1 }))}>
+            This Week
+          </Button>
+          <Button variant="outline" size="icon" onClick={() => setWeekStart(addWeeks(weekStart, 1))} aria-label="Next week">
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {alwaysOn.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-muted-foreground">Every day, all day:</span>
+            {alwaysOn.map((item) => (
+              <Badge key={item.id} variant={item.is_available ? 'secondary' : 'outline'}>
+                {item.name}
+              </Badge>
+            ))}
+          </div>
+        )}
+        <div className="overflow-x-auto">
+          <div className="grid min-w-[840px] grid-cols-7 gap-2">
+            {days.map((date) => ({ date, entries: entriesOn(date) })).map(({ date, entries }) => (
+              <div key={date.toISOString()} className="space-y-2">
+                <div
+                  className={cn(
+                    'rounded-md px-2 py-1 text-center text-sm font-medium',
+                    isToday(date) ? 'bg-primary text-primary-foreground' : 'bg-muted'
+                  )}
+                >
+                  {format(date, 'EEE d')}
+                </div>
+                {entries.map((entry) => (
+                  <div
+                    key={`${entry.item.id}-${entry.start}`}
+                    title={`${CATEGORY_LABELS[entry.item.category]}${entry.item.is_available ? '' : ' · currently unavailable'}`}
+                    className={cn(
+                      'rounded-md border border-l-4 px-2 py-1 text-xs',
+                      CATEGORY_COLORS[entry.item.category],
+                      !entry.item.is_available && 'opacity-50'
+                    )}
+                  >
+                    <p className="text-muted-foreground">
+                      {entry.start}–{entry.end}
+                    </p>
+                    <p className="font-medium">{entry.item.name}</p>
+                  </div>
+                ))}
+                {entries.length === 0 && (
+                  <p className="text-center text-xs text-muted-foreground">No scheduled items</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
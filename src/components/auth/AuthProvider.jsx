@@ -0,0 +1,62 @@
+import { useEffect, useMemo, useState } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { AuthContext } from '@/hooks/use-auth';
+import { can } from '@/lib/permissions';
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(undefined);
+  // Remembers which user the loaded profile belongs to, so a fresh sign-in is
+  // treated as loading until that user's profile (and role) has arrived.
+  const [loadedProfile, setLoadedProfile] = useState({ userId: null, profile: null });
+
+  useEffect(() => {
+    const { data } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      setSession(nextSession);
+    });
+
+    return () => {
+      data.subscription.unsubscribe();
+    };
+  }, []);
+
+  const userId = session?.user?.id ?? null;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const fetchProfile = async () => {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, full_name, email, role')
+        .eq('id', userId)
+        .maybeSingle();
+
+      setLoadedProfile({ userId, profile: error ? null : data });
+    };
+
+    fetchProfile();
+  }, [userId]);
+
+  const value = useMemo(() => {
+    const profile = userId && loadedProfile.userId === userId ? loadedProfile.profile : null;
+    const role = profile?.role ?? null;
+
+    return {
+      user: session?.user ?? null,
+      profile,
+      role,
+      loading: session === undefined || (userId !== null && loadedProfile.userId !== userId),
+      can: (capability) => can(role, capability),
+      signIn: (email, password) => supabase.auth.signInWithPassword({ email, password }),
+      signUp: (email, password, fullName) =>
+        supabase.auth.signUp({
+          email,
+          password,
+          options: { data: { full_name: fullName } },
+        }),
+      signOut: () => supabase.auth.signOut(),
+    };
+  }, [session, userId, loadedProfile]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
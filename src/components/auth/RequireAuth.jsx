@@ -0,0 +1,39 @@
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { useAuth } from '@/hooks/use-auth';
+
+/**
+ * Route guard. Sends signed-out visitors to the sign-in page and shows an
+ * access-denied message when the signed-in role lacks `roles` or `capability`.
+ */
+export const RequireAuth = ({ roles, capability, children }) => {
+  const { user, role, loading, can } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/auth" replace state={{ from: location.pathname }} />;
+  }
+
+  if ((roles && !roles.includes(role)) || (capability && !can(capability))) {
+    return (
+      <div className="flex flex-col items-center gap-4 py-12 text-center">
+        <ShieldAlert className="h-10 w-10 text-destructive" />
+        <h2 className="text-2xl font-bold">Access denied</h2>
+        <p className="text-muted-foreground">Your account doesn't have permission to view this page.</p>
+        <Link to="/" className="text-primary underline">
+          Back to the menu
+        </Link>
+      </div>
+    );
+  }
+
+  return children;
+};
@@ -0,0 +1,224 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '@/integrations/supabase/client';
+import { Button } from '@/components/ui/button';
+import { ArrowLeft, Bell, BellOff, Maximize, Printer } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { useNow } from '@/hooks/use-now';
+import { usePrintSettings } from '@/hooks/use-print-settings';
+import { useTicketAutoPrint } from '@/hooks/use-ticket-auto-print';
+import { playChime } from '@/lib/chime';
+import { nextStatuses, ORDER_STATUS_LABELS } from '@/lib/orders';
+import { canSetOrderStatus } from '@/lib/permissions';
+import { kitchenTicketHtml, PAPER_WIDTHS, printHtml } from '@/lib/receipts';
+import { KitchenTicket } from './KitchenTicket';
+
+const COLUMNS = ['pending', 'preparing', 'ready'];
+
+export const KitchenDisplay = () => {
+  const { role } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [soundEnabled, setSoundEnabled] = useState(false);
+  const audioContextRef = useRef(null);
+  const now = useNow();
+  const [printSettings, updatePrintSettings] = usePrintSettings();
+  useTicketAutoPrint({ enabled: printSettings.autoPrintTickets, paperWidth: printSettings.paperWidth });
+
+  useEffect(() => {
+    fetchOrders();
+
+    const channel = supabase
+      .channel('kitchen-display-orders')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'orders',
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            playChime(audioContextRef.current);
+          }
+          fetchOrders();
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  const fetchOrders = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('orders')
+        .select(`
+          id,
+          status,
+          notes,
+          created_at,
+          pickup_number,
+          profiles (full_name),
+          order_items (
+            quantity,
+            options,
+            menu_items (name)
+          )
+        `)
+        .in('status', COLUMNS)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      setOrders(data || []);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load kitchen orders',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const bumpOrder = async (order, nextStatus) => {
+    try {
+      const { error } = await supabase
+        .from('orders')
+        .update({ status: nextStatus })
+        .eq('id', order.id);
+
+      if (error) throw error;
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update order status',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  // The bump button advances along the happy path; cancelling stays on the
+  // orders screen.
+  const bumpTarget = (status) => {
+    const next = nextStatuses(status).find((candidate) => candidate !== 'cancelled');
+    return next && canSetOrderStatus(role, next) ? next : null;
+  };
+
+  const toggleSound = () => {
+    if (!soundEnabled) {
+      audioContextRef.current ??= new AudioContext();
+      audioContextRef.current.resume();
+      playChime(audioContextRef.current);
+    }
+    setSoundEnabled(!soundEnabled);
+  };
+
+  useEffect(() => {
+    if (!soundEnabled) audioContextRef.current?.suspend();
+  }, [soundEnabled]);
+
+  // Switches between the roll widths this terminal's printer might take.
+  const cyclePaperWidth = () => {
+    const next = PAPER_WIDTHS[(PAPER_WIDTHS.indexOf(printSettings.paperWidth) + 1) % PAPER_WIDTHS.length];
+    updatePrintSettings({ paperWidth: next });
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen?.();
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col bg-neutral-950 text-white">
+      <header className="flex items-center justify-between border-b border-neutral-800 px-6 py-3">
+        <div className="flex items-center gap-4">
+          <Button asChild variant="ghost" size="icon" className="text-white hover:bg-neutral-800 hover:text-white">
+            <Link to="/admin/orders" title="Back to admin">
+              <ArrowLeft className="h-5 w-5" />
+            </Link>
+          </Button>
+          <h1 className="text-2xl font-bold">Kitchen Display</h1>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="ghost"
+            className="text-white hover:bg-neutral-800 hover:text-white"
+            onClick={toggleSound}
+          >
+            {soundEnabled ? <Bell className="h-5 w-5" /> : <BellOff className="h-5 w-5" />}
+            {soundEnabled ? 'Chime on' : 'Enable chime'}
+          </Button>
+          <Button
+            variant="ghost"
+            className="text-white hover:bg-neutral-800 hover:text-white"
+            onClick={() => updatePrintSettings({ autoPrintTickets: !printSettings.autoPrintTickets })}
+            title="Print a ticket when an order starts preparing"
+          >
+            <Printer className="h-5 w-5" />
+            {printSettings.autoPrintTickets ? 'Auto-print on' : 'Auto-print tickets'}
+          </Button>
+          <Button
+            variant="ghost"
+            className="text-white hover:bg-neutral-800 hover:text-white"
+            onClick={cyclePaperWidth}
+            title="Receipt printer paper width"
+          >
+            {printSettings.paperWidth}mm
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="text-white hover:bg-neutral-800 hover:text-white"
+            onClick={toggleFullscreen}
+            title="Toggle full screen"
+          >
+            <Maximize className="h-5 w-5" />
+          </Button>
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="flex flex-1 items-center justify-center">
+          <div className="h-10 w-10 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+        </div>
+      ) : (
+        <div className="grid flex-1 grid-cols-1 gap-4 p-4 lg:grid-cols-3">
+          {COLUMNS.map((status) => {
+            const columnOrders = orders.filter((order) => order.status === status);
+
+            return (
+              <section key={status} className="flex flex-col rounded-lg bg-neutral-900/50">
+                <h2 className="flex items-center justify-between border-b border-neutral-800 px-4 py-3 text-xl font-bold uppercase tracking-wide">
+                  {ORDER_STATUS_LABELS[status]}
+                  <span className="rounded-full bg-neutral-800 px-3 py-1 text-base">{columnOrders.length}</span>
+                </h2>
+                <div className="flex-1 space-y-4 overflow-y-auto p-4">
+                  {columnOrders.map((order) => (
+                    <KitchenTicket
+                      key={order.id}
+                      order={order}
+                      now={now}
+                      nextStatus={bumpTarget(order.status)}
+                      onBump={bumpOrder}
+                      onPrint={(ticketOrder) =>
+                        printHtml(kitchenTicketHtml(ticketOrder, { paperWidth: printSettings.paperWidth }))
+                      }
+                    />
+                  ))}
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
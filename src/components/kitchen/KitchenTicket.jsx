@@ -0,0 +1,75 @@
+import { Printer } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { ORDER_STATUS_LABELS } from '@/lib/orders';
+import { pickupLabel } from '@/lib/pickup';
+
+// Tickets turn amber, then red, as the customer's wait grows.
+const WARNING_MINUTES = 10;
+const OVERDUE_MINUTES = 15;
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const timerColor = (minutes) => {
+  if (minutes >= OVERDUE_MINUTES) return 'bg-red-600 text-white animate-pulse';
+  if (minutes >= WARNING_MINUTES) return 'bg-amber-500 text-black';
+  return 'bg-emerald-600 text-white';
+};
+
+export const KitchenTicket = ({ order, now, nextStatus, onBump, onPrint }) => {
+  const elapsed = now - new Date(order.created_at).getTime();
+
+  return (
+    <div className="rounded-lg border border-neutral-700 bg-neutral-900 shadow-lg">
+      <div className="flex items-center justify-between gap-2 border-b border-neutral-700 px-4 py-3">
+        <div>
+          <p className="text-2xl font-bold">{pickupLabel(order) ?? `#${order.id.substring(0, 8)}`}</p>
+          <p className="text-sm text-neutral-400">
+            {order.profiles?.full_name}
+            {order.pickup_number && ` · #${order.id.substring(0, 8)}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {onPrint && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="text-neutral-400 hover:bg-neutral-800 hover:text-white"
+              onClick={() => onPrint(order)}
+              title="Reprint ticket"
+            >
+              <Printer className="h-5 w-5" />
+            </Button>
+          )}
+          <span className={`rounded-md px-3 py-1 font-mono text-xl font-bold ${timerColor(elapsed / 60000)}`}>
+            {formatElapsed(elapsed)}
+          </span>
+        </div>
+      </div>
+      <ul className="space-y-1 px-4 py-3 text-xl">
+        {order.order_items.map((item, index) => (
+          <li key={index}>
+            <span className="font-bold">{item.quantity}×</span> {item.menu_items.name}
+            {item.options?.length > 0 && (
+              <p className="pl-8 text-base text-neutral-300">{item.options.map((option) => option.name).join(', ')}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+      {order.notes && (
+        <p className="mx-4 mb-3 rounded-md bg-yellow-300 px-3 py-2 text-lg font-semibold text-black">
+          {order.notes}
+        </p>
+      )}
+      {nextStatus && (
+        <Button className="h-14 w-full rounded-t-none text-lg" onClick={() => onBump(order, nextStatus)}>
+          Mark {ORDER_STATUS_LABELS[nextStatus]}
+        </Button>
+      )}
+    </div>
+  );
+};
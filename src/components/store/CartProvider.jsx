@@ -0,0 +1,78 @@
+import { useEffect, useMemo, useState } from 'react';
+import { CartContext } from '@/hooks/use-cart';
+import { lineKey, optionsTotal } from '@/lib/options';
+
+const STORAGE_KEY = 'canteen-cart';
+
+// Carts saved before options existed have no line keys or options.
+const normalizeLine = (line) => ({
+  ...line,
+  key: line.key ?? line.menu_item_id,
+  base_price: line.base_price ?? line.price,
+  options: line.options ?? [],
+});
+
+const loadCart = () => {
+  try {
+    return (JSON.parse(localStorage.getItem(STORAGE_KEY)) || []).map(normalizeLine);
+  } catch {
+    return [];
+  }
+};
+
+export const CartProvider = ({ children }) => {
+  const [items, setItems] = useState(loadCart);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  }, [items]);
+
+  const value = useMemo(() => {
+    const quantityOf = (menuItemId) =>
+      items.filter((item) => item.menu_item_id === menuItemId).reduce((sum, item) => sum + item.quantity, 0);
+
+    // Each combination of options is its own line. Quantities across an
+    // item's lines are capped at the stock level we last saw; checkout
+    // re-checks against the live stock server-side.
+    const setQuantity = (menuItem, quantity, options = []) => {
+      const key = lineKey(menuItem.id, options);
+      setItems((current) => {
+        const elsewhere = current
+          .filter((item) => item.menu_item_id === menuItem.id && item.key !== key)
+          .reduce((sum, item) => sum + item.quantity, 0);
+        const capped = Math.min(quantity, menuItem.stock_quantity - elsewhere);
+        if (capped <= 0) return current.filter((item) => item.key !== key);
+
+        const entry = {
+          key,
+          menu_item_id: menuItem.id,
+          name: menuItem.name,
+          base_price: menuItem.price,
+          price: menuItem.price + optionsTotal(options),
+          stock_quantity: menuItem.stock_quantity,
+          options,
+          quantity: capped,
+        };
+        return current.some((item) => item.key === key)
+          ? current.map((item) => (item.key === key ? entry : item))
+          : [...current, entry];
+      });
+    };
+
+    const lineQuantity = (key) => items.find((item) => item.key === key)?.quantity ?? 0;
+
+    return {
+      items,
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      total: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      quantityOf,
+      setQuantity,
+      addItem: (menuItem, options = []) =>
+        setQuantity(menuItem, lineQuantity(lineKey(menuItem.id, options)) + 1, options),
+      removeItem: (key) => setItems((current) => current.filter((item) => item.key !== key)),
+      clear: () => setItems([]),
+    };
+  }, [items]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
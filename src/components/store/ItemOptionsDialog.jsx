@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Check, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { describeRule, optionsTotal, selectedOptions, selectionError } from '@/lib/options';
+import { cn } from '@/lib/utils';
+
+// Groups that need exactly one choice start on their first option so the
+// common case is a single tap on "Add to cart".
+const defaultSelection = (groups) =>
+  groups
+    .filter((group) => group.min_select === 1 && group.max_select === 1 && group.menu_options.length > 0)
+    .map((group) => group.menu_options[0].id);
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : '−'}$${Math.abs(delta).toFixed(2)}`;
+
+// Lets the customer pick sizes, add-ons and the like before an item goes in
+// the cart. `item.menu_option_groups` must already be in display order.
+export const ItemOptionsDialog = ({ item, onClose, onAdd }) => {
+  const groups = item?.menu_option_groups ?? [];
+  const [selected, setSelected] = useState(() => defaultSelection(groups));
+
+  const toggle = (group, optionId) => {
+    const groupIds = group.menu_options.map((option) => option.id);
+    if (selected.includes(optionId)) {
+      setSelected(selected.filter((id) => id !== optionId));
+    } else if (group.max_select === 1) {
+      setSelected([...selected.filter((id) => !groupIds.includes(id)), optionId]);
+    } else {
+      setSelected([...selected, optionId]);
+    }
+  };
+
+  if (!item) return null;
+
+  const options = selectedOptions(groups, selected);
+  const error = selectionError(item.name, groups, selected);
+  const unitPrice = item.price + optionsTotal(options);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{item.name}</DialogTitle>
+          {item.description && <DialogDescription>{item.description}</DialogDescription>}
+        </DialogHeader>
+        <div className="space-y-5">
+          {groups.map((group) => {
+            const chosen = group.menu_options.filter((option) => selected.includes(option.id)).length;
+            const full = group.max_select > 1 && chosen >= group.max_select;
+
+            return (
+              <fieldset key={group.id} className="space-y-2">
+                <legend className="flex w-full items-baseline justify-between">
+                  <span className="font-medium">{group.name}</span>
+                  <span className="text-xs text-muted-foreground">{describeRule(group)}</span>
+                </legend>
+                <div className="space-y-1">
+                  {group.menu_options.map((option) => {
+                    const isSelected = selected.includes(option.id);
+
+                    return (
+                      <button
+                        key={option.id}
+                        type="button"
+                        role={group.max_select === 1 ? 'radio' : 'checkbox'}
+                        aria-checked={isSelected}
+                        disabled={!isSelected && full}
+                        onClick={() => toggle(group, option.id)}
+                        className={cn(
+                          'flex w-full items-center justify-between rounded-md border px-3 py-2 text-sm transition-colors disabled:opacity-50',
+                          isSelected ? 'border-primary bg-primary/10' : 'hover:bg-muted'
+                        )}
+                      >
+                        <span className="flex items-center gap-2">
+                          <span
+                            className={cn(
+                              'flex h-4 w-4 items-center justify-center border border-primary',
+                              group.max_select === 1 ? 'rounded-full' : 'rounded-sm',
+                              isSelected && 'bg-primary text-primary-foreground'
+                            )}
+                          >
+                            {isSelected && <Check className="h-3 w-3" />}
+                          </span>
+                          {option.name}
+                        </span>
+                        {option.price_delta !== 0 && (
+                          <span className="text-muted-foreground">{formatDelta(option.price_delta)}</span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </fieldset>
+            );
+          })}
+        </div>
+        {error && <p className="text-sm text-muted-foreground">{error}</p>}
+        <DialogFooter>
+          <Button
+            className="w-full"
+            disabled={Boolean(error) || unitPrice < 0}
+            onClick={() => onAdd(options)}
+          >
+            <Plus className="h-4 w-4" />
+            Add to cart · ${unitPrice.toFixed(2)}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
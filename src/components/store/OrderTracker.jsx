@@ -0,0 +1,59 @@
+import { format } from 'date-fns';
+import { Check, XCircle } from 'lucide-react';
+
+const STEPS = [
+  { status: 'pending', label: 'Placed' },
+  { status: 'preparing', label: 'Preparing' },
+  { status: 'ready', label: 'Ready' },
+  { status: 'delivered', label: 'Collected' },
+];
+
+// Live progress of an order, with the time it reached each step when its
+// `order_status_history` was selected.
+export const OrderTracker = ({ order }) => {
+  const reachedAt = (status) =>
+    order.order_status_history?.find((entry) => entry.to_status === status)?.created_at ??
+    (status === 'pending' ? order.created_at : null);
+
+  if (order.status === 'cancelled') {
+    const cancelledAt = reachedAt('cancelled');
+    return (
+      <div className="flex items-center gap-2 rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+        <XCircle className="h-5 w-5 shrink-0" />
+        Cancelled{cancelledAt && ` at ${format(new Date(cancelledAt), 'p')}`}
+      </div>
+    );
+  }
+
+  const current = STEPS.findIndex((step) => step.status === order.status);
+
+  return (
+    <ol className="grid grid-cols-4 gap-2">
+      {STEPS.map((step, index) => {
+        const done = index <= current;
+        const at = done ? reachedAt(step.status) : null;
+        return (
+          <li key={step.status} className="flex flex-col items-center gap-1 text-center">
+            <div className="flex w-full items-center">
+              <div className={`h-0.5 flex-1 ${index === 0 ? 'invisible' : done ? 'bg-primary' : 'bg-muted'}`} />
+              <div
+                className={`flex h-7 w-7 items-center justify-center rounded-full border-2 ${
+                  done ? 'border-primary bg-primary text-primary-foreground' : 'border-muted text-muted-foreground'
+                } ${index === current && index < STEPS.length - 1 ? 'animate-pulse' : ''}`}
+              >
+                {done ? <Check className="h-4 w-4" /> : <span className="text-xs">{index + 1}</span>}
+              </div>
+              <div
+                className={`h-0.5 flex-1 ${
+                  index === STEPS.length - 1 ? 'invisible' : index < current ? 'bg-primary' : 'bg-muted'
+                }`}
+              />
+            </div>
+            <span className={`text-xs font-medium ${done ? '' : 'text-muted-foreground'}`}>{step.label}</span>
+            {at && <span className="text-xs text-muted-foreground">{format(new Date(at), 'p')}</span>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { pickupLabel, pickupQrValue } from '@/lib/pickup';
+
+// The order's pickup number with a QR code for the counter to scan.
+export const PickupCode = ({ order }) => {
+  const [qrUrl, setQrUrl] = useState(null);
+  const value = pickupQrValue(order);
+
+  useEffect(() => {
+    let ignore = false;
+
+    QRCode.toDataURL(value, { margin: 1, width: 240, errorCorrectionLevel: 'M' })
+      .then((url) => {
+        if (!ignore) setQrUrl(url);
+      })
+      .catch(() => setQrUrl(null));
+
+    return () => {
+      ignore = true;
+    };
+  }, [value]);
+
+  return (
+    <div className="flex flex-col items-center gap-2 rounded-md border p-4 text-center">
+      <p className="text-sm text-muted-foreground">Pickup number</p>
+      <p className="text-5xl font-bold text-primary">{order.pickup_number}</p>
+      {qrUrl && <img src={qrUrl} alt={`QR code for pickup ${pickupLabel(order)}`} className="h-48 w-48" />}
+      <p className="text-xs text-muted-foreground">Show this code at the counter when your order is ready.</p>
+    </div>
+  );
+};
@@ -0,0 +1,247 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Minus, Plus, Trash2 } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { useCart } from '@/hooks/use-cart';
+import { canteenDate, canteenDayRange } from '@/lib/canteen-time';
+import { PAYMENT_METHOD_LABELS, PAYMENT_METHODS } from '@/lib/menu';
+import { describeOptions } from '@/lib/options';
+import { spentToday, walletSpendProblem } from '@/lib/wallets';
+import { z } from 'zod';
+
+const checkoutSchema = z.object({
+  payment_method: z.enum(PAYMENT_METHODS),
+  notes: z.string().max(500, 'Notes must be 500 characters or fewer'),
+  items: z
+    .array(
+      z.object({
+        menu_item_id: z.string(),
+        quantity: z.number().int().positive(),
+        option_ids: z.array(z.string()),
+      })
+    )
+    .min(1, 'Your cart is empty'),
+});
+
+const WalletNote = ({ wallet, spent, total }) => {
+  const problem = walletSpendProblem(wallet, total, spent);
+  return (
+    <p className={`text-sm ${problem ? 'text-destructive' : 'text-muted-foreground'}`}>
+      {problem ?? `Wallet balance: $${wallet.balance.toFixed(2)}`}{' '}
+      <Link to="/wallet" className="underline">
+        View wallet
+      </Link>
+    </p>
+  );
+};
+
+export const StoreCartSection = () => {
+  const { items, total, quantityOf, setQuantity, removeItem, clear } = useCart();
+  const { user } = useAuth();
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [walletStatus, setWalletStatus] = useState(null);
+  const navigate = useNavigate();
+
+  // Balance and today's spending, to warn before a wallet order is refused.
+  useEffect(() => {
+    if (!user || paymentMethod !== 'wallet') return;
+
+    const fetchWallet = async () => {
+      const [walletResponse, todayResponse] = await Promise.all([
+        supabase.from('wallets').select('*').eq('profile_id', user.id).maybeSingle(),
+        supabase
+          .from('wallet_transactions')
+          .select('kind, amount, order_id, created_at')
+          .eq('profile_id', user.id)
+          .in('kind', ['order', 'refund'])
+          .gte('created_at', canteenDayRange(canteenDate()).from),
+      ]);
+
+      if (walletResponse.error || todayResponse.error) return;
+      setWalletStatus({ wallet: walletResponse.data, spent: spentToday(todayResponse.data || []) });
+    };
+
+    fetchWallet();
+  }, [user, paymentMethod]);
+
+  const toMenuItem = (item) => ({
+    id: item.menu_item_id,
+    name: item.name,
+    price: item.base_price,
+    stock_quantity: item.stock_quantity,
+  });
+
+  const handleCheckout = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const payload = checkoutSchema.parse({
+        payment_method: paymentMethod,
+        notes,
+        items: items.map(({ menu_item_id, quantity, options }) => ({
+          menu_item_id,
+          quantity,
+          option_ids: options.map((option) => option.option_id),
+        })),
+      });
+
+      // Prices are looked up server-side so the order records the price at
+      // the time it was placed, not whatever is cached in the cart.
+      const { data: order, error } = await supabase.rpc('place_order', {
+        p_items: payload.items,
+        p_payment_method: payload.payment_method,
+        p_notes: payload.notes,
+      });
+
+      if (error) throw error;
+
+      clear();
+      toast({
+        title: 'Order Placed',
+        description: `Order #${order.id.substring(0, 8)} has been sent to the kitchen. Your pickup number is ${
+          order.pickup_number
+        }.`,
+      });
+      navigate(`/orders/${order.id}`);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        toast({
+          title: 'Validation Error',
+          description: error.errors[0].message,
+          variant: 'destructive',
+        });
+      } else {
+        toast({
+          title: 'Checkout Failed',
+          description: error.message || 'Failed to place your order',
+          variant: 'destructive',
+        });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-12 space-y-4">
+        <p className="text-muted-foreground">Your cart is empty</p>
+        <Button asChild>
+          <Link to="/">Browse the menu</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-3">
+      <Card className="lg:col-span-2">
+        <CardHeader>
+          <CardTitle>Your Cart</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {items.map((item) => (
+            <div key={item.key} className="flex items-center justify-between gap-4 border-b pb-4 last:border-0">
+              <div>
+                <p className="font-medium">{item.name}</p>
+                {item.options.length > 0 && (
+                  <p className="text-sm">{describeOptions(item.options)}</p>
+                )}
+                <p className="text-sm text-muted-foreground">${item.price.toFixed(2)} each</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Button
+                  size="icon"
+                  variant="outline"
+                  onClick={() => setQuantity(toMenuItem(item), item.quantity - 1, item.options)}
+                >
+                  <Minus className="h-4 w-4" />
+                </Button>
+                <span className="w-8 text-center font-semibold">{item.quantity}</span>
+                <Button
+                  size="icon"
+                  variant="outline"
+                  onClick={() => setQuantity(toMenuItem(item), item.quantity + 1, item.options)}
+                  disabled={quantityOf(item.menu_item_id) >= item.stock_quantity}
+                >
+                  <Plus className="h-4 w-4" />
+                </Button>
+                <span className="w-20 text-right font-medium">
+                  ${(item.price * item.quantity).toFixed(2)}
+                </span>
+                <Button size="icon" variant="ghost" onClick={() => removeItem(item.key)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <form onSubmit={handleCheckout}>
+          <CardHeader>
+            <CardTitle>Checkout</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="payment-method">Payment Method</Label>
+              <Select value={paymentMethod} onValueChange={setPaymentMethod}>
+                <SelectTrigger id="payment-method">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PAYMENT_METHODS.map((method) => (
+                    <SelectItem key={method} value={method}>
+                      {PAYMENT_METHOD_LABELS[method]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {paymentMethod === 'wallet' && user && walletStatus && (
+                <WalletNote {...walletStatus} total={total} />
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="notes">Notes (Optional)</Label>
+              <Textarea
+                id="notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="e.g., No onions"
+                rows={3}
+              />
+            </div>
+            <div className="flex justify-between text-lg font-bold">
+              <span>Total</span>
+              <span className="text-primary">${total.toFixed(2)}</span>
+            </div>
+          </CardContent>
+          <CardFooter>
+            {user ? (
+              <Button type="submit" className="w-full" disabled={submitting}>
+                {submitting ? 'Placing Order...' : 'Place Order'}
+              </Button>
+            ) : (
+              <Button asChild className="w-full">
+                <Link to="/auth" state={{ from: '/cart' }}>
+                  Sign in to place your order
+                </Link>
+              </Button>
+            )}
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+};
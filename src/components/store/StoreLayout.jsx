@@ -0,0 +1,86 @@
+import { Suspense } from 'react';
+import { Link, Outlet } from 'react-router-dom';
+import { Bell, ClipboardList, LayoutDashboard, LogOut, ShoppingCart, UtensilsCrossed, Wallet } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useAuth } from '@/hooks/use-auth';
+import { useCart } from '@/hooks/use-cart';
+import { useOrderNotifications } from '@/hooks/use-order-notifications';
+import { STAFF_ROLES } from '@/lib/permissions';
+
+export const StoreLayout = () => {
+  const { itemCount } = useCart();
+  const { user, role, signOut } = useAuth();
+  useOrderNotifications({ userId: user?.id });
+
+  return (
+    <div className="min-h-screen">
+      <header className="sticky top-0 z-40 border-b bg-background">
+        <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3">
+          <Link to="/" className="flex items-center gap-2 text-lg font-bold">
+            <UtensilsCrossed className="h-5 w-5 text-primary" />
+            Canteen
+          </Link>
+          <div className="flex items-center gap-2">
+            {STAFF_ROLES.includes(role) && (
+              <Button asChild variant="ghost">
+                <Link to="/admin">
+                  <LayoutDashboard className="h-4 w-4" />
+                  Admin
+                </Link>
+              </Button>
+            )}
+            {user && (
+              <>
+                <Button asChild variant="ghost">
+                  <Link to="/orders">
+                    <ClipboardList className="h-4 w-4" />
+                    Orders
+                  </Link>
+                </Button>
+                <Button asChild variant="ghost">
+                  <Link to="/wallet">
+                    <Wallet className="h-4 w-4" />
+                    Wallet
+                  </Link>
+                </Button>
+                <Button asChild variant="ghost" size="icon" title="Notifications">
+                  <Link to="/notifications">
+                    <Bell className="h-4 w-4" />
+                  </Link>
+                </Button>
+              </>
+            )}
+            <Button asChild variant="outline">
+              <Link to="/cart">
+                <ShoppingCart className="h-4 w-4" />
+                Cart
+                {itemCount > 0 && <Badge>{itemCount}</Badge>}
+              </Link>
+            </Button>
+            {user ? (
+              <Button variant="ghost" size="icon" onClick={signOut} title="Sign out">
+                <LogOut className="h-4 w-4" />
+              </Button>
+            ) : (
+              <Button asChild variant="ghost">
+                <Link to="/auth">Sign In</Link>
+              </Button>
+            )}
+          </div>
+        </div>
+      </header>
+      <main className="mx-auto max-w-6xl p-4 md:p-6">
+        <Suspense
+          fallback={
+            <div className="flex justify-center py-12">
+              <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+            </div>
+          }
+        >
+          <Outlet />
+        </Suspense>
+      </main>
+    </div>
+  );
+};
@@ -0,0 +1,233 @@
+import { useEffect, useState } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Clock, Minus, Plus, Search } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from '@/hooks/use-toast';
+import { useCart } from '@/hooks/use-cart';
+import { useNow } from '@/hooks/use-now';
+import { CATEGORY_LABELS, MENU_CATEGORIES } from '@/lib/menu';
+import { sortedOptionGroups } from '@/lib/options';
+import { capacityByItem } from '@/lib/ingredients';
+import { canteenTime } from '@/lib/canteen-time';
+import { isScheduledAt, windowsOn } from '@/lib/schedules';
+import { ItemOptionsDialog } from '@/components/store/ItemOptionsDialog';
+
+export const StoreMenuSection = () => {
+  const [menuItems, setMenuItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [choosingFor, setChoosingFor] = useState(null);
+  const { quantityOf, addItem, setQuantity } = useCart();
+  // Re-checked every minute so items appear and drop off as serving windows
+  // open and close.
+  const now = new Date(useNow(60000));
+
+  useEffect(() => {
+    fetchMenuItems();
+  }, []);
+
+  const fetchMenuItems = async () => {
+    try {
+      const [itemsResponse, capacityResponse] = await Promise.all([
+        supabase
+          .from('menu_items')
+          .select(`
+            id, name, description, price, category, stock_quantity, image_url, thumbnail_url,
+            menu_item_schedules (days_of_week, start_time, end_time, start_date, end_date),
+            menu_option_groups (id, name, min_select, max_select, position, menu_options (id, name, price_delta, position))
+          `)
+          .eq('is_available', true)
+          .order('name'),
+        supabase.rpc('menu_capacity'),
+      ]);
+
+      if (itemsResponse.error) throw itemsResponse.error;
+      if (capacityResponse.error) throw capacityResponse.error;
+
+      // Items are limited by whichever runs out first: ready stock or the
+      // ingredients to make more.
+      const capacity = capacityByItem(capacityResponse.data);
+      setMenuItems(
+        (itemsResponse.data || [])
+          .map((item) => ({
+            ...item,
+            stock_quantity: Math.min(item.stock_quantity, capacity.get(item.id) ?? Infinity),
+            menu_option_groups: sortedOptionGroups(item.menu_option_groups),
+          }))
+          .filter((item) => item.stock_quantity > 0)
+      );
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load the menu',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const servedItems = menuItems.filter((item) => isScheduledAt(item.menu_item_schedules, now));
+  const canteenNow = canteenTime(now);
+  const currentTime = format(canteenNow, 'HH:mm');
+  const laterToday = menuItems
+    .map((item) => ({
+      item,
+      slot: windowsOn(item.menu_item_schedules, canteenNow).find((next) => next.start > currentTime),
+    }))
+    .filter(({ item, slot }) => slot && !servedItems.includes(item))
+    .sort((a, b) => a.slot.start.localeCompare(b.slot.start));
+
+  const query = search.trim().toLowerCase();
+  const visibleItems = query
+    ? servedItems.filter(
+        (item) =>
+          item.name.toLowerCase().includes(query) ||
+          item.description?.toLowerCase().includes(query)
+      )
+    : servedItems;
+
+  const groups = MENU_CATEGORIES.map((category) => ({
+    category,
+    items: visibleItems.filter((item) => item.category === category),
+  })).filter((group) => group.items.length > 0);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <h1 className="text-3xl font-bold">Today's Menu</h1>
+        <div className="relative md:w-72">
+          <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search the menu"
+            className="pl-9"
+          />
+        </div>
+      </div>
+
+      {groups.map(({ category, items }) => (
+        <section key={category} className="space-y-4">
+          <h2 className="text-2xl font-semibold">{CATEGORY_LABELS[category]}</h2>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            {items.map((item) => {
+              const inCart = quantityOf(item.id);
+              const hasOptions = item.menu_option_groups.length > 0;
+
+              return (
+                <Card key={item.id} className="flex flex-col">
+                  {item.image_url && (
+                    <img
+                      src={item.thumbnail_url ?? item.image_url}
+                      alt={item.name}
+                      loading="lazy"
+                      className="h-40 w-full rounded-t-lg object-cover"
+                    />
+                  )}
+                  <CardHeader>
+                    <div className="flex items-start justify-between gap-2">
+                      <CardTitle className="text-lg">{item.name}</CardTitle>
+                      <span className="text-lg font-bold text-primary">${item.price.toFixed(2)}</span>
+                    </div>
+                  </CardHeader>
+                  <CardContent className="flex-1">
+                    <p className="text-sm text-muted-foreground">{item.description}</p>
+                    {item.stock_quantity <= 5 && (
+                      <p className="mt-2 text-xs font-medium text-yellow-700">
+                        Only {item.stock_quantity} left
+                      </p>
+                    )}
+                  </CardContent>
+                  <CardFooter>
+                    {hasOptions ? (
+                      <div className="flex w-full items-center justify-between gap-2">
+                        <Button
+                          className="flex-1"
+                          onClick={() => setChoosingFor(item)}
+                          disabled={inCart >= item.stock_quantity}
+                        >
+                          <Plus className="h-4 w-4" />
+                          {inCart === 0 ? 'Choose options' : 'Add another'}
+                        </Button>
+                        {inCart > 0 && <span className="text-sm font-semibold">{inCart} in cart</span>}
+                      </div>
+                    ) : inCart === 0 ? (
+                      <Button className="w-full" onClick={() => addItem(item)}>
+                        <Plus className="h-4 w-4" />
+                        Add to cart
+                      </Button>
+                    ) : (
+                      <div className="flex w-full items-center justify-between">
+                        <Button size="icon" variant="outline" onClick={() => setQuantity(item, inCart - 1)}>
+                          <Minus className="h-4 w-4" />
+                        </Button>
+                        <span className="font-semibold">{inCart} in cart</span>
+                        <Button
+                          size="icon"
+                          variant="outline"
+                          onClick={() => addItem(item)}
+                          disabled={inCart >= item.stock_quantity}
+                        >
+                          <Plus className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </CardFooter>
+                </Card>
+              );
+            })}
+          </div>
+        </section>
+      ))}
+
+      <ItemOptionsDialog
+        key={choosingFor?.id}
+        item={choosingFor}
+        onClose={() => setChoosingFor(null)}
+        onAdd={(options) => {
+          addItem(choosingFor, options);
+          setChoosingFor(null);
+        }}
+      />
+
+      {groups.length === 0 && (
+        <div className="text-center py-12">
+          <p className="text-muted-foreground">
+            {query ? `Nothing on the menu matches "${search}"` : 'Nothing is available right now'}
+          </p>
+        </div>
+      )}
+
+      {!query && laterToday.length > 0 && (
+        <section className="space-y-3">
+          <h2 className="flex items-center gap-2 text-xl font-semibold">
+            <Clock className="h-5 w-5" />
+            Later Today
+          </h2>
+          <div className="grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+            {laterToday.map(({ item, slot }) => (
+              <div key={item.id} className="flex items-center justify-between rounded-md border px-4 py-3 text-sm">
+                <span className="font-medium">{item.name}</span>
+                <span className="text-muted-foreground">
+                  {slot.start}–{slot.end}
+                </span>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,301 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { BellOff, BellRing } from 'lucide-react';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import {
+  DEFAULT_NOTIFY_STATUSES,
+  NOTIFIABLE_STATUS_LABELS,
+  NOTIFIABLE_STATUSES,
+  NOTIFICATION_CHANNEL_LABELS,
+  NOTIFICATION_STATE_COLORS,
+  NOTIFICATION_STATE_LABELS,
+  notificationPreferencesSchema,
+  notificationUrl,
+} from '@/lib/customer-notifications';
+import { currentPushSubscription, disablePush, enablePush, pushUnavailableReason } from '@/lib/push';
+
+const RECENT_LIMIT = 30;
+
+// Stored as 2547XXXXXXXX; shown the way customers type it.
+const displayPhone = (phone) => (phone ? `0${phone.slice(3)}` : '');
+
+export const StoreNotificationsSection = () => {
+  const { user, profile } = useAuth();
+  const [statuses, setStatuses] = useState(DEFAULT_NOTIFY_STATUSES);
+  const [smsEnabled, setSmsEnabled] = useState(false);
+  const [emailEnabled, setEmailEnabled] = useState(false);
+  const [phone, setPhone] = useState('');
+  const [notifications, setNotifications] = useState([]);
+  const [pushOn, setPushOn] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [switchingPush, setSwitchingPush] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('customer_notifications')
+      .select('*')
+      .eq('profile_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_LIMIT);
+    if (error) throw error;
+    setNotifications(data || []);
+  }, [user.id]);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('notification_preferences')
+          .select('*')
+          .eq('profile_id', user.id)
+          .maybeSingle();
+
+        if (error) throw error;
+        if (data) {
+          setStatuses(data.statuses);
+          setSmsEnabled(data.sms_enabled);
+          setEmailEnabled(data.email_enabled);
+          setPhone(displayPhone(data.phone));
+        }
+        await fetchNotifications();
+        setPushOn(Boolean(await currentPushSubscription()));
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load your notification settings',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+
+    const channel = supabase
+      .channel(`notification-log-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'customer_notifications',
+          filter: `profile_id=eq.${user.id}`,
+        },
+        () => fetchNotifications().catch(() => {})
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [fetchNotifications, user.id]);
+
+  const toggleStatus = (status, checked) => {
+    setStatuses((current) =>
+      checked
+        ? NOTIFIABLE_STATUSES.filter((value) => value === status || current.includes(value))
+        : current.filter((value) => value !== status)
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const prefs = notificationPreferencesSchema.parse({
+        statuses,
+        sms_enabled: smsEnabled,
+        email_enabled: emailEnabled,
+        phone,
+      });
+      const { error } = await supabase.rpc('set_notification_preferences', {
+        p_statuses: prefs.statuses,
+        p_sms_enabled: prefs.sms_enabled,
+        p_email_enabled: prefs.email_enabled,
+        p_phone: prefs.phone,
+      });
+
+      if (error) throw error;
+      setPhone(displayPhone(prefs.phone));
+      toast({ title: 'Preferences Saved', description: 'We will keep you posted the way you asked.' });
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to save your preferences',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePush = async () => {
+    setSwitchingPush(true);
+    try {
+      if (pushOn) {
+        await disablePush();
+        setPushOn(false);
+        toast({ title: 'Push Notifications Off', description: 'This device will no longer get order updates.' });
+      } else {
+        await enablePush();
+        setPushOn(true);
+        toast({ title: 'Push Notifications On', description: 'This device will get your order updates.' });
+      }
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to change push notifications',
+        variant: 'destructive',
+      });
+    } finally {
+      setSwitchingPush(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const pushProblem = pushOn ? null : pushUnavailableReason();
+
+  return (
+    <div className="mx-auto max-w-2xl space-y-6">
+      <h2 className="text-2xl font-bold">Notifications</h2>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Order Updates</CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Choose when we tell you about your orders. Updates always show here while the store is open.
+          </p>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSave} className="space-y-6">
+            <div className="space-y-2">
+              {NOTIFIABLE_STATUSES.map((status) => (
+                <label key={status} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 accent-primary"
+                    checked={statuses.includes(status)}
+                    onChange={(e) => toggleStatus(status, e.target.checked)}
+                  />
+                  {NOTIFIABLE_STATUS_LABELS[status]}
+                </label>
+              ))}
+            </div>
+
+            <div className="space-y-3 border-t pt-4">
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 accent-primary"
+                  checked={smsEnabled}
+                  onChange={(e) => setSmsEnabled(e.target.checked)}
+                />
+                Text me
+              </label>
+              <div className="space-y-2 pl-6">
+                <Label htmlFor="sms-phone">Mobile number</Label>
+                <Input
+                  id="sms-phone"
+                  type="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  placeholder="0712 345 678"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 accent-primary"
+                  checked={emailEnabled}
+                  onChange={(e) => setEmailEnabled(e.target.checked)}
+                />
+                Email me at {profile?.email ?? user.email}
+              </label>
+            </div>
+
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Preferences'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Push Notifications</CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Get order updates on this device even when the store isn't open.
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <Button
+            variant={pushOn ? 'outline' : 'default'}
+            onClick={handlePush}
+            disabled={switchingPush || Boolean(pushProblem)}
+          >
+            {pushOn ? <BellOff className="h-4 w-4" /> : <BellRing className="h-4 w-4" />}
+            {pushOn ? 'Turn Off on This Device' : 'Turn On for This Device'}
+          </Button>
+          {pushProblem && <p className="text-sm text-muted-foreground">{pushProblem}</p>}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Notifications</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {notifications.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Nothing yet. Updates about your orders will appear here.</p>
+          ) : (
+            <ul className="divide-y">
+              {notifications.map((notification) => (
+                <li key={notification.id} className="flex items-start justify-between gap-4 py-3">
+                  <div className="space-y-1">
+                    <Link to={notificationUrl(notification)} className="font-medium hover:underline">
+                      {notification.title}
+                    </Link>
+                    <p className="text-sm text-muted-foreground">{notification.body}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {format(new Date(notification.created_at), 'PPp')}
+                      {notification.recipient && notification.channel !== 'push' && ` · ${notification.recipient}`}
+                    </p>
+                  </div>
+                  <div className="flex flex-col items-end gap-1">
+                    <Badge variant="outline">{NOTIFICATION_CHANNEL_LABELS[notification.channel]}</Badge>
+                    {notification.state !== 'sent' && (
+                      <Badge variant="outline" className={NOTIFICATION_STATE_COLORS[notification.state]}>
+                        {NOTIFICATION_STATE_LABELS[notification.state]}
+                      </Badge>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { format } from 'date-fns';
+import { FileDown } from 'lucide-react';
+import { z } from 'zod';
+import { toast } from '@/hooks/use-toast';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { describeOptions } from '@/lib/options';
+import { createPaymentProvider } from '@/lib/payment-providers';
+import { mpesaPhoneSchema, ONLINE_PAYMENT_METHODS, outstandingAmount, PAYMENT_STATUS_LABELS } from '@/lib/payments';
+import { pickupLabel } from '@/lib/pickup';
+import { downloadReceiptPdf } from '@/lib/receipt-pdf';
+import { OrderTracker } from './OrderTracker';
+import { PickupCode } from './PickupCode';
+
+export const StoreOrderSection = () => {
+  const { orderId } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [phone, setPhone] = useState('');
+  const [paying, setPaying] = useState(false);
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('orders')
+          .select(`
+            *,
+            order_items (
+              quantity,
+              price_at_time,
+              options,
+              menu_items (name)
+            ),
+            payments (*),
+            order_status_history (to_status, created_at)
+          `)
+          .eq('id', orderId)
+          .maybeSingle();
+
+        if (error) throw error;
+        setOrder(data);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load your order',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+
+    const channel = supabase
+      .channel(`order-${orderId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'orders',
+          filter: `id=eq.${orderId}`,
+        },
+        (payload) => {
+          setOrder((current) => {
+            if (!current) return current;
+            // The tracker times a step from when the change arrives.
+            const history =
+              payload.new.status === current.status
+                ? current.order_status_history
+                : [
+                    ...current.order_status_history,
+                    { to_status: payload.new.status, created_at: new Date().toISOString() },
+                  ];
+            return { ...current, ...payload.new, order_status_history: history };
+          });
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'payments',
+          filter: `order_id=eq.${orderId}`,
+        },
+        (payload) => {
+          const payment = payload.new;
+          // Payment requests are only ever updated when the provider settles them.
+          if (payment.kind === 'payment' && payload.eventType === 'UPDATE') {
+            if (payment.status === 'succeeded') {
+              toast({ title: 'Payment Received', description: `$${payment.amount.toFixed(2)} paid. Thank you!` });
+            } else if (payment.status === 'failed') {
+              toast({
+                title: 'Payment Failed',
+                description: payment.failure_reason || 'The payment was not completed',
+                variant: 'destructive',
+              });
+            }
+          }
+          setOrder((current) =>
+            current
+              ? { ...current, payments: [...current.payments.filter((row) => row.id !== payment.id), payment] }
+              : current
+          );
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [orderId]);
+
+  const handlePay = async (e) => {
+    e.preventDefault();
+    setPaying(true);
+
+    try {
+      const msisdn = mpesaPhoneSchema.parse(phone);
+      const provider = createPaymentProvider();
+      const { data: payment, error } = await supabase.rpc('start_payment', {
+        p_order_id: order.id,
+        p_provider: provider.name,
+        p_phone: msisdn,
+      });
+
+      if (error) throw error;
+      await provider.requestPayment({ payment, phone: msisdn });
+
+      toast({
+        title: 'Check Your Phone',
+        description: `Enter your M-Pesa PIN to pay $${payment.amount.toFixed(2)}`,
+      });
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Payment Failed',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to request payment',
+        variant: 'destructive',
+      });
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const handleReceipt = async () => {
+    try {
+      await downloadReceiptPdf(order);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to create the receipt',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="text-center py-12 space-y-4">
+        <p className="text-muted-foreground">Order not found</p>
+        <Button asChild>
+          <Link to="/">Back to the menu</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  const outstanding = outstandingAmount(order);
+  const canPayOnline = order.status !== 'cancelled' && ONLINE_PAYMENT_METHODS.includes(order.payment_method) && outstanding > 0;
+  const awaitingApproval = order.payments.some((payment) => payment.kind === 'payment' && payment.status === 'pending');
+
+  return (
+    <Card className="mx-auto max-w-xl">
+      <CardHeader>
+        <div className="flex items-start justify-between">
+          <div className="space-y-1">
+            <CardTitle>
+              Order #{order.id.substring(0, 8)}
+              {order.pickup_number && <span className="text-muted-foreground"> · {pickupLabel(order)}</span>}
+            </CardTitle>
+            <p className="text-sm text-muted-foreground">
+              Placed {format(new Date(order.created_at), 'PPp')} ·{' '}
+              {PAYMENT_METHOD_LABELS[order.payment_method] ?? order.payment_method}
+            </p>
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <Badge className="capitalize">{order.status}</Badge>
+            <Badge variant="outline">{PAYMENT_STATUS_LABELS[order.payment_status] ?? order.payment_status}</Badge>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <OrderTracker order={order} />
+        {order.pickup_number && !['delivered', 'cancelled'].includes(order.status) && <PickupCode order={order} />}
+        <div className="space-y-2">
+          {order.order_items.map((item, index) => (
+            <div key={index} className="flex justify-between text-sm">
+              <span>
+                {item.quantity}x {item.menu_items.name}
+                {item.options?.length > 0 && (
+                  <span className="block text-muted-foreground">{describeOptions(item.options)}</span>
+                )}
+              </span>
+              <span className="font-medium">${(item.price_at_time * item.quantity).toFixed(2)}</span>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between border-t pt-4 text-lg font-bold">
+          <span>Total</span>
+          <span className="text-primary">${order.total_amount.toFixed(2)}</span>
+        </div>
+        {canPayOnline && (
+          <form onSubmit={handlePay} className="space-y-2 rounded-md border p-4">
+            <Label htmlFor="mpesa-phone">Pay ${outstanding.toFixed(2)} with M-Pesa</Label>
+            <div className="flex gap-2">
+              <Input
+                id="mpesa-phone"
+                type="tel"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                placeholder="0712 345 678"
+              />
+              <Button type="submit" disabled={paying}>
+                {paying ? 'Sending...' : 'Pay Now'}
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {awaitingApproval
+                ? 'A payment request has been sent to your phone. Enter your M-Pesa PIN to approve it.'
+                : "We'll send a payment request to this number."}
+            </p>
+          </form>
+        )}
+        {order.notes && (
+          <div className="text-sm">
+            <p className="font-semibold">Notes:</p>
+            <p className="text-muted-foreground">{order.notes}</p>
+          </div>
+        )}
+        <div className="flex justify-end">
+          <Button variant="outline" size="sm" onClick={handleReceipt}>
+            <FileDown className="h-4 w-4" />
+            Download Receipt
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { ORDER_STATUS_LABELS } from '@/lib/orders';
+import { pickupLabel } from '@/lib/pickup';
+import { OrderTracker } from './OrderTracker';
+
+const RECENT_LIMIT = 20;
+
+const isOpen = (order) => !['delivered', 'cancelled'].includes(order.status);
+
+// The customer's recent orders, with live progress for those still open.
+export const StoreOrdersSection = () => {
+  const { user } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('orders')
+        .select(`
+          *,
+          order_items (quantity, menu_items (name)),
+          order_status_history (to_status, created_at)
+        `)
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(RECENT_LIMIT);
+
+      if (error) throw error;
+      setOrders(data || []);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load your orders',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    fetchOrders();
+
+    const channel = supabase
+      .channel(`my-orders-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'orders',
+          filter: `user_id=eq.${user.id}`,
+        },
+        fetchOrders
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [fetchOrders, user.id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  if (orders.length === 0) {
+    return (
+      <div className="text-center py-12 space-y-4">
+        <p className="text-muted-foreground">You haven't placed any orders yet</p>
+        <Button asChild>
+          <Link to="/">Browse the menu</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  const openOrders = orders.filter(isOpen);
+  const pastOrders = orders.filter((order) => !isOpen(order));
+
+  const renderOrder = (order) => (
+    <Card key={order.id}>
+      <CardHeader className="pb-3">
+        <div className="flex items-start justify-between gap-4">
+          <div className="space-y-1">
+            <CardTitle className="text-base">
+              <Link to={`/orders/${order.id}`} className="hover:underline">
+                Order #{order.id.substring(0, 8)}
+              </Link>
+              {order.pickup_number && <span className="text-muted-foreground"> · {pickupLabel(order)}</span>}
+            </CardTitle>
+            <p className="text-sm text-muted-foreground">
+              {format(new Date(order.created_at), 'PPp')} ·{' '}
+              {order.order_items.map((item) => `${item.quantity}x ${item.menu_items.name}`).join(', ')}
+            </p>
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <Badge variant={isOpen(order) ? 'default' : 'outline'}>{ORDER_STATUS_LABELS[order.status]}</Badge>
+            <span className="text-sm font-medium">${order.total_amount.toFixed(2)}</span>
+          </div>
+        </div>
+      </CardHeader>
+      {isOpen(order) && (
+        <CardContent>
+          <OrderTracker order={order} />
+        </CardContent>
+      )}
+    </Card>
+  );
+
+  return (
+    <div className="mx-auto max-w-2xl space-y-6">
+      <h2 className="text-2xl font-bold">My Orders</h2>
+      {openOrders.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="font-semibold">In progress</h3>
+          {openOrders.map(renderOrder)}
+        </div>
+      )}
+      {pastOrders.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="font-semibold">Past orders</h3>
+          {pastOrders.map(renderOrder)}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,230 @@
+import { useEffect, useState } from 'react';
+import { z } from 'zod';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { WalletStatement } from '@/components/wallet/WalletStatement';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { canteenDate, canteenDayRange } from '@/lib/canteen-time';
+import { spentToday, walletLimitsSchema } from '@/lib/wallets';
+
+const limitValue = (text) => (text === '' ? null : Number(text));
+
+export const StoreWalletSection = () => {
+  const { user } = useAuth();
+  const [wallets, setWallets] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [todaysEntries, setTodaysEntries] = useState([]);
+  const [spendLimit, setSpendLimit] = useState('');
+  const [dailyCap, setDailyCap] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchWallets = async () => {
+      try {
+        // Credits this month's allowance if it hasn't been yet.
+        const { error: allowanceError } = await supabase.rpc('credit_monthly_allowances');
+        if (allowanceError) throw allowanceError;
+
+        const { data, error } = await supabase
+          .from('wallets')
+          .select('*, holder:profiles!profile_id (full_name)')
+          .or(`profile_id.eq.${user.id},sponsor_id.eq.${user.id}`);
+
+        if (error) throw error;
+
+        // The customer's own wallet first, then those they sponsor.
+        const nameOf = (row) => row.holder?.full_name ?? '';
+        const sorted = [
+          ...(data || []).filter((row) => row.profile_id === user.id),
+          ...(data || []).filter((row) => row.profile_id !== user.id).sort((a, b) => nameOf(a).localeCompare(nameOf(b))),
+        ];
+        setWallets(sorted);
+        setSelectedId((current) => current ?? sorted[0]?.profile_id ?? user.id);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load your wallet',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchWallets();
+  }, [user.id, refreshKey]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const fetchToday = async () => {
+      const { data, error } = await supabase
+        .from('wallet_transactions')
+        .select('kind, amount, order_id, created_at')
+        .eq('profile_id', selectedId)
+        .in('kind', ['order', 'refund'])
+        .gte('created_at', canteenDayRange(canteenDate()).from);
+
+      if (!error) setTodaysEntries(data || []);
+    };
+
+    fetchToday();
+  }, [selectedId, refreshKey]);
+
+  const wallet = wallets.find((row) => row.profile_id === selectedId);
+  const sponsoring = wallet?.sponsor_id === user.id;
+
+  useEffect(() => {
+    setSpendLimit(wallet?.spend_limit?.toString() ?? '');
+    setDailyCap(wallet?.daily_cap?.toString() ?? '');
+  }, [wallet?.spend_limit, wallet?.daily_cap]);
+
+  const handleSaveLimits = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const values = walletLimitsSchema.parse({ spend_limit: limitValue(spendLimit), daily_cap: limitValue(dailyCap) });
+      const { error } = await supabase.rpc('set_wallet_limits', {
+        p_profile_id: wallet.profile_id,
+        p_spend_limit: values.spend_limit,
+        p_daily_cap: values.daily_cap,
+      });
+
+      if (error) throw error;
+
+      toast({
+        title: 'Limits Saved',
+        description: `New limits apply to ${wallet.holder?.full_name ?? 'this wallet'} from the next order`,
+      });
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Error',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message || 'Failed to save the limits',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const spent = spentToday(todaysEntries);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <h2 className="text-2xl font-bold">Wallet</h2>
+        {wallets.length > 1 && (
+          <div className="w-64 space-y-2">
+            <Label htmlFor="wallet-holder">Wallet</Label>
+            <Select value={selectedId} onValueChange={setSelectedId}>
+              <SelectTrigger id="wallet-holder">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {wallets.map((row) => (
+                  <SelectItem key={row.profile_id} value={row.profile_id}>
+                    {row.profile_id === user.id ? 'My wallet' : `${row.holder?.full_name} (sponsored)`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Balance</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-4xl font-bold text-primary">${(wallet?.balance ?? 0).toFixed(2)}</p>
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-muted-foreground">Spent Today</p>
+                <p className="font-medium">
+                  ${spent.toFixed(2)}
+                  {wallet?.daily_cap != null && ` of $${wallet.daily_cap.toFixed(2)}`}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Per-Order Limit</p>
+                <p className="font-medium">{wallet?.spend_limit != null ? `$${wallet.spend_limit.toFixed(2)}` : 'None'}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Monthly Allowance</p>
+                <p className="font-medium">{wallet?.monthly_allowance ? `$${wallet.monthly_allowance.toFixed(2)}` : 'None'}</p>
+              </div>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Top up with cash, M-Pesa or a meal card at the counter, then choose Wallet at checkout.
+            </p>
+          </CardContent>
+        </Card>
+
+        {sponsoring && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Spending Limits</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                As sponsor you decide how much {wallet.holder?.full_name} can spend. Leave a limit blank for none.
+              </p>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleSaveLimits} className="space-y-4">
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="spend-limit">Per-Order Limit</Label>
+                    <Input
+                      id="spend-limit"
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={spendLimit}
+                      onChange={(e) => setSpendLimit(e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="daily-cap">Daily Cap</Label>
+                    <Input
+                      id="daily-cap"
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={dailyCap}
+                      onChange={(e) => setDailyCap(e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end">
+                  <Button type="submit" disabled={saving}>
+                    Save Limits
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      {selectedId && <WalletStatement profileId={selectedId} refreshKey={refreshKey} />}
+    </div>
+  );
+};
@@ -0,0 +1,66 @@
+import * as ToastPrimitives from '@radix-ui/react-toast';
+import { cva } from 'class-variance-authority';
+import { X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+const toastVariants = cva(
+  'group pointer-events-auto relative flex w-full items-center justify-between space-x-4 overflow-hidden rounded-md border p-6 pr-8 shadow-lg transition-all',
+  {
+    variants: {
+      variant: {
+        default: 'border bg-background text-foreground',
+        destructive: 'destructive group border-destructive bg-destructive text-destructive-foreground',
+      },
+    },
+    defaultVariants: {
+      variant: 'default',
+    },
+  }
+);
+
+export const ToastProvider = ToastPrimitives.Provider;
+
+export const ToastViewport = ({ className, ...props }) => (
+  <ToastPrimitives.Viewport
+    className={cn(
+      'fixed top-0 z-[100] flex max-h-screen w-full flex-col-reverse p-4 sm:bottom-0 sm:right-0 sm:top-auto sm:flex-col md:max-w-[420px]',
+      className
+    )}
+    {...props}
+  />
+);
+
+export const Toast = ({ className, variant, ...props }) => (
+  <ToastPrimitives.Root className={cn(toastVariants({ variant }), className)} {...props} />
+);
+
+export const ToastAction = ({ className, ...props }) => (
+  <ToastPrimitives.Action
+    className={cn(
+      'inline-flex h-8 shrink-0 items-center justify-center rounded-md border bg-transparent px-3 text-sm font-medium transition-colors hover:bg-secondary focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 group-[.destructive]:border-muted/40',
+      className
+    )}
+    {...props}
+  />
+);
+
+export const ToastClose = ({ className, ...props }) => (
+  <ToastPrimitives.Close
+    className={cn(
+      'absolute right-2 top-2 rounded-md p-1 text-foreground/50 opacity-0 transition-opacity hover:text-foreground focus:opacity-100 focus:outline-none group-hover:opacity-100',
+      className
+    )}
+    toast-close=""
+    {...props}
+  >
+    <X className="h-4 w-4" />
+  </ToastPrimitives.Close>
+);
+
+export const ToastTitle = ({ className, ...props }) => (
+  <ToastPrimitives.Title className={cn('text-sm font-semibold', className)} {...props} />
+);
+
+export const ToastDescription = ({ className, ...props }) => (
+  <ToastPrimitives.Description className={cn('text-sm opacity-90', className)} {...props} />
+);
@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+import { canteenDate, canteenMonthRange } from '@/lib/canteen-time';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { statementSummary, WALLET_TRANSACTION_LABELS } from '@/lib/wallets';
+
+const thisMonth = () => canteenDate().slice(0, 7);
+
+const signedMoney = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+
+// One month of a wallet's ledger with its opening and closing balance, shown
+// to the holder, their sponsor and staff. `refreshKey` reloads it after the
+// balance changes elsewhere on the page.
+export const WalletStatement = ({ profileId, refreshKey = 0 }) => {
+  const [month, setMonth] = useState(thisMonth);
+  const [transactions, setTransactions] = useState([]);
+  const [previous, setPrevious] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchStatement = async () => {
+      setLoading(true);
+      const { from, to } = canteenMonthRange(month);
+
+      try {
+        const [transactionsResponse, previousResponse] = await Promise.all([
+          supabase
+            .from('wallet_transactions')
+            .select('*, created_by_profile:profiles!created_by (full_name)')
+            .eq('profile_id', profileId)
+            .gte('created_at', from)
+            .lt('created_at', to)
+            .order('created_at', { ascending: false }),
+          supabase
+            .from('wallet_transactions')
+            .select('balance_after')
+            .eq('profile_id', profileId)
+            .lt('created_at', from)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle(),
+        ]);
+
+        if (transactionsResponse.error) throw transactionsResponse.error;
+        if (previousResponse.error) throw previousResponse.error;
+
+        setTransactions(transactionsResponse.data || []);
+        setPrevious(previousResponse.data);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load the statement',
+          variant: 'destructive',
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatement();
+  }, [profileId, month, refreshKey]);
+
+  const summary = statementSummary(transactions, previous);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-end justify-between gap-4 space-y-0">
+        <CardTitle>Statement</CardTitle>
+        <div className="space-y-2">
+          <Label htmlFor={`statement-month-${profileId}`}>Month</Label>
+          <Input
+            id={`statement-month-${profileId}`}
+            type="month"
+            value={month}
+            max={thisMonth()}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+          />
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent"></div>
+          </div>
+        ) : (
+          <>
+            <div className="grid gap-4 text-sm sm:grid-cols-4">
+              <div>
+                <p className="text-muted-foreground">Opening Balance</p>
+                <p className="text-lg font-semibold">${summary.opening.toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Money In</p>
+                <p className="text-lg font-semibold text-green-700">${summary.credits.toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Money Out</p>
+                <p className="text-lg font-semibold">${summary.debits.toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Closing Balance</p>
+                <p className="text-lg font-semibold">${summary.closing.toFixed(2)}</p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 font-medium">Date</th>
+                    <th className="py-2 font-medium">Details</th>
+                    <th className="py-2 text-right font-medium">Amount</th>
+                    <th className="py-2 text-right font-medium">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {transactions.map((entry) => (
+                    <tr key={entry.id} className="border-b last:border-0">
+                      <td className="py-2 whitespace-nowrap">{format(new Date(entry.created_at), 'PPp')}</td>
+                      <td className="py-2">
+                        {WALLET_TRANSACTION_LABELS[entry.kind] ?? entry.kind}
+                        {entry.method && ` · ${PAYMENT_METHOD_LABELS[entry.method] ?? entry.method}`}
+                        <span className="block text-muted-foreground">
+                          {entry.reason}
+                          {entry.created_by_profile && entry.kind !== 'order' && ` · by ${entry.created_by_profile.full_name}`}
+                        </span>
+                      </td>
+                      <td className={`py-2 text-right font-medium ${entry.amount > 0 ? 'text-green-700' : ''}`}>
+                        {signedMoney(entry.amount)}
+                      </td>
+                      <td className="py-2 text-right">${entry.balance_after.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {transactions.length === 0 && (
+                <p className="py-6 text-center text-muted-foreground">Nothing in or out this month</p>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
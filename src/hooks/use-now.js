@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+/** Current time, refreshed every `intervalMs` so elapsed-time displays tick. */
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { endOfDay, startOfDay } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+import { toast } from '@/hooks/use-toast';
+
+const PAGE_SIZE = 20;
+
+export const ORDER_SELECT = `
+  *,
+  profiles (full_name, email),
+  order_items (
+    quantity,
+    price_at_time,
+    options,
+    menu_items (name)
+  ),
+  order_status_history (
+    id,
+    to_status,
+    created_at,
+    profiles (full_name)
+  ),
+  payments (*)
+`;
+
+// Timestamps are compared as dates: the database writes `+00:00` where
+// `toISOString()` writes `Z`, so the strings don't sort against each other.
+const timeOf = (value) => new Date(value).getTime();
+
+// Newest first, with the id breaking ties between orders placed at once.
+const newestFirst = (a, b) =>
+  timeOf(b.created_at) - timeOf(a.created_at) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+/**
+ * Paged, filtered list of orders kept current from the `orders` realtime
+ * channel. Change events are applied to local state one order at a time: only
+ * the affected order is re-fetched (for its joins), never the whole table.
+ * Pages are keyed on `(created_at, id)` so rows arriving in realtime don't
+ * shift the window the next page is read from, and orders sharing a
+ * timestamp are neither skipped nor repeated at a page boundary. The cursor
+ * is the last loaded row's `created_at` exactly as the server returned it.
+ *
+ * `status` is an order status or 'all'; `from`/`to` are `yyyy-MM-dd` strings
+ * (inclusive) or empty.
+ */
+export function useOrderFeed({ status, from, to }) {
+  const [orders, setOrders] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const ordersRef = useRef(orders);
+  ordersRef.current = orders;
+
+  const fromIso = from ? startOfDay(new Date(`${from}T00:00`)).toISOString() : null;
+  const toIso = to ? endOfDay(new Date(`${to}T00:00`)).toISOString() : null;
+
+  const matches = useCallback(
+    (order) =>
+      (status === 'all' || order.status === status) &&
+      (!fromIso || timeOf(order.created_at) >= timeOf(fromIso)) &&
+      (!toIso || timeOf(order.created_at) <= timeOf(toIso)),
+    [status, fromIso, toIso]
+  );
+
+  const fetchPage = useCallback(
+    async (after) => {
+      let query = supabase
+        .from('orders')
+        .select(ORDER_SELECT, { count: after ? undefined : 'exact' })
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(PAGE_SIZE);
+
+      if (status !== 'all') query = query.eq('status', status);
+      if (fromIso) query = query.gte('created_at', fromIso);
+      if (toIso) query = query.lte('created_at', toIso);
+      // Everything after the last order already loaded.
+      if (after) {
+        query = query.or(
+          `created_at.lt."${after.created_at}",and(created_at.eq."${after.created_at}",id.lt.${after.id})`
+        );
+      }
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+      return { data: data || [], count };
+    },
+    [status, fromIso, toIso]
+  );
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchFirstPage = async () => {
+      setLoading(true);
+      try {
+        const { data, count } = await fetchPage(null);
+        if (ignore) return;
+        setOrders(data);
+        setTotalCount(count ?? data.length);
+        setHasMore(data.length === PAGE_SIZE);
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load orders',
+          variant: 'destructive',
+        });
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+
+    fetchFirstPage();
+
+    return () => {
+      ignore = true;
+    };
+  }, [fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    const current = ordersRef.current;
+    if (loadingMore || !hasMore || current.length === 0) return;
+
+    setLoadingMore(true);
+    try {
+      const { data } = await fetchPage(current[current.length - 1]);
+      setOrders((existing) => {
+        const seen = new Set(existing.map((order) => order.id));
+        return [...existing, ...data.filter((order) => !seen.has(order.id))];
+      });
+      setHasMore(data.length === PAGE_SIZE);
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to load more orders',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchPage, hasMore, loadingMore]);
+
+  /** Puts a freshly fetched order into the list, or drops it if it no longer matches. */
+  const upsertOrder = useCallback(
+    (order) => {
+      const current = ordersRef.current;
+      const exists = current.some((existing) => existing.id === order.id);
+      const oldest = current[current.length - 1];
+      // Older than the loaded window: it will arrive with a later page.
+      const beyondWindow = !exists && hasMore && oldest && newestFirst(order, oldest) > 0;
+
+      if (!matches(order)) {
+        setOrders((list) => list.filter((existing) => existing.id !== order.id));
+        return;
+      }
+
+      if (beyondWindow) return;
+      setOrders((list) => [...list.filter((existing) => existing.id !== order.id), order].sort(newestFirst));
+    },
+    [matches, hasMore]
+  );
+
+  const removeOrder = useCallback((orderId) => {
+    setOrders((list) => list.filter((order) => order.id !== orderId));
+  }, []);
+
+  // The subscription lives for the whole mount; it reads the latest filters
+  // through this ref instead of resubscribing (and missing events) on change.
+  const handlersRef = useRef(null);
+  handlersRef.current = { matches, upsertOrder, removeOrder };
+
+  useEffect(() => {
+    const fetchOrder = async (orderId) => {
+      const { data, error } = await supabase
+        .from('orders')
+        .select(ORDER_SELECT)
+        .eq('id', orderId)
+        .maybeSingle();
+      return error ? null : data;
+    };
+
+    const channel = supabase
+      .channel('admin-orders-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'orders',
+        },
+        async (payload) => {
+          const { matches, upsertOrder, removeOrder } = handlersRef.current;
+
+          // The total only moves when a change takes an order into or out of
+          // the filter, loaded or not. With the table's replica identity full,
+          // updates carry the whole old row; Supabase still trims the old row
+          // of a delete on an RLS table to its id, so deletes go by whether
+          // the order was listed.
+          const before = payload.old;
+          const wasIn =
+            payload.eventType === 'UPDATE'
+              ? matches(before)
+              : payload.eventType === 'DELETE' && ordersRef.current.some((order) => order.id === before.id);
+          const isIn = payload.eventType !== 'DELETE' && matches(payload.new);
+          if (wasIn !== isIn) setTotalCount((count) => count + (isIn ? 1 : -1));
+
+          if (payload.eventType === 'DELETE') {
+            removeOrder(payload.old.id);
+            return;
+          }
+
+          const changed = payload.new;
+          if (!matches(changed)) {
+            removeOrder(changed.id);
+            return;
+          }
+
+          // Same statuses as we already show: the row's own columns are enough.
+          // New rows and status or payment changes need the joins (items,
+          // history, payments).
+          const existing = ordersRef.current.find((order) => order.id === changed.id);
+          if (existing && existing.status === changed.status && existing.payment_status === changed.payment_status) {
+            setOrders((list) => list.map((order) => (order.id === changed.id ? { ...order, ...changed } : order)));
+            return;
+          }
+
+          const order = await fetchOrder(changed.id);
+          if (order) upsertOrder(order);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  return { orders, totalCount, hasMore, loading, loadingMore, loadMore, upsertOrder };
+}
@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { toast } from '@/hooks/use-toast';
+import { showSystemNotification } from '@/lib/push';
+
+/**
+ * A customer's in-app order notifications, as they are logged. Each one is
+ * toasted, and also shown as a system notification when the store is open in
+ * a background tab.
+ */
+export function useOrderNotifications({ userId }) {
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const channel = supabase
+      .channel(`order-notifications-${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'customer_notifications',
+          filter: `profile_id=eq.${userId}`,
+        },
+        (payload) => {
+          const notification = payload.new;
+          if (notification.channel !== 'in_app') return;
+
+          toast({ title: notification.title, description: notification.body });
+          if (document.visibilityState === 'hidden') {
+            showSystemNotification(notification).catch(() => {
+              // The toast is still there when they come back.
+            });
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [userId]);
+}
@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+import { PAPER_WIDTHS } from '@/lib/receipts';
+
+const STORAGE_KEY = 'canteen-print-settings';
+
+const DEFAULT_SETTINGS = { paperWidth: 80, autoPrintTickets: false };
+
+const loadSettings = () => {
+  try {
+    const saved = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    return PAPER_WIDTHS.includes(saved.paperWidth) ? saved : { ...saved, paperWidth: DEFAULT_SETTINGS.paperWidth };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+/**
+ * This device's receipt printer: the roll width and whether kitchen tickets
+ * print on their own. Kept in localStorage because it belongs to the
+ * terminal the printer is plugged into, not to whoever is signed in.
+ */
+export function usePrintSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => setSettings((current) => ({ ...current, ...changes })), []);
+
+  return [settings, updateSettings];
+}
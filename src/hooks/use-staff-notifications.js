@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useState } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { toast } from '@/hooks/use-toast';
+
+const RECENT_LIMIT = 30;
+
+/**
+ * Stock notifications for staff who look after inventory. Keeps the most
+ * recent ones current from the realtime channel, toasts new arrivals and asks
+ * for the day's digest on first load (a no-op once it exists). Forwarding
+ * them by email or SMS happens on the server.
+ */
+export function useStaffNotifications({ enabled, userId }) {
+  const [notifications, setNotifications] = useState([]);
+
+  const load = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('staff_notifications')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(RECENT_LIMIT);
+    if (!error) setNotifications(data || []);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    (async () => {
+      await supabase.rpc('ensure_daily_stock_digest');
+      await load();
+    })();
+
+    const channel = supabase
+      .channel('staff-notifications')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'staff_notifications',
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            toast({ title: payload.new.title, description: payload.new.body });
+          }
+          load();
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [enabled, load]);
+
+  const markRead = useCallback(
+    async (ids) => {
+      if (!ids.length) return;
+      const { error } = await supabase
+        .from('staff_notifications')
+        .update({ read_at: new Date().toISOString(), read_by: userId })
+        .in('id', ids);
+      if (error) {
+        toast({
+          title: 'Error',
+          description: 'Failed to update notifications',
+          variant: 'destructive',
+        });
+      }
+    },
+    [userId]
+  );
+
+  return {
+    notifications,
+    unreadCount: notifications.filter((notification) => !notification.read_at).length,
+    markRead,
+  };
+}
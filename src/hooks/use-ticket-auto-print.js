@@ -0,0 +1,72 @@
+import { useEffect, useRef } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { kitchenTicketHtml, printHtml } from '@/lib/receipts';
+
+const TICKET_SELECT = `
+  id,
+  status,
+  notes,
+  created_at,
+  pickup_number,
+  profiles (full_name),
+  order_items (
+    quantity,
+    options,
+    menu_items (name)
+  )
+`;
+
+/**
+ * Prints a kitchen ticket whenever an order moves to `preparing`, on its own
+ * channel so it works on any screen. Orders already preparing when printing
+ * is switched on are left alone, and each order prints once per session
+ * however often its row changes afterwards; reprints are done by hand.
+ */
+export function useTicketAutoPrint({ enabled, paperWidth }) {
+  const paperWidthRef = useRef(paperWidth);
+  paperWidthRef.current = paperWidth;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let active = true;
+    const printed = new Set();
+
+    const skipCurrent = async () => {
+      const { data } = await supabase.from('orders').select('id').eq('status', 'preparing');
+      (data ?? []).forEach((order) => printed.add(order.id));
+    };
+
+    const printTicket = async (orderId) => {
+      const { data, error } = await supabase.from('orders').select(TICKET_SELECT).eq('id', orderId).maybeSingle();
+      if (!active || error || !data) return;
+      await printHtml(kitchenTicketHtml(data, { paperWidth: paperWidthRef.current }));
+    };
+
+    const ready = skipCurrent();
+
+    const channel = supabase
+      .channel('kitchen-ticket-printing')
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'orders',
+        },
+        async (payload) => {
+          await ready;
+          const order = payload.new;
+          if (order.status !== 'preparing' || printed.has(order.id)) return;
+          printed.add(order.id);
+          printTicket(order.id);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      active = false;
+      supabase.removeChannel(channel);
+    };
+  }, [enabled]);
+}
@@ -0,0 +1,99 @@
+import { useEffect, useState } from 'react';
+
+const TOAST_LIMIT = 3;
+const TOAST_REMOVE_DELAY = 1000;
+
+let count = 0;
+let memoryState = { toasts: [] };
+const listeners = [];
+const removeTimeouts = new Map();
+
+function genId() {
+  count = (count + 1) % Number.MAX_SAFE_INTEGER;
+  return count.toString();
+}
+
+function reducer(state, action) {
+  switch (action.type) {
+    case 'ADD_TOAST':
+      return { toasts: [action.toast, ...state.toasts].slice(0, TOAST_LIMIT) };
+    case 'UPDATE_TOAST':
+      return {
+        toasts: state.toasts.map((t) => (t.id === action.toast.id ? { ...t, ...action.toast } : t)),
+      };
+    case 'DISMISS_TOAST':
+      return {
+        toasts: state.toasts.map((t) =>
+          action.toastId === undefined || t.id === action.toastId ? { ...t, open: false } : t
+        ),
+      };
+    case 'REMOVE_TOAST':
+      return {
+        toasts:
+          action.toastId === undefined ? [] : state.toasts.filter((t) => t.id !== action.toastId),
+      };
+    default:
+      return state;
+  }
+}
+
+function dispatch(action) {
+  memoryState = reducer(memoryState, action);
+  listeners.forEach((listener) => listener(memoryState));
+}
+
+// Radix keeps the toast mounted while its close animation runs, so removal
+// from state is deferred until after the toast has been dismissed.
+function scheduleRemoval(toastId) {
+  if (removeTimeouts.has(toastId)) return;
+
+  const timeout = setTimeout(() => {
+    removeTimeouts.delete(toastId);
+    dispatch({ type: 'REMOVE_TOAST', toastId });
+  }, TOAST_REMOVE_DELAY);
+
+  removeTimeouts.set(toastId, timeout);
+}
+
+function dismiss(toastId) {
+  if (toastId === undefined) {
+    memoryState.toasts.forEach((t) => scheduleRemoval(t.id));
+  } else {
+    scheduleRemoval(toastId);
+  }
+  dispatch({ type: 'DISMISS_TOAST', toastId });
+}
+
+export function toast(props) {
+  const id = genId();
+
+  const update = (next) => dispatch({ type: 'UPDATE_TOAST', toast: { ...next, id } });
+
+  dispatch({
+    type: 'ADD_TOAST',
+    toast: {
+      ...props,
+      id,
+      open: true,
+      onOpenChange: (open) => {
+        if (!open) dismiss(id);
+      },
+    },
+  });
+
+  return { id, dismiss: () => dismiss(id), update };
+}
+
+export function useToast() {
+  const [state, setState] = useState(memoryState);
+
+  useEffect(() => {
+    listeners.push(setState);
+    return () => {
+      const index = listeners.indexOf(setState);
+      if (index > -1) listeners.splice(index, 1);
+    };
+  }, []);
+
+  return { ...state, toast, dismiss };
+}
@@ -0,0 +1,27 @@
+import { createClient } from '@supabase/supabase-js';
+import { createMockClient } from './mock/client';
+
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+// Set VITE_USE_MOCK_BACKEND=true to run against seeded in-memory data with no
+// network or Supabase project.
+export const isMockBackend = import.meta.env.VITE_USE_MOCK_BACKEND === 'true';
+
+const createSupabaseClient = () => {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error(
+      'Missing Supabase configuration: set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY (see .env.example)'
+    );
+  }
+
+  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: {
+      storage: localStorage,
+      persistSession: true,
+      autoRefreshToken: true,
+    },
+  });
+};
+
+export const supabase = isMockBackend ? createMockClient() : createSupabaseClient();
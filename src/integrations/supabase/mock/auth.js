@@ -0,0 +1,116 @@
+import { SEED_PASSWORD } from './seed';
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+const authError = (message, status = 400) => ({ name: 'AuthApiError', message, status });
+
+/**
+ * Stand-in for `supabase.auth` with email/password accounts. Seeded profiles
+ * sign in with SEED_PASSWORD; sign-ups create a `customer` profile the same
+ * way the `handle_new_user` trigger does in Postgres.
+ */
+export class MockAuth {
+  constructor(db, { storageKey = 'canteen-mock-auth' } = {}) {
+    this.db = db;
+    this.storageKey = storageKey;
+    this.listeners = new Set();
+    this.credentials = this.read('credentials') ?? {};
+    this.userId = this.read('session');
+  }
+
+  read(key) {
+    if (!hasStorage()) return null;
+    try {
+      return JSON.parse(localStorage.getItem(`${this.storageKey}-${key}`));
+    } catch {
+      return null;
+    }
+  }
+
+  write(key, value) {
+    if (hasStorage()) {
+      localStorage.setItem(`${this.storageKey}-${key}`, JSON.stringify(value));
+    }
+  }
+
+  passwordFor(profile) {
+    return this.credentials[profile.email] ?? SEED_PASSWORD;
+  }
+
+  currentUser() {
+    if (!this.userId) return null;
+    const profile = this.db.rows('profiles').find((row) => row.id === this.userId);
+    return profile
+      ? { id: profile.id, email: profile.email, user_metadata: { full_name: profile.full_name } }
+      : null;
+  }
+
+  currentSession() {
+    const user = this.currentUser();
+    return user ? { user, access_token: `mock-token-${user.id}` } : null;
+  }
+
+  setSession(userId, event) {
+    this.userId = userId;
+    this.write('session', userId);
+    const session = this.currentSession();
+    this.listeners.forEach((callback) => callback(event, session));
+    return session;
+  }
+
+  async getUser() {
+    return { data: { user: this.currentUser() }, error: null };
+  }
+
+  async getSession() {
+    return { data: { session: this.currentSession() }, error: null };
+  }
+
+  async signInWithPassword({ email, password }) {
+    const profile = this.db.rows('profiles').find((row) => row.email === email?.trim().toLowerCase());
+    if (!profile || this.passwordFor(profile) !== password) {
+      return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+    }
+    const session = this.setSession(profile.id, 'SIGNED_IN');
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  async signUp({ email, password, options = {} }) {
+    const normalized = email?.trim().toLowerCase();
+    if (!normalized || !password) {
+      return { data: { user: null, session: null }, error: authError('Email and password are required') };
+    }
+    if (password.length < 6) {
+      return { data: { user: null, session: null }, error: authError('Password should be at least 6 characters', 422) };
+    }
+    if (this.db.rows('profiles').some((row) => row.email === normalized)) {
+      return { data: { user: null, session: null }, error: authError('User already registered', 422) };
+    }
+
+    const [profile] = this.db.insert('profiles', [
+      { email: normalized, full_name: options.data?.full_name ?? null, role: 'customer' },
+    ]);
+    this.credentials[normalized] = password;
+    this.write('credentials', this.credentials);
+
+    const session = this.setSession(profile.id, 'SIGNED_IN');
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  async signOut() {
+    this.setSession(null, 'SIGNED_OUT');
+    return { error: null };
+  }
+
+  onAuthStateChange(callback) {
+    this.listeners.add(callback);
+    setTimeout(() => callback('INITIAL_SESSION', this.currentSession()), 0);
+    return {
+      data: {
+        subscription: {
+          unsubscribe: () => this.listeners.delete(callback),
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,61 @@
+import { MockAuth } from './auth';
+import { MockDatabase } from './database';
+import { roleOf } from './policies';
+import { MockQueryBuilder } from './query';
+import { MockRealtimeChannel } from './realtime';
+import { rpcHandlers } from './rpc';
+import { MockStorage } from './storage';
+
+/**
+ * Builds an object with the subset of the Supabase client API the app uses,
+ * backed by an in-memory database seeded with fixtures instead of the network.
+ */
+export function createMockClient(options) {
+  const db = new MockDatabase(options);
+  const auth = new MockAuth(db);
+  db.context = () => {
+    const user = auth.currentUser();
+    return { db, user, role: roleOf(db, user) };
+  };
+  const channels = new Set();
+
+  return {
+    auth,
+
+    storage: new MockStorage(db),
+
+    from: (table) => new MockQueryBuilder(db, table),
+
+    rpc: async (name, params = {}) => {
+      const handler = rpcHandlers[name];
+      if (!handler) {
+        return {
+          data: null,
+          error: { message: `Could not find the function public.${name} in the schema cache`, code: 'PGRST202' },
+        };
+      }
+      try {
+        const data = db.transaction(() => handler(db, params, db.context()));
+        return { data, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message, code: error.code ?? 'P0001' } };
+      }
+    },
+
+    channel: (name) => {
+      const channel = new MockRealtimeChannel(db, name);
+      channels.add(channel);
+      return channel;
+    },
+
+    removeChannel: async (channel) => {
+      channels.delete(channel);
+      return channel.unsubscribeChannel();
+    },
+
+    getChannels: () => [...channels],
+
+    /** Mock-only helper that restores the seed fixtures. */
+    resetMockData: () => db.reset(),
+  };
+}
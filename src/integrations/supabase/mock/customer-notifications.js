@@ -0,0 +1,32 @@
+import { customerNotificationText, DEFAULT_NOTIFY_STATUSES } from '@/lib/customer-notifications';
+
+/**
+ * Mirror of the queue_customer_notifications trigger: logs the in-app
+ * notification for an order's new status, if its customer asked to hear
+ * about it, with push, SMS and email copies. The mock backend has no senders
+ * for those, so they are logged as skipped, as on a database where none are
+ * set up.
+ */
+export function queueCustomerNotifications(db, order) {
+  const prefs = db.rows('notification_preferences').find((row) => row.profile_id === order.user_id);
+  if (!(prefs?.statuses ?? DEFAULT_NOTIFY_STATUSES).includes(order.status)) return;
+
+  const { title, body } = customerNotificationText(order, order.status);
+  const base = { profile_id: order.user_id, order_id: order.id, order_status: order.status, title, body };
+  const email = db.rows('profiles').find((profile) => profile.id === order.user_id)?.email;
+  const unsent = (channel) => ({ ...base, channel, state: 'skipped', error: `No ${channel} channel is set up` });
+
+  db.insert('customer_notifications', [
+    { ...base, channel: 'in_app', state: 'sent', sent_at: new Date().toISOString() },
+    ...db
+      .rows('push_subscriptions')
+      .filter((subscription) => subscription.profile_id === order.user_id)
+      .map((subscription) => ({
+        ...unsent('push'),
+        recipient: subscription.endpoint,
+        push_subscription_id: subscription.id,
+      })),
+    ...(prefs?.sms_enabled ? [{ ...unsent('sms'), recipient: prefs.phone }] : []),
+    ...(prefs?.email_enabled && email ? [{ ...unsent('email'), recipient: email }] : []),
+  ]);
+}
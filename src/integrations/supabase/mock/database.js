@@ -0,0 +1,227 @@
+import { MockDatabaseError } from './errors';
+import { schema } from './schema';
+import { createSeedData } from './seed';
+import { triggers } from './triggers';
+
+const clone = (value) => structuredClone(value);
+
+const hasStorage = () => typeof localStorage !== 'undefined';
+
+/**
+ * In-memory table store behind the mock Supabase client. When running in a
+ * browser the tables are persisted to localStorage and every change is
+ * broadcast to other tabs, so a second window (e.g. the storefront next to the
+ * admin screen) sees the same data and receives the same realtime events.
+ */
+export class MockDatabase {
+  constructor({ storageKey = 'canteen-mock-db' } = {}) {
+    this.storageKey = storageKey;
+    this.listeners = new Set();
+    this.pending = null;
+    // Replaced by the client so triggers can see who is signed in.
+    this.context = () => ({ db: this, user: null, role: null });
+    this.tables = this.load() ?? this.seed();
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.broadcast = new BroadcastChannel(storageKey);
+      this.broadcast.unref?.();
+      this.broadcast.onmessage = ({ data: change }) => {
+        this.tables = this.load() ?? this.tables;
+        this.notify(change);
+      };
+    }
+  }
+
+  load() {
+    if (!hasStorage()) return null;
+    const raw = localStorage.getItem(this.storageKey);
+    if (!raw) return null;
+    try {
+      return { ...this.emptyTables(), ...JSON.parse(raw) };
+    } catch {
+      return null;
+    }
+  }
+
+  persist() {
+    if (hasStorage()) {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.tables));
+    }
+  }
+
+  emptyTables() {
+    return Object.fromEntries(Object.keys(schema).map((table) => [table, []]));
+  }
+
+  seed() {
+    const tables = { ...this.emptyTables(), ...clone(createSeedData()) };
+    this.tables = tables;
+    this.persist();
+    return tables;
+  }
+
+  /** Drops every change and restores the seed fixtures. */
+  reset() {
+    this.seed();
+  }
+
+  table(name) {
+    if (!this.tables[name]) {
+      throw new MockDatabaseError(`relation "public.${name}" does not exist`, '42P01');
+    }
+    return this.tables[name];
+  }
+
+  rows(name) {
+    return this.table(name).map(clone);
+  }
+
+  insert(name, values) {
+    const table = this.table(name);
+    const now = new Date().toISOString();
+    const inserted = values.map((value) => ({
+      id: crypto.randomUUID(),
+      created_at: now,
+      updated_at: now,
+      ...schema[name].defaults(),
+      ...value,
+    }));
+
+    return this.transaction(() => {
+      inserted.forEach((row) => {
+        triggers[name]?.beforeInsert?.(row, this.context());
+        this.checkReferences(name, row);
+      });
+      table.push(...inserted);
+      this.commit(inserted.map((row) => ({ table: name, eventType: 'INSERT', new: row, old: {} })));
+      inserted.forEach((row) => triggers[name]?.afterInsert?.(row, this.context()));
+      return inserted.map(clone);
+    });
+  }
+
+  update(name, predicate, patch) {
+    const table = this.table(name);
+    const now = new Date().toISOString();
+    const changes = table.filter(predicate).map((row) => ({
+      table: name,
+      eventType: 'UPDATE',
+      new: { ...row, ...('updated_at' in row ? { updated_at: now } : {}), ...patch },
+      old: row,
+    }));
+
+    return this.transaction(() => {
+      changes.forEach((change) => {
+        triggers[name]?.beforeUpdate?.(change.old, change.new, this.context());
+        this.checkReferences(name, change.new);
+      });
+      changes.forEach((change) => {
+        table[table.indexOf(change.old)] = change.new;
+      });
+      this.commit(changes);
+      changes.forEach((change) => triggers[name]?.afterUpdate?.(change.old, change.new, this.context()));
+      return changes.map((change) => clone(change.new));
+    });
+  }
+
+  delete(name, predicate) {
+    const table = this.table(name);
+    const removed = table.filter(predicate);
+
+    return this.transaction(() => {
+      removed.forEach((row) => this.deleteDependents(name, row));
+      removed.forEach((row) => this.checkReferencedBy(name, row));
+      this.tables[name] = this.tables[name].filter((row) => !removed.includes(row));
+      this.commit(removed.map((row) => ({ table: name, eventType: 'DELETE', new: {}, old: row })));
+      return removed.map(clone);
+    });
+  }
+
+  deleteDependents(name, row) {
+    Object.entries(schema).forEach(([source, { references, cascade = [], setNull = [] }]) => {
+      cascade
+        .filter((column) => references[column] === name)
+        .forEach((column) => this.delete(source, (candidate) => candidate[column] === row.id));
+      setNull
+        .filter((column) => references[column] === name)
+        .forEach((column) => this.update(source, (candidate) => candidate[column] === row.id, { [column]: null }));
+    });
+  }
+
+  checkReferences(name, row) {
+    Object.entries(schema[name].references).forEach(([column, target]) => {
+      if (row[column] == null) return;
+      if (!this.tables[target].some((candidate) => candidate.id === row[column])) {
+        throw new MockDatabaseError(
+          `insert or update on table "${name}" violates foreign key constraint "${name}_${column}_fkey"`,
+          '23503'
+        );
+      }
+    });
+  }
+
+  checkReferencedBy(name, row) {
+    Object.entries(schema).forEach(([source, { references }]) => {
+      Object.entries(references).forEach(([column, target]) => {
+        if (target !== name) return;
+        if (this.tables[source].some((candidate) => candidate[column] === row.id)) {
+          throw new MockDatabaseError(
+            `update or delete on table "${name}" violates foreign key constraint "${source}_${column}_fkey" on table "${source}"`,
+            '23503'
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Runs `fn` against the database atomically: if it throws, every table is
+   * restored and no change events are emitted. Used to back RPC functions.
+   */
+  transaction(fn) {
+    if (this.pending) return fn();
+
+    const snapshot = clone(this.tables);
+    this.pending = [];
+    try {
+      const result = fn();
+      const changes = this.pending;
+      this.pending = null;
+      this.commit(changes);
+      return result;
+    } catch (error) {
+      this.tables = snapshot;
+      this.pending = null;
+      throw error;
+    }
+  }
+
+  commit(changes) {
+    if (changes.length === 0) return;
+    if (this.pending) {
+      this.pending.push(...changes);
+      return;
+    }
+    this.persist();
+    changes.forEach((change) => {
+      this.notify(change);
+      this.broadcast?.postMessage(change);
+    });
+  }
+
+  notify(change) {
+    const payload = {
+      schema: 'public',
+      commit_timestamp: new Date().toISOString(),
+      errors: null,
+      ...clone(change),
+    };
+    // Realtime events arrive asynchronously from Supabase, so never call
+    // listeners in the middle of the mutation that produced them.
+    setTimeout(() => this.listeners.forEach((listener) => listener(payload)), 0);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
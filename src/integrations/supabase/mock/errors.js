@@ -0,0 +1,7 @@
+export class MockDatabaseError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MockDatabaseError';
+    this.code = code;
+  }
+}
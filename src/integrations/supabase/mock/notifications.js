@@ -0,0 +1,77 @@
+import { formatQuantity, isLowStock } from '@/lib/ingredients';
+import { needsReorder } from '@/lib/purchasing';
+
+// Mirrors of the staff notification helpers in supabase/migrations. Wording is
+// kept the same so both backends read alike.
+
+// How much of a low ingredient to order: enough to reach twice its low-stock
+// level, as suggested on purchase orders.
+const ingredientReorderQuantity = (ingredient) =>
+  Math.max(Math.round((ingredient.low_stock_threshold * 2 - Math.max(ingredient.stock_quantity, 0)) * 1000) / 1000, 1);
+
+export function notifyLowStock(db, item) {
+  db.insert('staff_notifications', [
+    {
+      kind: 'low_stock',
+      title: `${item.name} is running low`,
+      body: `${item.stock_quantity} left (reorder level ${item.reorder_level}). Suggested order: ${item.reorder_quantity}.`,
+      menu_item_id: item.id,
+    },
+  ]);
+}
+
+export function notifyLowIngredient(db, ingredient) {
+  db.insert('staff_notifications', [
+    {
+      kind: 'low_stock',
+      title: `${ingredient.name} is running low`,
+      body: `${formatQuantity(ingredient.stock_quantity, ingredient.unit)} left (low-stock level ${formatQuantity(
+        ingredient.low_stock_threshold,
+        ingredient.unit
+      )}). Suggested order: ${formatQuantity(ingredientReorderQuantity(ingredient), ingredient.unit)}.`,
+      ingredient_id: ingredient.id,
+    },
+  ]);
+}
+
+/**
+ * Mirror of `ensure_daily_stock_digest`: one digest per day listing everything
+ * at or below its reorder level with a suggested quantity. Returns the digest,
+ * or null when nothing is low.
+ */
+export function ensureDailyDigest(db) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const existing = db
+    .rows('staff_notifications')
+    .find((row) => row.kind === 'daily_digest' && new Date(row.created_at) >= today);
+  if (existing) return existing;
+
+  const lines = [
+    ...db
+      .rows('menu_items')
+      .filter((item) => !item.archived_at && needsReorder(item))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((item) => `${item.name}: ${item.stock_quantity} left, order ${item.reorder_quantity}`),
+    ...db
+      .rows('ingredients')
+      .filter(isLowStock)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(
+        (ingredient) =>
+          `${ingredient.name}: ${formatQuantity(ingredient.stock_quantity, ingredient.unit)} left, order ${formatQuantity(
+            ingredientReorderQuantity(ingredient),
+            ingredient.unit
+          )}`
+      ),
+  ];
+  if (!lines.length) return null;
+
+  return db.insert('staff_notifications', [
+    {
+      kind: 'daily_digest',
+      title: `Daily stock digest: ${lines.length} to reorder`,
+      body: lines.join('\n'),
+    },
+  ])[0];
+}
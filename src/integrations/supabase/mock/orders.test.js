@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { call, createTestClient, placeOrder, query, setStatus, signInAs } from './test-utils';
+
+describe('placing orders', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = createTestClient();
+    await signInAs(client, 'amina@students.test');
+  });
+
+  it('prices the lines from the menu and starts the order pending and unpaid', async () => {
+    const order = await placeOrder(client, [
+      ['item-water', 2],
+      ['item-samosa', 1],
+    ]);
+
+    expect(order).toMatchObject({ user_id: 'user-amina', status: 'pending', payment_status: 'unpaid', total_amount: 1.5 });
+    expect(order.pickup_number).toBeGreaterThan(0);
+
+    const items = await query(client.from('order_items').select('menu_item_id, quantity, price_at_time').eq('order_id', order.id));
+    expect(items).toHaveLength(2);
+    expect(items).toContainEqual({ menu_item_id: 'item-water', quantity: 2, price_at_time: 0.5 });
+  });
+
+  it('refuses items that are sold out or more than are in stock', async () => {
+    await expect(placeOrder(client, [['item-fish', 1]])).rejects.toThrow('Fried Tilapia is no longer available');
+    await expect(placeOrder(client, [['item-smokie', 5]])).rejects.toThrow('Only 4 Smokie Pasua left in stock');
+  });
+
+  it('only creates orders through place_order', async () => {
+    const { error } = await client
+      .from('orders')
+      .insert({ user_id: 'user-amina', total_amount: 0, payment_method: 'cash', status: 'pending' });
+
+    expect(error.message).toMatch(/row-level security/);
+  });
+});
+
+describe('serving windows', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const placeLunchAt = async (instant) => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(instant));
+    const client = createTestClient();
+    await signInAs(client, 'amina@students.test');
+    return placeOrder(client, [['item-pilau', 1]]);
+  };
+
+  it('takes orders for an item during its window on the canteen clock', async () => {
+    // 12:00 in Nairobi.
+    await expect(placeLunchAt('2026-10-19T09:00:00Z')).resolves.toMatchObject({ total_amount: 2.5 });
+  });
+
+  it('refuses an item outside its window', async () => {
+    // 16:00 in Nairobi, though still lunchtime in UTC.
+    await expect(placeLunchAt('2026-10-19T13:00:00Z')).rejects.toThrow('Beef Pilau is not being served right now');
+  });
+});
+
+describe('order status transitions', () => {
+  let client;
+  let order;
+
+  beforeEach(async () => {
+    client = createTestClient();
+    await signInAs(client, 'amina@students.test');
+    order = await placeOrder(client, [['item-water', 1]]);
+  });
+
+  it('moves an order through the kitchen to the counter and records each step', async () => {
+    await signInAs(client, 'kitchen@canteen.test');
+    await setStatus(client, order.id, 'preparing');
+    await setStatus(client, order.id, 'ready');
+    await signInAs(client, 'cashier@canteen.test');
+    const delivered = await setStatus(client, order.id, 'delivered');
+
+    expect(delivered.status).toBe('delivered');
+    const history = await query(
+      client.from('order_status_history').select('from_status, to_status').eq('order_id', order.id).order('created_at')
+    );
+    expect(history.map((entry) => entry.to_status)).toEqual(['pending', 'preparing', 'ready', 'delivered']);
+    expect(history[0].from_status).toBeNull();
+  });
+
+  it('refuses transitions the workflow does not allow', async () => {
+    await signInAs(client, 'admin@canteen.test');
+    await setStatus(client, order.id, 'cancelled');
+
+    await expect(setStatus(client, order.id, 'preparing')).rejects.toThrow(
+      'Cannot move an order from cancelled to preparing'
+    );
+  });
+
+  it('only lets each role make its own moves', async () => {
+    await signInAs(client, 'cashier@canteen.test');
+    await expect(setStatus(client, order.id, 'preparing')).rejects.toThrow('Your role cannot move orders to preparing');
+
+    await signInAs(client, 'kitchen@canteen.test');
+    await setStatus(client, order.id, 'preparing');
+    await setStatus(client, order.id, 'ready');
+    await expect(setStatus(client, order.id, 'delivered')).rejects.toThrow('Your role cannot move orders to delivered');
+  });
+
+  it('stops kitchen staff repricing an order', async () => {
+    await signInAs(client, 'kitchen@canteen.test');
+
+    await expect(
+      query(client.from('orders').update({ total_amount: 0 }).eq('id', order.id).select().single())
+    ).rejects.toThrow('Only administrators can change what an order costs or whose it is');
+  });
+
+  it('finds the order by its pickup number for the counter', async () => {
+    await signInAs(client, 'cashier@canteen.test');
+
+    expect(await call(client, 'find_pickup_order', { p_pickup_number: order.pickup_number })).toBe(order.id);
+  });
+});
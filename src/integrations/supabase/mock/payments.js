@@ -0,0 +1,105 @@
+import { paymentStatusOf, roundMoney } from '@/lib/payments';
+import { orderReference } from './stock';
+import { recordWalletTransaction } from './wallets';
+
+// Mirrors of the payment helpers in supabase/migrations.
+
+const paymentsOf = (db, orderId) => db.rows('payments').filter((payment) => payment.order_id === orderId);
+
+export function syncPaymentStatus(db, orderId) {
+  const order = db.rows('orders').find((row) => row.id === orderId);
+  if (!order) return;
+  const status = paymentStatusOf(order.total_amount, paymentsOf(db, orderId));
+  if (status !== order.payment_status) {
+    db.update('orders', (row) => row.id === orderId, { payment_status: status });
+  }
+}
+
+// What is left to refund of each succeeded payment once refunds already
+// issued against it (settled or still with the provider) are taken off.
+const refundablePayments = (db, orderId) => {
+  const payments = paymentsOf(db, orderId);
+  return payments
+    .filter((payment) => payment.kind === 'payment' && payment.status === 'succeeded')
+    .map((payment) => ({
+      payment,
+      remaining: roundMoney(
+        payment.amount -
+          payments
+            .filter((refund) => refund.refund_of === payment.id && refund.status !== 'failed')
+            .reduce((sum, refund) => sum + refund.amount, 0)
+      ),
+    }))
+    .filter(({ remaining }) => remaining > 0);
+};
+
+export const refundableAmount = (db, orderId) =>
+  roundMoney(refundablePayments(db, orderId).reduce((sum, { remaining }) => sum + remaining, 0));
+
+/**
+ * Mirror of `issue_refunds`: returns `amount` of an order's payments, newest
+ * payment first. Money taken at the counter is handed back there and then,
+ * and wallet payments go straight back into the wallet, so those refunds are
+ * settled at once; the rest wait for the provider.
+ */
+export function issueRefunds(db, { orderId, amount, reason, createdBy }) {
+  let left = roundMoney(amount);
+  const rows = [];
+  const newestFirst = refundablePayments(db, orderId).sort((a, b) => b.payment.created_at.localeCompare(a.payment.created_at));
+
+  for (const { payment, remaining } of newestFirst) {
+    if (left <= 0) break;
+    const share = Math.min(left, remaining);
+    const immediate = ['counter', 'wallet'].includes(payment.provider);
+    rows.push({
+      order_id: orderId,
+      kind: 'refund',
+      method: payment.method,
+      provider: payment.provider,
+      status: immediate ? 'succeeded' : 'pending',
+      amount: share,
+      phone: payment.phone,
+      refund_of: payment.id,
+      reason,
+      created_by: createdBy,
+      settled_at: immediate ? new Date().toISOString() : null,
+    });
+    left = roundMoney(left - share);
+  }
+
+  const refunds = rows.length ? db.insert('payments', rows) : [];
+  const userId = db.rows('orders').find((order) => order.id === orderId).user_id;
+  refunds
+    .filter((refund) => refund.provider === 'wallet')
+    .forEach((refund) =>
+      recordWalletTransaction(db, {
+        profileId: userId,
+        kind: 'refund',
+        amount: refund.amount,
+        orderId,
+        paymentId: refund.id,
+        reason,
+        createdBy,
+      })
+    );
+  return refunds;
+}
+
+/**
+ * Mirror of `refund_excess`: refunds whatever an order holds beyond what it
+ * owes, which is everything once it is cancelled. Covers cancelling a paid
+ * order and a payment that completes after the order was cancelled or paid
+ * another way.
+ */
+export function refundExcess(db, orderId, createdBy) {
+  const order = db.rows('orders').find((row) => row.id === orderId);
+  const owed = order.status === 'cancelled' ? 0 : order.total_amount;
+  const excess = roundMoney(refundableAmount(db, orderId) - owed);
+  if (excess <= 0) return [];
+  return issueRefunds(db, {
+    orderId,
+    amount: excess,
+    reason: order.status === 'cancelled' ? `${orderReference(orderId)} cancelled` : `Overpayment on ${orderReference(orderId)}`,
+    createdBy,
+  });
+}
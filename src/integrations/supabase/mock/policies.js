@@ -0,0 +1,197 @@
+// JavaScript mirror of the row-level security policies in
+// supabase/migrations. Policies gate what the query builder may read or
+// write; RPC handlers run as `security definer` and bypass them.
+
+export const STAFF_ROLES = ['admin', 'kitchen', 'cashier'];
+
+export function roleOf(db, user) {
+  if (!user) return null;
+  return db.rows('profiles').find((profile) => profile.id === user.id)?.role ?? null;
+}
+
+export const isStaff = ({ role }) => STAFF_ROLES.includes(role);
+export const isAdmin = ({ role }) => role === 'admin';
+// Roles with inventory:view, who get stock notifications.
+export const watchesStock = ({ role }) => ['admin', 'kitchen'].includes(role);
+// Roles with payments:take, who take payments at the counter, top up wallets
+// and cash up.
+export const takesPayments = ({ role }) => ['admin', 'cashier'].includes(role);
+const deny = () => false;
+
+const ownsOrder = (db, orderId, user) =>
+  db.rows('orders').some((order) => order.id === orderId && order.user_id === user?.id);
+
+const sponsors = (db, profileId, user) =>
+  db.rows('wallets').some((wallet) => wallet.profile_id === profileId && wallet.sponsor_id === user?.id);
+
+// A wallet is seen by its holder, their sponsor and staff with wallets:view.
+const canSeeWallet = (db, profileId, ctx) =>
+  profileId === ctx.user?.id || takesPayments(ctx) || sponsors(db, profileId, ctx.user);
+
+export const policies = {
+  profiles: {
+    select: (row, ctx) => row.id === ctx.user?.id || isStaff(ctx) || sponsors(ctx.db, row.id, ctx.user),
+    insert: deny,
+    update: (row, ctx) => row.id === ctx.user?.id || isAdmin(ctx),
+    delete: deny,
+  },
+  menu_items: {
+    select: () => true,
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    // Items are archived rather than deleted so past orders and stock
+    // history keep resolving them.
+    delete: deny,
+  },
+  menu_item_schedules: {
+    select: () => true,
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  menu_option_groups: {
+    select: () => true,
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  menu_options: {
+    select: () => true,
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  ingredients: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: deny,
+  },
+  recipe_items: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  ingredient_logs: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  suppliers: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: (row, ctx) => isAdmin(ctx),
+    update: (row, ctx) => isAdmin(ctx),
+    delete: deny,
+  },
+  purchase_orders: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: deny,
+    update: (row, ctx) => isAdmin(ctx),
+    delete: deny,
+  },
+  purchase_order_items: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  stock_takes: {
+    select: (row, ctx) => watchesStock(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  stock_take_counts: {
+    select: (row, ctx) => watchesStock(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  staff_notifications: {
+    select: (row, ctx) => watchesStock(ctx),
+    insert: deny,
+    update: (row, ctx) => watchesStock(ctx),
+    delete: deny,
+  },
+  // Preferences and push subscriptions are saved through RPCs.
+  notification_preferences: {
+    select: (row, ctx) => row.profile_id === ctx.user?.id,
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  push_subscriptions: {
+    select: (row, ctx) => row.profile_id === ctx.user?.id,
+    insert: deny,
+    update: deny,
+    delete: (row, ctx) => row.profile_id === ctx.user?.id,
+  },
+  customer_notifications: {
+    select: (row, ctx) => row.profile_id === ctx.user?.id || isAdmin(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  // Orders are only created through place_order.
+  orders: {
+    select: (row, ctx) => row.user_id === ctx.user?.id || isStaff(ctx),
+    insert: deny,
+    update: (row, ctx) => isStaff(ctx),
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  order_items: {
+    select: (row, ctx) => isStaff(ctx) || ownsOrder(ctx.db, row.order_id, ctx.user),
+    insert: deny,
+    update: deny,
+    delete: (row, ctx) => isAdmin(ctx),
+  },
+  // Payments are only written through the payment functions.
+  payments: {
+    select: (row, ctx) => isStaff(ctx) || ownsOrder(ctx.db, row.order_id, ctx.user),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  cash_ups: {
+    select: (row, ctx) => takesPayments(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  // Wallets are only written through the wallet functions.
+  wallets: {
+    select: (row, ctx) => canSeeWallet(ctx.db, row.profile_id, ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  wallet_transactions: {
+    select: (row, ctx) => canSeeWallet(ctx.db, row.profile_id, ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  order_status_history: {
+    select: (row, ctx) => isStaff(ctx) || ownsOrder(ctx.db, row.order_id, ctx.user),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+  inventory_logs: {
+    select: (row, ctx) => isStaff(ctx),
+    insert: deny,
+    update: deny,
+    delete: deny,
+  },
+};
+
+// Policies on storage.objects, keyed by bucket. Every bucket the app uses is
+// public, so reads are not checked.
+export const storagePolicies = {
+  'menu-images': {
+    insert: isAdmin,
+    delete: isAdmin,
+  },
+};
@@ -0,0 +1,257 @@
+import { MockDatabaseError } from './errors';
+import { policies } from './policies';
+import { parseSelect, project } from './select';
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a < b ? -1 : 1;
+};
+
+const likeToRegExp = (pattern, flags) =>
+  new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+
+// Splits a PostgREST condition list on its top-level commas, leaving those
+// inside and(...) groups and "quoted" values alone.
+const splitConditions = (list) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  [...list].forEach((char, index) => {
+    if (char === '"') quoted = !quoted;
+    else if (quoted) return;
+    else if (char === '(') depth += 1;
+    else if (char === ')') depth -= 1;
+    else if (char === ',' && depth === 0) {
+      parts.push(list.slice(start, index));
+      start = index + 1;
+    }
+  });
+  parts.push(list.slice(start));
+  return parts;
+};
+
+// One `column.operator.value` condition or an `and(...)` group of them.
+// Values are compared as text, which orders timestamps and uuids correctly.
+const parseCondition = (condition) => {
+  const group = condition.match(/^and\((.*)\)$/);
+  if (group) {
+    const conditions = splitConditions(group[1]).map(parseCondition);
+    return (row) => conditions.every((inner) => inner(row));
+  }
+
+  const [column, operator, ...rest] = condition.split('.');
+  const value = rest.join('.').replace(/^"(.*)"$/, '$1');
+  switch (operator) {
+    case 'eq':
+      return (row) => String(row[column]) === value;
+    case 'lt':
+      return (row) => row[column] != null && String(row[column]) < value;
+    case 'gt':
+      return (row) => row[column] != null && String(row[column]) > value;
+    case 'ilike': {
+      const regExp = likeToRegExp(value.replace(/\*/g, '%'), 'i');
+      return (row) => regExp.test(String(row[column] ?? ''));
+    }
+    default:
+      throw new MockDatabaseError(`Unsupported operator in or filter: ${operator}`, 'PGRST100');
+  }
+};
+
+const toError = (error) => ({
+  message: error.message,
+  code: error.code ?? 'PGRST000',
+  details: null,
+  hint: null,
+});
+
+/**
+ * Chainable, thenable stand-in for the PostgREST query builder returned by
+ * `supabase.from(table)`. Filters, ordering and limits are collected as the
+ * chain is built and applied when the query is awaited.
+ */
+export class MockQueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.selection = null;
+    this.filters = [];
+    this.orderings = [];
+    this.rowLimit = null;
+    this.rowRange = null;
+    this.cardinality = null;
+    this.countMode = null;
+  }
+
+  select(columns = '*', { count } = {}) {
+    this.selection = parseSelect(columns);
+    this.countMode = count ?? null;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter((row) => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.filter((row) => row[column] !== value);
+  }
+
+  gt(column, value) {
+    return this.filter((row) => row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.filter((row) => row[column] >= value);
+  }
+
+  lt(column, value) {
+    return this.filter((row) => row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.filter((row) => row[column] <= value);
+  }
+
+  in(column, values) {
+    return this.filter((row) => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.filter((row) => (value === null ? row[column] == null : row[column] === value));
+  }
+
+  ilike(column, pattern) {
+    const regExp = likeToRegExp(pattern, 'i');
+    return this.filter((row) => regExp.test(String(row[column] ?? '')));
+  }
+
+  // PostgREST's `or` filter, e.g. `full_name.ilike.%ann%,email.ilike.%ann%`,
+  // for the operators the app combines this way.
+  or(expression) {
+    const conditions = splitConditions(expression).map(parseCondition);
+    return this.filter((row) => conditions.some((condition) => condition(row)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orderings.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to];
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every((predicate) => predicate(row));
+  }
+
+  mutate() {
+    const ctx = this.db.context();
+    const policy = policies[this.table];
+    // Row-level security: rows hidden from the caller are silently skipped,
+    // while inserts that fail the policy are rejected outright.
+    const visible = (row, command) =>
+      this.matches(row) && (!policy || (policy.select(row, ctx) && policy[command](row, ctx)));
+
+    switch (this.action) {
+      case 'insert':
+        if (policy && !this.values.every((value) => policy.insert(value, ctx))) {
+          throw new MockDatabaseError(
+            `new row violates row-level security policy for table "${this.table}"`,
+            '42501'
+          );
+        }
+        return this.db.insert(this.table, this.values);
+      case 'update':
+        return this.db.update(this.table, (row) => visible(row, 'update'), this.values);
+      case 'delete':
+        return this.db.delete(this.table, (row) => visible(row, 'delete'));
+      default:
+        return this.db.rows(this.table).filter((row) => visible(row, 'select'));
+    }
+  }
+
+  execute() {
+    try {
+      let rows = this.mutate();
+
+      // Mutations only return rows when `.select()` is chained, like PostgREST.
+      if (this.action !== 'select' && !this.selection) {
+        return { data: null, error: null, count: null, status: this.action === 'insert' ? 201 : 204 };
+      }
+
+      for (const { column, ascending } of [...this.orderings].reverse()) {
+        rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      }
+
+      const count = this.countMode ? rows.length : null;
+      if (this.rowRange) rows = rows.slice(this.rowRange[0], this.rowRange[1] + 1);
+      if (this.rowLimit != null) rows = rows.slice(0, this.rowLimit);
+
+      const node = this.selection ?? parseSelect('*');
+      const data = rows.map((row) => project(this.db, this.table, row, node));
+
+      if (this.cardinality) {
+        if (data.length > 1 || (data.length === 0 && this.cardinality === 'single')) {
+          throw new MockDatabaseError(
+            'JSON object requested, multiple (or no) rows returned',
+            'PGRST116'
+          );
+        }
+        return { data: data[0] ?? null, error: null, count, status: 200 };
+      }
+
+      return { data, error: null, count, status: 200 };
+    } catch (error) {
+      return { data: null, error: toError(error), count: null, status: 400 };
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+}
@@ -0,0 +1,63 @@
+const parseFilter = (filter) => {
+  if (!filter) return () => true;
+  const [column, expression] = filter.split('=');
+  const [operator, ...rest] = expression.split('.');
+  const value = rest.join('.');
+
+  switch (operator) {
+    case 'eq':
+      return (row) => String(row[column]) === value;
+    case 'neq':
+      return (row) => String(row[column]) !== value;
+    case 'in': {
+      const values = value.replace(/^\(|\)$/g, '').split(',');
+      return (row) => values.includes(String(row[column]));
+    }
+    default:
+      throw new Error(`Unsupported realtime filter operator "${operator}"`);
+  }
+};
+
+/**
+ * Minimal `postgres_changes` channel fed by the mock database's change stream.
+ */
+export class MockRealtimeChannel {
+  constructor(db, name) {
+    this.db = db;
+    this.topic = `realtime:${name}`;
+    this.bindings = [];
+    this.unsubscribe = null;
+  }
+
+  on(type, config, callback) {
+    if (type !== 'postgres_changes') return this;
+    this.bindings.push({
+      event: config.event ?? '*',
+      schema: config.schema ?? 'public',
+      table: config.table,
+      matches: parseFilter(config.filter),
+      callback,
+    });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.unsubscribe = this.db.subscribe((payload) => {
+      this.bindings.forEach((binding) => {
+        if (binding.schema !== payload.schema) return;
+        if (binding.table && binding.table !== payload.table) return;
+        if (binding.event !== '*' && binding.event !== payload.eventType) return;
+        if (!binding.matches(payload.eventType === 'DELETE' ? payload.old : payload.new)) return;
+        binding.callback(payload);
+      });
+    });
+    setTimeout(() => callback?.('SUBSCRIBED'), 0);
+    return this;
+  }
+
+  async unsubscribeChannel() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    return 'ok';
+  }
+}
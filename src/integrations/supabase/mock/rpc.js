@@ -0,0 +1,724 @@
+import { NOTIFIABLE_STATUSES } from '@/lib/customer-notifications';
+import { canteenDate, canteenDayRange } from '@/lib/canteen-time';
+import { PAYMENT_METHODS } from '@/lib/menu';
+import { pickupDateOf } from '@/lib/pickup';
+import { cashUpSummary, ONLINE_PAYMENT_METHODS, paymentTotals, roundMoney, TILL_METHODS } from '@/lib/payments';
+import { purchaseOrderReference } from '@/lib/purchasing';
+import { MockDatabaseError } from './errors';
+import { ensureDailyDigest } from './notifications';
+import { issueRefunds, refundableAmount, refundExcess } from './payments';
+import { STAFF_ROLES } from './policies';
+import { menuCapacity, orderReference, recordIngredientMovement, recordStockMovement, unitCostOf } from './stock';
+import { creditDueAllowances, ensureWallet, payFromWallet, recordWalletTransaction } from './wallets';
+
+// Upserts `rows` into `table` by id, scoped to the rows matching `owned`:
+// rows that are no longer listed are deleted and ids stay stable for the rest.
+const replaceChildren = (db, table, owned, rows, fields) => {
+  const keep = new Set(rows.map((row) => row.id).filter(Boolean));
+  db.delete(table, (row) => owned(row) && !keep.has(row.id));
+
+  return rows.map((row, position) => {
+    const values = { ...fields(row), position };
+    if (row.id && db.rows(table).some((existing) => existing.id === row.id && owned(existing))) {
+      return db.update(table, (existing) => existing.id === row.id, values)[0];
+    }
+    return db.insert(table, [values])[0];
+  });
+};
+
+// The options chosen for one order line, checked against the item's groups
+// the same way as the SQL `place_order`.
+const resolveOptions = (db, item, optionIds) => {
+  const groups = db.rows('menu_option_groups').filter((group) => group.menu_item_id === item.id);
+  const options = db.rows('menu_options').filter((option) => groups.some((group) => group.id === option.group_id));
+
+  if (new Set(optionIds).size !== optionIds.length) raise(`Each option can only be chosen once for ${item.name}`);
+  if (optionIds.some((id) => !options.some((option) => option.id === id))) {
+    raise(`The options for ${item.name} have changed; please add it to your cart again`);
+  }
+
+  groups
+    .sort((a, b) => a.position - b.position)
+    .forEach((group) => {
+      const chosen = options.filter((option) => option.group_id === group.id && optionIds.includes(option.id)).length;
+      if (chosen < group.min_select) raise(`Choose at least ${group.min_select} ${group.name} for ${item.name}`);
+      if (chosen > group.max_select) raise(`Choose at most ${group.max_select} ${group.name} for ${item.name}`);
+    });
+
+  return groups.flatMap((group) =>
+    options
+      .filter((option) => option.group_id === group.id && optionIds.includes(option.id))
+      .sort((a, b) => a.position - b.position)
+      .map((option) => ({ option_id: option.id, group: group.name, name: option.name, price_delta: option.price_delta }))
+  );
+};
+
+const raise = (message, code = 'P0001') => {
+  throw new MockDatabaseError(message, code);
+};
+
+// A payment request the customer has not answered blocks another one for this
+// long; Safaricom gives up on an STK push after about a minute.
+const PAYMENT_REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+
+const checkAmount = (amount) => {
+  if (typeof amount !== 'number' || !(amount > 0) || roundMoney(amount) !== amount) {
+    raise('Amounts must be more than zero and in whole cents');
+  }
+};
+
+/**
+ * JavaScript ports of the Postgres functions in `supabase/migrations`, called
+ * through `supabase.rpc(name, params)`. Each runs inside a mock transaction.
+ */
+export const rpcHandlers = {
+  adjust_stock: (db, { p_menu_item_id, p_change_amount, p_reason }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can adjust stock', '42501');
+    if (!p_reason?.trim()) raise('A reason is required for stock adjustments');
+
+    const item = db.rows('menu_items').find((row) => row.id === p_menu_item_id);
+    if (!item) raise('Menu item not found');
+
+    if (item.stock_quantity + p_change_amount < 0) raise('Stock quantity cannot be negative');
+
+    return recordStockMovement(db, {
+      menuItemId: item.id,
+      change: p_change_amount,
+      reason: p_reason.trim(),
+      changedBy: user.id,
+    });
+  },
+
+  import_menu_items: (db, { p_items }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can import menu items', '42501');
+    if (!p_items?.length) raise('Nothing to import');
+
+    let created = 0;
+    let updated = 0;
+    for (const row of p_items) {
+      const name = row.name?.trim();
+      if (!name) raise('Every imported item needs a name');
+      if (!Number.isInteger(row.stock_quantity) || row.stock_quantity < 0) {
+        raise(`Stock for ${name} must be zero or more`);
+      }
+
+      const matches = db.rows('menu_items').filter((item) => item.name.trim().toLowerCase() === name.toLowerCase());
+      if (matches.length > 1) raise(`More than one menu item is named ${name}`);
+
+      const fields = {
+        description: row.description ?? '',
+        price: row.price,
+        category: row.category,
+        image_url: row.image_url || null,
+        // Re-importing an archived item brings it back.
+        archived_at: null,
+      };
+
+      let item;
+      if (matches.length) {
+        [item] = db.update('menu_items', (candidate) => candidate.id === matches[0].id, fields);
+        updated += 1;
+      } else {
+        // New items start empty and unavailable; the stock movement below
+        // fills them and the availability trigger puts them on sale.
+        [item] = db.insert('menu_items', [{ name, ...fields, stock_quantity: 0, is_available: false }]);
+        created += 1;
+      }
+
+      if (row.stock_quantity !== item.stock_quantity) {
+        recordStockMovement(db, {
+          menuItemId: item.id,
+          change: row.stock_quantity - item.stock_quantity,
+          reason: 'Menu import',
+          changedBy: user.id,
+        });
+      }
+    }
+
+    return { created, updated };
+  },
+
+  set_menu_item_schedules: (db, { p_menu_item_id, p_schedules }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can change menu schedules', '42501');
+    if (!db.rows('menu_items').some((item) => item.id === p_menu_item_id)) raise('Menu item not found');
+
+    for (const schedule of p_schedules ?? []) {
+      if (!schedule.days_of_week?.length) raise('Every schedule needs at least one day');
+      if (schedule.start_time.slice(0, 5) >= schedule.end_time.slice(0, 5)) {
+        raise('A serving window must end after it starts');
+      }
+    }
+
+    db.delete('menu_item_schedules', (schedule) => schedule.menu_item_id === p_menu_item_id);
+    if (!p_schedules?.length) return [];
+    return db.insert(
+      'menu_item_schedules',
+      p_schedules.map((schedule) => ({
+        menu_item_id: p_menu_item_id,
+        days_of_week: [...new Set(schedule.days_of_week)].sort(),
+        start_time: schedule.start_time,
+        end_time: schedule.end_time,
+        start_date: schedule.start_date || null,
+        end_date: schedule.end_date || null,
+      }))
+    );
+  },
+
+  set_menu_item_options: (db, { p_menu_item_id, p_groups }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can change menu options', '42501');
+    if (!db.rows('menu_items').some((item) => item.id === p_menu_item_id)) raise('Menu item not found');
+
+    for (const group of p_groups ?? []) {
+      if (!group.name?.trim()) raise('Every option group needs a name');
+      if (group.min_select < 0 || group.max_select < 1 || group.min_select > group.max_select) {
+        raise(`${group.name} has an invalid number of choices`);
+      }
+      if (!group.options?.length) raise(`${group.name} needs at least one option`);
+    }
+
+    const groups = replaceChildren(
+      db,
+      'menu_option_groups',
+      (row) => row.menu_item_id === p_menu_item_id,
+      p_groups ?? [],
+      (group) => ({
+        menu_item_id: p_menu_item_id,
+        name: group.name.trim(),
+        min_select: group.min_select,
+        max_select: group.max_select,
+      })
+    );
+
+    groups.forEach((group, index) =>
+      replaceChildren(
+        db,
+        'menu_options',
+        (row) => row.group_id === group.id,
+        p_groups[index].options,
+        (option) => ({ group_id: group.id, name: option.name.trim(), price_delta: option.price_delta })
+      )
+    );
+    return null;
+  },
+
+  set_menu_item_recipe: (db, { p_menu_item_id, p_lines }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can change recipes', '42501');
+    if (!db.rows('menu_items').some((item) => item.id === p_menu_item_id)) raise('Menu item not found');
+
+    const ingredients = db.rows('ingredients');
+    const lines = p_lines ?? [];
+    for (const line of lines) {
+      const ingredient = ingredients.find((candidate) => candidate.id === line.ingredient_id);
+      if (!ingredient) raise('Ingredient not found');
+      if (!(line.quantity > 0)) raise(`The quantity of ${ingredient.name} must be more than zero`);
+      if (lines.filter((other) => other.ingredient_id === line.ingredient_id).length > 1) {
+        raise(`${ingredient.name} is listed more than once`);
+      }
+    }
+
+    db.delete('recipe_items', (row) => row.menu_item_id === p_menu_item_id);
+    if (lines.length) {
+      db.insert(
+        'recipe_items',
+        lines.map((line) => ({
+          menu_item_id: p_menu_item_id,
+          ingredient_id: line.ingredient_id,
+          quantity: Math.round(line.quantity * 1000) / 1000,
+        }))
+      );
+    }
+    return null;
+  },
+
+  adjust_ingredient_stock: (db, { p_ingredient_id, p_change_amount, p_reason }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can adjust stock', '42501');
+    if (!p_reason?.trim()) raise('A reason is required for stock adjustments');
+    if (!Number.isFinite(p_change_amount) || p_change_amount === 0) raise('Enter a non-zero amount');
+
+    return recordIngredientMovement(db, {
+      ingredientId: p_ingredient_id,
+      change: p_change_amount,
+      reason: p_reason.trim(),
+      changedBy: user.id,
+    });
+  },
+
+  menu_capacity: (db) => menuCapacity(db),
+
+  create_purchase_order: (db, { p_supplier_id, p_notes, p_lines }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can create purchase orders', '42501');
+    if (!db.rows('suppliers').some((supplier) => supplier.id === p_supplier_id)) raise('Supplier not found');
+    if (!p_lines?.length) raise('A purchase order needs at least one line');
+
+    for (const line of p_lines) {
+      if (Boolean(line.menu_item_id) === Boolean(line.ingredient_id)) {
+        raise('Each line must order either a menu item or an ingredient');
+      }
+      if (!(line.quantity > 0)) raise('Quantities must be more than zero');
+      if (line.menu_item_id && !Number.isInteger(line.quantity)) raise('Menu items are ordered in whole units');
+      if (!(line.unit_cost >= 0)) raise('Unit costs cannot be negative');
+    }
+
+    const [order] = db.insert('purchase_orders', [
+      { supplier_id: p_supplier_id, notes: p_notes?.trim() || null, status: 'draft', created_by: user.id },
+    ]);
+    db.insert(
+      'purchase_order_items',
+      p_lines.map((line) => ({
+        purchase_order_id: order.id,
+        menu_item_id: line.menu_item_id || null,
+        ingredient_id: line.ingredient_id || null,
+        quantity_ordered: line.quantity,
+        unit_cost: line.unit_cost,
+      }))
+    );
+    return order;
+  },
+
+  receive_purchase_order: (db, { p_purchase_order_id, p_lines }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can receive purchase orders', '42501');
+
+    const order = db.rows('purchase_orders').find((row) => row.id === p_purchase_order_id);
+    if (!order) raise('Purchase order not found');
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      raise(`A ${order.status.replace('_', ' ')} purchase order cannot be received`);
+    }
+
+    const lines = db.rows('purchase_order_items').filter((line) => line.purchase_order_id === order.id);
+    const reason = `${purchaseOrderReference(order.id)} received`;
+    let received = 0;
+
+    for (const { id, quantity } of p_lines ?? []) {
+      if (!quantity) continue;
+      const line = lines.find((candidate) => candidate.id === id);
+      if (!line) raise('That line is not on this purchase order');
+
+      const remaining = Math.round((line.quantity_ordered - line.quantity_received) * 1000) / 1000;
+      if (quantity < 0 || quantity > remaining) raise(`Receive between 0 and ${remaining} for each line`);
+      if (line.menu_item_id && !Number.isInteger(quantity)) raise('Menu items are received in whole units');
+
+      if (line.menu_item_id) {
+        recordStockMovement(db, { menuItemId: line.menu_item_id, change: quantity, reason, purchaseOrderId: order.id, changedBy: user.id });
+        db.update('menu_items', (item) => item.id === line.menu_item_id, { unit_cost: line.unit_cost });
+      } else {
+        recordIngredientMovement(db, { ingredientId: line.ingredient_id, change: quantity, reason, purchaseOrderId: order.id, changedBy: user.id });
+        db.update('ingredients', (ingredient) => ingredient.id === line.ingredient_id, { unit_cost: line.unit_cost });
+      }
+
+      line.quantity_received = Math.round((line.quantity_received + quantity) * 1000) / 1000;
+      db.update('purchase_order_items', (candidate) => candidate.id === line.id, { quantity_received: line.quantity_received });
+      received += 1;
+    }
+
+    if (!received) raise('Enter a quantity for at least one line');
+
+    const complete = lines.every((line) => line.quantity_received >= line.quantity_ordered);
+    return db.update('purchase_orders', (row) => row.id === order.id, {
+      status: complete ? 'received' : 'partially_received',
+      received_at: complete ? new Date().toISOString() : null,
+    })[0];
+  },
+
+  // Records a physical count against the system stock. p_counts is a list of
+  // {menu_item_id, counted}; with p_apply the stock is set to the counts.
+  record_stock_take: (db, { p_counts, p_notes, p_apply }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can record stock takes', '42501');
+    if (!p_counts?.length) raise('Count at least one item');
+
+    const seen = new Set();
+    const items = db.rows('menu_items');
+    for (const count of p_counts) {
+      const item = items.find((candidate) => candidate.id === count.menu_item_id);
+      if (!item || item.archived_at) raise('Menu item not found');
+      if (seen.has(item.id)) raise(`${item.name} is counted twice`);
+      if (!Number.isInteger(count.counted) || count.counted < 0) raise('Counts must be whole numbers of zero or more');
+      seen.add(item.id);
+    }
+
+    const [stockTake] = db.insert('stock_takes', [
+      { notes: p_notes?.trim() || null, applied: Boolean(p_apply), created_by: user.id },
+    ]);
+    db.insert(
+      'stock_take_counts',
+      p_counts.map((count) => ({
+        stock_take_id: stockTake.id,
+        menu_item_id: count.menu_item_id,
+        system_count: items.find((item) => item.id === count.menu_item_id).stock_quantity,
+        counted: count.counted,
+        unit_cost: unitCostOf(db, count.menu_item_id),
+      }))
+    );
+
+    if (p_apply) {
+      [...p_counts]
+        .sort((a, b) => a.menu_item_id.localeCompare(b.menu_item_id))
+        .forEach((count) => {
+          const item = items.find((candidate) => candidate.id === count.menu_item_id);
+          if (count.counted === item.stock_quantity) return;
+          recordStockMovement(db, {
+            menuItemId: item.id,
+            change: count.counted - item.stock_quantity,
+            reason: 'Stock take',
+            stockTakeId: stockTake.id,
+            changedBy: user.id,
+          });
+        });
+    }
+
+    return stockTake;
+  },
+
+  ensure_daily_stock_digest: (db, params, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (!['admin', 'kitchen'].includes(role)) raise('Only stock staff receive stock notifications', '42501');
+    return ensureDailyDigest(db);
+  },
+
+  set_notification_preferences: (db, { p_statuses, p_sms_enabled, p_email_enabled, p_phone }, { user }) => {
+    if (!user) raise('Not authenticated');
+    const statuses = p_statuses ?? [];
+    if (!statuses.every((status) => NOTIFIABLE_STATUSES.includes(status))) raise('Unknown order status');
+    if (p_phone != null && !/^254[17]\d{8}$/.test(p_phone)) raise('Enter a mobile number such as 0712 345 678');
+    if (p_sms_enabled && p_phone == null) raise('Add a phone number for text messages');
+
+    const values = {
+      statuses,
+      sms_enabled: Boolean(p_sms_enabled),
+      email_enabled: Boolean(p_email_enabled),
+      phone: p_phone ?? null,
+    };
+    const existing = db.rows('notification_preferences').find((row) => row.profile_id === user.id);
+    return existing
+      ? db.update('notification_preferences', (row) => row.id === existing.id, values)[0]
+      : db.insert('notification_preferences', [{ profile_id: user.id, ...values }])[0];
+  },
+
+  // A browser's subscription belongs to whoever last turned push on in it.
+  save_push_subscription: (db, { p_endpoint, p_p256dh, p_auth, p_user_agent }, { user }) => {
+    if (!user) raise('Not authenticated');
+    if (!/^https:\/\//.test(p_endpoint ?? '') || !p_p256dh || !p_auth) raise('Invalid push subscription');
+
+    const values = { profile_id: user.id, p256dh: p_p256dh, auth: p_auth, user_agent: p_user_agent ?? null };
+    const existing = db.rows('push_subscriptions').find((row) => row.endpoint === p_endpoint);
+    return existing
+      ? db.update('push_subscriptions', (row) => row.id === existing.id, values)[0]
+      : db.insert('push_subscriptions', [{ endpoint: p_endpoint, ...values }])[0];
+  },
+
+  place_order: (db, { p_items, p_payment_method, p_notes }, { user }) => {
+    if (!user) raise('Not authenticated');
+    if (!p_items?.length) raise('Your cart is empty');
+    if (!PAYMENT_METHODS.includes(p_payment_method)) raise('Unknown payment method');
+
+    const [order] = db.insert('orders', [
+      {
+        user_id: user.id,
+        total_amount: 0,
+        payment_method: p_payment_method,
+        notes: p_notes?.trim() || null,
+        status: 'pending',
+      },
+    ]);
+
+    let total = 0;
+    // Same order as the SQL loop, which locks rows by id to avoid deadlocks.
+    const lines = [...p_items].sort((a, b) => a.menu_item_id.localeCompare(b.menu_item_id));
+    for (const { menu_item_id, quantity, option_ids = [] } of lines) {
+      if (!Number.isInteger(quantity) || quantity <= 0) raise('Quantities must be positive');
+
+      const item = db.rows('menu_items').find((row) => row.id === menu_item_id);
+      if (!item || !item.is_available) raise(`${item?.name ?? 'An item'} is no longer available`);
+      if (quantity > item.stock_quantity) raise(`Only ${item.stock_quantity} ${item.name} left in stock`);
+
+      const options = resolveOptions(db, item, option_ids);
+      // Rounded to whole cents; Postgres does this arithmetic in numeric.
+      const unitPrice = Math.round((item.price + options.reduce((sum, option) => sum + option.price_delta, 0)) * 100) / 100;
+      if (unitPrice < 0) raise(`Options for ${item.name} cannot bring its price below zero`);
+
+      db.insert('order_items', [
+        { order_id: order.id, menu_item_id: item.id, quantity, price_at_time: unitPrice, options },
+      ]);
+      recordStockMovement(db, {
+        menuItemId: item.id,
+        change: -quantity,
+        reason: orderReference(order.id),
+        orderId: order.id,
+        changedBy: user.id,
+      });
+      total = Math.round((total + unitPrice * quantity) * 100) / 100;
+    }
+
+    const [placed] = db.update('orders', (row) => row.id === order.id, { total_amount: total });
+    if (placed.payment_method !== 'wallet') return placed;
+
+    payFromWallet(db, placed);
+    return db.rows('orders').find((row) => row.id === order.id);
+  },
+
+  // The order called out as this number today; orders the caller can't see
+  // stay hidden, as under RLS.
+  find_pickup_order: (db, { p_pickup_number }, { user, role }) =>
+    db
+      .rows('orders')
+      .find(
+        (order) =>
+          order.pickup_date === pickupDateOf() &&
+          order.pickup_number === p_pickup_number &&
+          (STAFF_ROLES.includes(role) || order.user_id === user?.id)
+      )?.id ?? null,
+
+  // Money taken at the counter: cash, a meal card, or an M-Pesa payment made
+  // to the till rather than through a payment request.
+  record_counter_payment: (db, { p_order_id, p_method, p_amount, p_reference }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (!['admin', 'cashier'].includes(role)) raise('Only cashiers and administrators can take payments', '42501');
+    if (!TILL_METHODS.includes(p_method)) raise('Unknown payment method');
+
+    const order = db.rows('orders').find((row) => row.id === p_order_id);
+    if (!order) raise('Order not found');
+    if (order.status === 'cancelled') raise('This order has been cancelled');
+    checkAmount(p_amount);
+
+    const outstanding = roundMoney(order.total_amount - paymentTotals(db.rows('payments').filter((row) => row.order_id === order.id)).paid);
+    if (outstanding <= 0) raise('This order is already paid');
+    if (p_amount > outstanding) raise(`Only $${outstanding.toFixed(2)} is outstanding on this order`);
+
+    return db.insert('payments', [
+      {
+        order_id: order.id,
+        kind: 'payment',
+        method: p_method,
+        provider: 'counter',
+        status: 'succeeded',
+        amount: p_amount,
+        provider_reference: p_reference?.trim() || null,
+        created_by: user.id,
+        settled_at: new Date().toISOString(),
+      },
+    ])[0];
+  },
+
+  // Opens a payment request for the balance of an order paid online. The
+  // provider then asks the customer to approve it (see payment-providers.js).
+  // Postgres only accepts the mock provider when app.mock_payments is on.
+  start_payment: (db, { p_order_id, p_provider, p_phone }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (!['mpesa', 'mock'].includes(p_provider)) raise('Unknown payment provider');
+
+    const order = db.rows('orders').find((row) => row.id === p_order_id);
+    if (!order || (order.user_id !== user.id && !STAFF_ROLES.includes(role))) raise('Order not found');
+    if (order.status === 'cancelled') raise('This order has been cancelled');
+    if (!ONLINE_PAYMENT_METHODS.includes(order.payment_method)) raise('This order is paid at the counter');
+    if (!/^254[17]\d{8}$/.test(p_phone ?? '')) raise('Enter a Safaricom number such as 0712 345 678');
+
+    const payments = db.rows('payments').filter((row) => row.order_id === order.id);
+    const waiting = payments.some(
+      (row) =>
+        row.kind === 'payment' &&
+        row.status === 'pending' &&
+        Date.now() - new Date(row.created_at).getTime() < PAYMENT_REQUEST_TIMEOUT_MS
+    );
+    if (waiting) raise('A payment request is already waiting for approval');
+
+    const outstanding = roundMoney(order.total_amount - paymentTotals(payments).paid);
+    if (outstanding <= 0) raise('This order is already paid');
+
+    return db.insert('payments', [
+      {
+        order_id: order.id,
+        kind: 'payment',
+        method: order.payment_method,
+        provider: p_provider,
+        amount: outstanding,
+        phone: p_phone,
+        created_by: user.id,
+      },
+    ])[0];
+  },
+
+  // The provider's answer to a payment request or refund. In Postgres the
+  // real providers settle with the service role from their callback; signed-in
+  // users can only settle mock payments, which is what the mock provider does.
+  settle_payment: (db, { p_payment_id, p_succeeded, p_provider_reference, p_failure_reason }, { user, role }) => {
+    const payment = db.rows('payments').find((row) => row.id === p_payment_id);
+    const order = payment && db.rows('orders').find((row) => row.id === payment.order_id);
+    if (!payment || (user && order.user_id !== user.id && !STAFF_ROLES.includes(role))) raise('Payment not found');
+    if (user && payment.provider !== 'mock') raise('Only the payment provider can settle this payment', '42501');
+    if (payment.status !== 'pending') raise('This payment has already been settled');
+
+    const [settled] = db.update('payments', (row) => row.id === payment.id, {
+      status: p_succeeded ? 'succeeded' : 'failed',
+      provider_reference: p_provider_reference?.trim() || null,
+      failure_reason: p_succeeded ? null : p_failure_reason?.trim() || 'Declined',
+      settled_at: new Date().toISOString(),
+    });
+
+    // Money that arrives for a cancelled or already paid order goes back.
+    if (p_succeeded && payment.kind === 'payment') refundExcess(db, order.id, null);
+    return settled;
+  },
+
+  // Returns part or all of what an order was paid. Refunds of online payments
+  // are pending until the provider confirms them.
+  refund_payment: (db, { p_order_id, p_amount, p_reason }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can issue refunds', '42501');
+    if (!p_reason?.trim()) raise('Give a reason for the refund');
+
+    const order = db.rows('orders').find((row) => row.id === p_order_id);
+    if (!order) raise('Order not found');
+    checkAmount(p_amount);
+
+    const refundable = refundableAmount(db, order.id);
+    if (refundable <= 0) raise('Nothing is left to refund on this order');
+    if (p_amount > refundable) raise(`At most $${refundable.toFixed(2)} can be refunded`);
+
+    return issueRefunds(db, { orderId: order.id, amount: p_amount, reason: p_reason.trim(), createdBy: user.id });
+  },
+
+  // Closes a business day: per payment method, the value of the orders
+  // delivered, the money the day's settled payments say was taken (wallet
+  // top-ups included) and the amount counted (cash in the drawer, the M-Pesa
+  // statement, the meal card terminal). p_counts maps each method to its count.
+  close_cash_up: (db, { p_date, p_counts, p_notes }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (!['admin', 'cashier'].includes(role)) raise('Only cashiers and administrators can cash up', '42501');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(p_date ?? '')) raise('Choose the day to cash up');
+    if (p_date > canteenDate()) raise('That day has not happened yet');
+    if (db.rows('cash_ups').some((row) => row.business_date === p_date)) raise('That day has already been cashed up');
+    if (TILL_METHODS.some((method) => typeof p_counts?.[method] !== 'number' || p_counts[method] < 0)) {
+      raise('Enter the amount counted for each method');
+    }
+
+    const { from, to } = canteenDayRange(p_date);
+    const deliveredIds = new Set(
+      db
+        .rows('order_status_history')
+        .filter((entry) => entry.to_status === 'delivered' && entry.created_at >= from && entry.created_at < to)
+        .map((entry) => entry.order_id)
+    );
+    const { methods } = cashUpSummary({
+      deliveredOrders: db.rows('orders').filter((order) => deliveredIds.has(order.id)),
+      payments: db
+        .rows('payments')
+        .filter((payment) => payment.status === 'succeeded' && payment.settled_at >= from && payment.settled_at < to),
+      topUps: db
+        .rows('wallet_transactions')
+        .filter((entry) => entry.kind === 'top_up' && entry.created_at >= from && entry.created_at < to),
+    });
+
+    return db.insert(
+      'cash_ups',
+      methods.map((line) => ({
+        business_date: p_date,
+        method: line.method,
+        delivered_amount: line.delivered,
+        expected_amount: line.expected,
+        counted_amount: roundMoney(p_counts[line.method]),
+        notes: p_notes?.trim() || null,
+        closed_by: user.id,
+      }))
+    );
+  },
+
+  // Money paid into a customer's wallet at the counter.
+  top_up_wallet: (db, { p_profile_id, p_method, p_amount, p_reference }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (!['admin', 'cashier'].includes(role)) raise('Only cashiers and administrators can top up wallets', '42501');
+    if (!TILL_METHODS.includes(p_method)) raise('Unknown payment method');
+    if (!db.rows('profiles').some((profile) => profile.id === p_profile_id)) raise('Customer not found');
+    checkAmount(p_amount);
+
+    return recordWalletTransaction(db, {
+      profileId: p_profile_id,
+      kind: 'top_up',
+      amount: p_amount,
+      method: p_method,
+      reason: p_reference?.trim() || null,
+      createdBy: user.id,
+    });
+  },
+
+  // Corrects a balance by hand. The reason and who made it stay on the
+  // statement.
+  adjust_wallet: (db, { p_profile_id, p_amount, p_reason }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can adjust wallet balances', '42501');
+    if (!db.rows('profiles').some((profile) => profile.id === p_profile_id)) raise('Customer not found');
+    if (typeof p_amount !== 'number' || p_amount === 0 || roundMoney(p_amount) !== p_amount) {
+      raise('Adjustments must be non-zero and in whole cents');
+    }
+    if (!p_reason?.trim()) raise('Give a reason for the adjustment');
+
+    return recordWalletTransaction(db, {
+      profileId: p_profile_id,
+      kind: 'adjustment',
+      amount: p_amount,
+      reason: p_reason.trim(),
+      createdBy: user.id,
+    });
+  },
+
+  // The per-order limit and daily cap, set by the wallet's sponsor or an
+  // administrator. Null removes a limit.
+  set_wallet_limits: (db, { p_profile_id, p_spend_limit, p_daily_cap }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    const wallet = db.rows('wallets').find((row) => row.profile_id === p_profile_id);
+    if (role !== 'admin' && (!wallet || wallet.sponsor_id !== user.id)) {
+      raise('Only the sponsor or an administrator can set wallet limits', '42501');
+    }
+    if ([p_spend_limit, p_daily_cap].some((value) => value != null && (!(value > 0) || roundMoney(value) !== value))) {
+      raise('Limits must be more than zero and in whole cents');
+    }
+    if (p_spend_limit != null && p_daily_cap != null && p_spend_limit > p_daily_cap) {
+      raise('The per-order limit cannot be more than the daily cap');
+    }
+
+    const { id } = ensureWallet(db, p_profile_id);
+    return db.update('wallets', (row) => row.id === id, {
+      spend_limit: p_spend_limit ?? null,
+      daily_cap: p_daily_cap ?? null,
+    })[0];
+  },
+
+  // The monthly allowance and who sponsors the wallet, looked up by email.
+  // An allowance takes effect with this month's credit.
+  set_wallet_plan: (db, { p_profile_id, p_monthly_allowance, p_sponsor_email }, { user, role }) => {
+    if (!user) raise('Not authenticated');
+    if (role !== 'admin') raise('Only administrators can set meal plans', '42501');
+    if (!db.rows('profiles').some((profile) => profile.id === p_profile_id)) raise('Customer not found');
+    const allowance = p_monthly_allowance;
+    if (typeof allowance !== 'number' || allowance < 0 || roundMoney(allowance) !== allowance) {
+      raise('Allowances must be zero or more and in whole cents');
+    }
+
+    const email = p_sponsor_email?.trim().toLowerCase() || null;
+    const sponsor = email && db.rows('profiles').find((profile) => profile.email === email);
+    if (email && !sponsor) raise(`No account uses ${email}`);
+    if (sponsor?.id === p_profile_id) raise('A customer cannot sponsor their own wallet');
+
+    const { id } = ensureWallet(db, p_profile_id);
+    const [wallet] = db.update('wallets', (row) => row.id === id, {
+      monthly_allowance: allowance,
+      sponsor_id: sponsor?.id ?? null,
+    });
+    creditDueAllowances(db, p_profile_id);
+    return db.rows('wallets').find((row) => row.id === wallet.id);
+  },
+
+  // Called when wallet screens open, like the daily stock digest; a scheduled
+  // job can call it on the first of the month as well.
+  credit_monthly_allowances: (db, params, { user }) => {
+    if (!user) raise('Not authenticated');
+    return creditDueAllowances(db);
+  },
+};
@@ -0,0 +1,218 @@
+// Shape of the tables the mock backend serves. `defaults` fill columns that
+// Postgres would default on insert, and `references` mirror the foreign keys
+// PostgREST uses to resolve embedded selects such as `order_items (menu_items (name))`.
+// Columns listed in `cascade` are `on delete cascade` foreign keys, and those in
+// `setNull` are `on delete set null`.
+export const schema = {
+  profiles: {
+    defaults: () => ({ full_name: null, email: null, role: 'customer' }),
+    references: {},
+  },
+  menu_items: {
+    defaults: () => ({
+      description: '',
+      image_url: null,
+      thumbnail_url: null,
+      stock_quantity: 0,
+      is_available: true,
+      archived_at: null,
+      unit_cost: null,
+      reorder_level: 10,
+      reorder_quantity: 20,
+    }),
+    references: {},
+  },
+  menu_item_schedules: {
+    defaults: () => ({ start_date: null, end_date: null }),
+    references: {
+      menu_item_id: 'menu_items',
+    },
+    cascade: ['menu_item_id'],
+  },
+  menu_option_groups: {
+    defaults: () => ({ min_select: 0, max_select: 1, position: 0 }),
+    references: {
+      menu_item_id: 'menu_items',
+    },
+    cascade: ['menu_item_id'],
+  },
+  menu_options: {
+    defaults: () => ({ price_delta: 0, position: 0 }),
+    references: {
+      group_id: 'menu_option_groups',
+    },
+    cascade: ['group_id'],
+  },
+  ingredients: {
+    defaults: () => ({ stock_quantity: 0, low_stock_threshold: 0, unit_cost: null }),
+    references: {},
+  },
+  recipe_items: {
+    defaults: () => ({}),
+    references: {
+      menu_item_id: 'menu_items',
+      ingredient_id: 'ingredients',
+    },
+    cascade: ['menu_item_id'],
+  },
+  ingredient_logs: {
+    defaults: () => ({ reason: null, order_id: null, purchase_order_id: null, changed_by: null }),
+    references: {
+      ingredient_id: 'ingredients',
+      order_id: 'orders',
+      purchase_order_id: 'purchase_orders',
+      changed_by: 'profiles',
+    },
+  },
+  suppliers: {
+    defaults: () => ({ contact_name: null, phone: null, email: null }),
+    references: {},
+  },
+  purchase_orders: {
+    defaults: () => ({ status: 'draft', notes: null, created_by: null, sent_at: null, received_at: null }),
+    references: {
+      supplier_id: 'suppliers',
+      created_by: 'profiles',
+    },
+  },
+  purchase_order_items: {
+    defaults: () => ({ menu_item_id: null, ingredient_id: null, quantity_received: 0 }),
+    references: {
+      purchase_order_id: 'purchase_orders',
+      menu_item_id: 'menu_items',
+      ingredient_id: 'ingredients',
+    },
+    cascade: ['purchase_order_id'],
+  },
+  staff_notifications: {
+    defaults: () => ({ body: null, menu_item_id: null, ingredient_id: null, read_at: null, read_by: null, delivered_at: null }),
+    references: {
+      menu_item_id: 'menu_items',
+      ingredient_id: 'ingredients',
+      read_by: 'profiles',
+    },
+  },
+  orders: {
+    defaults: () => ({
+      status: 'pending',
+      payment_method: 'cash',
+      payment_status: 'unpaid',
+      notes: null,
+      pickup_date: null,
+      pickup_number: null,
+    }),
+    references: {
+      user_id: 'profiles',
+    },
+  },
+  order_items: {
+    defaults: () => ({ options: [], cost_at_time: null }),
+    references: {
+      order_id: 'orders',
+      menu_item_id: 'menu_items',
+    },
+  },
+  payments: {
+    defaults: () => ({
+      status: 'pending',
+      phone: null,
+      provider_reference: null,
+      refund_of: null,
+      reason: null,
+      failure_reason: null,
+      created_by: null,
+      settled_at: null,
+    }),
+    references: {
+      order_id: 'orders',
+      refund_of: 'payments',
+      created_by: 'profiles',
+    },
+    cascade: ['order_id'],
+  },
+  cash_ups: {
+    defaults: () => ({ notes: null, closed_by: null }),
+    references: {
+      closed_by: 'profiles',
+    },
+  },
+  wallets: {
+    defaults: () => ({
+      balance: 0,
+      monthly_allowance: 0,
+      allowance_month: null,
+      spend_limit: null,
+      daily_cap: null,
+      sponsor_id: null,
+    }),
+    references: {
+      profile_id: 'profiles',
+      sponsor_id: 'profiles',
+    },
+    cascade: ['profile_id'],
+  },
+  wallet_transactions: {
+    defaults: () => ({ method: null, order_id: null, payment_id: null, reason: null, created_by: null }),
+    references: {
+      profile_id: 'profiles',
+      order_id: 'orders',
+      payment_id: 'payments',
+      created_by: 'profiles',
+    },
+  },
+  order_status_history: {
+    defaults: () => ({ from_status: null, changed_by: null }),
+    references: {
+      order_id: 'orders',
+      changed_by: 'profiles',
+    },
+  },
+  inventory_logs: {
+    defaults: () => ({ reason: null, order_id: null, purchase_order_id: null, stock_take_id: null, changed_by: null }),
+    references: {
+      menu_item_id: 'menu_items',
+      order_id: 'orders',
+      purchase_order_id: 'purchase_orders',
+      stock_take_id: 'stock_takes',
+      changed_by: 'profiles',
+    },
+  },
+  notification_preferences: {
+    defaults: () => ({ statuses: ['ready', 'cancelled'], sms_enabled: false, email_enabled: false, phone: null }),
+    references: {
+      profile_id: 'profiles',
+    },
+    cascade: ['profile_id'],
+  },
+  push_subscriptions: {
+    defaults: () => ({ user_agent: null }),
+    references: {
+      profile_id: 'profiles',
+    },
+    cascade: ['profile_id'],
+  },
+  customer_notifications: {
+    defaults: () => ({ recipient: null, push_subscription_id: null, state: 'pending', error: null, sent_at: null }),
+    references: {
+      profile_id: 'profiles',
+      order_id: 'orders',
+      push_subscription_id: 'push_subscriptions',
+    },
+    cascade: ['profile_id', 'order_id'],
+    setNull: ['push_subscription_id'],
+  },
+  stock_takes: {
+    defaults: () => ({ notes: null, applied: false, created_by: null }),
+    references: {
+      created_by: 'profiles',
+    },
+  },
+  stock_take_counts: {
+    defaults: () => ({ unit_cost: null }),
+    references: {
+      stock_take_id: 'stock_takes',
+      menu_item_id: 'menu_items',
+    },
+    cascade: ['stock_take_id'],
+  },
+};
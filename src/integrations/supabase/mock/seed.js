@@ -0,0 +1,673 @@
+// Fixtures loaded into the mock backend the first time it starts (or after a
+// reset). Timestamps are relative to "now" so the demo always has recent data.
+
+import { format } from 'date-fns';
+import { canteenDate, canteenMonthRange } from '@/lib/canteen-time';
+import { customerNotificationText, DEFAULT_NOTIFY_STATUSES } from '@/lib/customer-notifications';
+import { ledgerEntryType } from '@/lib/ledger';
+import { paymentStatusOf, roundMoney } from '@/lib/payments';
+import { pickupDateOf } from '@/lib/pickup';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// Every seeded account signs in with SEED_PASSWORD.
+export const SEED_PASSWORD = 'password123';
+
+const profiles = [
+  { id: 'user-admin', full_name: 'Grace Wanjiru', email: 'admin@canteen.test', role: 'admin' },
+  { id: 'user-kitchen', full_name: 'Peter Njoroge', email: 'kitchen@canteen.test', role: 'kitchen' },
+  { id: 'user-cashier', full_name: 'Faith Achieng', email: 'cashier@canteen.test', role: 'cashier' },
+  { id: 'user-amina', full_name: 'Amina Otieno', email: 'amina@students.test', role: 'customer' },
+  { id: 'user-brian', full_name: 'Brian Kiptoo', email: 'brian@students.test', role: 'customer' },
+  { id: 'user-cynthia', full_name: 'Cynthia Mutua', email: 'cynthia@staff.test', role: 'customer' },
+  // Amina's parent, who sponsors her wallet.
+  { id: 'user-joseph', full_name: 'Joseph Otieno', email: 'joseph@parents.test', role: 'customer' },
+];
+
+const menuItems = [
+  { id: 'item-mandazi', name: 'Mandazi', description: 'Lightly sweetened fried dough, two pieces', price: 0.3, category: 'breakfast', stock_quantity: 48, reorder_level: 12, reorder_quantity: 48 },
+  { id: 'item-chai', name: 'Chai', description: 'Spiced milk tea', price: 0.4, category: 'beverages', stock_quantity: 120 },
+  { id: 'item-eggs', name: 'Boiled Eggs', description: 'Two eggs with kachumbari', price: 0.6, category: 'breakfast', stock_quantity: 8 },
+  { id: 'item-pilau', name: 'Beef Pilau', description: 'Spiced rice with beef and kachumbari', price: 2.5, category: 'lunch', stock_quantity: 30 },
+  { id: 'item-githeri', name: 'Githeri', description: 'Maize and beans stew', price: 1.2, category: 'lunch', stock_quantity: 25 },
+  { id: 'item-chapati-beans', name: 'Chapati & Beans', description: 'Two chapatis with bean stew', price: 1.5, category: 'lunch', stock_quantity: 6 },
+  { id: 'item-ugali-stew', name: 'Ugali & Beef Stew', description: 'Ugali with beef stew and sukuma wiki', price: 2.2, category: 'dinner', stock_quantity: 20 },
+  { id: 'item-fish', name: 'Fried Tilapia', description: 'Whole fried tilapia with ugali', price: 3.5, category: 'dinner', stock_quantity: 0, is_available: false, unit_cost: 2.0 },
+  { id: 'item-samosa', name: 'Beef Samosa', description: 'Crispy pastry with spiced minced beef', price: 0.5, category: 'snacks', stock_quantity: 60 },
+  { id: 'item-smokie', name: 'Smokie Pasua', description: 'Smokie with kachumbari', price: 0.7, category: 'snacks', stock_quantity: 4, unit_cost: 0.35 },
+  { id: 'item-juice', name: 'Passion Juice', description: 'Fresh passion fruit juice, 300ml', price: 0.8, category: 'beverages', stock_quantity: 35, unit_cost: 0.45, reorder_level: 12, reorder_quantity: 24 },
+  { id: 'item-water', name: 'Bottled Water', description: '500ml', price: 0.5, category: 'beverages', stock_quantity: 90, unit_cost: 0.25, reorder_level: 24, reorder_quantity: 48 },
+  { id: 'item-cake', name: 'Vanilla Cupcake', description: 'Baked fresh every morning', price: 0.6, category: 'desserts', stock_quantity: 15, unit_cost: 0.3 },
+  { id: 'item-sausage-roll', name: 'Sausage Roll', description: 'Flaky pastry with beef sausage', price: 0.7, category: 'snacks', stock_quantity: 0, is_available: false, archived_at: minutesAgo(60 * 24 * 10), unit_cost: 0.4 },
+].map((item) => ({
+  image_url: null,
+  is_available: item.stock_quantity > 0,
+  archived_at: null,
+  // Items made from a recipe are costed through their ingredients.
+  unit_cost: null,
+  reorder_level: 10,
+  reorder_quantity: 20,
+  created_at: minutesAgo(60 * 24 * 30),
+  updated_at: minutesAgo(60 * 24 * 30),
+  ...item,
+}));
+
+// Meals are served in their own windows; snacks and drinks have no schedule
+// and are on sale whenever they are in stock.
+const SERVING_WINDOWS = {
+  breakfast: [
+    { key: 'weekdays', days_of_week: [1, 2, 3, 4, 5], start_time: '06:30', end_time: '10:30' },
+    { key: 'weekends', days_of_week: [0, 6], start_time: '07:30', end_time: '11:00' },
+  ],
+  lunch: [{ key: 'daily', days_of_week: [0, 1, 2, 3, 4, 5, 6], start_time: '11:30', end_time: '15:00' }],
+  dinner: [{ key: 'daily', days_of_week: [0, 1, 2, 3, 4, 5, 6], start_time: '17:00', end_time: '21:00' }],
+};
+
+const menuItemSchedules = menuItems.flatMap((item) =>
+  (SERVING_WINDOWS[item.category] ?? []).map(({ key, ...window }) => ({
+    id: `${item.id}-${key}`,
+    menu_item_id: item.id,
+    ...window,
+    start_date: null,
+    end_date: null,
+    created_at: item.created_at,
+  }))
+);
+
+// Option groups as [menuItemId, name, min, max, [[option, priceDelta], ...]].
+const OPTION_GROUPS = [
+  ['item-chai', 'Size', 1, 1, [['Regular', 0], ['Large', 0.2]]],
+  ['item-chai', 'Extras', 0, 2, [['Extra sugar', 0], ['Ginger', 0.05], ['Less milk', 0]]],
+  ['item-chapati-beans', 'Add-ons', 0, 2, [['Extra chapati', 0.25], ['Avocado', 0.3]]],
+  ['item-githeri', 'Spice level', 1, 1, [['Mild', 0], ['Medium', 0], ['Hot', 0]]],
+  ['item-samosa', 'Dip', 0, 1, [['Tamarind', 0], ['Chilli sauce', 0]]],
+];
+
+const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+const menuOptionGroups = OPTION_GROUPS.map(([menuItemId, name, min, max], index) => ({
+  id: `${menuItemId}-${slug(name)}`,
+  menu_item_id: menuItemId,
+  name,
+  min_select: min,
+  max_select: max,
+  position: index,
+  created_at: minutesAgo(60 * 24 * 30),
+}));
+
+const menuOptions = OPTION_GROUPS.flatMap(([menuItemId, groupName, , , options]) =>
+  options.map(([name, priceDelta], position) => ({
+    id: `${menuItemId}-${slug(groupName)}-${slug(name)}`,
+    group_id: `${menuItemId}-${slug(groupName)}`,
+    name,
+    price_delta: priceDelta,
+    position,
+    created_at: minutesAgo(60 * 24 * 30),
+  }))
+);
+
+const priceOf = (menuItemId) => menuItems.find((item) => item.id === menuItemId).price;
+
+// Small deterministic PRNG (mulberry32) so every reset seeds the same history.
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const HISTORY_DAYS = 60;
+// Trade clusters around breakfast, lunch and supper.
+const ORDER_HOURS = [7, 7, 8, 8, 9, 10, 11, 12, 12, 12, 13, 13, 13, 14, 15, 16, 17, 18, 18, 19];
+const CUSTOMERS = ['user-amina', 'user-brian', 'user-cynthia'];
+const PAYMENT_MIX = ['mpesa', 'mpesa', 'mpesa', 'cash', 'cash', 'card'];
+
+// Several weeks of delivered and cancelled orders so reports and paging have
+// something to show.
+const generateOrderHistory = () => {
+  const random = createRandom(2024);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const sellable = menuItems.filter((item) => item.id !== 'item-fish' && !item.archived_at);
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const history = [];
+
+  for (let day = HISTORY_DAYS; day >= 1; day--) {
+    const weekend = [0, 6].includes(new Date(startOfToday.getTime() - day * 86400000).getDay());
+    const count = Math.floor(random() * (weekend ? 4 : 9)) + (weekend ? 1 : 4);
+
+    for (let n = 0; n < count; n++) {
+      const placedAt = new Date(startOfToday.getTime() - day * 86400000);
+      placedAt.setHours(pick(ORDER_HOURS), Math.floor(random() * 60));
+      const lineCount = Math.floor(random() * 3) + 1;
+      const items = [...new Set(Array.from({ length: lineCount }, () => pick(sellable).id))].map((id) => [
+        id,
+        Math.floor(random() * 3) + 1,
+      ]);
+
+      history.push({
+        id: `hist-${day}-${n + 1}`,
+        user_id: pick(CUSTOMERS),
+        status: random() < 0.08 ? 'cancelled' : 'delivered',
+        payment_method: pick(PAYMENT_MIX),
+        notes: null,
+        minutes: Math.round((Date.now() - placedAt.getTime()) / 60000),
+        items,
+      });
+    }
+  }
+
+  return history;
+};
+
+const INGREDIENTS = [
+  ['flour', 'Wheat flour', 'kg', 20, 5, 1.0],
+  ['maize-flour', 'Maize flour', 'kg', 15, 5, 0.8],
+  ['oil', 'Cooking oil', 'l', 8, 2, 2.5],
+  ['milk', 'Milk', 'l', 12, 4, 0.9],
+  ['tea', 'Tea leaves', 'g', 500, 150, 0.02],
+  ['sugar', 'Sugar', 'kg', 5, 1, 1.2],
+  ['beans', 'Beans', 'kg', 3, 4, 1.5],
+  ['maize', 'Dried maize', 'kg', 6, 2, 0.6],
+  ['rice', 'Rice', 'kg', 10, 3, 1.4],
+  ['beef', 'Beef', 'kg', 4, 5, 5.0],
+  ['eggs', 'Eggs', 'pcs', 30, 12, 0.12],
+];
+
+const ingredients = INGREDIENTS.map(([id, name, unit, stock, threshold, unitCost]) => ({
+  id: `ingredient-${id}`,
+  name,
+  unit,
+  stock_quantity: stock,
+  low_stock_threshold: threshold,
+  unit_cost: unitCost,
+  created_at: minutesAgo(60 * 24 * 30),
+}));
+
+// Quantity of each ingredient that goes into one serving.
+const RECIPES = {
+  'item-chai': [['milk', 0.2], ['tea', 5], ['sugar', 0.01]],
+  'item-mandazi': [['flour', 0.05], ['oil', 0.01], ['sugar', 0.01], ['milk', 0.02]],
+  'item-eggs': [['eggs', 2]],
+  'item-pilau': [['rice', 0.15], ['beef', 0.1], ['oil', 0.015]],
+  'item-githeri': [['maize', 0.1], ['beans', 0.08], ['oil', 0.01]],
+  'item-chapati-beans': [['flour', 0.15], ['oil', 0.02], ['beans', 0.1]],
+  'item-ugali-stew': [['maize-flour', 0.2], ['beef', 0.12], ['oil', 0.01]],
+  'item-samosa': [['flour', 0.03], ['beef', 0.03], ['oil', 0.02]],
+};
+
+const recipeItems = Object.entries(RECIPES).flatMap(([menuItemId, lines]) =>
+  lines.map(([ingredient, quantity]) => ({
+    id: `${menuItemId}-recipe-${ingredient}`,
+    menu_item_id: menuItemId,
+    ingredient_id: `ingredient-${ingredient}`,
+    quantity,
+    created_at: minutesAgo(60 * 24 * 30),
+  }))
+);
+
+// What one serving cost to make at the seeded prices, stored on order lines.
+const costOf = (menuItemId) => {
+  const recipe = RECIPES[menuItemId];
+  if (!recipe) return menuItems.find((item) => item.id === menuItemId).unit_cost;
+  const cost = recipe.reduce(
+    (sum, [ingredient, quantity]) => sum + quantity * ingredients.find((row) => row.id === `ingredient-${ingredient}`).unit_cost,
+    0
+  );
+  return Math.round(cost * 10000) / 10000;
+};
+
+const suppliers = [
+  { id: 'supplier-millers', name: 'Mombasa Millers', contact_name: 'Hassan Ali', phone: '+254 700 111 222', email: 'orders@mombasamillers.test' },
+  { id: 'supplier-dairy', name: 'Kiambu Dairy Co-op', contact_name: 'Grace Njeri', phone: '+254 711 333 444', email: 'sales@kiambudairy.test' },
+  { id: 'supplier-wholesale', name: 'Nairobi Wholesale Traders', contact_name: 'Peter Otieno', phone: '+254 722 555 666', email: null },
+].map((supplier) => ({ ...supplier, created_at: minutesAgo(60 * 24 * 30) }));
+
+const RECEIVED_PO = '5e1f0a90-0101-4c2d-8e3f-000000000001';
+
+const purchaseOrders = [
+  { id: RECEIVED_PO, supplier_id: 'supplier-millers', status: 'received', notes: null, minutes: 60 * 48, sent: 60 * 47, received: 60 * 6 },
+  { id: '6f2a1ba1-0102-4c2d-8e3f-000000000002', supplier_id: 'supplier-wholesale', status: 'sent', notes: 'Deliver before 7am', minutes: 60 * 26, sent: 60 * 25, received: null },
+  { id: '7a3b2cb2-0103-4c2d-8e3f-000000000003', supplier_id: 'supplier-dairy', status: 'draft', notes: null, minutes: 60 * 2, sent: null, received: null },
+].map(({ minutes, sent, received, ...order }) => ({
+  ...order,
+  created_by: 'user-admin',
+  sent_at: sent === null ? null : minutesAgo(sent),
+  received_at: received === null ? null : minutesAgo(received),
+  created_at: minutesAgo(minutes),
+  updated_at: minutesAgo(received ?? sent ?? minutes),
+}));
+
+const purchaseOrderItems = [
+  [RECEIVED_PO, null, 'ingredient-flour', 10, 10, 1.0],
+  ['6f2a1ba1-0102-4c2d-8e3f-000000000002', null, 'ingredient-beans', 5, 0, 1.5],
+  ['6f2a1ba1-0102-4c2d-8e3f-000000000002', null, 'ingredient-oil', 4, 0, 2.5],
+  ['6f2a1ba1-0102-4c2d-8e3f-000000000002', 'item-water', null, 48, 0, 0.25],
+  ['7a3b2cb2-0103-4c2d-8e3f-000000000003', null, 'ingredient-milk', 20, 0, 0.9],
+].map(([purchaseOrderId, menuItemId, ingredientId, ordered, received, unitCost], index) => ({
+  id: `${purchaseOrderId}-line-${index + 1}`,
+  purchase_order_id: purchaseOrderId,
+  menu_item_id: menuItemId,
+  ingredient_id: ingredientId,
+  quantity_ordered: ordered,
+  quantity_received: received,
+  unit_cost: unitCost,
+  created_at: purchaseOrders.find((order) => order.id === purchaseOrderId).created_at,
+}));
+
+const ingredientLogs = [
+  { id: 'ingredient-log-1', ingredient_id: 'ingredient-flour', change_amount: 10, previous_stock: 10, new_stock: 20, reason: 'PO #5e1f0a90 received', purchase_order_id: RECEIVED_PO, changed_by: 'user-admin', minutes: 60 * 6 },
+  { id: 'ingredient-log-2', ingredient_id: 'ingredient-beef', change_amount: -1, previous_stock: 5, new_stock: 4, reason: 'Spoiled stock', changed_by: 'user-admin', minutes: 60 * 30 },
+].map(({ minutes, ...log }) => ({ purchase_order_id: null, ...log, order_id: null, created_at: minutesAgo(minutes) }));
+
+const orderFixtures = [
+  { id: 'a1f3c9e2-0001-4b7a-9c1d-000000000001', user_id: 'user-amina', status: 'pending', payment_method: 'mpesa', notes: 'Less salt please', minutes: 4, items: [['item-pilau', 1], ['item-juice', 1]] },
+  { id: 'b27d4e10-0002-4b7a-9c1d-000000000002', user_id: 'user-brian', status: 'preparing', payment_method: 'cash', notes: null, minutes: 12, items: [['item-chapati-beans', 2], ['item-chai', 2]] },
+  { id: 'c38e5f21-0003-4b7a-9c1d-000000000003', user_id: 'user-cynthia', status: 'ready', payment_method: 'card', notes: null, minutes: 25, items: [['item-githeri', 1], ['item-water', 1]] },
+  { id: 'd49f6032-0004-4b7a-9c1d-000000000004', user_id: 'user-amina', status: 'delivered', payment_method: 'mpesa', notes: null, minutes: 60 * 20, items: [['item-mandazi', 3], ['item-chai', 1]] },
+  { id: 'e5a07143-0005-4b7a-9c1d-000000000005', user_id: 'user-brian', status: 'cancelled', payment_method: 'cash', notes: 'Changed my mind', minutes: 60 * 26, items: [['item-samosa', 4]] },
+  { id: 'f6b18254-0006-4b7a-9c1d-000000000006', user_id: 'user-cynthia', status: 'delivered', payment_method: 'cash', notes: null, minutes: 60 * 24 * 14, items: [['item-sausage-roll', 2], ['item-juice', 1]] },
+  { id: '07c29365-0007-4b7a-9c1d-000000000007', user_id: 'user-amina', status: 'delivered', payment_method: 'wallet', notes: null, minutes: 60 * 30, items: [['item-chapati-beans', 1], ['item-chai', 1]] },
+  ...generateOrderHistory(),
+];
+
+const orders = orderFixtures.map(({ items, minutes, ...order }) => ({
+  ...order,
+  total_amount: items.reduce((sum, [menuItemId, quantity]) => sum + priceOf(menuItemId) * quantity, 0),
+  created_at: minutesAgo(minutes),
+  updated_at: minutesAgo(minutes),
+}));
+
+const orderItems = orderFixtures.flatMap((order) =>
+  order.items.map(([menuItemId, quantity], index) => ({
+    id: `${order.id}-item-${index + 1}`,
+    order_id: order.id,
+    menu_item_id: menuItemId,
+    quantity,
+    price_at_time: priceOf(menuItemId),
+    cost_at_time: costOf(menuItemId),
+    options: [],
+    created_at: minutesAgo(order.minutes),
+  }))
+);
+
+// The stock ledger covers the last two weeks: every order line took stock out
+// when it was placed and every cancellation put it back, alongside a few
+// manual adjustments and a stock take. Entries are built newest first from
+// today's stock levels so each one's previous/new stock chains correctly.
+const LEDGER_DAYS = 14;
+
+const STOCK_TAKE_ID = 'stock-take-1';
+const STOCK_TAKE_MINUTES = 60 * 24 * 4 + 60 * 10;
+// Items counted in the stock take, with how far the count was off.
+const STOCK_TAKE_VARIANCES = [
+  ['item-samosa', -2],
+  ['item-smokie', 0],
+  ['item-juice', 0],
+  ['item-water', 1],
+  ['item-cake', -1],
+  ['item-mandazi', 0],
+];
+
+const stockEvents = [
+  { id: 'log-1', menu_item_id: 'item-samosa', change_amount: 40, reason: 'Morning restock', changed_by: 'user-admin', minutes: 60 * 5 },
+  { id: 'log-2', menu_item_id: 'item-fish', change_amount: -3, reason: 'Spoiled stock', changed_by: 'user-admin', minutes: 60 * 28 },
+  { id: 'log-3', menu_item_id: 'item-eggs', change_amount: 24, reason: 'Restocking', changed_by: 'user-admin', minutes: 60 * 49 },
+  ...STOCK_TAKE_VARIANCES.map(([menuItemId, variance]) => ({
+    id: `log-${STOCK_TAKE_ID}-${menuItemId}`,
+    menu_item_id: menuItemId,
+    change_amount: variance,
+    reason: 'Stock take',
+    stock_take_id: STOCK_TAKE_ID,
+    changed_by: 'user-admin',
+    minutes: STOCK_TAKE_MINUTES,
+  })),
+  ...orderFixtures
+    .filter((order) => order.minutes <= 60 * 24 * LEDGER_DAYS)
+    .flatMap((order) =>
+      order.items.flatMap(([menuItemId, quantity], index) => [
+        {
+          id: `${order.id}-stock-${index + 1}`,
+          menu_item_id: menuItemId,
+          change_amount: -quantity,
+          reason: `Order #${order.id.substring(0, 8)}`,
+          order_id: order.id,
+          changed_by: order.user_id,
+          minutes: order.minutes,
+        },
+        ...(order.status === 'cancelled'
+          ? [
+              {
+                id: `${order.id}-restock-${index + 1}`,
+                menu_item_id: menuItemId,
+                change_amount: quantity,
+                reason: `Order #${order.id.substring(0, 8)} cancelled`,
+                order_id: order.id,
+                changed_by: 'user-cashier',
+                minutes: order.minutes - 3,
+              },
+            ]
+          : []),
+      ])
+    ),
+];
+
+const inventoryLogs = [];
+const stockTakeCounts = [];
+
+for (const item of menuItems) {
+  let stock = item.stock_quantity;
+  // Cancellations that could not have happened at the stock levels worked
+  // back to are dropped together with the sale they undid.
+  const skipped = new Set();
+  const events = stockEvents
+    .filter((event) => event.menu_item_id === item.id)
+    .sort((a, b) => a.minutes - b.minutes || a.change_amount - b.change_amount);
+
+  for (const { minutes, ...event } of events) {
+    if (event.order_id && skipped.has(event.order_id)) continue;
+    if (event.change_amount > stock) {
+      if (event.order_id) {
+        skipped.add(event.order_id);
+        continue;
+      }
+      event.change_amount = stock;
+    }
+
+    const previous = stock - event.change_amount;
+    if (event.stock_take_id) {
+      stockTakeCounts.push({
+        id: `${STOCK_TAKE_ID}-${item.id}`,
+        stock_take_id: STOCK_TAKE_ID,
+        menu_item_id: item.id,
+        system_count: previous,
+        counted: stock,
+        unit_cost: costOf(item.id),
+        created_at: minutesAgo(minutes),
+      });
+    }
+    if (event.change_amount !== 0) {
+      inventoryLogs.push({
+        order_id: null,
+        purchase_order_id: null,
+        stock_take_id: null,
+        ...event,
+        previous_stock: previous,
+        new_stock: stock,
+        created_at: minutesAgo(minutes),
+      });
+    }
+    stock = previous;
+  }
+}
+
+inventoryLogs.forEach((log) => (log.entry_type = ledgerEntryType(log)));
+inventoryLogs.sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+const stockTakes = [
+  {
+    id: STOCK_TAKE_ID,
+    notes: 'Monthly count of snacks and drinks',
+    applied: true,
+    created_by: 'user-admin',
+    created_at: minutesAgo(STOCK_TAKE_MINUTES),
+  },
+];
+
+const STATUS_PATHS = {
+  pending: ['pending'],
+  preparing: ['pending', 'preparing'],
+  ready: ['pending', 'preparing', 'ready'],
+  delivered: ['pending', 'preparing', 'ready', 'delivered'],
+  cancelled: ['pending', 'cancelled'],
+};
+
+const STATUS_ACTORS = {
+  preparing: 'user-kitchen',
+  ready: 'user-kitchen',
+  delivered: 'user-cashier',
+  cancelled: 'user-cashier',
+};
+
+const orderStatusHistory = orderFixtures.flatMap((order) =>
+  STATUS_PATHS[order.status].map((status, index, path) => ({
+    id: `${order.id}-status-${index + 1}`,
+    order_id: order.id,
+    from_status: index === 0 ? null : path[index - 1],
+    to_status: status,
+    changed_by: STATUS_ACTORS[status] ?? order.user_id,
+    created_at: minutesAgo(order.minutes - index * 3),
+  }))
+);
+
+// M-Pesa orders were paid from the customer's phone when placed and wallet
+// orders from the wallet; cash and meal card orders at the counter on
+// collection. Cancelled M-Pesa orders were refunded, and one delivered order
+// had part of its payment returned.
+const randomReceipts = createRandom(254);
+const mpesaReceipt = () =>
+  Array.from({ length: 10 }, () => 'ABCDEFGHJKLMNPQRSTUVWXYZ0123456789'[Math.floor(randomReceipts() * 34)]).join('');
+
+const orderById = new Map(orders.map((order) => [order.id, order]));
+const PARTLY_REFUNDED_ORDER = orderFixtures.find(
+  (order) => order.id.startsWith('hist-') && order.status === 'delivered' && order.payment_method === 'mpesa' && order.items.length > 1
+).id;
+
+const payments = orderFixtures.flatMap((order) => {
+  const online = order.payment_method === 'mpesa';
+  const prepaid = online || order.payment_method === 'wallet';
+  const paid = order.status === 'delivered' || (online && order.status === 'cancelled');
+  if (!paid) return [];
+
+  const { total_amount: total } = orderById.get(order.id);
+  const paidAt = prepaid ? order.minutes - 1 : order.minutes - 9;
+  const payment = {
+    id: `${order.id}-payment-1`,
+    order_id: order.id,
+    kind: 'payment',
+    method: order.payment_method,
+    provider: prepaid ? order.payment_method : 'counter',
+    status: 'succeeded',
+    amount: total,
+    phone: online ? '254712345678' : null,
+    provider_reference: online ? mpesaReceipt() : null,
+    refund_of: null,
+    reason: null,
+    created_by: prepaid ? order.user_id : 'user-cashier',
+    minutes: paidAt,
+  };
+
+  const refund = (amount, reason, minutes) => ({
+    ...payment,
+    id: `${order.id}-refund-1`,
+    kind: 'refund',
+    amount,
+    provider_reference: mpesaReceipt(),
+    refund_of: payment.id,
+    reason,
+    created_by: 'user-admin',
+    minutes,
+  });
+
+  if (order.status === 'cancelled') {
+    return [payment, refund(total, `Order #${order.id.substring(0, 8)} cancelled`, order.minutes - 3)];
+  }
+  if (order.id === PARTLY_REFUNDED_ORDER) {
+    const [menuItemId, quantity] = order.items[order.items.length - 1];
+    return [payment, refund(priceOf(menuItemId) * quantity, 'Item was not available at collection', order.minutes - 10)];
+  }
+  return [payment];
+}).map(({ minutes, ...payment }) => ({
+  ...payment,
+  failure_reason: null,
+  settled_at: minutesAgo(minutes),
+  created_at: minutesAgo(minutes),
+  updated_at: minutesAgo(minutes),
+}));
+
+// Pickup numbers count up through each day in the order orders were placed,
+// as the assign_pickup_number trigger hands them out.
+const pickupNumbers = new Map();
+const dayCounts = new Map();
+[...orders]
+  .sort((a, b) => a.created_at.localeCompare(b.created_at))
+  .forEach((order) => {
+    const day = pickupDateOf(new Date(order.created_at));
+    dayCounts.set(day, (dayCounts.get(day) ?? 0) + 1);
+    pickupNumbers.set(order.id, { pickup_date: day, pickup_number: dayCounts.get(day) });
+  });
+
+// Payment status as the sync_order_payment_status trigger leaves it.
+const seededOrders = orders.map((order) => ({
+  ...order,
+  ...pickupNumbers.get(order.id),
+  payment_status: paymentStatusOf(
+    order.total_amount,
+    payments.filter((payment) => payment.order_id === order.id)
+  ),
+}));
+
+// Amina's wallet is sponsored by her parent, who set a per-order limit and a
+// daily cap, and gets a monthly allowance; Brian tops his up at the counter.
+// Entries are replayed oldest first so each carries the balance it left.
+const ALLOWANCE_MONTH = canteenDate().slice(0, 7);
+const allowanceCredited = new Date(canteenMonthRange(ALLOWANCE_MONTH).from);
+const walletPlans = [
+  { id: 'wallet-amina', profile_id: 'user-amina', monthly_allowance: 40, spend_limit: 3, daily_cap: 6, sponsor_id: 'user-joseph' },
+  { id: 'wallet-brian', profile_id: 'user-brian', monthly_allowance: 0, spend_limit: null, daily_cap: null, sponsor_id: null },
+];
+
+const walletEvents = [
+  { profile_id: 'user-amina', kind: 'top_up', amount: 20, method: 'cash', created_by: 'user-cashier', minutes: 60 * 24 * 20 },
+  {
+    profile_id: 'user-amina',
+    kind: 'allowance',
+    amount: 40,
+    reason: `Allowance for ${format(new Date(`${ALLOWANCE_MONTH}-01T00:00`), 'MMMM yyyy')}`,
+    minutes: Math.round((Date.now() - allowanceCredited.getTime()) / 60000),
+  },
+  { profile_id: 'user-amina', kind: 'top_up', amount: 10, method: 'mpesa', reason: 'QJK4XR7TPL', created_by: 'user-cashier', minutes: 60 * 24 * 2 + 60 * 5 },
+  { profile_id: 'user-amina', kind: 'adjustment', amount: 1.5, reason: 'Goodwill credit for a late order', created_by: 'user-admin', minutes: 60 * 9 },
+  { profile_id: 'user-brian', kind: 'top_up', amount: 15, method: 'cash', created_by: 'user-cashier', minutes: 60 * 24 * 5 },
+  ...payments
+    .filter((payment) => payment.method === 'wallet')
+    .map((payment) => ({
+      profile_id: orderById.get(payment.order_id).user_id,
+      kind: payment.kind === 'payment' ? 'order' : 'refund',
+      amount: payment.kind === 'payment' ? -payment.amount : payment.amount,
+      order_id: payment.order_id,
+      payment_id: payment.id,
+      reason: `Order #${payment.order_id.substring(0, 8)}`,
+      created_by: payment.created_by,
+      minutes: Math.round((Date.now() - new Date(payment.created_at).getTime()) / 60000),
+    })),
+].sort((a, b) => b.minutes - a.minutes);
+
+const balances = new Map();
+const walletTransactions = walletEvents.map(({ minutes, ...event }, index) => {
+  const balance = roundMoney((balances.get(event.profile_id) ?? 0) + event.amount);
+  balances.set(event.profile_id, balance);
+  return {
+    id: `wallet-transaction-${index + 1}`,
+    method: null,
+    order_id: null,
+    payment_id: null,
+    reason: null,
+    created_by: null,
+    ...event,
+    balance_after: balance,
+    created_at: minutesAgo(minutes),
+  };
+});
+
+const wallets = walletPlans.map((wallet) => ({
+  ...wallet,
+  balance: balances.get(wallet.profile_id) ?? 0,
+  allowance_month: wallet.monthly_allowance > 0 ? `${ALLOWANCE_MONTH}-01` : null,
+  created_at: minutesAgo(60 * 24 * 30),
+  updated_at: minutesAgo(0),
+}));
+
+const staffNotifications = [
+  { id: 'staff-notification-1', kind: 'low_stock', title: 'Smokie Pasua is running low', body: '4 left (reorder level 10). Suggested order: 20.', menu_item_id: 'item-smokie', minutes: 60 * 3 },
+  { id: 'staff-notification-2', kind: 'low_stock', title: 'Beef is running low', body: '4 kg left (low-stock level 5 kg). Suggested order: 6 kg.', ingredient_id: 'ingredient-beef', minutes: 60 * 30, read: true },
+].map(({ minutes, read, ...notification }) => ({
+  menu_item_id: null,
+  ingredient_id: null,
+  ...notification,
+  read_at: read ? minutesAgo(minutes - 30) : null,
+  read_by: read ? 'user-admin' : null,
+  delivered_at: minutesAgo(minutes),
+  created_at: minutesAgo(minutes),
+}));
+
+// Amina is also texted about her orders; everyone else has the default
+// preferences.
+const notificationPreferences = [
+  { id: 'notification-preferences-amina', profile_id: 'user-amina', statuses: ['ready', 'cancelled'], sms_enabled: true, email_enabled: false, phone: '254712345678' },
+].map((prefs) => ({ ...prefs, created_at: minutesAgo(60 * 24 * 20), updated_at: minutesAgo(60 * 24 * 20) }));
+
+// What the queue_customer_notifications trigger logged as the fixture orders
+// moved along. One text didn't go out.
+const FAILED_SMS_ORDER = '07c29365-0007-4b7a-9c1d-000000000007';
+const customerNotifications = orderStatusHistory
+  .filter((entry) => !entry.order_id.startsWith('hist-') && entry.from_status)
+  .flatMap((entry) => {
+    const order = seededOrders.find((candidate) => candidate.id === entry.order_id);
+    const prefs = notificationPreferences.find((row) => row.profile_id === order.user_id);
+    if (!(prefs?.statuses ?? DEFAULT_NOTIFY_STATUSES).includes(entry.to_status)) return [];
+
+    const failed = order.id === FAILED_SMS_ORDER;
+    const base = {
+      profile_id: order.user_id,
+      order_id: order.id,
+      order_status: entry.to_status,
+      push_subscription_id: null,
+      ...customerNotificationText(order, entry.to_status),
+      created_at: entry.created_at,
+      updated_at: entry.created_at,
+    };
+    return [
+      { ...base, id: `${entry.id}-in-app`, channel: 'in_app', recipient: null, state: 'sent', error: null, sent_at: entry.created_at },
+      ...(prefs?.sms_enabled
+        ? [
+            {
+              ...base,
+              id: `${entry.id}-sms`,
+              channel: 'sms',
+              recipient: prefs.phone,
+              state: failed ? 'failed' : 'sent',
+              error: failed ? 'SMS gateway responded with 502' : null,
+              sent_at: failed ? null : entry.created_at,
+            },
+          ]
+        : []),
+    ];
+  });
+
+export const createSeedData = () => ({
+  profiles,
+  menu_items: menuItems,
+  menu_item_schedules: menuItemSchedules,
+  menu_option_groups: menuOptionGroups,
+  menu_options: menuOptions,
+  orders: seededOrders,
+  order_items: orderItems,
+  payments,
+  wallets,
+  wallet_transactions: walletTransactions,
+  order_status_history: orderStatusHistory,
+  inventory_logs: inventoryLogs,
+  ingredients,
+  recipe_items: recipeItems,
+  ingredient_logs: ingredientLogs,
+  suppliers,
+  purchase_orders: purchaseOrders,
+  purchase_order_items: purchaseOrderItems,
+  staff_notifications: staffNotifications,
+  notification_preferences: notificationPreferences,
+  push_subscriptions: [],
+  customer_notifications: customerNotifications,
+  stock_takes: stockTakes,
+  stock_take_counts: stockTakeCounts,
+});
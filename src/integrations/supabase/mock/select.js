@@ -0,0 +1,89 @@
+import { schema } from './schema';
+
+/**
+ * Parses a PostgREST select string such as
+ * `*, profiles (full_name), order_items (quantity, menu_items (name))`
+ * into a tree of `{ columns, embeds }`.
+ */
+export function parseSelect(input = '*') {
+  let position = 0;
+  const source = input.replace(/\s+/g, '');
+
+  const parseList = () => {
+    const node = { columns: [], embeds: [] };
+
+    while (position < source.length && source[position] !== ')') {
+      let token = '';
+      while (position < source.length && !',()'.includes(source[position])) {
+        token += source[position++];
+      }
+
+      if (source[position] === '(') {
+        position++;
+        const [alias, relation] = token.includes(':') ? token.split(':') : [token, token];
+        // Foreign key hints (`profiles!wallets_sponsor_id_fkey` or `profiles!sponsor_id`)
+        // pick the key when a table references another more than once.
+        const [table, hint = null] = relation.split('!');
+        node.embeds.push({ alias, table, hint, ...parseList() });
+        position++;
+      } else if (token) {
+        node.columns.push(token);
+      }
+
+      if (source[position] === ',') position++;
+    }
+
+    return node;
+  };
+
+  return parseList();
+}
+
+const pickColumns = (row, columns) => {
+  if (columns.length === 0 || columns.includes('*')) return { ...row };
+  return Object.fromEntries(
+    columns.map((column) => {
+      const [alias, name] = column.includes(':') ? column.split(':') : [column, column];
+      return [alias, row[name]];
+    })
+  );
+};
+
+/**
+ * Applies a parsed select tree to a row of `table`, resolving embedded
+ * resources through the foreign keys declared in the schema: a key on the
+ * current table yields a single object, a key on the embedded table pointing
+ * back yields an array.
+ */
+export function project(db, table, row, node) {
+  const result = pickColumns(row, node.columns);
+
+  for (const embed of node.embeds) {
+    const hinted = (source, column) =>
+      !embed.hint || embed.hint === column || embed.hint === `${source}_${column}_fkey`;
+
+    const outgoing = Object.entries(schema[table].references).find(
+      ([column, target]) => target === embed.table && hinted(table, column)
+    );
+    if (outgoing) {
+      const related = db.rows(embed.table).find((candidate) => candidate.id === row[outgoing[0]]);
+      result[embed.alias] = related ? project(db, embed.table, related, embed) : null;
+      continue;
+    }
+
+    const incoming = Object.entries(schema[embed.table]?.references ?? {}).find(
+      ([column, target]) => target === table && hinted(embed.table, column)
+    );
+    if (!incoming) {
+      throw new Error(
+        `Could not find a relationship between '${table}' and '${embed.table}' in the schema cache`
+      );
+    }
+    result[embed.alias] = db
+      .rows(embed.table)
+      .filter((candidate) => candidate[incoming[0]] === row.id)
+      .map((candidate) => project(db, embed.table, candidate, embed));
+  }
+
+  return result;
+}
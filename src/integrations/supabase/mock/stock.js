@@ -0,0 +1,143 @@
+import { MockDatabaseError } from './errors';
+
+export const orderReference = (orderId) => `Order #${orderId.substring(0, 8)}`;
+
+/**
+ * Mirror of the `record_stock_movement` Postgres function: changes a menu
+ * item's stock and writes the matching inventory_logs row. Availability is
+ * synced by the menu_items trigger.
+ */
+export function recordStockMovement(
+  db,
+  { menuItemId, change, reason, orderId = null, purchaseOrderId = null, stockTakeId = null, changedBy = null }
+) {
+  const item = db.rows('menu_items').find((row) => row.id === menuItemId);
+  if (!item) throw new MockDatabaseError('Menu item not found', 'P0001');
+
+  const newStock = item.stock_quantity + change;
+  if (newStock < 0) {
+    throw new MockDatabaseError(`Only ${item.stock_quantity} ${item.name} left in stock`, 'P0001');
+  }
+
+  db.update('menu_items', (row) => row.id === item.id, { stock_quantity: newStock });
+
+  const [log] = db.insert('inventory_logs', [
+    {
+      menu_item_id: item.id,
+      change_amount: change,
+      previous_stock: item.stock_quantity,
+      new_stock: newStock,
+      reason,
+      order_id: orderId,
+      purchase_order_id: purchaseOrderId,
+      stock_take_id: stockTakeId,
+      changed_by: changedBy,
+    },
+  ]);
+  return log;
+}
+
+// Ingredient quantities are numeric(12, 3) in Postgres.
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const OPEN_ORDER_STATUSES = ['pending', 'preparing'];
+
+/**
+ * Ingredients used by the given order lines according to the current recipes,
+ * as a map of ingredient id to quantity.
+ */
+export function ingredientUsage(db, orderItems) {
+  const recipes = db.rows('recipe_items');
+  const usage = new Map();
+  for (const item of orderItems) {
+    for (const line of recipes.filter((recipe) => recipe.menu_item_id === item.menu_item_id)) {
+      usage.set(line.ingredient_id, roundQuantity((usage.get(line.ingredient_id) ?? 0) + line.quantity * item.quantity));
+    }
+  }
+  return usage;
+}
+
+/**
+ * Mirror of `ingredient_commitments`: ingredients needed by orders the kitchen
+ * has not finished yet. They are only deducted from stock once an order is
+ * ready, so until then they are spoken for but still on the shelf.
+ */
+export function ingredientCommitments(db) {
+  const open = new Set(
+    db.rows('orders').filter((order) => OPEN_ORDER_STATUSES.includes(order.status)).map((order) => order.id)
+  );
+  return ingredientUsage(db, db.rows('order_items').filter((item) => open.has(item.order_id)));
+}
+
+/** Mirror of `menu_capacity`: how many more of each recipe item can be made. */
+export function menuCapacity(db) {
+  const committed = ingredientCommitments(db);
+  const ingredients = new Map(db.rows('ingredients').map((ingredient) => [ingredient.id, ingredient]));
+  const byItem = new Map();
+  for (const line of db.rows('recipe_items')) {
+    byItem.set(line.menu_item_id, [...(byItem.get(line.menu_item_id) ?? []), line]);
+  }
+
+  return [...byItem].map(([menuItemId, lines]) => ({
+    menu_item_id: menuItemId,
+    can_make: Math.min(
+      ...lines.map((line) => {
+        const free = ingredients.get(line.ingredient_id).stock_quantity - (committed.get(line.ingredient_id) ?? 0);
+        return Math.max(0, Math.floor(roundQuantity(free / line.quantity)));
+      })
+    ),
+  }));
+}
+
+/**
+ * Mirror of `record_ingredient_movement`. Manual adjustments cannot take an
+ * ingredient below zero, but order deductions can: the food has already been
+ * cooked, so a negative level means the recorded stock was wrong.
+ */
+export function recordIngredientMovement(
+  db,
+  { ingredientId, change, reason, orderId = null, purchaseOrderId = null, changedBy = null, allowNegative = false }
+) {
+  const ingredient = db.rows('ingredients').find((row) => row.id === ingredientId);
+  if (!ingredient) throw new MockDatabaseError('Ingredient not found', 'P0001');
+
+  const newStock = roundQuantity(ingredient.stock_quantity + change);
+  if (newStock < 0 && !allowNegative) {
+    throw new MockDatabaseError(`Only ${ingredient.stock_quantity} ${ingredient.unit} of ${ingredient.name} left`, 'P0001');
+  }
+
+  db.update('ingredients', (row) => row.id === ingredient.id, { stock_quantity: newStock });
+
+  const [log] = db.insert('ingredient_logs', [
+    {
+      ingredient_id: ingredient.id,
+      change_amount: roundQuantity(change),
+      previous_stock: ingredient.stock_quantity,
+      new_stock: newStock,
+      reason,
+      order_id: orderId,
+      purchase_order_id: purchaseOrderId,
+      changed_by: changedBy,
+    },
+  ]);
+  return log;
+}
+
+/**
+ * Mirror of `menu_item_unit_cost`: what one serving costs at the latest
+ * purchase prices. Items with a recipe cost their ingredients; anything else
+ * costs what it was last bought for. Null while any price is unknown.
+ */
+export function unitCostOf(db, menuItemId) {
+  const recipe = db.rows('recipe_items').filter((line) => line.menu_item_id === menuItemId);
+  if (!recipe.length) return db.rows('menu_items').find((item) => item.id === menuItemId)?.unit_cost ?? null;
+
+  const ingredients = db.rows('ingredients');
+  let cost = 0;
+  for (const line of recipe) {
+    const unitCost = ingredients.find((ingredient) => ingredient.id === line.ingredient_id)?.unit_cost;
+    if (unitCost == null) return null;
+    cost += line.quantity * unitCost;
+  }
+  return Math.round(cost * 10000) / 10000;
+}
@@ -0,0 +1,132 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { call, createTestClient, placeOrder, query, setStatus, signInAs, stockOf } from './test-utils';
+
+const PURCHASE_ORDER_ID = '6f2a1ba1-0102-4c2d-8e3f-000000000002';
+
+const logsFor = (client, column, value) =>
+  query(client.from('inventory_logs').select('*').eq(column, value).order('created_at'));
+
+describe('stock movements', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = createTestClient();
+    await signInAs(client, 'admin@canteen.test');
+  });
+
+  it('takes sold items out of stock and puts them back when the order is cancelled', async () => {
+    const before = await stockOf(client, 'item-samosa');
+    const order = await placeOrder(client, [['item-samosa', 3]]);
+    expect(await stockOf(client, 'item-samosa')).toBe(before - 3);
+
+    await setStatus(client, order.id, 'cancelled');
+    expect(await stockOf(client, 'item-samosa')).toBe(before);
+
+    const logs = await logsFor(client, 'order_id', order.id);
+    expect(logs.map((log) => log.change_amount)).toEqual([-3, 3]);
+    expect(logs[1].reason).toBe(`Order #${order.id.substring(0, 8)} cancelled`);
+  });
+
+  it('puts a new item on sale once its opening stock is logged', async () => {
+    const item = await query(
+      client
+        .from('menu_items')
+        .insert({ name: 'Chapati', description: '', price: 0.3, category: 'snacks', stock_quantity: 0, is_available: false })
+        .select()
+        .single()
+    );
+    await call(client, 'adjust_stock', { p_menu_item_id: item.id, p_change_amount: 12, p_reason: 'Opening stock' });
+
+    expect(await query(client.from('menu_items').select('stock_quantity, is_available').eq('id', item.id).single())).toEqual({
+      stock_quantity: 12,
+      is_available: true,
+    });
+    expect(await logsFor(client, 'menu_item_id', item.id)).toMatchObject([{ change_amount: 12, reason: 'Opening stock' }]);
+  });
+
+  it('logs manual adjustments and keeps stock from going negative', async () => {
+    await call(client, 'adjust_stock', { p_menu_item_id: 'item-eggs', p_change_amount: -2, p_reason: 'Cracked' });
+    expect(await stockOf(client, 'item-eggs')).toBe(6);
+
+    await expect(
+      call(client, 'adjust_stock', { p_menu_item_id: 'item-eggs', p_change_amount: -10, p_reason: 'Cracked' })
+    ).rejects.toThrow('Stock quantity cannot be negative');
+    await expect(
+      call(client, 'adjust_stock', { p_menu_item_id: 'item-eggs', p_change_amount: 5, p_reason: ' ' })
+    ).rejects.toThrow('A reason is required for stock adjustments');
+  });
+
+  it('only lets administrators adjust stock', async () => {
+    await signInAs(client, 'kitchen@canteen.test');
+
+    await expect(
+      call(client, 'adjust_stock', { p_menu_item_id: 'item-eggs', p_change_amount: 5, p_reason: 'Delivery' })
+    ).rejects.toThrow('Only administrators can adjust stock');
+  });
+
+  it('sets stock to the counts when a stock take is applied', async () => {
+    const stockTake = await call(client, 'record_stock_take', {
+      p_counts: [
+        { menu_item_id: 'item-cake', counted: 12 },
+        { menu_item_id: 'item-chai', counted: 120 },
+      ],
+      p_notes: 'Friday count',
+      p_apply: true,
+    });
+
+    expect(await stockOf(client, 'item-cake')).toBe(12);
+    expect(await stockOf(client, 'item-chai')).toBe(120);
+    const logs = await logsFor(client, 'stock_take_id', stockTake.id);
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ menu_item_id: 'item-cake', change_amount: -3, reason: 'Stock take' });
+  });
+
+  it('leaves stock alone when a stock take is only recorded', async () => {
+    const stockTake = await call(client, 'record_stock_take', {
+      p_counts: [{ menu_item_id: 'item-cake', counted: 12 }],
+      p_notes: null,
+      p_apply: false,
+    });
+
+    expect(await stockOf(client, 'item-cake')).toBe(15);
+    expect(await logsFor(client, 'stock_take_id', stockTake.id)).toEqual([]);
+  });
+
+  it('adds received purchase order lines to stock', async () => {
+    const lines = await query(
+      client.from('purchase_order_items').select('*').eq('purchase_order_id', PURCHASE_ORDER_ID).order('id')
+    );
+    const water = lines.find((line) => line.menu_item_id === 'item-water');
+    const before = await stockOf(client, 'item-water');
+
+    const purchaseOrder = await call(client, 'receive_purchase_order', {
+      p_purchase_order_id: PURCHASE_ORDER_ID,
+      p_lines: [{ id: water.id, quantity: 20 }],
+    });
+
+    expect(purchaseOrder.status).toBe('partially_received');
+    expect(await stockOf(client, 'item-water')).toBe(before + 20);
+    const logs = await logsFor(client, 'purchase_order_id', PURCHASE_ORDER_ID);
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ menu_item_id: 'item-water', change_amount: 20 });
+
+    await expect(
+      call(client, 'receive_purchase_order', {
+        p_purchase_order_id: PURCHASE_ORDER_ID,
+        p_lines: [{ id: water.id, quantity: water.quantity_ordered }],
+      })
+    ).rejects.toThrow(`Receive between 0 and ${water.quantity_ordered - 20} for each line`);
+  });
+
+  it('marks a purchase order received once every line is in', async () => {
+    const lines = await query(client.from('purchase_order_items').select('*').eq('purchase_order_id', PURCHASE_ORDER_ID));
+
+    const purchaseOrder = await call(client, 'receive_purchase_order', {
+      p_purchase_order_id: PURCHASE_ORDER_ID,
+      p_lines: lines.map((line) => ({ id: line.id, quantity: line.quantity_ordered - line.quantity_received })),
+    });
+
+    expect(purchaseOrder.status).toBe('received');
+    expect(purchaseOrder.received_at).not.toBeNull();
+  });
+});
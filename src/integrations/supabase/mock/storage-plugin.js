@@ -0,0 +1,81 @@
+import { createReadStream, createWriteStream, existsSync, mkdirSync, rmSync } from 'node:fs';
+import { dirname, join, normalize, sep } from 'node:path';
+import { MOCK_STORAGE_PREFIX } from './storage';
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+};
+
+const contentType = (file) => CONTENT_TYPES[file.slice(file.lastIndexOf('.')).toLowerCase()] ?? 'application/octet-stream';
+
+/**
+ * Vite plugin that stands in for Supabase Storage when running against the
+ * mock backend. Objects live on disk under `.mock-storage/<bucket>/<path>`;
+ * the mock client PUTs and DELETEs them and the app reads them back with
+ * plain GETs, just like public bucket URLs. Only wired into the dev and
+ * preview servers, never into a production build.
+ */
+export function mockStoragePlugin() {
+  let root;
+
+  const middleware = (req, res, next) => {
+    if (!req.url.startsWith(MOCK_STORAGE_PREFIX)) return next();
+
+    const relative = normalize(decodeURIComponent(req.url.slice(MOCK_STORAGE_PREFIX.length).split('?')[0]));
+    if (!relative || relative.startsWith('..') || relative.startsWith(sep)) {
+      res.statusCode = 400;
+      return res.end('Invalid object path');
+    }
+    const file = join(root, relative);
+
+    if (req.method === 'PUT') {
+      mkdirSync(dirname(file), { recursive: true });
+      const out = createWriteStream(file);
+      out.on('finish', () => {
+        res.statusCode = 200;
+        res.end();
+      });
+      out.on('error', (error) => {
+        res.statusCode = 500;
+        res.end(error.message);
+      });
+      return req.pipe(out);
+    }
+
+    if (req.method === 'DELETE') {
+      rmSync(file, { force: true });
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      if (!existsSync(file)) {
+        res.statusCode = 404;
+        return res.end('Object not found');
+      }
+      res.setHeader('Content-Type', contentType(file));
+      res.setHeader('Cache-Control', 'no-cache');
+      if (req.method === 'HEAD') return res.end();
+      return createReadStream(file).pipe(res);
+    }
+
+    res.statusCode = 405;
+    res.end();
+  };
+
+  return {
+    name: 'canteen-mock-storage',
+    configResolved(config) {
+      root = join(config.root, '.mock-storage');
+    },
+    configureServer(server) {
+      server.middlewares.use(middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { storagePolicies } from './policies';
+
+export const MOCK_STORAGE_PREFIX = '/mock-storage/';
+
+const objectUrl = (bucket, path) => `${MOCK_STORAGE_PREFIX}${bucket}/${path.split('/').map(encodeURIComponent).join('/')}`;
+
+const denied = () => ({
+  data: null,
+  error: { message: 'new row violates row-level security policy', statusCode: '403' },
+});
+
+/**
+ * Stand-in for `supabase.storage.from(bucket)`. Objects are stored by the
+ * dev server plugin in `storage-plugin.js`; access is checked here against
+ * `storagePolicies`, mirroring the storage.objects policies in migrations.
+ */
+class MockBucket {
+  constructor(db, bucket) {
+    this.db = db;
+    this.bucket = bucket;
+  }
+
+  allowed(action) {
+    return storagePolicies[this.bucket]?.[action]?.(this.db.context()) ?? false;
+  }
+
+  async upload(path, body, { contentType } = {}) {
+    if (!this.allowed('insert')) return denied();
+
+    try {
+      const response = await fetch(objectUrl(this.bucket, path), {
+        method: 'PUT',
+        headers: contentType ? { 'Content-Type': contentType } : undefined,
+        body,
+      });
+      if (!response.ok) throw new Error(await response.text());
+      return { data: { path, fullPath: `${this.bucket}/${path}` }, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message || 'Upload failed', statusCode: '500' } };
+    }
+  }
+
+  async remove(paths) {
+    if (!this.allowed('delete')) return denied();
+
+    try {
+      await Promise.all(paths.map((path) => fetch(objectUrl(this.bucket, path), { method: 'DELETE' })));
+      return { data: paths.map((name) => ({ name, bucket_id: this.bucket })), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message || 'Delete failed', statusCode: '500' } };
+    }
+  }
+
+  getPublicUrl(path) {
+    return { data: { publicUrl: new URL(objectUrl(this.bucket, path), globalThis.location?.origin).href } };
+  }
+}
+
+export class MockStorage {
+  constructor(db) {
+    this.db = db;
+  }
+
+  from(bucket) {
+    return new MockBucket(this.db, bucket);
+  }
+}
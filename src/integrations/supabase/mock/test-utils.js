@@ -0,0 +1,40 @@
+import { createMockClient } from './client';
+import { SEED_PASSWORD } from './seed';
+
+// Helpers for the behaviour tests next to this file. Each test gets its own
+// database, seeded from the fixtures; the storage key also names the
+// BroadcastChannel, so clients in the same run don't hear each other.
+
+export const createTestClient = () => createMockClient({ storageKey: `canteen-test-${crypto.randomUUID()}` });
+
+export async function signInAs(client, email) {
+  const { error } = await client.auth.signInWithPassword({ email, password: SEED_PASSWORD });
+  if (error) throw new Error(error.message);
+}
+
+/** Calls an RPC and returns its data, throwing its error message instead. */
+export async function call(client, name, params) {
+  const { data, error } = await client.rpc(name, params);
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/** Runs a query and returns its data, throwing its error message instead. */
+export async function query(builder) {
+  const { data, error } = await builder;
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export const placeOrder = (client, items, paymentMethod = 'cash') =>
+  call(client, 'place_order', {
+    p_items: items.map(([menuItemId, quantity]) => ({ menu_item_id: menuItemId, quantity, option_ids: [] })),
+    p_payment_method: paymentMethod,
+    p_notes: null,
+  });
+
+export const setStatus = (client, orderId, status) =>
+  query(client.from('orders').update({ status }).eq('id', orderId).select().single());
+
+export const stockOf = async (client, menuItemId) =>
+  (await query(client.from('menu_items').select('stock_quantity').eq('id', menuItemId).single())).stock_quantity;
@@ -0,0 +1,226 @@
+import { ledgerEntryType } from '@/lib/ledger';
+import { canTransition } from '@/lib/orders';
+import { canSetOrderStatus } from '@/lib/permissions';
+import { pickupDateOf } from '@/lib/pickup';
+import { canTransitionPurchaseOrder } from '@/lib/purchasing';
+import { isScheduledAt } from '@/lib/schedules';
+import { queueCustomerNotifications } from './customer-notifications';
+import { MockDatabaseError } from './errors';
+import { notifyLowIngredient, notifyLowStock } from './notifications';
+import { refundExcess, syncPaymentStatus } from './payments';
+import { isAdmin } from './policies';
+import {
+  ingredientCommitments,
+  ingredientUsage,
+  orderReference,
+  recordIngredientMovement,
+  recordStockMovement,
+  unitCostOf,
+} from './stock';
+
+// JavaScript mirror of the table triggers in supabase/migrations. They run for
+// every write, including those made by RPC handlers. `ctx.user` is null for
+// writes with no signed-in user, which the SQL versions also let through.
+
+const raise = (message, code = '42501') => {
+  throw new MockDatabaseError(message, code);
+};
+
+const recordStatus = (ctx, order, fromStatus) => {
+  ctx.db.insert('order_status_history', [
+    {
+      order_id: order.id,
+      from_status: fromStatus,
+      to_status: order.status,
+      changed_by: ctx.user?.id ?? null,
+    },
+  ]);
+};
+
+// Puts back the stock an order reserved when it is cancelled.
+const restoreStock = (ctx, order) => {
+  const quantities = new Map();
+  ctx.db
+    .rows('order_items')
+    .filter((item) => item.order_id === order.id)
+    .forEach((item) => quantities.set(item.menu_item_id, (quantities.get(item.menu_item_id) ?? 0) + item.quantity));
+
+  [...quantities]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([menuItemId, quantity]) =>
+      recordStockMovement(ctx.db, {
+        menuItemId,
+        change: quantity,
+        reason: `${orderReference(order.id)} cancelled`,
+        orderId: order.id,
+        changedBy: ctx.user?.id ?? null,
+      })
+    );
+};
+
+// Takes the ingredients for a finished order out of stock. The order's lines
+// were already checked against what was free when it was placed.
+const deductIngredients = (ctx, order) => {
+  const items = ctx.db.rows('order_items').filter((item) => item.order_id === order.id);
+  [...ingredientUsage(ctx.db, items)]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([ingredientId, quantity]) =>
+      recordIngredientMovement(ctx.db, {
+        ingredientId,
+        change: -quantity,
+        reason: orderReference(order.id),
+        orderId: order.id,
+        changedBy: ctx.user?.id ?? null,
+        allowNegative: true,
+      })
+    );
+};
+
+// An order line may not need more of an ingredient than is left once every
+// unfinished order, this one included, has had its share.
+const checkIngredients = (ctx, row) => {
+  const committed = ingredientCommitments(ctx.db);
+  const recipe = ctx.db.rows('recipe_items').filter((line) => line.menu_item_id === row.menu_item_id);
+  for (const line of recipe) {
+    const ingredient = ctx.db.rows('ingredients').find((candidate) => candidate.id === line.ingredient_id);
+    if (ingredient.stock_quantity < committed.get(ingredient.id)) {
+      const item = ctx.db.rows('menu_items').find((candidate) => candidate.id === row.menu_item_id);
+      raise(`Not enough ${ingredient.name} left to make ${item?.name ?? 'this item'}`, 'P0001');
+    }
+  }
+};
+
+export const triggers = {
+  menu_items: {
+    beforeUpdate: (oldRow, newRow) => {
+      // Items sell out at zero stock and come back once restocked.
+      if (oldRow.stock_quantity !== newRow.stock_quantity) {
+        if (newRow.stock_quantity === 0) newRow.is_available = false;
+        else if (oldRow.stock_quantity === 0) newRow.is_available = true;
+      }
+      // Archived items are off the menu whatever their stock; restoring one
+      // puts it back on sale if it has any.
+      if (newRow.archived_at) newRow.is_available = false;
+      else if (oldRow.archived_at) newRow.is_available = newRow.stock_quantity > 0;
+      // A thumbnail is only valid for the image it was cut from.
+      if (oldRow.image_url !== newRow.image_url && oldRow.thumbnail_url === newRow.thumbnail_url) {
+        newRow.thumbnail_url = null;
+      }
+    },
+    // Staff hear about an item once, when it first falls to its reorder level.
+    afterUpdate: (oldRow, newRow, ctx) => {
+      const wasLow = oldRow.stock_quantity <= oldRow.reorder_level;
+      if (!newRow.archived_at && !wasLow && newRow.stock_quantity <= newRow.reorder_level) {
+        notifyLowStock(ctx.db, newRow);
+      }
+    },
+  },
+  ingredients: {
+    afterUpdate: (oldRow, newRow, ctx) => {
+      const wasLow = oldRow.stock_quantity <= oldRow.low_stock_threshold;
+      if (!wasLow && newRow.stock_quantity <= newRow.low_stock_threshold) {
+        notifyLowIngredient(ctx.db, newRow);
+      }
+    },
+  },
+  order_items: {
+    // Each line remembers what it cost to make at the time, for cost of goods.
+    beforeInsert: (row, ctx) => {
+      row.cost_at_time = unitCostOf(ctx.db, row.menu_item_id);
+    },
+    // Items can only be ordered during one of their serving windows.
+    afterInsert: (row, ctx) => {
+      const schedules = ctx.db.rows('menu_item_schedules').filter((schedule) => schedule.menu_item_id === row.menu_item_id);
+      if (!isScheduledAt(schedules, new Date())) {
+        const item = ctx.db.rows('menu_items').find((candidate) => candidate.id === row.menu_item_id);
+        raise(`${item?.name ?? 'This item'} is not being served right now`, 'P0001');
+      }
+      checkIngredients(ctx, row);
+    },
+  },
+  // entry_type is a generated column in Postgres.
+  inventory_logs: {
+    beforeInsert: (row) => {
+      row.entry_type = ledgerEntryType(row);
+    },
+    beforeUpdate: (oldRow, newRow) => {
+      newRow.entry_type = ledgerEntryType(newRow);
+    },
+  },
+  purchase_orders: {
+    beforeUpdate: (oldRow, newRow) => {
+      if (oldRow.status === newRow.status) return;
+      if (!canTransitionPurchaseOrder(oldRow.status, newRow.status)) {
+        raise(`Cannot move a purchase order from ${oldRow.status} to ${newRow.status}`, 'P0001');
+      }
+      if (newRow.status === 'sent') newRow.sent_at ??= new Date().toISOString();
+    },
+  },
+  // orders.payment_status follows the order's settled payments and refunds.
+  payments: {
+    afterInsert: (row, ctx) => syncPaymentStatus(ctx.db, row.order_id),
+    afterUpdate: (oldRow, newRow, ctx) => syncPaymentStatus(ctx.db, newRow.order_id),
+  },
+  // Signed-in staff may only mark notifications read, as themselves; the
+  // column grants on staff_notifications say the same.
+  staff_notifications: {
+    beforeUpdate: (oldRow, newRow, ctx) => {
+      if (!ctx.user) return;
+      const changed = Object.keys(newRow).filter(
+        (key) => !['read_at', 'read_by', 'updated_at'].includes(key) && newRow[key] !== oldRow[key]
+      );
+      if (changed.length > 0) raise('permission denied for table staff_notifications');
+      if (newRow.read_by != null && newRow.read_by !== ctx.user.id) {
+        raise('new row violates row-level security policy for table "staff_notifications"');
+      }
+    },
+  },
+  profiles: {
+    beforeUpdate: (oldRow, newRow, ctx) => {
+      if (oldRow.role !== newRow.role && ctx.user && !isAdmin(ctx)) {
+        raise('Only administrators can change roles');
+      }
+    },
+  },
+  orders: {
+    // The day's next pickup number, fixed from then on.
+    beforeInsert: (row, ctx) => {
+      if (row.status !== 'pending') raise('New orders must start as pending', 'P0001');
+      if (row.payment_status !== 'unpaid') raise('New orders start unpaid');
+      row.pickup_date = pickupDateOf();
+      const taken = ctx.db
+        .rows('orders')
+        .filter((order) => order.pickup_date === row.pickup_date)
+        .map((order) => order.pickup_number);
+      row.pickup_number = Math.max(0, ...taken) + 1;
+    },
+    beforeUpdate: (oldRow, newRow, ctx) => {
+      newRow.pickup_date = oldRow.pickup_date;
+      newRow.pickup_number = oldRow.pickup_number;
+      if (
+        ['kitchen', 'cashier'].includes(ctx.role) &&
+        (newRow.total_amount !== oldRow.total_amount || newRow.user_id !== oldRow.user_id)
+      ) {
+        raise('Only administrators can change what an order costs or whose it is');
+      }
+      if (oldRow.status === newRow.status) return;
+      if (!canTransition(oldRow.status, newRow.status)) {
+        raise(`Cannot move an order from ${oldRow.status} to ${newRow.status}`, 'P0001');
+      }
+      if (ctx.user && !canSetOrderStatus(ctx.role, newRow.status)) {
+        raise(`Your role cannot move orders to ${newRow.status}`);
+      }
+    },
+    afterInsert: (row, ctx) => recordStatus(ctx, row, null),
+    afterUpdate: (oldRow, newRow, ctx) => {
+      if (oldRow.status === newRow.status) return;
+      recordStatus(ctx, newRow, oldRow.status);
+      if (newRow.status === 'cancelled') {
+        restoreStock(ctx, newRow);
+        refundExcess(ctx.db, newRow.id, ctx.user?.id ?? null);
+      }
+      if (newRow.status === 'ready') deductIngredients(ctx, newRow);
+      queueCustomerNotifications(ctx.db, newRow);
+    },
+  },
+};
@@ -0,0 +1,109 @@
+import { format } from 'date-fns';
+import { canteenDate } from '@/lib/canteen-time';
+import { roundMoney } from '@/lib/payments';
+import { spentToday, walletSpendProblem } from '@/lib/wallets';
+import { MockDatabaseError } from './errors';
+import { orderReference } from './stock';
+
+// Mirrors of the wallet helpers in supabase/migrations.
+
+const raise = (message, code = 'P0001') => {
+  throw new MockDatabaseError(message, code);
+};
+
+export const walletOf = (db, profileId) => db.rows('wallets').find((wallet) => wallet.profile_id === profileId);
+
+// Wallets are opened on first use.
+export function ensureWallet(db, profileId) {
+  return walletOf(db, profileId) ?? db.insert('wallets', [{ profile_id: profileId }])[0];
+}
+
+/**
+ * Mirror of `record_wallet_transaction`: moves a wallet's balance by `amount`
+ * (negative for money spent) and writes the ledger entry with the balance it
+ * leaves. Balances never go below zero.
+ */
+export function recordWalletTransaction(
+  db,
+  { profileId, kind, amount, method = null, orderId = null, paymentId = null, reason = null, createdBy = null }
+) {
+  const wallet = ensureWallet(db, profileId);
+  const balance = roundMoney(wallet.balance + amount);
+  if (balance < 0) raise(`Not enough in the wallet: $${wallet.balance.toFixed(2)} left`);
+
+  db.update('wallets', (row) => row.id === wallet.id, { balance });
+  return db.insert('wallet_transactions', [
+    {
+      profile_id: profileId,
+      kind,
+      amount,
+      balance_after: balance,
+      method,
+      order_id: orderId,
+      payment_id: paymentId,
+      reason,
+      created_by: createdBy,
+    },
+  ])[0];
+}
+
+/**
+ * Mirror of `pay_from_wallet`: checks the sponsor's limits and the balance,
+ * then debits the wallet and records the order as paid.
+ */
+export function payFromWallet(db, order) {
+  creditDueAllowances(db, order.user_id);
+  const wallet = walletOf(db, order.user_id);
+  const transactions = db.rows('wallet_transactions').filter((row) => row.profile_id === order.user_id);
+  const problem = walletSpendProblem(wallet, order.total_amount, spentToday(transactions));
+  if (problem) raise(problem);
+
+  const [payment] = db.insert('payments', [
+    {
+      order_id: order.id,
+      kind: 'payment',
+      method: 'wallet',
+      provider: 'wallet',
+      status: 'succeeded',
+      amount: order.total_amount,
+      created_by: order.user_id,
+      settled_at: new Date().toISOString(),
+    },
+  ]);
+  recordWalletTransaction(db, {
+    profileId: order.user_id,
+    kind: 'order',
+    amount: -order.total_amount,
+    orderId: order.id,
+    paymentId: payment.id,
+    reason: orderReference(order.id),
+    createdBy: order.user_id,
+  });
+  return payment;
+}
+
+/**
+ * Mirror of `credit_monthly_allowances`: credits this month's allowance to
+ * every wallet that has one and hasn't had it yet (or just `profileId`'s).
+ * Returns the ledger entries written.
+ */
+export function creditDueAllowances(db, profileId = null) {
+  const month = `${canteenDate().slice(0, 7)}-01`;
+  return db
+    .rows('wallets')
+    .filter(
+      (wallet) =>
+        (!profileId || wallet.profile_id === profileId) &&
+        wallet.monthly_allowance > 0 &&
+        (!wallet.allowance_month || wallet.allowance_month < month)
+    )
+    .map((wallet) => {
+      db.update('wallets', (row) => row.id === wallet.id, { allowance_month: month });
+      return recordWalletTransaction(db, {
+        profileId: wallet.profile_id,
+        kind: 'allowance',
+        amount: wallet.monthly_allowance,
+        reason: `Allowance for ${format(new Date(`${month}T00:00`), 'MMMM yyyy')}`,
+      });
+    });
+}
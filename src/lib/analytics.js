@@ -0,0 +1,168 @@
+import {
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  eachMonthOfInterval,
+  eachWeekOfInterval,
+  format,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+  subDays,
+} from 'date-fns';
+import { CATEGORY_LABELS, PAYMENT_METHOD_LABELS } from '@/lib/menu';
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+export const GRANULARITY_LABELS = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+const BUCKETS = {
+  day: { start: startOfDay, each: eachDayOfInterval, label: 'd MMM' },
+  week: { start: (date) => startOfWeek(date, WEEK_OPTIONS), each: (interval) => eachWeekOfInterval(interval, WEEK_OPTIONS), label: "'Wk of' d MMM" },
+  month: { start: startOfMonth, each: eachMonthOfInterval, label: 'MMM yyyy' },
+};
+
+// Only collected orders are sales. Cancelled ones count towards the
+// cancellation rate, and orders still open are left out until they're handed
+// over, so revenue never includes food that may yet be cancelled.
+const isSale = (order) => order.status === 'delivered';
+
+const lineTotal = (item) => item.price_at_time * item.quantity;
+
+/**
+ * The period of equal length immediately before `from`..`to` (inclusive
+ * calendar days), used for period-over-period comparisons.
+ */
+export function previousPeriod(from, to) {
+  const days = differenceInCalendarDays(to, from) + 1;
+  return { from: subDays(from, days), to: subDays(to, days) };
+}
+
+export function percentChange(current, previous) {
+  if (!previous) return current ? null : 0;
+  return ((current - previous) / previous) * 100;
+}
+
+export function summarizeOrders(orders) {
+  const sales = orders.filter(isSale);
+  const revenue = sales.reduce((sum, order) => sum + order.total_amount, 0);
+  const cancelled = orders.filter((order) => order.status === 'cancelled').length;
+
+  // Lines sold before an item had a known cost cannot be costed; they are left
+  // out of the margin and reported separately rather than counted as free.
+  let costOfGoods = 0;
+  let costedRevenue = 0;
+  let uncostedRevenue = 0;
+  for (const item of sales.flatMap((order) => order.order_items ?? [])) {
+    if (item.cost_at_time == null) {
+      uncostedRevenue += lineTotal(item);
+    } else {
+      costOfGoods += item.cost_at_time * item.quantity;
+      costedRevenue += lineTotal(item);
+    }
+  }
+
+  return {
+    revenue,
+    orderCount: sales.length,
+    averageOrderValue: sales.length ? revenue / sales.length : 0,
+    cancelledCount: cancelled,
+    cancellationRate: orders.length ? (cancelled / orders.length) * 100 : 0,
+    costOfGoods,
+    grossMargin: costedRevenue ? ((costedRevenue - costOfGoods) / costedRevenue) * 100 : 0,
+    uncostedRevenue,
+  };
+}
+
+/**
+ * Revenue per day, week or month across `from`..`to`. Every bucket in the
+ * range is present, so quiet days show as zero rather than disappearing.
+ */
+export function revenueSeries(orders, { from, to, granularity }) {
+  const bucket = BUCKETS[granularity];
+  const series = bucket.each({ start: from, end: to }).map((date) => ({
+    key: date.getTime(),
+    label: format(date, bucket.label),
+    revenue: 0,
+    orders: 0,
+  }));
+  const byKey = new Map(series.map((point) => [point.key, point]));
+
+  for (const order of orders.filter(isSale)) {
+    const point = byKey.get(bucket.start(new Date(order.created_at)).getTime());
+    if (!point) continue;
+    point.revenue += order.total_amount;
+    point.orders += 1;
+  }
+
+  return series;
+}
+
+export function topItems(orders, limit = 5) {
+  const totals = new Map();
+
+  for (const order of orders.filter(isSale)) {
+    for (const item of order.order_items ?? []) {
+      const name = item.menu_items?.name ?? 'Unknown item';
+      const entry = totals.get(name) ?? { name, quantity: 0, revenue: 0 };
+      entry.quantity += item.quantity;
+      entry.revenue += lineTotal(item);
+      totals.set(name, entry);
+    }
+  }
+
+  return [...totals.values()].sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue).slice(0, limit);
+}
+
+export function salesByCategory(orders) {
+  const totals = new Map();
+
+  for (const order of orders.filter(isSale)) {
+    for (const item of order.order_items ?? []) {
+      const category = item.menu_items?.category ?? 'other';
+      totals.set(category, (totals.get(category) ?? 0) + lineTotal(item));
+    }
+  }
+
+  return [...totals.entries()]
+    .map(([category, revenue]) => ({ category, label: CATEGORY_LABELS[category] ?? category, revenue }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+export function paymentSplit(orders) {
+  const totals = new Map();
+
+  for (const order of orders.filter(isSale)) {
+    const entry = totals.get(order.payment_method) ?? { orders: 0, revenue: 0 };
+    entry.orders += 1;
+    entry.revenue += order.total_amount;
+    totals.set(order.payment_method, entry);
+  }
+
+  return [...totals.entries()]
+    .map(([method, entry]) => ({ method, label: PAYMENT_METHOD_LABELS[method] ?? method, ...entry }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * Order counts as a 7 × 24 grid: rows are weekdays starting Monday, columns
+ * are hours of the day in local time. This is the counter's load, so every
+ * order placed counts, whatever became of it.
+ */
+export function hourlyHeatmap(orders) {
+  const grid = WEEKDAY_LABELS.map(() => Array(24).fill(0));
+
+  for (const order of orders) {
+    const placedAt = new Date(order.created_at);
+    grid[(placedAt.getDay() + 6) % 7][placedAt.getHours()] += 1;
+  }
+
+  return grid;
+}
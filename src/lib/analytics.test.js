@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { hourlyHeatmap, paymentSplit, percentChange, previousPeriod, revenueSeries, summarizeOrders, topItems } from './analytics';
+
+const order = (status, total, createdAt, items = [], paymentMethod = 'cash') => ({
+  status,
+  total_amount: total,
+  created_at: createdAt,
+  payment_method: paymentMethod,
+  order_items: items,
+});
+
+const line = (name, quantity, price, cost = null) => ({
+  quantity,
+  price_at_time: price,
+  cost_at_time: cost,
+  menu_items: { name, category: 'snacks' },
+});
+
+// Monday 19 October 2026, local time.
+const ORDERS = [
+  order('delivered', 2, '2026-10-19T08:15:00', [line('Samosa', 4, 0.5, 0.2)]),
+  order('delivered', 3, '2026-10-19T12:30:00', [line('Pilau', 1, 2.5), line('Chai', 1, 0.5, 0.1)], 'mpesa'),
+  order('cancelled', 5, '2026-10-19T12:45:00', [line('Pilau', 2, 2.5)]),
+  order('preparing', 1, '2026-10-20T12:10:00', [line('Samosa', 2, 0.5)]),
+];
+
+describe('summarizeOrders', () => {
+  it('counts only delivered orders as sales', () => {
+    const summary = summarizeOrders(ORDERS);
+
+    expect(summary.revenue).toBe(5);
+    expect(summary.orderCount).toBe(2);
+    expect(summary.averageOrderValue).toBe(2.5);
+  });
+
+  it('rates cancellations against every order placed', () => {
+    const summary = summarizeOrders(ORDERS);
+
+    expect(summary.cancelledCount).toBe(1);
+    expect(summary.cancellationRate).toBe(25);
+  });
+
+  it('leaves lines with no known cost out of the margin', () => {
+    const summary = summarizeOrders(ORDERS);
+
+    expect(summary.costOfGoods).toBeCloseTo(0.9);
+    expect(summary.grossMargin).toBeCloseTo(((2.5 - 0.9) / 2.5) * 100);
+    expect(summary.uncostedRevenue).toBe(2.5);
+  });
+
+  it('handles a period with no orders', () => {
+    expect(summarizeOrders([])).toMatchObject({ revenue: 0, averageOrderValue: 0, cancellationRate: 0, grossMargin: 0 });
+  });
+});
+
+describe('sales breakdowns', () => {
+  it('buckets revenue by day with quiet days at zero', () => {
+    const series = revenueSeries(ORDERS, {
+      from: new Date('2026-10-18T00:00'),
+      to: new Date('2026-10-20T00:00'),
+      granularity: 'day',
+    });
+
+    expect(series.map((point) => point.revenue)).toEqual([0, 5, 0]);
+    expect(series.map((point) => point.orders)).toEqual([0, 2, 0]);
+  });
+
+  it('ranks items and payment methods from delivered orders only', () => {
+    expect(topItems(ORDERS).map((item) => [item.name, item.quantity])).toEqual([
+      ['Samosa', 4],
+      ['Pilau', 1],
+      ['Chai', 1],
+    ]);
+    expect(paymentSplit(ORDERS).map((entry) => [entry.method, entry.revenue])).toEqual([
+      ['mpesa', 3],
+      ['cash', 2],
+    ]);
+  });
+});
+
+describe('hourlyHeatmap', () => {
+  it('counts every order placed, whatever became of it', () => {
+    const grid = hourlyHeatmap(ORDERS);
+
+    expect(grid[0][8]).toBe(1);
+    expect(grid[0][12]).toBe(2);
+    expect(grid[1][12]).toBe(1);
+    expect(grid.flat().reduce((sum, count) => sum + count, 0)).toBe(4);
+  });
+});
+
+describe('period comparisons', () => {
+  it('compares against the same number of days just before', () => {
+    const { from, to } = previousPeriod(new Date('2026-10-15T00:00'), new Date('2026-10-21T00:00'));
+
+    expect(from).toEqual(new Date('2026-10-08T00:00'));
+    expect(to).toEqual(new Date('2026-10-14T00:00'));
+  });
+
+  it('has no percentage change from nothing', () => {
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(5, 0)).toBeNull();
+    expect(percentChange(0, 0)).toBe(0);
+  });
+});
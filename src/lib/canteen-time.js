@@ -0,0 +1,73 @@
+// The canteen keeps its own clock, whatever zone the browser is in. The zone
+// matches canteen_local_time() in supabase/migrations (app.canteen_timezone
+// there, VITE_CANTEEN_TIMEZONE here).
+export const CANTEEN_TIME_ZONE = import.meta.env.VITE_CANTEEN_TIMEZONE || 'Africa/Nairobi';
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: CANTEEN_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+const wallClock = (date) => {
+  const parts = Object.fromEntries(partsFormat.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  return [parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second];
+};
+
+/**
+ * The canteen's wall-clock time at `date`, as a Date whose local fields
+ * (getDay, getHours, date-fns `format`) read it. Like canteen_local_time(),
+ * only use it for reading the clock, never as an instant.
+ */
+export function canteenTime(date = new Date()) {
+  return new Date(...wallClock(date));
+}
+
+/** The canteen's calendar day at `date`, as `yyyy-MM-dd`. */
+export function canteenDate(date = new Date()) {
+  const [year, month, day] = wallClock(date);
+  return [year, month + 1, day].map((part) => String(part).padStart(2, '0')).join('-');
+}
+
+// The instant at which the canteen's clock reads `yyyy-MM-dd` 00:00.
+const canteenMidnight = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, date);
+  // The zone's offset at a first guess, then again at the answer in case a
+  // clock change falls in between.
+  let instant = target;
+  for (let pass = 0; pass < 2; pass += 1) {
+    instant = target - (Date.UTC(...wallClock(new Date(instant))) - instant);
+  }
+  return new Date(instant);
+};
+
+const addUtc = (day, { days = 0, months = 0 }) => {
+  const next = new Date(`${day}T00:00Z`);
+  next.setUTCMonth(next.getUTCMonth() + months, next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * The canteen's calendar day `yyyy-MM-dd` as ISO instants for filtering
+ * timestamps: `from` inclusive, `to` the start of the next day, exclusive.
+ */
+export function canteenDayRange(day) {
+  return {
+    from: canteenMidnight(day).toISOString(),
+    to: canteenMidnight(addUtc(day, { days: 1 })).toISOString(),
+  };
+}
+
+/** The same for the canteen's calendar month `yyyy-MM`. */
+export function canteenMonthRange(month) {
+  return {
+    from: canteenMidnight(`${month}-01`).toISOString(),
+    to: canteenMidnight(addUtc(`${month}-01`, { months: 1 })).toISOString(),
+  };
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { canteenDate, canteenDayRange, canteenMonthRange, canteenTime } from './canteen-time';
+
+// The canteen is in Nairobi, three hours ahead of UTC all year.
+describe('canteen clock', () => {
+  it('reads the wall clock in Nairobi', () => {
+    expect(canteenTime(new Date('2026-10-18T22:30:00Z'))).toEqual(new Date(2026, 9, 19, 1, 30));
+  });
+
+  it('turns the date over at midnight in Nairobi', () => {
+    expect(canteenDate(new Date('2026-10-19T20:59:00Z'))).toBe('2026-10-19');
+    expect(canteenDate(new Date('2026-10-19T21:00:00Z'))).toBe('2026-10-20');
+  });
+});
+
+describe('canteen days and months', () => {
+  it('runs a day from midnight to midnight in Nairobi', () => {
+    expect(canteenDayRange('2026-10-19')).toEqual({
+      from: '2026-10-18T21:00:00.000Z',
+      to: '2026-10-19T21:00:00.000Z',
+    });
+  });
+
+  it('runs into the next month and year', () => {
+    expect(canteenDayRange('2026-12-31').to).toBe('2026-12-31T21:00:00.000Z');
+    expect(canteenMonthRange('2026-12')).toEqual({
+      from: '2026-11-30T21:00:00.000Z',
+      to: '2026-12-31T21:00:00.000Z',
+    });
+  });
+});
@@ -0,0 +1,23 @@
+// Two-note chime synthesised with the Web Audio API so the kitchen screen
+// needs no audio assets. Browsers only allow audio after a user gesture, so
+// the AudioContext is created from a click handler and passed in here.
+export function playChime(audioContext) {
+  if (!audioContext) return;
+
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const noteStart = start + index * 0.18;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, noteStart);
+    gain.gain.exponentialRampToValueAtTime(0.4, noteStart + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + 0.6);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteStart + 0.6);
+  });
+}
@@ -0,0 +1,82 @@
+import { z } from 'zod';
+import { pickupLabel } from '@/lib/pickup';
+
+// Order statuses a customer can ask to be told about, and the ones they hear
+// about until they choose.
+export const NOTIFIABLE_STATUSES = ['preparing', 'ready', 'delivered', 'cancelled'];
+export const DEFAULT_NOTIFY_STATUSES = ['ready', 'cancelled'];
+
+export const NOTIFIABLE_STATUS_LABELS = {
+  preparing: 'When the kitchen starts on it',
+  ready: 'When it is ready to collect',
+  delivered: 'When it has been collected',
+  cancelled: 'If it is cancelled',
+};
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'push', 'sms', 'email'];
+
+export const NOTIFICATION_CHANNEL_LABELS = {
+  in_app: 'In-app',
+  push: 'Push',
+  sms: 'SMS',
+  email: 'Email',
+};
+
+export const NOTIFICATION_STATES = ['pending', 'sent', 'failed', 'skipped'];
+
+export const NOTIFICATION_STATE_LABELS = {
+  pending: 'Pending',
+  sent: 'Sent',
+  failed: 'Failed',
+  skipped: 'Skipped',
+};
+
+export const NOTIFICATION_STATE_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-800',
+};
+
+/**
+ * Title and body of the notification for an order moving to `status`. Same
+ * wording as customer_notification_text() in supabase/migrations.
+ */
+export function customerNotificationText(order, status) {
+  const label = `Order ${pickupLabel(order)}`;
+  switch (status) {
+    case 'preparing':
+      return { title: `${label} is being prepared`, body: 'We will let you know when it is ready.' };
+    case 'ready':
+      return { title: `${label} is ready`, body: 'Show your pickup code at the counter to collect it.' };
+    case 'delivered':
+      return { title: `${label} has been collected`, body: 'Enjoy your meal!' };
+    default:
+      return { title: `${label} was cancelled`, body: 'Any payment you made has been refunded.' };
+  }
+}
+
+/** Where a notification about an order takes the customer. */
+export const notificationUrl = (notification) => `/orders/${notification.order_id}`;
+
+// Kenyan mobile numbers as typed (0712…, 712…, +254712…), stored as
+// 2547XXXXXXXX / 2541XXXXXXXX like M-Pesa numbers.
+export const smsPhoneSchema = z
+  .string()
+  .transform((value) => value.replace(/[\s-]/g, ''))
+  .pipe(z.string().regex(/^(?:\+?254|0)?[17]\d{8}$/, 'Enter a mobile number such as 0712 345 678'))
+  .transform((value) => `254${value.slice(-9)}`);
+
+export const notificationPreferencesSchema = z
+  .object({
+    statuses: z.array(z.enum(NOTIFIABLE_STATUSES)),
+    sms_enabled: z.boolean(),
+    email_enabled: z.boolean(),
+    phone: z.string().trim(),
+  })
+  .superRefine((prefs, ctx) => {
+    if (prefs.sms_enabled && !prefs.phone) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['phone'], message: 'Add a phone number for text messages' });
+    }
+  })
+  .transform(({ phone, ...prefs }) => ({ ...prefs, phone: phone ? smsPhoneSchema.parse(phone) : null }));
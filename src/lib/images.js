@@ -0,0 +1,108 @@
+import { supabase } from '@/integrations/supabase/client';
+
+export const MENU_IMAGE_BUCKET = 'menu-images';
+
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Camera photos are often 5–10 MB; anything bigger is probably not a photo.
+export const MAX_SOURCE_IMAGE_BYTES = 15 * 1024 * 1024;
+
+const FULL_SIZE = 1200;
+const THUMBNAIL_SIZE = 400;
+const OUTPUT_TYPE = 'image/webp';
+const OUTPUT_QUALITY = 0.82;
+
+/**
+ * Scales an image down so neither side exceeds `maxSize` and re-encodes it
+ * as WebP. Smaller images are re-encoded at their own size, never enlarged.
+ */
+async function resizeImage(bitmap, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, OUTPUT_TYPE, OUTPUT_QUALITY));
+  if (!blob) throw new Error('This browser could not compress the image');
+  return blob;
+}
+
+/**
+ * Checks a picked or dropped file and produces the compressed full-size
+ * image and thumbnail that get uploaded.
+ */
+export async function prepareMenuImage(file) {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    throw new Error('Choose a JPEG, PNG or WebP image');
+  }
+  if (file.size > MAX_SOURCE_IMAGE_BYTES) {
+    throw new Error('Images must be smaller than 15 MB');
+  }
+
+  const bitmap = await createImageBitmap(file);
+  try {
+    const [full, thumbnail] = await Promise.all([
+      resizeImage(bitmap, FULL_SIZE),
+      resizeImage(bitmap, THUMBNAIL_SIZE),
+    ]);
+    return { full, thumbnail };
+  } finally {
+    bitmap.close();
+  }
+}
+
+const bucket = () => supabase.storage.from(MENU_IMAGE_BUCKET);
+
+/**
+ * Uploads a prepared image and its thumbnail under a fresh name and returns
+ * their public URLs. Names are never reused, so replaced images are not
+ * served stale from a cache.
+ */
+export async function uploadMenuImage({ full, thumbnail }) {
+  const name = `items/${crypto.randomUUID()}`;
+  const uploads = [
+    [`${name}.webp`, full],
+    [`${name}-thumb.webp`, thumbnail],
+  ];
+
+  const uploaded = [];
+  try {
+    for (const [path, blob] of uploads) {
+      const { error } = await bucket().upload(path, blob, { contentType: OUTPUT_TYPE, cacheControl: '31536000' });
+      if (error) throw new Error(error.message);
+      uploaded.push(path);
+    }
+  } catch (error) {
+    if (uploaded.length) await bucket().remove(uploaded);
+    throw error;
+  }
+
+  return {
+    image_url: bucket().getPublicUrl(uploads[0][0]).data.publicUrl,
+    thumbnail_url: bucket().getPublicUrl(uploads[1][0]).data.publicUrl,
+  };
+}
+
+// Path of an object in the menu image bucket, or null for URLs that point
+// somewhere else (such as images linked before uploads existed).
+function storagePath(url) {
+  const marker = `/${MENU_IMAGE_BUCKET}/`;
+  const index = url?.indexOf(marker) ?? -1;
+  return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length).split('?')[0]);
+}
+
+/**
+ * Deletes the stored files behind an item's image. Failures are swallowed:
+ * an orphaned file costs a little storage, but must not fail the save or
+ * delete that triggered the clean-up.
+ */
+export async function removeMenuImage({ image_url, thumbnail_url }) {
+  const paths = [image_url, thumbnail_url].map(storagePath).filter(Boolean);
+  if (!paths.length) return;
+  try {
+    await bucket().remove(paths);
+  } catch {
+    // See above.
+  }
+}
@@ -0,0 +1,39 @@
+import { z } from 'zod';
+
+export const INGREDIENT_UNITS = ['kg', 'g', 'l', 'ml', 'pcs'];
+
+export const INGREDIENT_UNIT_LABELS = {
+  kg: 'Kilograms (kg)',
+  g: 'Grams (g)',
+  l: 'Litres (l)',
+  ml: 'Millilitres (ml)',
+  pcs: 'Pieces (pcs)',
+};
+
+export const ingredientSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  unit: z.enum(INGREDIENT_UNITS),
+  low_stock_threshold: z
+    .number({ invalid_type_error: 'The low-stock level must be a number' })
+    .min(0, 'The low-stock level cannot be negative'),
+});
+
+export const recipeLineSchema = z.object({
+  ingredient_id: z.string().min(1, 'Pick an ingredient for every recipe line'),
+  quantity: z
+    .number({ invalid_type_error: 'Recipe quantities must be numbers' })
+    .positive('Recipe quantities must be more than zero'),
+});
+
+/** e.g. "1.25 kg"; quantities are kept to three decimal places. */
+export function formatQuantity(value, unit) {
+  return `${Number(Number(value).toFixed(3))} ${unit}`;
+}
+
+export const isLowStock = (ingredient) => ingredient.stock_quantity <= ingredient.low_stock_threshold;
+
+/**
+ * `menu_capacity` rows as a lookup from menu item id to how many more can be
+ * made. Items without a recipe are absent: only their own stock limits them.
+ */
+export const capacityByItem = (rows) => new Map((rows ?? []).map((row) => [row.menu_item_id, row.can_make]));
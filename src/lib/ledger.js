@@ -0,0 +1,87 @@
+import { endOfDay, startOfDay } from 'date-fns';
+import { z } from 'zod';
+
+export const LEDGER_ENTRY_TYPES = ['sale', 'cancellation', 'purchase', 'stock_take', 'import', 'adjustment'];
+
+export const LEDGER_ENTRY_TYPE_LABELS = {
+  sale: 'Order',
+  cancellation: 'Cancellation',
+  purchase: 'Purchase Order',
+  stock_take: 'Stock Take',
+  import: 'Menu Import',
+  adjustment: 'Manual Adjustment',
+};
+
+/**
+ * What caused an inventory_logs entry, worked out from the links it carries.
+ * Mirrors the generated `inventory_logs.entry_type` column.
+ */
+export function ledgerEntryType(log) {
+  if (log.purchase_order_id) return 'purchase';
+  if (log.stock_take_id) return 'stock_take';
+  if (log.order_id) return log.change_amount < 0 ? 'sale' : 'cancellation';
+  if (log.reason === 'Menu import') return 'import';
+  return 'adjustment';
+}
+
+/**
+ * Narrows an inventory_logs query to the ledger filters. `menuItemId`,
+ * `entryType` and `changedBy` are ids or 'all'; `from`/`to` are `yyyy-MM-dd`
+ * strings (inclusive) or empty.
+ */
+export function applyLedgerFilters(query, { menuItemId = 'all', entryType = 'all', changedBy = 'all', from, to } = {}) {
+  if (menuItemId !== 'all') query = query.eq('menu_item_id', menuItemId);
+  if (entryType !== 'all') query = query.eq('entry_type', entryType);
+  if (changedBy !== 'all') query = query.eq('changed_by', changedBy);
+  if (from) query = query.gte('created_at', startOfDay(new Date(`${from}T00:00`)).toISOString());
+  if (to) query = query.lte('created_at', endOfDay(new Date(`${to}T00:00`)).toISOString());
+  return query;
+}
+
+/**
+ * Stock level over time for one item from its ledger entries (oldest first).
+ * The first point is the level before the earliest entry, so the line starts
+ * where the period started rather than after its first movement.
+ */
+export function stockSeries(logs) {
+  if (!logs.length) return [];
+  const first = new Date(logs[0].created_at).getTime();
+  return [
+    { time: first - 1, stock: logs[0].previous_stock },
+    ...logs.map((log) => ({ time: new Date(log.created_at).getTime(), stock: log.new_stock })),
+  ];
+}
+
+export const stockTakeSchema = z.object({
+  notes: z.string().max(500, 'Notes must be 500 characters or fewer'),
+  counts: z
+    .array(
+      z.object({
+        menu_item_id: z.string(),
+        counted: z
+          .number({ invalid_type_error: 'Counts must be numbers' })
+          .int('Counts must be whole numbers')
+          .min(0, 'Counts cannot be negative'),
+      })
+    )
+    .min(1, 'Count at least one item'),
+});
+
+/**
+ * Totals for a stock take: how many lines differ from the system count, the
+ * net unit difference and its value at each item's unit cost where known.
+ */
+export function varianceSummary(counts) {
+  return counts.reduce(
+    (summary, count) => {
+      const variance = count.counted - count.system_count;
+      if (variance === 0) return summary;
+      return {
+        mismatched: summary.mismatched + 1,
+        units: summary.units + variance,
+        value: summary.value + variance * (count.unit_cost ?? 0),
+      };
+    },
+    { mismatched: 0, units: 0, value: 0 }
+  );
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { applyLedgerFilters, ledgerEntryType, stockSeries, stockTakeSchema, varianceSummary } from './ledger';
+
+describe('ledgerEntryType', () => {
+  it('names the cause of each stock movement from its links', () => {
+    expect(ledgerEntryType({ purchase_order_id: 'po-1', change_amount: 20 })).toBe('purchase');
+    expect(ledgerEntryType({ stock_take_id: 'st-1', change_amount: -3 })).toBe('stock_take');
+    expect(ledgerEntryType({ order_id: 'order-1', change_amount: -2 })).toBe('sale');
+    expect(ledgerEntryType({ order_id: 'order-1', change_amount: 2 })).toBe('cancellation');
+    expect(ledgerEntryType({ reason: 'Menu import', change_amount: 40 })).toBe('import');
+    expect(ledgerEntryType({ reason: 'Cracked', change_amount: -1 })).toBe('adjustment');
+  });
+});
+
+describe('applyLedgerFilters', () => {
+  const recorder = () => {
+    const calls = [];
+    const query = new Proxy(
+      {},
+      {
+        get: (_, method) =>
+          (...args) => {
+            calls.push([method, ...args]);
+            return query;
+          },
+      }
+    );
+    return { query, calls };
+  };
+
+  it('leaves the query alone with every filter on all', () => {
+    const { query, calls } = recorder();
+
+    expect(applyLedgerFilters(query)).toBe(query);
+    expect(calls).toEqual([]);
+  });
+
+  it('narrows by item, entry type, person and an inclusive date range', () => {
+    const { query, calls } = recorder();
+    applyLedgerFilters(query, { menuItemId: 'item-cake', entryType: 'sale', changedBy: 'user-admin', from: '2026-10-01', to: '2026-10-19' });
+
+    expect(calls.slice(0, 3)).toEqual([
+      ['eq', 'menu_item_id', 'item-cake'],
+      ['eq', 'entry_type', 'sale'],
+      ['eq', 'changed_by', 'user-admin'],
+    ]);
+    const [[, , from], [, , to]] = calls.slice(3);
+    expect(calls.slice(3).map(([method]) => method)).toEqual(['gte', 'lte']);
+    expect(new Date(to) - new Date(from)).toBe(19 * 24 * 60 * 60 * 1000 - 1);
+  });
+});
+
+describe('stockSeries', () => {
+  it('starts from the level before the first movement', () => {
+    const logs = [
+      { created_at: '2026-10-19T06:00:00Z', previous_stock: 15, new_stock: 12 },
+      { created_at: '2026-10-19T09:00:00Z', previous_stock: 12, new_stock: 30 },
+    ];
+    const first = new Date(logs[0].created_at).getTime();
+
+    expect(stockSeries(logs)).toEqual([
+      { time: first - 1, stock: 15 },
+      { time: first, stock: 12 },
+      { time: new Date(logs[1].created_at).getTime(), stock: 30 },
+    ]);
+    expect(stockSeries([])).toEqual([]);
+  });
+});
+
+describe('stock takes', () => {
+  it('totals the lines that differ from the system count', () => {
+    const summary = varianceSummary([
+      { counted: 12, system_count: 15, unit_cost: 0.4 },
+      { counted: 120, system_count: 118, unit_cost: null },
+      { counted: 8, system_count: 8, unit_cost: 0.2 },
+    ]);
+
+    expect(summary.mismatched).toBe(2);
+    expect(summary.units).toBe(-1);
+    expect(summary.value).toBeCloseTo(-1.2);
+  });
+
+  it('needs whole, non-negative counts', () => {
+    const counted = (value) => stockTakeSchema.safeParse({ notes: '', counts: [{ menu_item_id: 'item-cake', counted: value }] });
+
+    expect(counted(12).success).toBe(true);
+    expect(counted(1.5).error.errors[0].message).toBe('Counts must be whole numbers');
+    expect(counted(-1).error.errors[0].message).toBe('Counts cannot be negative');
+    expect(stockTakeSchema.safeParse({ notes: '', counts: [] }).error.errors[0].message).toBe('Count at least one item');
+  });
+});
@@ -0,0 +1,80 @@
+import { CATEGORY_LABELS, menuItemSchema } from '@/lib/menu';
+
+// Column headers used by the menu export; an exported file can be edited and
+// imported straight back.
+export const MENU_IMPORT_COLUMNS = ['name', 'description', 'price', 'category', 'stock_quantity', 'image_url'];
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/\s+/g, '_');
+
+const categoriesByLabel = Object.fromEntries(
+  Object.entries(CATEGORY_LABELS).map(([category, label]) => [label.toLowerCase(), category])
+);
+
+const text = (value) => String(value ?? '').trim();
+
+// Blank numeric cells stay undefined so the schema reports them as required
+// rather than quietly treating them as zero; unreadable ones are passed
+// through as text so the error names what was found.
+const number = (value) => {
+  const raw = text(value).replace(/[$,]/g, '');
+  if (raw === '') return undefined;
+  return Number.isNaN(Number(raw)) ? raw : Number(raw);
+};
+
+export function toMenuExportRow(item) {
+  return {
+    name: item.name,
+    description: item.description ?? '',
+    price: item.price,
+    category: item.category,
+    stock_quantity: item.stock_quantity,
+    image_url: item.image_url ?? '',
+    is_available: item.is_available ? 'yes' : 'no',
+  };
+}
+
+function toMenuItem(row) {
+  const values = Object.fromEntries(Object.entries(row).map(([header, value]) => [normalizeHeader(header), value]));
+  const category = text(values.category).toLowerCase();
+
+  return {
+    name: text(values.name),
+    description: text(values.description),
+    price: number(values.price),
+    category: categoriesByLabel[category] ?? category,
+    stock_quantity: number(values.stock_quantity),
+    image_url: text(values.image_url),
+  };
+}
+
+/**
+ * Validates spreadsheet rows against `menuItemSchema` and works out whether
+ * each one creates a new item or updates the existing item with the same name
+ * (case-insensitive). Row numbers match the spreadsheet, header included.
+ */
+export function validateMenuImport(rows, existingItems) {
+  const existing = new Map(existingItems.map((item) => [normalizeName(item.name), item]));
+  const seen = new Map();
+
+  return rows.map((row, index) => {
+    const rowNumber = index + 2;
+    const item = toMenuItem(row);
+    const result = menuItemSchema.safeParse(item);
+    const errors = result.success
+      ? []
+      : result.error.errors.map((issue) => `${issue.path.join('.') || 'row'}: ${issue.message}`);
+
+    const key = normalizeName(item.name);
+    if (key && seen.has(key)) errors.push(`name: duplicates row ${seen.get(key)}`);
+    else if (key) seen.set(key, rowNumber);
+
+    return {
+      rowNumber,
+      item,
+      errors,
+      existing: existing.get(key) ?? null,
+    };
+  });
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { toMenuExportRow, validateMenuImport } from './menu-import';
+
+const EXISTING = [{ id: 'item-chai', name: 'Masala Chai' }];
+
+const row = (overrides = {}) => ({
+  name: 'Samosa',
+  description: 'Beef samosa',
+  price: '0.50',
+  category: 'snacks',
+  stock_quantity: '40',
+  image_url: '',
+  ...overrides,
+});
+
+describe('validateMenuImport', () => {
+  it('reads spreadsheet headers, category labels and prices as typed', () => {
+    const [result] = validateMenuImport(
+      [{ Name: ' Mandazi ', Description: '', Price: '$1,200.50', Category: 'Desserts', 'Stock Quantity': 3, 'Image URL': '' }],
+      EXISTING
+    );
+
+    expect(result).toEqual({
+      rowNumber: 2,
+      item: { name: 'Mandazi', description: '', price: 1200.5, category: 'desserts', stock_quantity: 3, image_url: '' },
+      errors: [],
+      existing: null,
+    });
+  });
+
+  it('updates the item with the same name, whatever its case', () => {
+    const [result] = validateMenuImport([row({ name: 'masala chai', category: 'beverages' })], EXISTING);
+
+    expect(result.existing).toBe(EXISTING[0]);
+  });
+
+  it('reports blank and unreadable cells against the column', () => {
+    const [result] = validateMenuImport([row({ price: '', stock_quantity: 'lots', category: 'soup' })], EXISTING);
+
+    expect(result.errors).toHaveLength(3);
+    expect(result.errors[0]).toMatch(/^price: /);
+    expect(result.errors[1]).toMatch(/^category: /);
+    expect(result.errors[2]).toMatch(/^stock_quantity: /);
+  });
+
+  it('numbers rows as the spreadsheet does and flags repeated names', () => {
+    const results = validateMenuImport([row(), row({ name: 'Chapati' }), row({ name: 'SAMOSA ' })], EXISTING);
+
+    expect(results.map((result) => result.rowNumber)).toEqual([2, 3, 4]);
+    expect(results[2].errors).toEqual(['name: duplicates row 2']);
+  });
+});
+
+describe('toMenuExportRow', () => {
+  it('exports a row that imports straight back', () => {
+    const item = {
+      name: 'Samosa',
+      description: null,
+      price: 0.5,
+      category: 'snacks',
+      stock_quantity: 40,
+      image_url: null,
+      is_available: true,
+    };
+    const exported = toMenuExportRow(item);
+
+    expect(exported.is_available).toBe('yes');
+    expect(validateMenuImport([exported], [])[0]).toMatchObject({
+      errors: [],
+      item: { name: 'Samosa', description: '', price: 0.5, category: 'snacks', stock_quantity: 40, image_url: '' },
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+export const MENU_CATEGORIES = ['breakfast', 'lunch', 'dinner', 'snacks', 'beverages', 'desserts'];
+
+export const CATEGORY_LABELS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  snacks: 'Snacks',
+  beverages: 'Beverages',
+  desserts: 'Desserts',
+};
+
+export const menuItemSchema = z.object({
+  name: z.string().min(2).max(100),
+  description: z.string().max(500),
+  price: z.number().min(0),
+  category: z.enum(MENU_CATEGORIES),
+  stock_quantity: z.number().int().min(0),
+  image_url: z.string().url().optional().or(z.literal('')),
+});
+
+export const PAYMENT_METHODS = ['cash', 'mpesa', 'card', 'wallet'];
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  mpesa: 'M-Pesa',
+  card: 'Meal Card',
+  wallet: 'Wallet',
+};
@@ -0,0 +1,78 @@
+import { z } from 'zod';
+
+export const optionSchema = z.object({
+  id: z.string().optional(),
+  name: z.string().trim().min(1, 'Every option needs a name').max(60),
+  price_delta: z.number({ invalid_type_error: 'Option prices must be numbers' }),
+});
+
+export const optionGroupSchema = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().trim().min(1, 'Every option group needs a name').max(60),
+    min_select: z.number().int().min(0, 'Minimum choices cannot be negative'),
+    max_select: z.number().int().min(1, 'Allow at least one choice'),
+    options: z.array(optionSchema).min(1, 'Every option group needs at least one option'),
+  })
+  .refine((group) => group.min_select <= group.max_select, {
+    message: 'Minimum choices cannot exceed the maximum',
+    path: ['min_select'],
+  })
+  .refine((group) => group.min_select <= group.options.length, {
+    message: 'A group cannot require more choices than it has options',
+    path: ['min_select'],
+  });
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0);
+
+/** An item's option groups and their options in display order. */
+export function sortedOptionGroups(groups) {
+  return [...(groups ?? [])]
+    .sort(byPosition)
+    .map((group) => ({ ...group, menu_options: [...(group.menu_options ?? [])].sort(byPosition) }));
+}
+
+/** e.g. "Required · choose 1", "Optional · up to 3". */
+export function describeRule({ min_select, max_select }) {
+  if (min_select === 0) return max_select === 1 ? 'Optional' : `Optional · up to ${max_select}`;
+  if (min_select === max_select) return `Required · choose ${min_select}`;
+  return `Required · choose ${min_select}–${max_select}`;
+}
+
+/**
+ * First rule the chosen option ids break, as a message for the customer, or
+ * null when the selection is valid. Mirrors the checks in `place_order`.
+ */
+export function selectionError(itemName, groups, selectedIds) {
+  for (const group of groups) {
+    const chosen = group.menu_options.filter((option) => selectedIds.includes(option.id)).length;
+    if (chosen < group.min_select) return `Choose at least ${group.min_select} ${group.name} for ${itemName}`;
+    if (chosen > group.max_select) return `Choose at most ${group.max_select} ${group.name} for ${itemName}`;
+  }
+  return null;
+}
+
+/** The chosen options as stored on an order line, in display order. */
+export function selectedOptions(groups, selectedIds) {
+  return groups.flatMap((group) =>
+    group.menu_options
+      .filter((option) => selectedIds.includes(option.id))
+      .map((option) => ({ option_id: option.id, group: group.name, name: option.name, price_delta: option.price_delta }))
+  );
+}
+
+export const optionsTotal = (options) => (options ?? []).reduce((sum, option) => sum + option.price_delta, 0);
+
+// Cart lines are identified by the item and the exact set of options chosen,
+// so "Chai, large" and "Chai, small" are separate lines.
+export const lineKey = (menuItemId, options = []) =>
+  [menuItemId, ...options.map((option) => option.option_id).sort()].join(':');
+
+/** e.g. "Large, Extra sugar (+$0.20)". */
+export function describeOptions(options) {
+  return (options ?? [])
+    .map((option) =>
+      option.price_delta ? `${option.name} (${option.price_delta > 0 ? '+' : '−'}$${Math.abs(option.price_delta).toFixed(2)})` : option.name
+    )
+    .join(', ');
+}
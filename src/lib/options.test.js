@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import {
+  describeOptions,
+  describeRule,
+  lineKey,
+  optionGroupSchema,
+  optionsTotal,
+  selectedOptions,
+  selectionError,
+  sortedOptionGroups,
+} from './options';
+
+const SIZE = {
+  name: 'Size',
+  min_select: 1,
+  max_select: 1,
+  position: 0,
+  menu_options: [
+    { id: 'small', name: 'Small', price_delta: 0, position: 0 },
+    { id: 'large', name: 'Large', price_delta: 0.3, position: 1 },
+  ],
+};
+
+const EXTRAS = {
+  name: 'Extras',
+  min_select: 0,
+  max_select: 2,
+  position: 1,
+  menu_options: [
+    { id: 'sugar', name: 'Extra sugar', price_delta: 0.1, position: 0 },
+    { id: 'ginger', name: 'Ginger', price_delta: 0.2, position: 1 },
+    { id: 'oat', name: 'Oat milk', price_delta: 0.5, position: 2 },
+  ],
+};
+
+describe('selectionError', () => {
+  it('asks for a required choice', () => {
+    expect(selectionError('Chai', [SIZE, EXTRAS], [])).toBe('Choose at least 1 Size for Chai');
+  });
+
+  it('stops at the most a group allows', () => {
+    expect(selectionError('Chai', [SIZE, EXTRAS], ['large', 'sugar', 'ginger', 'oat'])).toBe(
+      'Choose at most 2 Extras for Chai'
+    );
+    expect(selectionError('Chai', [SIZE, EXTRAS], ['small', 'large'])).toBe('Choose at most 1 Size for Chai');
+  });
+
+  it('accepts a selection within every group\'s rule', () => {
+    expect(selectionError('Chai', [SIZE, EXTRAS], ['large', 'ginger'])).toBeNull();
+    expect(selectionError('Water', [], [])).toBeNull();
+  });
+});
+
+describe('chosen options', () => {
+  it('stores them on the order line in display order with their price', () => {
+    const options = selectedOptions([SIZE, EXTRAS], ['ginger', 'large']);
+
+    expect(options).toEqual([
+      { option_id: 'large', group: 'Size', name: 'Large', price_delta: 0.3 },
+      { option_id: 'ginger', group: 'Extras', name: 'Ginger', price_delta: 0.2 },
+    ]);
+    expect(optionsTotal(options)).toBeCloseTo(0.5);
+    expect(describeOptions(options)).toBe('Large (+$0.30), Ginger (+$0.20)');
+  });
+
+  it('keeps each set of options on its own cart line', () => {
+    const large = selectedOptions([SIZE, EXTRAS], ['large', 'sugar']);
+    const reordered = [...large].reverse();
+
+    expect(lineKey('item-chai', large)).toBe(lineKey('item-chai', reordered));
+    expect(lineKey('item-chai', large)).not.toBe(lineKey('item-chai', selectedOptions([SIZE], ['small'])));
+    expect(lineKey('item-chai')).toBe('item-chai');
+  });
+});
+
+describe('option groups', () => {
+  it('sorts groups and their options by position', () => {
+    const shuffled = [{ ...EXTRAS, menu_options: [...EXTRAS.menu_options].reverse() }, SIZE];
+
+    expect(sortedOptionGroups(shuffled).map((group) => group.name)).toEqual(['Size', 'Extras']);
+    expect(sortedOptionGroups(shuffled)[1].menu_options.map((option) => option.id)).toEqual(['sugar', 'ginger', 'oat']);
+  });
+
+  it('describes each group\'s rule', () => {
+    expect(describeRule(SIZE)).toBe('Required · choose 1');
+    expect(describeRule(EXTRAS)).toBe('Optional · up to 2');
+    expect(describeRule({ min_select: 1, max_select: 3 })).toBe('Required · choose 1–3');
+  });
+
+  it('cannot require more choices than it has options', () => {
+    const group = { name: 'Size', min_select: 3, max_select: 3, options: [{ name: 'Small', price_delta: 0 }] };
+
+    expect(optionGroupSchema.safeParse(group).error.errors[0].message).toBe(
+      'A group cannot require more choices than it has options'
+    );
+  });
+});
@@ -0,0 +1,28 @@
+export const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'delivered', 'cancelled'];
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  preparing: 'Preparing',
+  ready: 'Ready',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+};
+
+// Legal next states for each order status. Cancelling is only possible before
+// an order is ready; delivered and cancelled orders are final. Mirrored by the
+// enforce_order_status_transition trigger in supabase/migrations.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+export function nextStatuses(status) {
+  return ORDER_STATUS_TRANSITIONS[status] ?? [];
+}
+
+export function canTransition(from, to) {
+  return nextStatuses(from).includes(to);
+}
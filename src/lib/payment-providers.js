@@ -0,0 +1,124 @@
+import { supabase } from '@/integrations/supabase/client';
+import { toast } from '@/hooks/use-toast';
+
+/**
+ * Providers for orders paid online (M-Pesa). A provider is any object with a
+ * `name` and two async methods, both of which only start the work:
+ *
+ * - `requestPayment({ payment, phone })` asks the customer to approve a
+ *   pending payment created by `start_payment`.
+ * - `refund({ refund })` sends a pending refund back to the customer.
+ *
+ * The outcome arrives when the row is settled through `settle_payment`, which
+ * updates the order's payment status; screens watch for it over realtime.
+ * Cash and meal card payments are taken at the counter and recorded by staff,
+ * so they never go through a provider. Which provider is used is set with
+ * `VITE_PAYMENT_PROVIDER`:
+ *
+ * - `mock` (default): the local stub, which approves every request after a
+ *   short pause (numbers ending in 000 are declined). A real database only
+ *   accepts mock payments when `app.mock_payments` is `on`.
+ * - `mpesa`: STK push through `VITE_MPESA_API_URL`, a server function that
+ *   holds the Daraja credentials. It receives `POST /stk-push` and
+ *   `POST /refund` with the payment id and settles the payment from
+ *   Safaricom's callback.
+ */
+
+const MOCK_DELAY_MS = 1500;
+
+const mockReference = () => `MOCK${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+
+const settleLater = (paymentId, succeeded, failureReason = null) =>
+  new Promise((resolve) => {
+    setTimeout(async () => {
+      const { error } = await supabase.rpc('settle_payment', {
+        p_payment_id: paymentId,
+        p_succeeded: succeeded,
+        p_provider_reference: succeeded ? mockReference() : null,
+        p_failure_reason: failureReason,
+      });
+      if (error) {
+        toast({
+          title: 'Error',
+          description: error.message || 'Failed to settle the mock payment',
+          variant: 'destructive',
+        });
+      }
+      resolve(!error);
+    }, MOCK_DELAY_MS);
+  });
+
+// A payment that lands on a cancelled or already paid order is refunded at
+// once; with a real provider its server function sends those refunds itself.
+const settleWithOverpayments = async (paymentId) => {
+  if (!(await settleLater(paymentId, true))) return;
+  const { data } = await supabase.from('payments').select('id').eq('refund_of', paymentId).eq('status', 'pending');
+  await Promise.all((data ?? []).map((refund) => settleLater(refund.id, true)));
+};
+
+export const mockPaymentProvider = {
+  name: 'mock',
+  requestPayment: async ({ payment, phone }) => {
+    // Not awaited: like a real STK push, the answer comes in later.
+    if (phone.endsWith('000')) settleLater(payment.id, false, 'Declined by the customer');
+    else settleWithOverpayments(payment.id);
+  },
+  refund: async ({ refund }) => {
+    settleLater(refund.id, true);
+  },
+};
+
+export function createMpesaProvider(url) {
+  const post = async (path, body) => {
+    const {
+      data: { session },
+    } = await supabase.auth.getSession();
+    const response = await fetch(`${url.replace(/\/$/, '')}/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session?.access_token ?? ''}`,
+      },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) throw new Error(`M-Pesa responded with ${response.status}`);
+  };
+
+  return {
+    name: 'mpesa',
+    requestPayment: ({ payment, phone }) => post('stk-push', { payment_id: payment.id, phone }),
+    refund: ({ refund }) => post('refund', { payment_id: refund.id }),
+  };
+}
+
+export function createPaymentProvider(env = import.meta.env) {
+  switch (env.VITE_PAYMENT_PROVIDER) {
+    case 'mpesa':
+      if (!env.VITE_MPESA_API_URL) throw new Error('VITE_MPESA_API_URL is not set');
+      return createMpesaProvider(env.VITE_MPESA_API_URL);
+    default:
+      return mockPaymentProvider;
+  }
+}
+
+/**
+ * Hands pending refunds to the provider that took the original payment.
+ * Returns how many could not be sent, for the caller to report; those stay
+ * pending and can be sent again from the order.
+ */
+export async function sendRefunds(refunds) {
+  const provider = createPaymentProvider();
+  let failed = 0;
+  for (const refund of refunds.filter((row) => row.kind === 'refund' && row.status === 'pending')) {
+    if (refund.provider !== provider.name) {
+      failed += 1;
+      continue;
+    }
+    try {
+      await provider.refund({ refund });
+    } catch {
+      failed += 1;
+    }
+  }
+  return failed;
+}
@@ -0,0 +1,140 @@
+import { z } from 'zod';
+
+export const PAYMENT_STATUSES = ['unpaid', 'paid', 'partially_refunded', 'refunded'];
+
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  paid: 'Paid',
+  partially_refunded: 'Partially Refunded',
+  refunded: 'Refunded',
+};
+
+export const PAYMENT_STATUS_COLORS = {
+  unpaid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  partially_refunded: 'bg-orange-100 text-orange-800',
+  refunded: 'bg-gray-100 text-gray-800',
+};
+
+// Methods paid through a payment provider rather than at the counter.
+export const ONLINE_PAYMENT_METHODS = ['mpesa'];
+
+// Methods that bring money in: the cash drawer, the M-Pesa till and the meal
+// card terminal. Wallet orders spend money already taken as a top-up, so only
+// these are taken at the counter and counted at cash-up.
+export const TILL_METHODS = ['cash', 'mpesa', 'card'];
+
+// Money is numeric(10, 2) in Postgres.
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Money taken and returned for an order from its `payments` rows. Only
+ * settled (succeeded) rows count; `pendingRefunds` is refunds still with the
+ * provider, which can't be issued twice.
+ */
+export function paymentTotals(payments = []) {
+  const sum = (rows) => roundMoney(rows.reduce((total, row) => total + row.amount, 0));
+  const paid = sum(payments.filter((row) => row.kind === 'payment' && row.status === 'succeeded'));
+  const refunded = sum(payments.filter((row) => row.kind === 'refund' && row.status === 'succeeded'));
+  const pendingRefunds = sum(payments.filter((row) => row.kind === 'refund' && row.status === 'pending'));
+  return {
+    paid,
+    refunded,
+    pendingRefunds,
+    net: roundMoney(paid - refunded),
+    refundable: roundMoney(paid - refunded - pendingRefunds),
+  };
+}
+
+/**
+ * An order's payment status from its total and payments. Mirrors the
+ * sync_order_payment_status trigger in supabase/migrations. Part-paid orders
+ * stay unpaid until the balance is in.
+ */
+export function paymentStatusOf(totalAmount, payments) {
+  const { paid, refunded } = paymentTotals(payments);
+  if (refunded > 0) return refunded >= paid ? 'refunded' : 'partially_refunded';
+  return paid > 0 && paid >= roundMoney(totalAmount) ? 'paid' : 'unpaid';
+}
+
+export function outstandingAmount(order) {
+  return Math.max(roundMoney(order.total_amount - paymentTotals(order.payments).paid), 0);
+}
+
+export const amountSchema = z
+  .number({ invalid_type_error: 'Enter an amount' })
+  .positive('Amounts must be more than zero')
+  .refine((value) => roundMoney(value) === value, 'Amounts can have at most two decimal places');
+
+export const counterPaymentSchema = z.object({
+  method: z.enum(TILL_METHODS),
+  amount: amountSchema,
+  reference: z.string().max(100, 'References must be 100 characters or fewer'),
+});
+
+export const refundSchema = z.object({
+  amount: amountSchema,
+  reason: z.string().trim().min(3, 'Give a reason for the refund').max(200, 'Reasons must be 200 characters or fewer'),
+});
+
+// Safaricom numbers as typed by customers (0712…, 712…, +254712…), sent to
+// the provider as 2547XXXXXXXX / 2541XXXXXXXX.
+export const mpesaPhoneSchema = z
+  .string()
+  .transform((value) => value.replace(/[\s-]/g, ''))
+  .pipe(z.string().regex(/^(?:\+?254|0)?[17]\d{8}$/, 'Enter a Safaricom number such as 0712 345 678'))
+  .transform((value) => `254${value.slice(-9)}`);
+
+/**
+ * End-of-day reconciliation for one business day. `deliveredOrders` are the
+ * orders handed over that day, `payments` the succeeded payments and refunds
+ * settled that day and `topUps` the wallet top-ups taken that day. Per method:
+ *
+ * - `delivered` is the value of the orders handed over, and `difference` what
+ *   the payments, net of refunds, came to against it (negative when orders
+ *   went out unpaid, positive when money came in for orders not yet handed
+ *   over or from earlier days).
+ * - `expected` is the money the payments say was taken, top-ups included,
+ *   which the count is checked against.
+ *
+ * `unpaidDeliveries` are the orders handed over without being paid for, to
+ * follow up. Wallet orders were paid from earlier top-ups and are left out.
+ * Mirrored by close_cash_up in supabase/migrations.
+ */
+export function cashUpSummary({ deliveredOrders = [], payments, topUps = [] }) {
+  const sum = (rows) => roundMoney(rows.reduce((total, row) => total + row.amount, 0));
+
+  const methods = TILL_METHODS.map((method) => {
+    const ofMethod = payments.filter((payment) => payment.method === method);
+    const delivered = roundMoney(
+      deliveredOrders.filter((order) => order.payment_method === method).reduce((total, order) => total + order.total_amount, 0)
+    );
+    const collected = sum(ofMethod.filter((payment) => payment.kind === 'payment'));
+    const refunded = sum(ofMethod.filter((payment) => payment.kind === 'refund'));
+    const toppedUp = sum(topUps.filter((topUp) => topUp.method === method));
+    return {
+      method,
+      delivered,
+      collected,
+      refunded,
+      difference: roundMoney(collected - refunded - delivered),
+      toppedUp,
+      expected: roundMoney(collected - refunded + toppedUp),
+    };
+  });
+
+  return {
+    methods,
+    unpaidDeliveries: deliveredOrders.filter((order) => order.payment_status === 'unpaid'),
+  };
+}
+
+export const cashUpSchema = z.object({
+  notes: z.string().max(500, 'Notes must be 500 characters or fewer'),
+  counts: z.record(
+    z.enum(TILL_METHODS),
+    z
+      .number({ invalid_type_error: 'Enter the amount counted for each method' })
+      .min(0, 'Counted amounts cannot be negative')
+  ),
+});
@@ -0,0 +1,54 @@
+export const ROLES = ['admin', 'kitchen', 'cashier', 'customer'];
+
+export const STAFF_ROLES = ['admin', 'kitchen', 'cashier'];
+
+export const ROLE_LABELS = {
+  admin: 'Administrator',
+  kitchen: 'Kitchen',
+  cashier: 'Cashier',
+  customer: 'Customer',
+};
+
+// What each role may do in the admin area. The same rules are enforced by the
+// row-level security policies and triggers in supabase/migrations; these only
+// decide what the UI offers.
+const CAPABILITIES = {
+  admin: [
+    'orders:view',
+    'orders:update',
+    'orders:pickup',
+    'kitchen:view',
+    'menu:view',
+    'menu:edit',
+    'inventory:view',
+    'inventory:adjust',
+    'analytics:view',
+    'reports:export',
+    'payments:take',
+    'payments:refund',
+    'wallets:view',
+    'wallets:top_up',
+    'wallets:adjust',
+    'notifications:view',
+  ],
+  kitchen: ['orders:view', 'orders:update', 'kitchen:view', 'menu:view', 'inventory:view'],
+  cashier: ['orders:view', 'orders:update', 'orders:pickup', 'menu:view', 'payments:take', 'wallets:view', 'wallets:top_up'],
+  customer: [],
+};
+
+// Order statuses each role may move an order into.
+const ORDER_STATUS_ROLES = {
+  pending: ['admin'],
+  preparing: ['admin', 'kitchen'],
+  ready: ['admin', 'kitchen'],
+  delivered: ['admin', 'cashier'],
+  cancelled: ['admin', 'cashier'],
+};
+
+export function can(role, capability) {
+  return CAPABILITIES[role]?.includes(capability) ?? false;
+}
+
+export function canSetOrderStatus(role, status) {
+  return ORDER_STATUS_ROLES[status]?.includes(role) ?? false;
+}
@@ -0,0 +1,61 @@
+import { format } from 'date-fns';
+import { ORDER_STATUS_LABELS } from '@/lib/orders';
+
+// Pickup numbers restart every day. pickup_date is the canteen's day an order
+// was placed, assigned by the assign_pickup_number trigger; the browser's day
+// stands in for it on the mock backend. Numbers are looked up by the server
+// with find_pickup_order.
+export const pickupDateOf = (date = new Date()) => format(date, 'yyyy-MM-dd');
+
+/** e.g. "No. 12". */
+export const pickupLabel = (order) => (order.pickup_number ? `No. ${order.pickup_number}` : null);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * What the customer's QR code holds: a link to the pickup counter for their
+ * order, so a phone's own camera app opens the same screen as the scanner.
+ */
+export const pickupQrValue = (order, origin = window.location.origin) =>
+  `${origin}/admin/pickup?order=${order.id}`;
+
+/**
+ * Reads a scanned or typed pickup code: a pickup link or an order id gives
+ * `{ orderId }`, a number gives `{ pickupNumber }` for today. Null when it
+ * is neither.
+ */
+export function parsePickupCode(text) {
+  const code = String(text ?? '').trim();
+  if (/^\d{1,5}$/.test(code)) return { pickupNumber: Number(code) };
+  if (UUID_PATTERN.test(code)) return { orderId: code.toLowerCase() };
+
+  try {
+    const orderId = new URL(code).searchParams.get('order');
+    return orderId && UUID_PATTERN.test(orderId) ? { orderId: orderId.toLowerCase() } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why an order can't be handed over, as a warning for the counter, or null
+ * when it is ready to collect.
+ */
+export function pickupProblem(order) {
+  const deliveredAt = order.order_status_history?.find((entry) => entry.to_status === 'delivered')?.created_at;
+
+  switch (order.status) {
+    case 'ready':
+      return null;
+    case 'delivered':
+      return deliveredAt
+        ? `Already collected at ${format(new Date(deliveredAt), 'p')}${
+            pickupDateOf(new Date(deliveredAt)) === pickupDateOf() ? '' : ` on ${format(new Date(deliveredAt), 'PP')}`
+          }`
+        : 'Already collected';
+    case 'cancelled':
+      return 'This order was cancelled and must not be handed over';
+    default:
+      return `Not ready yet: the order is ${ORDER_STATUS_LABELS[order.status].toLowerCase()}`;
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { parsePickupCode, pickupLabel, pickupProblem, pickupQrValue } from './pickup';
+
+const ORDER_ID = '3f9c2b1e-8d4a-4c6b-9e2f-1a2b3c4d5e6f';
+
+describe('parsePickupCode', () => {
+  it('reads a pickup number for today', () => {
+    expect(parsePickupCode(' 12 ')).toEqual({ pickupNumber: 12 });
+  });
+
+  it('reads an order id typed or scanned from the customer\'s QR code', () => {
+    const link = pickupQrValue({ id: ORDER_ID }, 'https://canteen.example');
+
+    expect(link).toBe(`https://canteen.example/admin/pickup?order=${ORDER_ID}`);
+    expect(parsePickupCode(link)).toEqual({ orderId: ORDER_ID });
+    expect(parsePickupCode(ORDER_ID.toUpperCase())).toEqual({ orderId: ORDER_ID });
+  });
+
+  it('rejects anything else', () => {
+    expect(parsePickupCode('')).toBeNull();
+    expect(parsePickupCode('123456')).toBeNull();
+    expect(parsePickupCode('https://canteen.example/admin/pickup?order=42')).toBeNull();
+    expect(parsePickupCode('not a code')).toBeNull();
+  });
+});
+
+describe('pickupProblem', () => {
+  it('hands over ready orders', () => {
+    expect(pickupProblem({ status: 'ready' })).toBeNull();
+  });
+
+  it('warns about orders that are not ready or were cancelled', () => {
+    expect(pickupProblem({ status: 'preparing' })).toBe('Not ready yet: the order is preparing');
+    expect(pickupProblem({ status: 'cancelled' })).toBe('This order was cancelled and must not be handed over');
+  });
+
+  it('says when an order was already collected', () => {
+    const collectedOn = (createdAt) => ({
+      status: 'delivered',
+      order_status_history: [{ to_status: 'delivered', created_at: createdAt }],
+    });
+
+    expect(pickupProblem({ status: 'delivered' })).toBe('Already collected');
+    expect(pickupProblem(collectedOn(new Date().toISOString()))).toMatch(/^Already collected at [^,]+$/);
+    expect(pickupProblem(collectedOn('2026-01-05T09:00:00Z'))).toMatch(/^Already collected at .+ on Jan 5, 2026$/);
+  });
+});
+
+describe('pickupLabel', () => {
+  it('labels orders that have a pickup number', () => {
+    expect(pickupLabel({ pickup_number: 7 })).toBe('No. 7');
+    expect(pickupLabel({ pickup_number: null })).toBeNull();
+  });
+});
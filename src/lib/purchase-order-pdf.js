@@ -0,0 +1,88 @@
+import { format } from 'date-fns';
+import { purchaseOrderReference, purchaseOrderTotal } from '@/lib/purchasing';
+
+// jsPDF is only needed when someone prints a purchase order, so like SheetJS it
+// is loaded on demand.
+const loadJsPdf = () => import('jspdf');
+
+const MARGIN = 15;
+const LINE_HEIGHT = 7;
+
+/**
+ * Lays out a purchase order on A4 and downloads it as `<reference>.pdf`.
+ * `lines` carry a display `name` and `unit` alongside the quantities and costs.
+ */
+export async function downloadPurchaseOrderPdf({ order, supplier, lines }) {
+  const { jsPDF } = await loadJsPdf();
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const width = doc.internal.pageSize.getWidth();
+  const bottom = doc.internal.pageSize.getHeight() - MARGIN;
+  const reference = purchaseOrderReference(order.id);
+  let y = MARGIN + 5;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('Purchase Order', MARGIN, y);
+  doc.setFontSize(11);
+  doc.text(reference, width - MARGIN, y, { align: 'right' });
+
+  y += LINE_HEIGHT * 1.5;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(`Date: ${format(new Date(order.sent_at ?? order.created_at), 'PP')}`, MARGIN, y);
+
+  y += LINE_HEIGHT * 1.5;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Supplier', MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  for (const detail of [supplier.name, supplier.contact_name, supplier.phone, supplier.email].filter(Boolean)) {
+    y += LINE_HEIGHT - 1;
+    doc.text(detail, MARGIN, y);
+  }
+
+  const columns = [
+    { label: 'Item', x: MARGIN },
+    { label: 'Quantity', x: width - MARGIN - 75, align: 'right' },
+    { label: 'Unit cost', x: width - MARGIN - 35, align: 'right' },
+    { label: 'Total', x: width - MARGIN, align: 'right' },
+  ];
+  const row = (cells) => cells.forEach((cell, i) => doc.text(cell, columns[i].x, y, { align: columns[i].align ?? 'left' }));
+
+  y += LINE_HEIGHT * 2;
+  doc.setFont('helvetica', 'bold');
+  row(columns.map((column) => column.label));
+  doc.line(MARGIN, y + 2, width - MARGIN, y + 2);
+  doc.setFont('helvetica', 'normal');
+
+  for (const line of lines) {
+    y += LINE_HEIGHT;
+    if (y > bottom - LINE_HEIGHT * 3) {
+      doc.addPage();
+      y = MARGIN + 5;
+    }
+    row([
+      line.name,
+      `${Number(Number(line.quantity_ordered).toFixed(3))} ${line.unit}`,
+      `$${Number(line.unit_cost).toFixed(2)}`,
+      `$${(line.quantity_ordered * line.unit_cost).toFixed(2)}`,
+    ]);
+  }
+
+  doc.line(MARGIN, y + 3, width - MARGIN, y + 3);
+  y += LINE_HEIGHT + 1;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Total', columns[2].x, y, { align: 'right' });
+  doc.text(`$${purchaseOrderTotal(lines).toFixed(2)}`, width - MARGIN, y, { align: 'right' });
+
+  if (order.notes) {
+    y += LINE_HEIGHT * 2;
+    doc.text('Notes', MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    for (const text of doc.splitTextToSize(order.notes, width - MARGIN * 2)) {
+      y += LINE_HEIGHT - 1;
+      doc.text(text, MARGIN, y);
+    }
+  }
+
+  doc.save(`${reference.replace(/\W+/g, '-').replace(/-$/, '')}.pdf`);
+}
@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import { isLowStock } from '@/lib/ingredients';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+export const PURCHASE_ORDER_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled',
+};
+
+// Legal next states for a purchase order. Cancelling a partially received
+// order closes it: what arrived stays in stock and the rest is not expected.
+// Mirrored by the enforce_purchase_order_transition trigger.
+export const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['received', 'cancelled'],
+  received: [],
+  cancelled: [],
+};
+
+export const canTransitionPurchaseOrder = (from, to) => PURCHASE_ORDER_TRANSITIONS[from]?.includes(to) ?? false;
+
+export const canReceive = (status) => ['sent', 'partially_received'].includes(status);
+
+/** A menu item is due for reordering once its stock falls to its reorder level. */
+export const needsReorder = (item) => item.stock_quantity <= item.reorder_level;
+
+export const reorderSettingsSchema = z.object({
+  reorder_level: z
+    .number({ invalid_type_error: 'The reorder level must be a number' })
+    .int('The reorder level must be a whole number')
+    .min(0, 'The reorder level cannot be negative'),
+  reorder_quantity: z
+    .number({ invalid_type_error: 'The reorder quantity must be a number' })
+    .int('The reorder quantity must be a whole number')
+    .positive('The reorder quantity must be more than zero'),
+});
+
+export const purchaseOrderReference = (id) => `PO #${id.substring(0, 8)}`;
+
+export const supplierSchema = z.object({
+  name: z.string().trim().min(1, 'Supplier name is required').max(100),
+  contact_name: z.string().trim().max(100),
+  phone: z.string().trim().max(30),
+  email: z.union([z.literal(''), z.string().trim().email('Enter a valid email address')]),
+});
+
+const purchaseOrderLineSchema = z
+  .object({
+    menu_item_id: z.string().nullable(),
+    ingredient_id: z.string().nullable(),
+    quantity: z.number({ invalid_type_error: 'Quantities must be numbers' }).positive('Quantities must be more than zero'),
+    unit_cost: z.number({ invalid_type_error: 'Unit costs must be numbers' }).min(0, 'Unit costs cannot be negative'),
+  })
+  .refine((line) => Boolean(line.menu_item_id) !== Boolean(line.ingredient_id), {
+    message: 'Choose what to order on every line',
+  })
+  .refine((line) => !line.menu_item_id || Number.isInteger(line.quantity), {
+    message: 'Menu items are ordered in whole units',
+  });
+
+export const purchaseOrderSchema = z.object({
+  supplier_id: z.string().min(1, 'Choose a supplier'),
+  notes: z.string().max(500, 'Notes must be 500 characters or fewer'),
+  lines: z.array(purchaseOrderLineSchema).min(1, 'Add at least one line'),
+});
+
+/** Quantity still expected on a purchase order line. */
+export const outstanding = (line) => Math.max(0, Math.round((line.quantity_ordered - line.quantity_received) * 1000) / 1000);
+
+export const purchaseOrderTotal = (lines) =>
+  lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+
+/**
+ * Draft lines for everything that is running low: each bought-in menu item at
+ * its reorder level gets its reorder quantity, and each low ingredient enough
+ * to bring it to twice its low-stock level. Menu items made from a recipe are
+ * restocked through their ingredients, so they are left out.
+ */
+export function suggestedLines(menuItems, ingredients) {
+  const items = menuItems
+    .filter((item) => !item.recipe_items?.length && needsReorder(item))
+    .map((item) => ({
+      menu_item_id: item.id,
+      ingredient_id: null,
+      quantity: item.reorder_quantity,
+      unit_cost: item.unit_cost ?? 0,
+    }));
+
+  const supplies = ingredients.filter(isLowStock).map((ingredient) => ({
+    menu_item_id: null,
+    ingredient_id: ingredient.id,
+    quantity: Math.max(
+      Math.round((ingredient.low_stock_threshold * 2 - Math.max(ingredient.stock_quantity, 0)) * 1000) / 1000,
+      1
+    ),
+    unit_cost: ingredient.unit_cost ?? 0,
+  }));
+
+  return [...items, ...supplies];
+}
@@ -0,0 +1,87 @@
+import { supabase } from '@/integrations/supabase/client';
+import { notificationUrl } from '@/lib/customer-notifications';
+
+// Public half of the VAPID key pair; the private half stays with the server
+// function at the database's `app.web_push_url`.
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const pushSupported = () =>
+  typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/** Why push can't be turned on here, or null when it can. */
+export function pushUnavailableReason() {
+  if (!pushSupported()) return 'This browser does not support push notifications.';
+  if (!VAPID_PUBLIC_KEY) return 'Push notifications are not set up for this canteen yet.';
+  if (Notification.permission === 'denied') return 'Notifications are blocked. Allow them in your browser settings.';
+  return null;
+}
+
+const urlBase64ToUint8Array = (value) => {
+  const base64 = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (character) => character.charCodeAt(0));
+};
+
+const registration = () => navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+/** This browser's push subscription, or null when push is off here. */
+export async function currentPushSubscription() {
+  if (!pushSupported()) return null;
+  const worker = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return (await worker?.pushManager.getSubscription()) ?? null;
+}
+
+/**
+ * Asks for permission, subscribes this browser and saves the subscription
+ * so order notifications are pushed to it.
+ */
+export async function enablePush() {
+  const reason = pushUnavailableReason();
+  if (reason) throw new Error(reason);
+
+  if ((await Notification.requestPermission()) !== 'granted') {
+    throw new Error('Notifications were not allowed');
+  }
+
+  const worker = await registration();
+  const subscription =
+    (await worker.pushManager.getSubscription()) ??
+    (await worker.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+    }));
+
+  const { keys } = subscription.toJSON();
+  const { error } = await supabase.rpc('save_push_subscription', {
+    p_endpoint: subscription.endpoint,
+    p_p256dh: keys.p256dh,
+    p_auth: keys.auth,
+    p_user_agent: navigator.userAgent,
+  });
+  if (error) throw error;
+}
+
+/** Unsubscribes this browser and forgets its subscription. */
+export async function disablePush() {
+  const subscription = await currentPushSubscription();
+  if (!subscription) return;
+
+  const { error } = await supabase.from('push_subscriptions').delete().eq('endpoint', subscription.endpoint);
+  if (error) throw error;
+  await subscription.unsubscribe();
+}
+
+/**
+ * Shows an in-app notification as a system notification, for when the store
+ * is open in a tab the customer isn't looking at.
+ */
+export async function showSystemNotification(notification) {
+  if (!pushSupported() || Notification.permission !== 'granted') return;
+  const worker = await registration();
+  await worker.showNotification(notification.title, {
+    body: notification.body,
+    tag: `order-${notification.order_id}`,
+    data: { url: notificationUrl(notification) },
+  });
+}
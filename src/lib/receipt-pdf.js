@@ -0,0 +1,89 @@
+import { receiptContent } from '@/lib/receipts';
+
+// Loaded on demand like the purchase order PDF.
+const loadJsPdf = () => import('jspdf');
+
+const PAGE_WIDTH = 80;
+const MARGIN = 5;
+const LINE_HEIGHT = 4.5;
+
+// Draws the receipt from the top of the page and returns where it ended, so
+// the page can be sized to fit: a first pass measures, the second draws.
+const layOut = (doc, content) => {
+  const right = PAGE_WIDTH - MARGIN;
+  const textWidth = PAGE_WIDTH - MARGIN * 2;
+  let y = MARGIN + 4;
+
+  const rule = () => {
+    doc.setLineDashPattern([1, 1], 0);
+    doc.line(MARGIN, y - 1, right, y - 1);
+    y += LINE_HEIGHT;
+  };
+  const wrapped = (text, x, width) => {
+    for (const part of doc.splitTextToSize(text, width)) {
+      doc.text(part, x, y);
+      y += LINE_HEIGHT;
+    }
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(content.header, PAGE_WIDTH / 2, y, { align: 'center' });
+  y += LINE_HEIGHT + 1;
+  doc.setFontSize(11);
+  doc.text(content.title, PAGE_WIDTH / 2, y, { align: 'center' });
+  y += LINE_HEIGHT;
+  rule();
+
+  doc.setFontSize(9);
+  doc.text(content.reference, MARGIN, y);
+  y += LINE_HEIGHT;
+  doc.setFont('helvetica', 'normal');
+  content.details.forEach((detail) => wrapped(detail, MARGIN, textWidth));
+  rule();
+
+  for (const line of content.lines) {
+    doc.text(line.amount, right, y, { align: 'right' });
+    wrapped(`${line.quantity} x ${line.name}`, MARGIN, textWidth - 16);
+    doc.setFontSize(8);
+    line.details.forEach((detail) => wrapped(detail, MARGIN + 3, textWidth - 19));
+    doc.setFontSize(9);
+  }
+  rule();
+
+  for (const total of content.totals) {
+    doc.setFont('helvetica', total.bold ? 'bold' : 'normal');
+    doc.text(total.label, MARGIN, y);
+    doc.text(total.value, right, y, { align: 'right' });
+    y += LINE_HEIGHT;
+  }
+  doc.setFont('helvetica', 'normal');
+
+  if (content.notes) {
+    rule();
+    wrapped(`Notes: ${content.notes}`, MARGIN, textWidth);
+  }
+
+  rule();
+  doc.text(content.footer, PAGE_WIDTH / 2, y, { align: 'center' });
+  return y + MARGIN;
+};
+
+/**
+ * Downloads an order's receipt as an 80mm-wide PDF, `receipt-<order>.pdf`,
+ * with the same content as the printed one.
+ */
+export async function downloadReceiptPdf(order) {
+  const { jsPDF } = await loadJsPdf();
+  const content = receiptContent(order);
+  const height = layOut(new jsPDF({ unit: 'mm', format: [PAGE_WIDTH, 1000] }), content);
+  // jsPDF turns the page round unless told which way up a short receipt goes.
+  const doc = new jsPDF({
+    unit: 'mm',
+    format: [PAGE_WIDTH, height],
+    orientation: height < PAGE_WIDTH ? 'landscape' : 'portrait',
+  });
+
+  layOut(doc, content);
+  doc.save(`receipt-${order.id.substring(0, 8)}.pdf`);
+}
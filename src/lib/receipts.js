@@ -0,0 +1,192 @@
+import { format } from 'date-fns';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { describeOptions } from '@/lib/options';
+import { outstandingAmount, paymentTotals, PAYMENT_STATUS_LABELS } from '@/lib/payments';
+import { pickupLabel } from '@/lib/pickup';
+
+// Thermal roll widths in mm and the width their print heads can reach.
+export const PAPER_WIDTHS = [58, 80];
+const PRINTABLE_WIDTH = { 58: 48, 80: 72 };
+
+export const RECEIPT_HEADER = import.meta.env.VITE_RECEIPT_HEADER || 'Canteen';
+
+const money = (value) => `$${value.toFixed(2)}`;
+
+const orderNumber = (order) => `#${order.id.substring(0, 8)}`;
+
+/**
+ * What a customer receipt says, worked out once from the order so the thermal
+ * layout and the PDF show the same thing. Expects an order with its
+ * `order_items` (and their `menu_items`), plus `payments` and `profiles` when
+ * they were selected.
+ */
+export function receiptContent(order) {
+  const lines = order.order_items.map((item) => ({
+    quantity: item.quantity,
+    name: item.menu_items.name,
+    details: [
+      item.options?.length > 0 ? describeOptions(item.options) : null,
+      item.quantity > 1 ? `${item.quantity} @ ${money(item.price_at_time)}` : null,
+    ].filter(Boolean),
+    amount: money(item.price_at_time * item.quantity),
+  }));
+
+  const totals = [{ label: 'Total', value: money(order.total_amount), bold: true }];
+  totals.push({ label: 'Payment', value: PAYMENT_METHOD_LABELS[order.payment_method] ?? order.payment_method });
+
+  if (order.payments) {
+    const { paid, refunded } = paymentTotals(order.payments);
+    const due = order.status === 'cancelled' ? 0 : outstandingAmount(order);
+    if (paid > 0) totals.push({ label: 'Paid', value: money(paid) });
+    if (refunded > 0) totals.push({ label: 'Refunded', value: money(refunded) });
+    if (due > 0) totals.push({ label: 'Balance due', value: money(due), bold: true });
+    else totals.push({ label: 'Status', value: PAYMENT_STATUS_LABELS[order.payment_status] ?? order.payment_status });
+  }
+
+  return {
+    header: RECEIPT_HEADER,
+    title: order.status === 'cancelled' ? 'Receipt (Cancelled)' : 'Receipt',
+    reference: [`Order ${orderNumber(order)}`, order.pickup_number && `Pickup ${pickupLabel(order)}`]
+      .filter(Boolean)
+      .join(' · '),
+    details: [format(new Date(order.created_at), 'PPp'), order.profiles?.full_name].filter(Boolean),
+    lines,
+    totals,
+    notes: order.notes,
+    footer: 'Thank you!',
+  };
+}
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`);
+
+// Both layouts are plain HTML with their own print CSS so they can go
+// straight to a receipt printer from a hidden frame, whatever page is open.
+const thermalDocument = (title, body, paperWidth) => `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  * { box-sizing: border-box; }
+  body {
+    width: ${PRINTABLE_WIDTH[paperWidth]}mm;
+    margin: 0 auto;
+    padding: 3mm 0 6mm;
+    color: #000;
+    font: ${paperWidth === 58 ? 11 : 12}px/1.35 'Courier New', Courier, monospace;
+  }
+  h1, h2, p { margin: 0; }
+  h1 { font-size: 1.4em; text-align: center; }
+  h2 { font-size: 1.1em; text-align: center; margin-top: 1mm; }
+  .center { text-align: center; }
+  .rule { border-top: 1px dashed #000; margin: 2mm 0; }
+  .row { display: flex; justify-content: space-between; gap: 2mm; }
+  .row span:last-child { white-space: nowrap; }
+  .bold { font-weight: bold; }
+  .muted { padding-left: 3mm; font-size: 0.9em; }
+  .line { margin-bottom: 1mm; }
+  .ticket-number { font-size: 2.2em; font-weight: bold; text-align: center; }
+  .ticket-line { font-size: 1.3em; font-weight: bold; margin-bottom: 1.5mm; }
+  .ticket-line .muted { font-weight: normal; font-size: 0.75em; }
+  .note { border: 2px solid #000; padding: 1.5mm; font-weight: bold; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+/** Customer receipt laid out for a 58 or 80mm thermal printer. */
+export function receiptHtml(order, { paperWidth = 80 } = {}) {
+  const content = receiptContent(order);
+  const body = `
+<h1>${escapeHtml(content.header)}</h1>
+<h2>${escapeHtml(content.title)}</h2>
+<div class="rule"></div>
+<p class="bold">${escapeHtml(content.reference)}</p>
+${content.details.map((detail) => `<p>${escapeHtml(detail)}</p>`).join('\n')}
+<div class="rule"></div>
+${content.lines
+  .map(
+    (line) => `<div class="line">
+  <div class="row"><span>${line.quantity} x ${escapeHtml(line.name)}</span><span>${line.amount}</span></div>
+  ${line.details.map((detail) => `<p class="muted">${escapeHtml(detail)}</p>`).join('')}
+</div>`
+  )
+  .join('\n')}
+<div class="rule"></div>
+${content.totals
+  .map(
+    (total) =>
+      `<div class="row${total.bold ? ' bold' : ''}"><span>${escapeHtml(total.label)}</span><span>${escapeHtml(total.value)}</span></div>`
+  )
+  .join('\n')}
+${content.notes ? `<div class="rule"></div><p>Notes: ${escapeHtml(content.notes)}</p>` : ''}
+<div class="rule"></div>
+<p class="center">${escapeHtml(content.footer)}</p>`;
+
+  return thermalDocument(`${content.title} ${orderNumber(order)}`, body, paperWidth);
+}
+
+/**
+ * Kitchen ticket: large pickup number, quantities, options and notes, and no
+ * prices. Only needs the order's `order_items` and `menu_items` names.
+ */
+export function kitchenTicketHtml(order, { paperWidth = 80 } = {}) {
+  const body = `
+<p class="center">Kitchen Ticket · ${escapeHtml(orderNumber(order))}</p>
+<p class="ticket-number">${escapeHtml(pickupLabel(order) ?? orderNumber(order))}</p>
+<p class="center">${escapeHtml(format(new Date(order.created_at), 'p'))}${
+    order.profiles?.full_name ? ` · ${escapeHtml(order.profiles.full_name)}` : ''
+  }</p>
+<div class="rule"></div>
+${order.order_items
+  .map(
+    (item) => `<div class="ticket-line">${item.quantity} x ${escapeHtml(item.menu_items.name)}${
+      item.options?.length > 0
+        ? `<p class="muted">${escapeHtml(item.options.map((option) => option.name).join(', '))}</p>`
+        : ''
+    }</div>`
+  )
+  .join('\n')}
+${order.notes ? `<div class="rule"></div><p class="note">${escapeHtml(order.notes)}</p>` : ''}
+<div class="rule"></div>
+<p class="center">Printed ${escapeHtml(format(new Date(), 'p'))}</p>`;
+
+  return thermalDocument(`Ticket ${orderNumber(order)}`, body, paperWidth);
+}
+
+let printQueue = Promise.resolve();
+
+const printInFrame = (html) =>
+  new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    Object.assign(frame.style, { position: 'fixed', right: '0', bottom: '0', width: '0', height: '0', border: '0' });
+
+    frame.onload = () => {
+      const done = () => {
+        frame.remove();
+        resolve();
+      };
+      frame.contentWindow.addEventListener('afterprint', () => setTimeout(done, 0), { once: true });
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // Not every browser fires afterprint for frames; don't hold the queue.
+      setTimeout(done, 5000);
+    };
+
+    frame.srcdoc = html;
+    document.body.append(frame);
+  });
+
+/**
+ * Sends a document from receiptHtml or kitchenTicketHtml to the printer.
+ * Jobs go out one at a time so tickets arriving together don't collide.
+ */
+export function printHtml(html) {
+  printQueue = printQueue.then(() => printInFrame(html));
+  return printQueue;
+}
@@ -0,0 +1,121 @@
+import { endOfDay, format, startOfDay } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+import { applyLedgerFilters, LEDGER_ENTRY_TYPE_LABELS } from '@/lib/ledger';
+import { toMenuExportRow } from '@/lib/menu-import';
+import { PAYMENT_METHOD_LABELS } from '@/lib/menu';
+import { describeOptions } from '@/lib/options';
+import { PAYMENT_STATUS_LABELS } from '@/lib/payments';
+import { ORDER_STATUS_LABELS } from '@/lib/orders';
+import { downloadSpreadsheet } from '@/lib/spreadsheet';
+
+// PostgREST caps a single response, so exports read the table in pages.
+const PAGE = 1000;
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE) return rows;
+  }
+}
+
+const stamp = () => format(new Date(), 'yyyy-MM-dd');
+
+const timestamp = (value) => format(new Date(value), 'yyyy-MM-dd HH:mm');
+
+export async function exportMenu(fileFormat) {
+  const items = await fetchAll(() =>
+    supabase.from('menu_items').select('*').is('archived_at', null).order('category').order('name')
+  );
+
+  await downloadSpreadsheet(items.map(toMenuExportRow), {
+    filename: `menu-${stamp()}`,
+    sheetName: 'Menu',
+    format: fileFormat,
+  });
+  return items.length;
+}
+
+/**
+ * One row per order line, with the order's details repeated on each line so
+ * the sheet can be filtered or pivoted on its own. `status`, `from` and `to`
+ * take the same values as the orders screen filters.
+ */
+export async function exportOrders({ status = 'all', from, to }, fileFormat) {
+  const orders = await fetchAll(() => {
+    let query = supabase
+      .from('orders')
+      .select(`
+        *,
+        profiles (full_name, email),
+        order_items (quantity, price_at_time, options, menu_items (name))
+      `)
+      .order('created_at', { ascending: true });
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (from) query = query.gte('created_at', startOfDay(new Date(`${from}T00:00`)).toISOString());
+    if (to) query = query.lte('created_at', endOfDay(new Date(`${to}T00:00`)).toISOString());
+    return query;
+  });
+
+  const rows = orders.flatMap((order) =>
+    order.order_items.map((item) => ({
+      'Order': order.id.substring(0, 8),
+      'Placed At': timestamp(order.created_at),
+      'Customer': order.profiles?.full_name ?? '',
+      'Email': order.profiles?.email ?? '',
+      'Status': ORDER_STATUS_LABELS[order.status],
+      'Payment Method': PAYMENT_METHOD_LABELS[order.payment_method] ?? order.payment_method,
+      'Payment Status': PAYMENT_STATUS_LABELS[order.payment_status] ?? order.payment_status,
+      'Item': item.menu_items?.name ?? '',
+      'Options': describeOptions(item.options),
+      'Quantity': item.quantity,
+      'Unit Price': item.price_at_time,
+      'Line Total': item.price_at_time * item.quantity,
+      'Order Total': order.total_amount,
+      'Notes': order.notes ?? '',
+    }))
+  );
+
+  await downloadSpreadsheet(rows, {
+    filename: `orders-${stamp()}`,
+    sheetName: 'Orders',
+    format: fileFormat,
+  });
+  return orders.length;
+}
+
+// `filters` are the stock ledger filters; see applyLedgerFilters.
+export async function exportInventoryLogs(filters, fileFormat) {
+  const logs = await fetchAll(() =>
+    applyLedgerFilters(
+      supabase.from('inventory_logs').select(`
+        *,
+        menu_items (name),
+        profiles (full_name)
+      `),
+      filters
+    ).order('created_at', { ascending: true })
+  );
+
+  const rows = logs.map((log) => ({
+    'Date': timestamp(log.created_at),
+    'Item': log.menu_items?.name ?? '',
+    'Type': LEDGER_ENTRY_TYPE_LABELS[log.entry_type] ?? '',
+    'Change': log.change_amount,
+    'Previous Stock': log.previous_stock,
+    'New Stock': log.new_stock,
+    'Reason': log.reason ?? '',
+    'Order': log.order_id ? log.order_id.substring(0, 8) : '',
+    'Changed By': log.profiles?.full_name ?? '',
+  }));
+
+  await downloadSpreadsheet(rows, {
+    filename: `inventory-log-${stamp()}`,
+    sheetName: 'Inventory Log',
+    format: fileFormat,
+  });
+  return logs.length;
+}
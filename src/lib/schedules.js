@@ -0,0 +1,96 @@
+import { format } from 'date-fns';
+import { z } from 'zod';
+import { canteenTime } from '@/lib/canteen-time';
+
+// Days use JavaScript's and Postgres's numbering (0 = Sunday) but are listed
+// Monday first, the way the canteen plans its week.
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+export const WEEKDAY_SHORT_LABELS = {
+  0: 'Sun',
+  1: 'Mon',
+  2: 'Tue',
+  3: 'Wed',
+  4: 'Thu',
+  5: 'Fri',
+  6: 'Sat',
+};
+
+const time = z.string().regex(/^\d{2}:\d{2}/, 'Times must look like 07:30');
+
+export const scheduleSchema = z
+  .object({
+    days_of_week: z.array(z.number().int().min(0).max(6)).min(1, 'Pick at least one day'),
+    start_time: time,
+    end_time: time,
+    start_date: z.string().nullable(),
+    end_date: z.string().nullable(),
+  })
+  .refine((schedule) => schedule.start_time.slice(0, 5) < schedule.end_time.slice(0, 5), {
+    message: 'A serving window must end after it starts',
+    path: ['end_time'],
+  })
+  .refine((schedule) => !schedule.start_date || !schedule.end_date || schedule.start_date <= schedule.end_date, {
+    message: 'The date range must end on or after its first day',
+    path: ['end_date'],
+  });
+
+// Postgres returns times as HH:MM:SS; the app works in HH:MM.
+const hhmm = (value) => value.slice(0, 5);
+
+const coversDate = (schedule, day) =>
+  (!schedule.start_date || schedule.start_date <= day) && (!schedule.end_date || day <= schedule.end_date);
+
+/**
+ * Whether an item with these schedules is being served at the instant `date`,
+ * read on the canteen's clock. Items with no schedules are served whenever
+ * they are available. Mirrors `is_menu_item_on_schedule` in
+ * supabase/migrations, which is given `canteen_local_time()`.
+ */
+export function isScheduledAt(schedules, date) {
+  if (!schedules?.length) return true;
+
+  const local = canteenTime(date);
+  const day = format(local, 'yyyy-MM-dd');
+  const now = format(local, 'HH:mm');
+  return schedules.some(
+    (schedule) =>
+      schedule.days_of_week.includes(local.getDay()) &&
+      coversDate(schedule, day) &&
+      hhmm(schedule.start_time) <= now &&
+      now < hhmm(schedule.end_time)
+  );
+}
+
+/**
+ * Serving windows that apply on the calendar day `date`, earliest first.
+ * Pass `canteenTime()` for the canteen's today.
+ */
+export function windowsOn(schedules, date) {
+  const day = format(date, 'yyyy-MM-dd');
+  return (schedules ?? [])
+    .filter((schedule) => schedule.days_of_week.includes(date.getDay()) && coversDate(schedule, day))
+    .map((schedule) => ({ start: hhmm(schedule.start_time), end: hhmm(schedule.end_time) }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+const describeDays = (days) => {
+  const ordered = WEEKDAYS.filter((day) => days.includes(day));
+  if (ordered.length === 7) return 'Every day';
+  if (ordered.join() === '1,2,3,4,5') return 'Weekdays';
+  if (ordered.join() === '6,0') return 'Weekends';
+  return ordered.map((day) => WEEKDAY_SHORT_LABELS[day]).join(', ');
+};
+
+const describeDates = ({ start_date, end_date }) => {
+  const label = (value) => format(new Date(`${value}T00:00`), 'd MMM yyyy');
+  if (start_date && end_date) return ` (${label(start_date)} – ${label(end_date)})`;
+  if (start_date) return ` (from ${label(start_date)})`;
+  if (end_date) return ` (until ${label(end_date)})`;
+  return '';
+};
+
+/** e.g. "Weekdays 06:30–10:30 (from 6 Jan 2027)". */
+export function describeSchedule(schedule) {
+  return `${describeDays(schedule.days_of_week)} ${hhmm(schedule.start_time)}–${hhmm(schedule.end_time)}${describeDates(schedule)}`;
+}
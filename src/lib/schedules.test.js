@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { describeSchedule, isScheduledAt, scheduleSchema, windowsOn } from './schedules';
+
+const BREAKFAST = {
+  days_of_week: [1, 2, 3, 4, 5],
+  start_time: '07:00:00',
+  end_time: '10:00:00',
+  start_date: null,
+  end_date: null,
+};
+
+describe('isScheduledAt', () => {
+  it('serves items with no schedules at any time', () => {
+    expect(isScheduledAt([], new Date('2026-10-18T03:00:00Z'))).toBe(true);
+    expect(isScheduledAt(undefined, new Date('2026-10-18T03:00:00Z'))).toBe(true);
+  });
+
+  it('reads the canteen clock, not the browser or UTC', () => {
+    // Monday 19 October 2026: 08:00 and 11:00 in Nairobi.
+    expect(isScheduledAt([BREAKFAST], new Date('2026-10-19T05:00:00Z'))).toBe(true);
+    expect(isScheduledAt([BREAKFAST], new Date('2026-10-19T08:00:00Z'))).toBe(false);
+  });
+
+  it('takes the weekday from the canteen clock', () => {
+    // Still Sunday in UTC, already Monday 01:30 in Nairobi.
+    const lateNight = { ...BREAKFAST, days_of_week: [1], start_time: '01:00', end_time: '02:00' };
+
+    expect(isScheduledAt([lateNight], new Date('2026-10-18T22:30:00Z'))).toBe(true);
+  });
+
+  it('includes the start of a window but not its end', () => {
+    expect(isScheduledAt([BREAKFAST], new Date('2026-10-19T04:00:00Z'))).toBe(true);
+    expect(isScheduledAt([BREAKFAST], new Date('2026-10-19T07:00:00Z'))).toBe(false);
+  });
+
+  it('only serves within a schedule\'s date range', () => {
+    const fromNextWeek = { ...BREAKFAST, start_date: '2026-10-26' };
+
+    expect(isScheduledAt([fromNextWeek], new Date('2026-10-19T05:00:00Z'))).toBe(false);
+    expect(isScheduledAt([fromNextWeek], new Date('2026-10-26T05:00:00Z'))).toBe(true);
+  });
+});
+
+describe('windowsOn', () => {
+  it('lists the day\'s windows earliest first', () => {
+    const lunch = { ...BREAKFAST, start_time: '12:00:00', end_time: '14:00:00' };
+    const weekend = { ...BREAKFAST, days_of_week: [6, 0] };
+
+    expect(windowsOn([lunch, BREAKFAST, weekend], new Date('2026-10-19T00:00'))).toEqual([
+      { start: '07:00', end: '10:00' },
+      { start: '12:00', end: '14:00' },
+    ]);
+  });
+});
+
+describe('scheduleSchema', () => {
+  it('needs a day and a window that ends after it starts', () => {
+    expect(scheduleSchema.safeParse(BREAKFAST).success).toBe(true);
+    expect(scheduleSchema.safeParse({ ...BREAKFAST, days_of_week: [] }).error.errors[0].message).toBe(
+      'Pick at least one day'
+    );
+    expect(scheduleSchema.safeParse({ ...BREAKFAST, end_time: '07:00' }).error.errors[0].message).toBe(
+      'A serving window must end after it starts'
+    );
+  });
+});
+
+describe('describeSchedule', () => {
+  it('names common day sets and date ranges', () => {
+    expect(describeSchedule(BREAKFAST)).toBe('Weekdays 07:00–10:00');
+    expect(describeSchedule({ ...BREAKFAST, days_of_week: [0, 6], start_date: '2027-01-06' })).toBe(
+      'Weekends 07:00–10:00 (from 6 Jan 2027)'
+    );
+    expect(describeSchedule({ ...BREAKFAST, days_of_week: [3, 1] })).toBe('Mon, Wed 07:00–10:00');
+  });
+});
@@ -0,0 +1,35 @@
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+export const SPREADSHEET_FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'Excel',
+};
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,.xls';
+
+// SheetJS is large and only needed when someone imports or exports, so it is
+// loaded on demand rather than shipped with the admin bundle.
+const loadXlsx = () => import('xlsx');
+
+/**
+ * Writes `rows` (plain objects sharing the same keys) to a CSV or XLSX file
+ * and hands it to the browser as a download named `<filename>.<format>`.
+ */
+export async function downloadSpreadsheet(rows, { filename, sheetName = 'Sheet1', format = 'csv' }) {
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), sheetName);
+  XLSX.writeFile(workbook, `${filename}.${format}`, { bookType: format });
+}
+
+/**
+ * Reads the first sheet of a CSV or Excel file into one object per row, keyed
+ * by the header row. Blank cells come back as empty strings.
+ */
+export async function readSpreadsheet(file) {
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.read(await file.arrayBuffer());
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '' });
+}
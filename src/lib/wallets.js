@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import { canteenDate, canteenDayRange } from '@/lib/canteen-time';
+import { amountSchema, roundMoney, TILL_METHODS } from '@/lib/payments';
+
+export const WALLET_TRANSACTION_KINDS = ['top_up', 'order', 'refund', 'allowance', 'adjustment'];
+
+export const WALLET_TRANSACTION_LABELS = {
+  top_up: 'Top-Up',
+  order: 'Order',
+  refund: 'Refund',
+  allowance: 'Monthly Allowance',
+  adjustment: 'Adjustment',
+};
+
+const money = (value) => `$${value.toFixed(2)}`;
+
+/**
+ * What a wallet has spent on orders placed today (the canteen's day), less
+ * anything refunded on those orders since. This is what counts against the daily cap. Mirrors
+ * wallet_spent_today in supabase/migrations.
+ */
+export function spentToday(transactions, now = new Date()) {
+  const from = new Date(canteenDayRange(canteenDate(now)).from);
+  const orders = transactions.filter((row) => row.kind === 'order' && new Date(row.created_at) >= from);
+  const orderIds = new Set(orders.map((row) => row.order_id));
+  const net = [...orders, ...transactions.filter((row) => row.kind === 'refund' && orderIds.has(row.order_id))].reduce(
+    (sum, row) => sum - row.amount,
+    0
+  );
+  return Math.max(roundMoney(net), 0);
+}
+
+/**
+ * Why `wallet` cannot pay for an order of `amount`, or null when it can: the
+ * sponsor's per-order limit and daily cap are checked before the balance.
+ * `place_order` raises the same messages.
+ */
+export function walletSpendProblem(wallet, amount, spent) {
+  if (wallet?.spend_limit != null && amount > wallet.spend_limit) {
+    return `Orders paid from this wallet are limited to ${money(wallet.spend_limit)}`;
+  }
+  if (wallet?.daily_cap != null && roundMoney(spent + amount) > wallet.daily_cap) {
+    return `This wallet can spend ${money(Math.max(roundMoney(wallet.daily_cap - spent), 0))} more today`;
+  }
+  if (!wallet || wallet.balance < amount) {
+    return `Not enough in your wallet: ${money(wallet?.balance ?? 0)} left`;
+  }
+  return null;
+}
+
+/**
+ * Totals for a statement period. `transactions` are the period's entries and
+ * `previous` the last entry before it, which gives the opening balance.
+ */
+export function statementSummary(transactions, previous) {
+  const opening = previous?.balance_after ?? 0;
+  const sum = (rows) => roundMoney(rows.reduce((total, row) => total + row.amount, 0));
+  const newest = [...transactions].sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+  return {
+    opening,
+    credits: sum(transactions.filter((row) => row.amount > 0)),
+    debits: -sum(transactions.filter((row) => row.amount < 0)),
+    closing: newest?.balance_after ?? opening,
+  };
+}
+
+const wholeCents = (value) => roundMoney(value) === value;
+
+const limit = z
+  .number({ invalid_type_error: 'Enter an amount or leave it blank' })
+  .positive('Limits must be more than zero')
+  .refine(wholeCents, 'Amounts can have at most two decimal places')
+  .nullable();
+
+export const walletLimitsSchema = z
+  .object({
+    spend_limit: limit,
+    daily_cap: limit,
+  })
+  .refine(
+    ({ spend_limit, daily_cap }) => spend_limit == null || daily_cap == null || spend_limit <= daily_cap,
+    'The per-order limit cannot be more than the daily cap'
+  );
+
+export const walletPlanSchema = z.object({
+  monthly_allowance: z
+    .number({ invalid_type_error: 'Enter an allowance, or 0 for none' })
+    .min(0, 'Allowances cannot be negative')
+    .refine(wholeCents, 'Amounts can have at most two decimal places'),
+  sponsor_email: z.union([z.literal(''), z.string().trim().email('Enter an email address for the sponsor')]),
+});
+
+export const topUpSchema = z.object({
+  method: z.enum(TILL_METHODS),
+  amount: amountSchema,
+  reference: z.string().max(100, 'References must be 100 characters or fewer'),
+});
+
+export const walletAdjustmentSchema = z.object({
+  amount: z
+    .number({ invalid_type_error: 'Enter an amount' })
+    .refine((value) => value !== 0, 'Adjustments cannot be zero')
+    .refine(wholeCents, 'Amounts can have at most two decimal places'),
+  reason: z.string().trim().min(3, 'Give a reason for the adjustment').max(200, 'Reasons must be 200 characters or fewer'),
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { spentToday, statementSummary, walletLimitsSchema, walletPlanSchema, walletSpendProblem } from './wallets';
+
+// 09:00 on Monday 19 October 2026 in Nairobi.
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+const entry = (kind, amount, createdAt, orderId = null, balanceAfter = null) => ({
+  kind,
+  amount,
+  order_id: orderId,
+  created_at: createdAt,
+  balance_after: balanceAfter,
+});
+
+describe('spentToday', () => {
+  it('counts orders placed since midnight in Nairobi, net of their refunds', () => {
+    const transactions = [
+      entry('order', -2.5, '2026-10-18T20:30:00Z', 'yesterday'),
+      entry('order', -1.5, '2026-10-18T21:15:00Z', 'early'),
+      entry('order', -3, '2026-10-19T05:00:00Z', 'breakfast'),
+      entry('refund', 1, '2026-10-19T05:30:00Z', 'breakfast'),
+      entry('refund', 2.5, '2026-10-19T05:45:00Z', 'yesterday'),
+    ];
+
+    expect(spentToday(transactions, NOW)).toBe(3.5);
+  });
+
+  it('never goes below zero', () => {
+    expect(spentToday([], NOW)).toBe(0);
+  });
+});
+
+describe('walletSpendProblem', () => {
+  const wallet = { balance: 5, spend_limit: 3, daily_cap: 6 };
+
+  it('checks the per-order limit, then the daily cap, then the balance', () => {
+    expect(walletSpendProblem(wallet, 3.5, 0)).toBe('Orders paid from this wallet are limited to $3.00');
+    expect(walletSpendProblem(wallet, 2, 4.5)).toBe('This wallet can spend $1.50 more today');
+    expect(walletSpendProblem({ ...wallet, balance: 1 }, 2, 0)).toBe('Not enough in your wallet: $1.00 left');
+    expect(walletSpendProblem(wallet, 3, 3)).toBeNull();
+  });
+
+  it('needs a wallet to pay from', () => {
+    expect(walletSpendProblem(null, 1, 0)).toBe('Not enough in your wallet: $0.00 left');
+  });
+});
+
+describe('statementSummary', () => {
+  it('opens at the balance left before the month and closes at its last entry', () => {
+    const transactions = [
+      entry('top_up', 10, '2026-10-02T08:00:00Z', null, 22),
+      entry('order', -2.5, '2026-10-05T08:00:00Z', 'a', 19.5),
+      entry('refund', 1, '2026-10-05T09:00:00Z', 'a', 20.5),
+    ];
+
+    expect(statementSummary(transactions, { balance_after: 12 })).toEqual({
+      opening: 12,
+      credits: 11,
+      debits: 2.5,
+      closing: 20.5,
+    });
+  });
+
+  it('carries the opening balance through a quiet month', () => {
+    expect(statementSummary([], { balance_after: 7 })).toMatchObject({ opening: 7, credits: 0, closing: 7 });
+    expect(statementSummary([], null).closing).toBe(0);
+  });
+});
+
+describe('wallet schemas', () => {
+  it('keeps the per-order limit within the daily cap', () => {
+    expect(walletLimitsSchema.safeParse({ spend_limit: 3, daily_cap: null }).success).toBe(true);
+    expect(walletLimitsSchema.safeParse({ spend_limit: 8, daily_cap: 6 }).error.errors[0].message).toBe(
+      'The per-order limit cannot be more than the daily cap'
+    );
+  });
+
+  it('takes an optional sponsor email with the allowance', () => {
+    expect(walletPlanSchema.safeParse({ monthly_allowance: 0, sponsor_email: '' }).success).toBe(true);
+    expect(walletPlanSchema.safeParse({ monthly_allowance: 40, sponsor_email: 'parent' }).error.errors[0].message).toBe(
+      'Enter an email address for the sponsor'
+    );
+  });
+});
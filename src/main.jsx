@@ -2,9 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { Toaster } from '@/components/ui/toaster'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
+    <Toaster />
   </StrictMode>,
 )
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/use-auth';
+import { STAFF_ROLES } from '@/lib/permissions';
+import { z } from 'zod';
+
+const signInSchema = z.object({
+  email: z.string().trim().email('Enter a valid email address'),
+  password: z.string().min(1, 'Enter your password'),
+});
+
+const signUpSchema = signInSchema.extend({
+  fullName: z.string().trim().min(2, 'Enter your full name').max(100),
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+});
+
+const Auth = () => {
+  const { user, role, loading, signIn, signUp } = useAuth();
+  const [mode, setMode] = useState('sign-in');
+  const [submitting, setSubmitting] = useState(false);
+  const [formData, setFormData] = useState({ fullName: '', email: '', password: '' });
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  if (!loading && user) {
+    const fallback = STAFF_ROLES.includes(role) ? '/admin' : '/';
+    return <Navigate to={location.state?.from ?? fallback} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      if (mode === 'sign-in') {
+        const { email, password } = signInSchema.parse(formData);
+        const { error } = await signIn(email, password);
+        if (error) throw error;
+      } else {
+        const { fullName, email, password } = signUpSchema.parse(formData);
+        const { data, error } = await signUp(email, password, fullName);
+        if (error) throw error;
+
+        if (!data.session) {
+          toast({
+            title: 'Check your email',
+            description: 'Confirm your email address to finish creating your account',
+          });
+          navigate('/');
+        }
+      }
+    } catch (error) {
+      toast({
+        title: error instanceof z.ZodError ? 'Validation Error' : 'Authentication Failed',
+        description: error instanceof z.ZodError ? error.errors[0].message : error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isSignIn = mode === 'sign-in';
+
+  return (
+    <div className="flex min-h-screen items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <form onSubmit={handleSubmit}>
+          <CardHeader>
+            <CardTitle>{isSignIn ? 'Sign In' : 'Create Account'}</CardTitle>
+            <CardDescription>
+              {isSignIn ? 'Sign in to order or manage the canteen' : 'Sign up to start ordering'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {!isSignIn && (
+              <div className="space-y-2">
+                <Label htmlFor="full-name">Full Name</Label>
+                <Input
+                  id="full-name"
+                  value={formData.fullName}
+                  onChange={(e) => setFormData({ ...formData, fullName: e.target.value })}
+                  required
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                autoComplete="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                autoComplete={isSignIn ? 'current-password' : 'new-password'}
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                required
+              />
+            </div>
+          </CardContent>
+          <CardFooter className="flex-col gap-3">
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {isSignIn ? 'Sign In' : 'Sign Up'}
+            </Button>
+            <Button
+              type="button"
+              variant="link"
+              onClick={() => setMode(isSignIn ? 'sign-up' : 'sign-in')}
+            >
+              {isSignIn ? "Don't have an account? Sign up" : 'Already have an account? Sign in'}
+            </Button>
+            <Link to="/" className="text-sm text-muted-foreground hover:underline">
+              Back to the menu
+            </Link>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+export default Auth;
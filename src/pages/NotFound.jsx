@@ -0,0 +1,19 @@
+import { Link, useLocation } from 'react-router-dom';
+
+const NotFound = () => {
+  const location = useLocation();
+
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center gap-4 text-center">
+      <h1 className="text-4xl font-bold">404</h1>
+      <p className="text-muted-foreground">
+        No page found at <code>{location.pathname}</code>
+      </p>
+      <Link to="/" className="text-primary underline">
+        Back to the menu
+      </Link>
+    </div>
+  );
+};
+
+export default NotFound;
@@ -0,0 +1,58 @@
+-- Record who made each inventory change.
+alter table public.inventory_logs
+  add column if not exists changed_by uuid references public.profiles (id);
+
+-- Adjusts a menu item's stock and writes the matching inventory_logs row in a
+-- single transaction, so the stock level and its audit trail never diverge.
+create or replace function public.adjust_stock(
+  p_menu_item_id uuid,
+  p_change_amount integer,
+  p_reason text
+)
+returns public.inventory_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_previous integer;
+  v_new integer;
+  v_log public.inventory_logs;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required for stock adjustments';
+  end if;
+
+  select stock_quantity into v_previous
+  from public.menu_items
+  where id = p_menu_item_id
+  for update;
+
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  v_new := v_previous + p_change_amount;
+
+  if v_new < 0 then
+    raise exception 'Stock quantity cannot be negative';
+  end if;
+
+  update public.menu_items
+  set stock_quantity = v_new,
+      is_available = v_new > 0
+  where id = p_menu_item_id;
+
+  insert into public.inventory_logs (menu_item_id, change_amount, previous_stock, new_stock, reason, changed_by)
+  values (p_menu_item_id, p_change_amount, v_previous, v_new, trim(p_reason), auth.uid())
+  returning * into v_log;
+
+  return v_log;
+end;
+$$;
+
+grant execute on function public.adjust_stock(uuid, integer, text) to authenticated;
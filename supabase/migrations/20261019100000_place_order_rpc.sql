@@ -0,0 +1,68 @@
+-- Creates an order and its line items in one transaction. Prices are read from
+-- menu_items at call time and stored in order_items.price_at_time, and any
+-- quantity above the current stock_quantity is rejected.
+create or replace function public.place_order(
+  p_items jsonb,
+  p_payment_method text,
+  p_notes text default null
+)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.menu_items;
+  v_quantity integer;
+  v_total numeric := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty';
+  end if;
+
+  insert into public.orders (user_id, total_amount, payment_method, notes, status)
+  values (auth.uid(), 0, p_payment_method, nullif(trim(p_notes), ''), 'pending')
+  returning * into v_order;
+
+  for v_line in select * from jsonb_array_elements(p_items) loop
+    v_quantity := (v_line ->> 'quantity')::integer;
+
+    if v_quantity is null or v_quantity <= 0 then
+      raise exception 'Quantities must be positive';
+    end if;
+
+    select * into v_item
+    from public.menu_items
+    where id = (v_line ->> 'menu_item_id')::uuid
+    for share;
+
+    if not found or not v_item.is_available then
+      raise exception '% is no longer available', coalesce(v_item.name, 'An item');
+    end if;
+
+    if v_quantity > v_item.stock_quantity then
+      raise exception 'Only % % left in stock', v_item.stock_quantity, v_item.name;
+    end if;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_time)
+    values (v_order.id, v_item.id, v_quantity, v_item.price);
+
+    v_total := v_total + v_item.price * v_quantity;
+  end loop;
+
+  update public.orders
+  set total_amount = v_total
+  where id = v_order.id
+  returning * into v_order;
+
+  return v_order;
+end;
+$$;
+
+grant execute on function public.place_order(jsonb, text, text) to authenticated;
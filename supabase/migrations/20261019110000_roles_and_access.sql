@@ -0,0 +1,230 @@
+-- Roles ---------------------------------------------------------------------
+
+do $$
+begin
+  create type public.app_role as enum ('admin', 'kitchen', 'cashier', 'customer');
+exception
+  when duplicate_object then null;
+end $$;
+
+alter table public.profiles
+  add column if not exists role public.app_role not null default 'customer';
+
+-- True when the signed-in user has one of the given roles. Security definer so
+-- policies on profiles can call it without recursing into themselves.
+create or replace function public.has_role(variadic p_roles public.app_role[])
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profiles
+    where id = auth.uid() and role = any (p_roles)
+  );
+$$;
+
+-- Every new auth user gets a customer profile.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, email, full_name, role)
+  values (new.id, new.email, new.raw_user_meta_data ->> 'full_name', 'customer')
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Users may edit their own profile but only admins may change a role.
+create or replace function public.protect_profile_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is distinct from old.role and auth.uid() is not null and not public.has_role('admin') then
+    raise exception 'Only administrators can change roles' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_profile_role on public.profiles;
+create trigger protect_profile_role
+  before update on public.profiles
+  for each row execute function public.protect_profile_role();
+
+-- Restrict which statuses each staff role may move an order into.
+create or replace function public.check_order_status_permission()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status is not distinct from old.status or auth.uid() is null then
+    return new;
+  end if;
+
+  if not (
+    (new.status = 'pending' and public.has_role('admin'))
+    or (new.status in ('preparing', 'ready') and public.has_role('admin', 'kitchen'))
+    or (new.status in ('delivered', 'cancelled') and public.has_role('admin', 'cashier'))
+  ) then
+    raise exception 'Your role cannot move orders to %', new.status using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists check_order_status_permission on public.orders;
+create trigger check_order_status_permission
+  before update on public.orders
+  for each row execute function public.check_order_status_permission();
+
+-- Kitchen and cashier staff move orders along but may not reprice them or
+-- hand them to someone else. place_order() sets the total as the customer,
+-- who has no update policy of their own.
+create or replace function public.protect_order_columns()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if (new.total_amount is distinct from old.total_amount or new.user_id is distinct from old.user_id)
+    and public.has_role('kitchen', 'cashier') then
+    raise exception 'Only administrators can change what an order costs or whose it is' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_order_columns on public.orders;
+create trigger protect_order_columns
+  before update of total_amount, user_id on public.orders
+  for each row execute function public.protect_order_columns();
+
+-- Row-level security ----------------------------------------------------------
+
+alter table public.profiles enable row level security;
+alter table public.menu_items enable row level security;
+alter table public.orders enable row level security;
+alter table public.order_items enable row level security;
+alter table public.inventory_logs enable row level security;
+
+create policy "Users see their own profile, staff see all"
+  on public.profiles for select
+  using (id = auth.uid() or public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Users update their own profile, admins update any"
+  on public.profiles for update
+  using (id = auth.uid() or public.has_role('admin'));
+
+create policy "Anyone can read the menu"
+  on public.menu_items for select
+  using (true);
+
+create policy "Admins manage menu items"
+  on public.menu_items for all
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "Customers see their own orders, staff see all"
+  on public.orders for select
+  using (user_id = auth.uid() or public.has_role('admin', 'kitchen', 'cashier'));
+
+-- There is no insert policy: customers place orders through place_order(),
+-- which prices them itself and always starts them as pending.
+
+create policy "Staff update orders"
+  on public.orders for update
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Admins delete orders"
+  on public.orders for delete
+  using (public.has_role('admin'));
+
+create policy "Order items follow their order"
+  on public.order_items for select
+  using (
+    public.has_role('admin', 'kitchen', 'cashier')
+    or exists (select 1 from public.orders where orders.id = order_id and orders.user_id = auth.uid())
+  );
+
+create policy "Admins delete order items"
+  on public.order_items for delete
+  using (public.has_role('admin'));
+
+create policy "Staff read inventory logs"
+  on public.inventory_logs for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+-- Stock adjustments are admin-only ---------------------------------------------
+
+create or replace function public.adjust_stock(
+  p_menu_item_id uuid,
+  p_change_amount integer,
+  p_reason text
+)
+returns public.inventory_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_previous integer;
+  v_new integer;
+  v_log public.inventory_logs;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can adjust stock' using errcode = '42501';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required for stock adjustments';
+  end if;
+
+  select stock_quantity into v_previous
+  from public.menu_items
+  where id = p_menu_item_id
+  for update;
+
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  v_new := v_previous + p_change_amount;
+
+  if v_new < 0 then
+    raise exception 'Stock quantity cannot be negative';
+  end if;
+
+  update public.menu_items
+  set stock_quantity = v_new,
+      is_available = v_new > 0
+  where id = p_menu_item_id;
+
+  insert into public.inventory_logs (menu_item_id, change_amount, previous_stock, new_stock, reason, changed_by)
+  values (p_menu_item_id, p_change_amount, v_previous, v_new, trim(p_reason), auth.uid())
+  returning * into v_log;
+
+  return v_log;
+end;
+$$;
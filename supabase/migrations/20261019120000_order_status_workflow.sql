@@ -0,0 +1,91 @@
+-- Order status state machine ---------------------------------------------------
+--
+--   pending -> preparing -> ready -> delivered
+--   pending | preparing -> cancelled
+--
+-- Every order starts as pending; delivered and cancelled are final. Kept in
+-- step with ORDER_STATUS_TRANSITIONS in src/lib/orders.js.
+
+create or replace function public.enforce_order_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.status is distinct from 'pending' then
+      raise exception 'New orders must start as pending';
+    end if;
+    return new;
+  end if;
+
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('preparing', 'cancelled'))
+    or (old.status = 'preparing' and new.status in ('ready', 'cancelled'))
+    or (old.status = 'ready' and new.status = 'delivered')
+  ) then
+    raise exception 'Cannot move an order from % to %', old.status, new.status;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_order_status_transition on public.orders;
+create trigger enforce_order_status_transition
+  before insert or update of status on public.orders
+  for each row execute function public.enforce_order_status_transition();
+
+-- Status history ---------------------------------------------------------------
+
+create table if not exists public.order_status_history (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by uuid references public.profiles (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx
+  on public.order_status_history (order_id, created_at);
+
+alter table public.order_status_history enable row level security;
+
+create policy "Status history follows its order"
+  on public.order_status_history for select
+  using (
+    public.has_role('admin', 'kitchen', 'cashier')
+    or exists (select 1 from public.orders where orders.id = order_id and orders.user_id = auth.uid())
+  );
+
+create or replace function public.record_order_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by)
+    values (new.id, case when tg_op = 'UPDATE' then old.status end, new.status, auth.uid());
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists record_order_status on public.orders;
+create trigger record_order_status
+  after insert or update of status on public.orders
+  for each row execute function public.record_order_status();
+
+-- Backfill a starting entry for orders placed before history was recorded.
+insert into public.order_status_history (order_id, from_status, to_status, created_at)
+select id, null, status, created_at
+from public.orders
+where not exists (
+  select 1 from public.order_status_history h where h.order_id = orders.id
+);
@@ -0,0 +1,237 @@
+-- Tie stock to the order lifecycle: placing an order decrements stock for
+-- each line, cancelling it puts the stock back, and every movement is logged
+-- in inventory_logs against the order.
+
+alter table public.inventory_logs
+  add column if not exists order_id uuid references public.orders (id) on delete set null;
+
+create index if not exists inventory_logs_order_id_idx on public.inventory_logs (order_id);
+
+-- Last line of defence against concurrent orders overselling.
+do $$
+begin
+  alter table public.menu_items
+    add constraint menu_items_stock_quantity_nonnegative check (stock_quantity >= 0);
+exception
+  when duplicate_object then null;
+end $$;
+
+-- Items sell out at zero stock and come back once restocked.
+create or replace function public.sync_menu_item_availability()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.stock_quantity is distinct from old.stock_quantity then
+    if new.stock_quantity = 0 then
+      new.is_available := false;
+    elsif old.stock_quantity = 0 then
+      new.is_available := true;
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sync_menu_item_availability on public.menu_items;
+create trigger sync_menu_item_availability
+  before update of stock_quantity on public.menu_items
+  for each row execute function public.sync_menu_item_availability();
+
+-- Moves stock for one item under a row lock and writes the log entry. Internal
+-- helper for the functions below; not callable by clients.
+create or replace function public.record_stock_movement(
+  p_menu_item_id uuid,
+  p_change integer,
+  p_reason text,
+  p_order_id uuid default null
+)
+returns public.inventory_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_item public.menu_items;
+  v_new integer;
+  v_log public.inventory_logs;
+begin
+  select * into v_item
+  from public.menu_items
+  where id = p_menu_item_id
+  for update;
+
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  v_new := v_item.stock_quantity + p_change;
+
+  if v_new < 0 then
+    raise exception 'Only % % left in stock', v_item.stock_quantity, v_item.name;
+  end if;
+
+  update public.menu_items
+  set stock_quantity = v_new
+  where id = p_menu_item_id;
+
+  insert into public.inventory_logs (menu_item_id, change_amount, previous_stock, new_stock, reason, order_id, changed_by)
+  values (p_menu_item_id, p_change, v_item.stock_quantity, v_new, p_reason, p_order_id, auth.uid())
+  returning * into v_log;
+
+  return v_log;
+end;
+$$;
+
+revoke execute on function public.record_stock_movement(uuid, integer, text, uuid) from public, anon, authenticated;
+
+create or replace function public.adjust_stock(
+  p_menu_item_id uuid,
+  p_change_amount integer,
+  p_reason text
+)
+returns public.inventory_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock integer;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can adjust stock' using errcode = '42501';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required for stock adjustments';
+  end if;
+
+  select stock_quantity into v_stock
+  from public.menu_items
+  where id = p_menu_item_id
+  for update;
+
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  if v_stock + p_change_amount < 0 then
+    raise exception 'Stock quantity cannot be negative';
+  end if;
+
+  return public.record_stock_movement(p_menu_item_id, p_change_amount, trim(p_reason));
+end;
+$$;
+
+create or replace function public.place_order(
+  p_items jsonb,
+  p_payment_method text,
+  p_notes text default null
+)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.menu_items;
+  v_quantity integer;
+  v_total numeric := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty';
+  end if;
+
+  insert into public.orders (user_id, total_amount, payment_method, notes, status)
+  values (auth.uid(), 0, p_payment_method, nullif(trim(p_notes), ''), 'pending')
+  returning * into v_order;
+
+  -- Lock items in a stable order so concurrent checkouts cannot deadlock.
+  for v_line in
+    select value from jsonb_array_elements(p_items) order by value ->> 'menu_item_id'
+  loop
+    v_quantity := (v_line ->> 'quantity')::integer;
+
+    if v_quantity is null or v_quantity <= 0 then
+      raise exception 'Quantities must be positive';
+    end if;
+
+    select * into v_item
+    from public.menu_items
+    where id = (v_line ->> 'menu_item_id')::uuid
+    for update;
+
+    if not found or not v_item.is_available then
+      raise exception '% is no longer available', coalesce(v_item.name, 'An item');
+    end if;
+
+    if v_quantity > v_item.stock_quantity then
+      raise exception 'Only % % left in stock', v_item.stock_quantity, v_item.name;
+    end if;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_time)
+    values (v_order.id, v_item.id, v_quantity, v_item.price);
+
+    perform public.record_stock_movement(
+      v_item.id,
+      -v_quantity,
+      'Order #' || left(v_order.id::text, 8),
+      v_order.id
+    );
+
+    v_total := v_total + v_item.price * v_quantity;
+  end loop;
+
+  update public.orders
+  set total_amount = v_total
+  where id = v_order.id
+  returning * into v_order;
+
+  return v_order;
+end;
+$$;
+
+-- Cancelling an order returns its reserved stock.
+create or replace function public.restore_stock_on_cancel()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line record;
+begin
+  if new.status = 'cancelled' and old.status is distinct from 'cancelled' then
+    for v_line in
+      select menu_item_id, sum(quantity)::integer as quantity
+      from public.order_items
+      where order_id = new.id
+      group by menu_item_id
+      order by menu_item_id
+    loop
+      perform public.record_stock_movement(
+        v_line.menu_item_id,
+        v_line.quantity,
+        'Order #' || left(new.id::text, 8) || ' cancelled',
+        new.id
+      );
+    end loop;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists restore_stock_on_cancel on public.orders;
+create trigger restore_stock_on_cancel
+  after update of status on public.orders
+  for each row execute function public.restore_stock_on_cancel();
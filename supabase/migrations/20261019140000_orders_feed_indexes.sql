@@ -0,0 +1,9 @@
+-- Support the paged, date-filtered order list, which reads newest first (the
+-- id breaking ties) and optionally narrows by status.
+create index if not exists orders_created_at_idx on public.orders (created_at desc, id desc);
+create index if not exists orders_status_created_at_idx on public.orders (status, created_at desc, id desc);
+
+-- Realtime sends the whole old row with each update, so the list can tell
+-- when an order leaves its filter. (Deletes on a table with row-level
+-- security still only carry the id.)
+alter table public.orders replica identity full;
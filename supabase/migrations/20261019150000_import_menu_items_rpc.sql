@@ -0,0 +1,90 @@
+-- Bulk create-or-update of menu items from an uploaded spreadsheet. Rows are
+-- matched to existing items by name (case-insensitive); stock differences are
+-- applied as logged movements so the inventory history stays complete.
+
+create index if not exists menu_items_lower_name_idx on public.menu_items (lower(trim(name)));
+
+create or replace function public.import_menu_items(p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb;
+  v_name text;
+  v_stock integer;
+  v_matches integer;
+  v_item public.menu_items;
+  v_created integer := 0;
+  v_updated integer := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can import menu items' using errcode = '42501';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Nothing to import';
+  end if;
+
+  for v_row in select value from jsonb_array_elements(p_items)
+  loop
+    v_name := trim(v_row ->> 'name');
+    v_stock := (v_row ->> 'stock_quantity')::integer;
+
+    if coalesce(v_name, '') = '' then
+      raise exception 'Every imported item needs a name';
+    end if;
+
+    if v_stock is null or v_stock < 0 then
+      raise exception 'Stock for % must be zero or more', v_name;
+    end if;
+
+    select count(*) into v_matches
+    from public.menu_items
+    where lower(trim(name)) = lower(v_name);
+
+    if v_matches > 1 then
+      raise exception 'More than one menu item is named %', v_name;
+    end if;
+
+    if v_matches = 1 then
+      update public.menu_items
+      set description = coalesce(v_row ->> 'description', ''),
+          price = (v_row ->> 'price')::numeric,
+          category = v_row ->> 'category',
+          image_url = nullif(v_row ->> 'image_url', '')
+      where lower(trim(name)) = lower(v_name)
+      returning * into v_item;
+
+      v_updated := v_updated + 1;
+    else
+      -- New items start empty and unavailable; the stock movement below fills
+      -- them and the availability trigger puts them on sale.
+      insert into public.menu_items (name, description, price, category, image_url, stock_quantity, is_available)
+      values (
+        v_name,
+        coalesce(v_row ->> 'description', ''),
+        (v_row ->> 'price')::numeric,
+        v_row ->> 'category',
+        nullif(v_row ->> 'image_url', ''),
+        0,
+        false
+      )
+      returning * into v_item;
+
+      v_created := v_created + 1;
+    end if;
+
+    if v_stock <> v_item.stock_quantity then
+      perform public.record_stock_movement(v_item.id, v_stock - v_item.stock_quantity, 'Menu import');
+    end if;
+  end loop;
+
+  return jsonb_build_object('created', v_created, 'updated', v_updated);
+end;
+$$;
@@ -0,0 +1,49 @@
+-- Menu photos are uploaded to a public storage bucket instead of being linked
+-- from elsewhere. The app stores a compressed full-size image and a small
+-- thumbnail for each item.
+
+alter table public.menu_items
+  add column if not exists thumbnail_url text;
+
+-- A thumbnail is only valid for the image it was cut from, so changing the
+-- image without supplying a new thumbnail (e.g. through a menu import) drops it.
+create or replace function public.clear_stale_menu_thumbnail()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.image_url is distinct from old.image_url
+     and new.thumbnail_url is not distinct from old.thumbnail_url then
+    new.thumbnail_url := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists clear_stale_menu_thumbnail on public.menu_items;
+create trigger clear_stale_menu_thumbnail
+  before update of image_url on public.menu_items
+  for each row execute function public.clear_stale_menu_thumbnail();
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('menu-images', 'menu-images', true, 5242880, array['image/webp', 'image/jpeg', 'image/png'])
+on conflict (id) do update
+set public = excluded.public,
+    file_size_limit = excluded.file_size_limit,
+    allowed_mime_types = excluded.allowed_mime_types;
+
+-- Anyone can view menu photos (the bucket is public); only admins manage them.
+drop policy if exists "Admins upload menu images" on storage.objects;
+create policy "Admins upload menu images"
+  on storage.objects for insert to authenticated
+  with check (bucket_id = 'menu-images' and public.has_role('admin'));
+
+drop policy if exists "Admins update menu images" on storage.objects;
+create policy "Admins update menu images"
+  on storage.objects for update to authenticated
+  using (bucket_id = 'menu-images' and public.has_role('admin'));
+
+drop policy if exists "Admins delete menu images" on storage.objects;
+create policy "Admins delete menu images"
+  on storage.objects for delete to authenticated
+  using (bucket_id = 'menu-images' and public.has_role('admin'));
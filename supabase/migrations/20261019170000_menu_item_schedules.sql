@@ -0,0 +1,122 @@
+-- Serving windows for menu items. An item with no schedules is served
+-- whenever it is available; otherwise only during one of its windows. Days
+-- use extract(dow) numbering (0 = Sunday), and date ranges are optional so
+-- term-time and holiday menus can be planned ahead. Mirrored by
+-- src/lib/schedules.js.
+
+create table if not exists public.menu_item_schedules (
+  id uuid primary key default gen_random_uuid(),
+  menu_item_id uuid not null references public.menu_items (id) on delete cascade,
+  days_of_week smallint[] not null,
+  start_time time not null,
+  end_time time not null,
+  start_date date,
+  end_date date,
+  created_at timestamptz not null default now(),
+  constraint menu_item_schedules_days_check
+    check (cardinality(days_of_week) > 0 and days_of_week <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[]),
+  constraint menu_item_schedules_times_check check (start_time < end_time),
+  constraint menu_item_schedules_dates_check check (start_date is null or end_date is null or start_date <= end_date)
+);
+
+create index if not exists menu_item_schedules_menu_item_id_idx
+  on public.menu_item_schedules (menu_item_id);
+
+alter table public.menu_item_schedules enable row level security;
+
+create policy "Anyone can read menu schedules"
+  on public.menu_item_schedules for select
+  using (true);
+
+create policy "Admins manage menu schedules"
+  on public.menu_item_schedules for all
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- Wall-clock time at the canteen. Override the zone per database with
+--   alter database postgres set app.canteen_timezone = 'Africa/Kampala';
+create or replace function public.canteen_local_time()
+returns timestamp
+language sql
+stable
+as $$
+  select now() at time zone coalesce(nullif(current_setting('app.canteen_timezone', true), ''), 'Africa/Nairobi');
+$$;
+
+create or replace function public.is_menu_item_on_schedule(p_menu_item_id uuid, p_at timestamp)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select not exists (select 1 from menu_item_schedules where menu_item_id = p_menu_item_id)
+    or exists (
+      select 1
+      from menu_item_schedules
+      where menu_item_id = p_menu_item_id
+        and extract(dow from p_at)::smallint = any (days_of_week)
+        and (start_date is null or start_date <= p_at::date)
+        and (end_date is null or p_at::date <= end_date)
+        and start_time <= p_at::time
+        and p_at::time < end_time
+    );
+$$;
+
+-- Orders can only include items that are being served right now.
+create or replace function public.enforce_menu_item_schedule()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_menu_item_on_schedule(new.menu_item_id, public.canteen_local_time()) then
+    raise exception '% is not being served right now',
+      coalesce((select name from menu_items where id = new.menu_item_id), 'This item');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_menu_item_schedule on public.order_items;
+create trigger enforce_menu_item_schedule
+  before insert on public.order_items
+  for each row execute function public.enforce_menu_item_schedule();
+
+-- Replaces all of an item's schedules in one go, so the menu editor can save
+-- the whole list without leaving it half-written.
+create or replace function public.set_menu_item_schedules(p_menu_item_id uuid, p_schedules jsonb)
+returns setof public.menu_item_schedules
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can change menu schedules' using errcode = '42501';
+  end if;
+
+  perform 1 from menu_items where id = p_menu_item_id for update;
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  delete from menu_item_schedules where menu_item_id = p_menu_item_id;
+
+  return query
+  insert into menu_item_schedules (menu_item_id, days_of_week, start_time, end_time, start_date, end_date)
+  select
+    p_menu_item_id,
+    array(select distinct d::smallint from jsonb_array_elements_text(s -> 'days_of_week') as d order by 1),
+    (s ->> 'start_time')::time,
+    (s ->> 'end_time')::time,
+    nullif(s ->> 'start_date', '')::date,
+    nullif(s ->> 'end_date', '')::date
+  from jsonb_array_elements(coalesce(p_schedules, '[]'::jsonb)) as s
+  returning *;
+end;
+$$;
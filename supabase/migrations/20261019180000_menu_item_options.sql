@@ -0,0 +1,292 @@
+-- Option groups on menu items (size, add-ons, spice level, ...). Each group
+-- says how many of its options must / may be chosen, and each option adjusts
+-- the item's price. The options chosen for an order line are copied onto
+-- order_items.options, and price_at_time becomes the resulting unit price, so
+-- past orders are unaffected by later menu edits.
+
+create table if not exists public.menu_option_groups (
+  id uuid primary key default gen_random_uuid(),
+  menu_item_id uuid not null references public.menu_items (id) on delete cascade,
+  name text not null,
+  min_select integer not null default 0,
+  max_select integer not null default 1,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  constraint menu_option_groups_selection_check
+    check (min_select >= 0 and max_select >= 1 and min_select <= max_select)
+);
+
+create index if not exists menu_option_groups_menu_item_id_idx
+  on public.menu_option_groups (menu_item_id, position);
+
+create table if not exists public.menu_options (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.menu_option_groups (id) on delete cascade,
+  name text not null,
+  price_delta numeric(10, 2) not null default 0,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists menu_options_group_id_idx
+  on public.menu_options (group_id, position);
+
+alter table public.order_items
+  add column if not exists options jsonb not null default '[]'::jsonb;
+
+alter table public.menu_option_groups enable row level security;
+alter table public.menu_options enable row level security;
+
+create policy "Anyone can read menu option groups"
+  on public.menu_option_groups for select
+  using (true);
+
+create policy "Admins manage menu option groups"
+  on public.menu_option_groups for all
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "Anyone can read menu options"
+  on public.menu_options for select
+  using (true);
+
+create policy "Admins manage menu options"
+  on public.menu_options for all
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- Saves an item's full list of option groups. Rows that keep their id are
+-- updated in place so carts holding those option ids stay valid; rows that
+-- are left out are deleted.
+create or replace function public.set_menu_item_options(p_menu_item_id uuid, p_groups jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group jsonb;
+  v_group_position integer;
+  v_group_id uuid;
+  v_option jsonb;
+  v_option_position integer;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can change menu options' using errcode = '42501';
+  end if;
+
+  perform 1 from menu_items where id = p_menu_item_id for update;
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  p_groups := coalesce(p_groups, '[]'::jsonb);
+
+  delete from menu_option_groups
+  where menu_item_id = p_menu_item_id
+    and id::text not in (select coalesce(g ->> 'id', '') from jsonb_array_elements(p_groups) as g);
+
+  for v_group, v_group_position in
+    select value, ordinality - 1 from jsonb_array_elements(p_groups) with ordinality
+  loop
+    if coalesce(trim(v_group ->> 'name'), '') = '' then
+      raise exception 'Every option group needs a name';
+    end if;
+
+    if coalesce(jsonb_array_length(v_group -> 'options'), 0) = 0 then
+      raise exception '% needs at least one option', v_group ->> 'name';
+    end if;
+
+    update menu_option_groups
+    set name = trim(v_group ->> 'name'),
+        min_select = (v_group ->> 'min_select')::integer,
+        max_select = (v_group ->> 'max_select')::integer,
+        position = v_group_position
+    where id::text = v_group ->> 'id'
+      and menu_item_id = p_menu_item_id
+    returning id into v_group_id;
+
+    if not found then
+      insert into menu_option_groups (menu_item_id, name, min_select, max_select, position)
+      values (
+        p_menu_item_id,
+        trim(v_group ->> 'name'),
+        (v_group ->> 'min_select')::integer,
+        (v_group ->> 'max_select')::integer,
+        v_group_position
+      )
+      returning id into v_group_id;
+    end if;
+
+    delete from menu_options
+    where group_id = v_group_id
+      and id::text not in (select coalesce(o ->> 'id', '') from jsonb_array_elements(v_group -> 'options') as o);
+
+    for v_option, v_option_position in
+      select value, ordinality - 1 from jsonb_array_elements(v_group -> 'options') with ordinality
+    loop
+      update menu_options
+      set name = trim(v_option ->> 'name'),
+          price_delta = (v_option ->> 'price_delta')::numeric,
+          position = v_option_position
+      where id::text = v_option ->> 'id'
+        and group_id = v_group_id;
+
+      if not found then
+        insert into menu_options (group_id, name, price_delta, position)
+        values (v_group_id, trim(v_option ->> 'name'), (v_option ->> 'price_delta')::numeric, v_option_position);
+      end if;
+    end loop;
+  end loop;
+end;
+$$;
+
+-- Checks the options chosen for one order line against the item's groups and
+-- returns them as the snapshot stored on order_items.options.
+create or replace function public.resolve_order_line_options(p_item public.menu_items, p_option_ids uuid[])
+returns jsonb
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_group record;
+begin
+  if cardinality(p_option_ids) <> (select count(distinct id) from unnest(p_option_ids) as id) then
+    raise exception 'Each option can only be chosen once for %', p_item.name;
+  end if;
+
+  if exists (
+    select 1
+    from unnest(p_option_ids) as chosen(id)
+    where not exists (
+      select 1
+      from menu_options o
+      join menu_option_groups g on g.id = o.group_id
+      where o.id = chosen.id and g.menu_item_id = p_item.id
+    )
+  ) then
+    raise exception 'The options for % have changed; please add it to your cart again', p_item.name;
+  end if;
+
+  for v_group in
+    select g.name, g.min_select, g.max_select,
+      (select count(*) from menu_options o where o.group_id = g.id and o.id = any (p_option_ids)) as chosen
+    from menu_option_groups g
+    where g.menu_item_id = p_item.id
+    order by g.position
+  loop
+    if v_group.chosen < v_group.min_select then
+      raise exception 'Choose at least % % for %', v_group.min_select, v_group.name, p_item.name;
+    end if;
+    if v_group.chosen > v_group.max_select then
+      raise exception 'Choose at most % % for %', v_group.max_select, v_group.name, p_item.name;
+    end if;
+  end loop;
+
+  return coalesce(
+    (
+      select jsonb_agg(
+        jsonb_build_object('option_id', o.id, 'group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+        order by g.position, o.position
+      )
+      from menu_options o
+      join menu_option_groups g on g.id = o.group_id
+      where o.id = any (p_option_ids)
+    ),
+    '[]'::jsonb
+  );
+end;
+$$;
+
+create or replace function public.place_order(
+  p_items jsonb,
+  p_payment_method text,
+  p_notes text default null
+)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.menu_items;
+  v_quantity integer;
+  v_options jsonb;
+  v_unit_price numeric;
+  v_total numeric := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty';
+  end if;
+
+  insert into public.orders (user_id, total_amount, payment_method, notes, status)
+  values (auth.uid(), 0, p_payment_method, nullif(trim(p_notes), ''), 'pending')
+  returning * into v_order;
+
+  -- Lock items in a stable order so concurrent checkouts cannot deadlock.
+  for v_line in
+    select value from jsonb_array_elements(p_items) order by value ->> 'menu_item_id'
+  loop
+    v_quantity := (v_line ->> 'quantity')::integer;
+
+    if v_quantity is null or v_quantity <= 0 then
+      raise exception 'Quantities must be positive';
+    end if;
+
+    select * into v_item
+    from public.menu_items
+    where id = (v_line ->> 'menu_item_id')::uuid
+    for update;
+
+    if not found or not v_item.is_available then
+      raise exception '% is no longer available', coalesce(v_item.name, 'An item');
+    end if;
+
+    if v_quantity > v_item.stock_quantity then
+      raise exception 'Only % % left in stock', v_item.stock_quantity, v_item.name;
+    end if;
+
+    v_options := public.resolve_order_line_options(
+      v_item,
+      array(select jsonb_array_elements_text(coalesce(v_line -> 'option_ids', '[]'::jsonb))::uuid)
+    );
+
+    v_unit_price := v_item.price
+      + coalesce((select sum((o ->> 'price_delta')::numeric) from jsonb_array_elements(v_options) as o), 0);
+
+    if v_unit_price < 0 then
+      raise exception 'Options for % cannot bring its price below zero', v_item.name;
+    end if;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_time, options)
+    values (v_order.id, v_item.id, v_quantity, v_unit_price, v_options);
+
+    perform public.record_stock_movement(
+      v_item.id,
+      -v_quantity,
+      'Order #' || left(v_order.id::text, 8),
+      v_order.id
+    );
+
+    v_total := v_total + v_unit_price * v_quantity;
+  end loop;
+
+  update public.orders
+  set total_amount = v_total
+  where id = v_order.id
+  returning * into v_order;
+
+  return v_order;
+end;
+$$;
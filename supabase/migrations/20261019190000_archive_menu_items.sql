@@ -0,0 +1,137 @@
+-- Menu items are archived instead of deleted. Orders and inventory logs keep
+-- pointing at the archived row, so history always resolves the item's name,
+-- and an archived item can be restored with its photo, schedule and options
+-- intact.
+
+alter table public.menu_items
+  add column if not exists archived_at timestamptz;
+
+-- Archived items are off the menu whatever their stock, and stay off even if
+-- is_available is set directly; restoring one puts it back on sale if it has
+-- any. Otherwise items sell out at zero stock and come back once restocked.
+create or replace function public.sync_menu_item_availability()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.stock_quantity is distinct from old.stock_quantity then
+    if new.stock_quantity = 0 then
+      new.is_available := false;
+    elsif old.stock_quantity = 0 then
+      new.is_available := true;
+    end if;
+  end if;
+
+  if new.archived_at is not null then
+    new.is_available := false;
+  elsif old.archived_at is not null then
+    new.is_available := new.stock_quantity > 0;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sync_menu_item_availability on public.menu_items;
+create trigger sync_menu_item_availability
+  before update of stock_quantity, archived_at, is_available on public.menu_items
+  for each row execute function public.sync_menu_item_availability();
+
+-- Admins keep insert and update but lose delete.
+drop policy if exists "Admins manage menu items" on public.menu_items;
+
+create policy "Admins add menu items"
+  on public.menu_items for insert
+  with check (public.has_role('admin'));
+
+create policy "Admins update menu items"
+  on public.menu_items for update
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- Importing a row whose name matches an archived item restores that item.
+create or replace function public.import_menu_items(p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb;
+  v_name text;
+  v_stock integer;
+  v_matches integer;
+  v_item public.menu_items;
+  v_created integer := 0;
+  v_updated integer := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can import menu items' using errcode = '42501';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Nothing to import';
+  end if;
+
+  for v_row in select value from jsonb_array_elements(p_items)
+  loop
+    v_name := trim(v_row ->> 'name');
+    v_stock := (v_row ->> 'stock_quantity')::integer;
+
+    if coalesce(v_name, '') = '' then
+      raise exception 'Every imported item needs a name';
+    end if;
+
+    if v_stock is null or v_stock < 0 then
+      raise exception 'Stock for % must be zero or more', v_name;
+    end if;
+
+    select count(*) into v_matches
+    from public.menu_items
+    where lower(trim(name)) = lower(v_name);
+
+    if v_matches > 1 then
+      raise exception 'More than one menu item is named %', v_name;
+    end if;
+
+    if v_matches = 1 then
+      update public.menu_items
+      set description = coalesce(v_row ->> 'description', ''),
+          price = (v_row ->> 'price')::numeric,
+          category = v_row ->> 'category',
+          image_url = nullif(v_row ->> 'image_url', ''),
+          archived_at = null
+      where lower(trim(name)) = lower(v_name)
+      returning * into v_item;
+
+      v_updated := v_updated + 1;
+    else
+      -- New items start empty and unavailable; the stock movement below fills
+      -- them and the availability trigger puts them on sale.
+      insert into public.menu_items (name, description, price, category, image_url, stock_quantity, is_available)
+      values (
+        v_name,
+        coalesce(v_row ->> 'description', ''),
+        (v_row ->> 'price')::numeric,
+        v_row ->> 'category',
+        nullif(v_row ->> 'image_url', ''),
+        0,
+        false
+      )
+      returning * into v_item;
+
+      v_created := v_created + 1;
+    end if;
+
+    if v_stock <> v_item.stock_quantity then
+      perform public.record_stock_movement(v_item.id, v_stock - v_item.stock_quantity, 'Menu import');
+    end if;
+  end loop;
+
+  return jsonb_build_object('created', v_created, 'updated', v_updated);
+end;
+$$;
@@ -0,0 +1,298 @@
+-- Ingredient-level inventory. Each menu item can have a recipe (bill of
+-- materials) listing how much of each ingredient one serving uses. Orders
+-- reserve those ingredients while they are pending or being prepared, and the
+-- ingredients are taken out of stock when the kitchen marks the order ready.
+-- menu_capacity() derives how many more of each item can be made.
+
+create table if not exists public.ingredients (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  unit text not null check (unit in ('kg', 'g', 'l', 'ml', 'pcs')),
+  stock_quantity numeric(12, 3) not null default 0,
+  low_stock_threshold numeric(12, 3) not null default 0 check (low_stock_threshold >= 0),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists ingredients_lower_name_idx on public.ingredients (lower(trim(name)));
+
+create table if not exists public.recipe_items (
+  id uuid primary key default gen_random_uuid(),
+  menu_item_id uuid not null references public.menu_items (id) on delete cascade,
+  ingredient_id uuid not null references public.ingredients (id),
+  quantity numeric(12, 3) not null check (quantity > 0),
+  created_at timestamptz not null default now(),
+  unique (menu_item_id, ingredient_id)
+);
+
+create index if not exists recipe_items_ingredient_id_idx on public.recipe_items (ingredient_id);
+
+create table if not exists public.ingredient_logs (
+  id uuid primary key default gen_random_uuid(),
+  ingredient_id uuid not null references public.ingredients (id),
+  change_amount numeric(12, 3) not null,
+  previous_stock numeric(12, 3) not null,
+  new_stock numeric(12, 3) not null,
+  reason text,
+  order_id uuid references public.orders (id) on delete set null,
+  changed_by uuid references public.profiles (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ingredient_logs_ingredient_id_idx on public.ingredient_logs (ingredient_id, created_at desc);
+create index if not exists ingredient_logs_order_id_idx on public.ingredient_logs (order_id);
+
+alter table public.ingredients enable row level security;
+alter table public.recipe_items enable row level security;
+alter table public.ingredient_logs enable row level security;
+
+create policy "Staff can read ingredients"
+  on public.ingredients for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Admins add ingredients"
+  on public.ingredients for insert
+  with check (public.has_role('admin'));
+
+create policy "Admins update ingredients"
+  on public.ingredients for update
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "Staff can read recipes"
+  on public.recipe_items for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Admins manage recipes"
+  on public.recipe_items for all
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "Staff can read ingredient logs"
+  on public.ingredient_logs for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+-- Ingredients spoken for by orders the kitchen has not finished yet.
+create or replace function public.ingredient_commitments()
+returns table (ingredient_id uuid, committed numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.ingredient_id, sum(r.quantity * oi.quantity)
+  from order_items oi
+  join orders o on o.id = oi.order_id
+  join recipe_items r on r.menu_item_id = oi.menu_item_id
+  where o.status in ('pending', 'preparing')
+  group by r.ingredient_id;
+$$;
+
+revoke execute on function public.ingredient_commitments() from public, anon, authenticated;
+
+-- How many more servings of each item with a recipe the free ingredients
+-- allow. Items without a recipe are not listed. Public so the storefront can
+-- cap what customers add to their carts.
+create or replace function public.menu_capacity()
+returns table (menu_item_id uuid, can_make integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.menu_item_id,
+    min(greatest(floor((i.stock_quantity - coalesce(c.committed, 0)) / r.quantity), 0))::integer
+  from recipe_items r
+  join ingredients i on i.id = r.ingredient_id
+  left join ingredient_commitments() c on c.ingredient_id = r.ingredient_id
+  group by r.menu_item_id;
+$$;
+
+grant execute on function public.menu_capacity() to anon, authenticated;
+
+-- Moves stock for one ingredient under a row lock and writes the log entry.
+-- Manual adjustments cannot go below zero; order deductions can, because the
+-- food has already been cooked and the recorded stock was simply wrong.
+create or replace function public.record_ingredient_movement(
+  p_ingredient_id uuid,
+  p_change numeric,
+  p_reason text,
+  p_order_id uuid default null,
+  p_allow_negative boolean default false
+)
+returns public.ingredient_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ingredient public.ingredients;
+  v_new numeric;
+  v_log public.ingredient_logs;
+begin
+  select * into v_ingredient
+  from public.ingredients
+  where id = p_ingredient_id
+  for update;
+
+  if not found then
+    raise exception 'Ingredient not found';
+  end if;
+
+  v_new := v_ingredient.stock_quantity + p_change;
+
+  if v_new < 0 and not p_allow_negative then
+    raise exception 'Only % % of % left', v_ingredient.stock_quantity, v_ingredient.unit, v_ingredient.name;
+  end if;
+
+  update public.ingredients
+  set stock_quantity = v_new
+  where id = p_ingredient_id;
+
+  insert into public.ingredient_logs (ingredient_id, change_amount, previous_stock, new_stock, reason, order_id, changed_by)
+  values (p_ingredient_id, p_change, v_ingredient.stock_quantity, v_new, p_reason, p_order_id, auth.uid())
+  returning * into v_log;
+
+  return v_log;
+end;
+$$;
+
+revoke execute on function public.record_ingredient_movement(uuid, numeric, text, uuid, boolean) from public, anon, authenticated;
+
+create or replace function public.adjust_ingredient_stock(
+  p_ingredient_id uuid,
+  p_change_amount numeric,
+  p_reason text
+)
+returns public.ingredient_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can adjust stock' using errcode = '42501';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required for stock adjustments';
+  end if;
+
+  if coalesce(p_change_amount, 0) = 0 then
+    raise exception 'Enter a non-zero amount';
+  end if;
+
+  return public.record_ingredient_movement(p_ingredient_id, p_change_amount, trim(p_reason));
+end;
+$$;
+
+-- Replaces an item's recipe. p_lines is a list of {ingredient_id, quantity}.
+create or replace function public.set_menu_item_recipe(p_menu_item_id uuid, p_lines jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can change recipes' using errcode = '42501';
+  end if;
+
+  perform 1 from menu_items where id = p_menu_item_id for update;
+  if not found then
+    raise exception 'Menu item not found';
+  end if;
+
+  delete from recipe_items where menu_item_id = p_menu_item_id;
+
+  insert into recipe_items (menu_item_id, ingredient_id, quantity)
+  select p_menu_item_id, (line ->> 'ingredient_id')::uuid, round((line ->> 'quantity')::numeric, 3)
+  from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) as line;
+end;
+$$;
+
+-- An order line may not need more of an ingredient than is left once every
+-- unfinished order, this one included, has had its share. Locking the
+-- ingredient rows serialises concurrent checkouts that share ingredients.
+create or replace function public.enforce_ingredient_capacity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_short record;
+begin
+  perform 1
+  from ingredients
+  where id in (select ingredient_id from recipe_items where menu_item_id = new.menu_item_id)
+  order by id
+  for update;
+
+  select i.name into v_short
+  from recipe_items r
+  join ingredients i on i.id = r.ingredient_id
+  join ingredient_commitments() c on c.ingredient_id = r.ingredient_id
+  where r.menu_item_id = new.menu_item_id
+    and i.stock_quantity < c.committed
+  order by i.name
+  limit 1;
+
+  if found then
+    raise exception 'Not enough % left to make %',
+      v_short.name, (select name from menu_items where id = new.menu_item_id);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_ingredient_capacity on public.order_items;
+create trigger enforce_ingredient_capacity
+  after insert on public.order_items
+  for each row execute function public.enforce_ingredient_capacity();
+
+-- Takes the ingredients for an order out of stock once it is ready.
+create or replace function public.deduct_order_ingredients()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_usage record;
+begin
+  for v_usage in
+    select r.ingredient_id, sum(r.quantity * oi.quantity) as quantity
+    from order_items oi
+    join recipe_items r on r.menu_item_id = oi.menu_item_id
+    where oi.order_id = new.id
+    group by r.ingredient_id
+    order by r.ingredient_id
+  loop
+    perform public.record_ingredient_movement(
+      v_usage.ingredient_id,
+      -v_usage.quantity,
+      'Order #' || left(new.id::text, 8),
+      new.id,
+      true
+    );
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists deduct_order_ingredients on public.orders;
+create trigger deduct_order_ingredients
+  after update of status on public.orders
+  for each row
+  when (new.status = 'ready' and old.status is distinct from 'ready')
+  execute function public.deduct_order_ingredients();
@@ -0,0 +1,355 @@
+-- Suppliers and purchase orders. A purchase order moves draft -> sent ->
+-- (partially_received ->) received, or is cancelled. Receiving goods puts them
+-- into stock through the usual movement helpers, so every delivery shows up in
+-- inventory_logs / ingredient_logs with a link back to its purchase order, and
+-- records the latest unit cost of the item or ingredient. Order lines remember
+-- what they cost to make so reports can set cost of goods against sales.
+
+alter table public.menu_items
+  add column if not exists unit_cost numeric(12, 4) check (unit_cost >= 0);
+
+alter table public.ingredients
+  add column if not exists unit_cost numeric(12, 4) check (unit_cost >= 0);
+
+alter table public.order_items
+  add column if not exists cost_at_time numeric(12, 4);
+
+create table if not exists public.suppliers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  contact_name text,
+  phone text,
+  email text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists suppliers_lower_name_idx on public.suppliers (lower(trim(name)));
+
+create table if not exists public.purchase_orders (
+  id uuid primary key default gen_random_uuid(),
+  supplier_id uuid not null references public.suppliers (id),
+  status text not null default 'draft'
+    check (status in ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+  notes text,
+  created_by uuid references public.profiles (id),
+  sent_at timestamptz,
+  received_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists purchase_orders_created_at_idx on public.purchase_orders (created_at desc);
+
+create table if not exists public.purchase_order_items (
+  id uuid primary key default gen_random_uuid(),
+  purchase_order_id uuid not null references public.purchase_orders (id) on delete cascade,
+  menu_item_id uuid references public.menu_items (id),
+  ingredient_id uuid references public.ingredients (id),
+  quantity_ordered numeric(12, 3) not null check (quantity_ordered > 0),
+  quantity_received numeric(12, 3) not null default 0
+    check (quantity_received >= 0 and quantity_received <= quantity_ordered),
+  unit_cost numeric(12, 4) not null check (unit_cost >= 0),
+  created_at timestamptz not null default now(),
+  check ((menu_item_id is null) <> (ingredient_id is null))
+);
+
+create index if not exists purchase_order_items_order_idx on public.purchase_order_items (purchase_order_id);
+
+alter table public.inventory_logs
+  add column if not exists purchase_order_id uuid references public.purchase_orders (id) on delete set null;
+
+alter table public.ingredient_logs
+  add column if not exists purchase_order_id uuid references public.purchase_orders (id) on delete set null;
+
+create index if not exists inventory_logs_purchase_order_id_idx on public.inventory_logs (purchase_order_id);
+create index if not exists ingredient_logs_purchase_order_id_idx on public.ingredient_logs (purchase_order_id);
+
+alter table public.suppliers enable row level security;
+alter table public.purchase_orders enable row level security;
+alter table public.purchase_order_items enable row level security;
+
+create policy "Staff can read suppliers"
+  on public.suppliers for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Admins add suppliers"
+  on public.suppliers for insert
+  with check (public.has_role('admin'));
+
+create policy "Admins update suppliers"
+  on public.suppliers for update
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- Purchase orders are created and received through the functions below;
+-- admins update them directly only to send or cancel them.
+create policy "Staff can read purchase orders"
+  on public.purchase_orders for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+create policy "Admins update purchase orders"
+  on public.purchase_orders for update
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "Staff can read purchase order lines"
+  on public.purchase_order_items for select
+  using (public.has_role('admin', 'kitchen', 'cashier'));
+
+-- Kept in step with PURCHASE_ORDER_TRANSITIONS in src/lib/purchasing.js.
+create or replace function public.enforce_purchase_order_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'draft' and new.status in ('sent', 'cancelled'))
+    or (old.status = 'sent' and new.status in ('partially_received', 'received', 'cancelled'))
+    or (old.status = 'partially_received' and new.status in ('received', 'cancelled'))
+  ) then
+    raise exception 'Cannot move a purchase order from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'sent' then
+    new.sent_at := coalesce(new.sent_at, now());
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_purchase_order_transition on public.purchase_orders;
+create trigger enforce_purchase_order_transition
+  before update of status on public.purchase_orders
+  for each row execute function public.enforce_purchase_order_transition();
+
+-- What one serving of an item costs: the sum of its recipe at current
+-- ingredient costs, or its own unit cost when it is bought in. Null while any
+-- of those costs is unknown.
+create or replace function public.menu_item_unit_cost(p_menu_item_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (select 1 from recipe_items where menu_item_id = p_menu_item_id) then (
+      select case when bool_and(i.unit_cost is not null) then round(sum(r.quantity * i.unit_cost), 4) end
+      from recipe_items r
+      join ingredients i on i.id = r.ingredient_id
+      where r.menu_item_id = p_menu_item_id
+    )
+    else (select unit_cost from menu_items where id = p_menu_item_id)
+  end;
+$$;
+
+revoke execute on function public.menu_item_unit_cost(uuid) from public, anon, authenticated;
+
+create or replace function public.set_order_item_cost()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.cost_at_time := public.menu_item_unit_cost(new.menu_item_id);
+  return new;
+end;
+$$;
+
+drop trigger if exists set_order_item_cost on public.order_items;
+create trigger set_order_item_cost
+  before insert on public.order_items
+  for each row execute function public.set_order_item_cost();
+
+-- p_lines is a list of {menu_item_id, ingredient_id, quantity, unit_cost},
+-- each naming exactly one of the two.
+create or replace function public.create_purchase_order(
+  p_supplier_id uuid,
+  p_notes text,
+  p_lines jsonb
+)
+returns public.purchase_orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.purchase_orders;
+  v_line jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can create purchase orders' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from suppliers where id = p_supplier_id) then
+    raise exception 'Supplier not found';
+  end if;
+
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'A purchase order needs at least one line';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    if (nullif(v_line ->> 'menu_item_id', '') is null) = (nullif(v_line ->> 'ingredient_id', '') is null) then
+      raise exception 'Each line must order either a menu item or an ingredient';
+    end if;
+
+    if coalesce((v_line ->> 'quantity')::numeric, 0) <= 0 then
+      raise exception 'Quantities must be more than zero';
+    end if;
+
+    if nullif(v_line ->> 'menu_item_id', '') is not null
+      and (v_line ->> 'quantity')::numeric <> trunc((v_line ->> 'quantity')::numeric) then
+      raise exception 'Menu items are ordered in whole units';
+    end if;
+
+    if coalesce((v_line ->> 'unit_cost')::numeric, -1) < 0 then
+      raise exception 'Unit costs cannot be negative';
+    end if;
+  end loop;
+
+  insert into purchase_orders (supplier_id, notes, created_by)
+  values (p_supplier_id, nullif(trim(p_notes), ''), auth.uid())
+  returning * into v_order;
+
+  insert into purchase_order_items (purchase_order_id, menu_item_id, ingredient_id, quantity_ordered, unit_cost)
+  select v_order.id,
+    nullif(line ->> 'menu_item_id', '')::uuid,
+    nullif(line ->> 'ingredient_id', '')::uuid,
+    round((line ->> 'quantity')::numeric, 3),
+    round((line ->> 'unit_cost')::numeric, 4)
+  from jsonb_array_elements(p_lines) as line;
+
+  return v_order;
+end;
+$$;
+
+-- Books in a delivery. p_lines is a list of {id, quantity} for the purchase
+-- order lines that arrived; lines left out or at zero are still expected.
+create or replace function public.receive_purchase_order(
+  p_purchase_order_id uuid,
+  p_lines jsonb
+)
+returns public.purchase_orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.purchase_orders;
+  v_line public.purchase_order_items;
+  v_entry jsonb;
+  v_quantity numeric;
+  v_remaining numeric;
+  v_reason text;
+  v_received integer := 0;
+  v_stock_log public.inventory_logs;
+  v_ingredient_log public.ingredient_logs;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can receive purchase orders' using errcode = '42501';
+  end if;
+
+  select * into v_order
+  from purchase_orders
+  where id = p_purchase_order_id
+  for update;
+
+  if not found then
+    raise exception 'Purchase order not found';
+  end if;
+
+  if v_order.status not in ('sent', 'partially_received') then
+    raise exception 'A % purchase order cannot be received', replace(v_order.status, '_', ' ');
+  end if;
+
+  v_reason := 'PO #' || left(v_order.id::text, 8) || ' received';
+
+  for v_entry in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    v_quantity := coalesce((v_entry ->> 'quantity')::numeric, 0);
+    continue when v_quantity = 0;
+
+    select * into v_line
+    from purchase_order_items
+    where id = (v_entry ->> 'id')::uuid
+      and purchase_order_id = v_order.id
+    for update;
+
+    if not found then
+      raise exception 'That line is not on this purchase order';
+    end if;
+
+    v_remaining := v_line.quantity_ordered - v_line.quantity_received;
+
+    if v_quantity < 0 or v_quantity > v_remaining then
+      raise exception 'Receive between 0 and % for each line', v_remaining;
+    end if;
+
+    if v_line.menu_item_id is not null then
+      if v_quantity <> trunc(v_quantity) then
+        raise exception 'Menu items are received in whole units';
+      end if;
+
+      -- Record the movement once, then tag it: a function call in the
+      -- where clause would run for every row scanned.
+      v_stock_log := public.record_stock_movement(v_line.menu_item_id, v_quantity::integer, v_reason);
+      update inventory_logs set purchase_order_id = v_order.id where id = v_stock_log.id;
+
+      update menu_items set unit_cost = v_line.unit_cost where id = v_line.menu_item_id;
+    else
+      v_ingredient_log := public.record_ingredient_movement(v_line.ingredient_id, v_quantity, v_reason);
+      update ingredient_logs set purchase_order_id = v_order.id where id = v_ingredient_log.id;
+
+      update ingredients set unit_cost = v_line.unit_cost where id = v_line.ingredient_id;
+    end if;
+
+    update purchase_order_items
+    set quantity_received = quantity_received + v_quantity
+    where id = v_line.id;
+
+    v_received := v_received + 1;
+  end loop;
+
+  if v_received = 0 then
+    raise exception 'Enter a quantity for at least one line';
+  end if;
+
+  update purchase_orders
+  set status = case
+      when exists (
+        select 1 from purchase_order_items
+        where purchase_order_id = v_order.id and quantity_received < quantity_ordered
+      ) then 'partially_received'
+      else 'received'
+    end,
+    received_at = case
+      when exists (
+        select 1 from purchase_order_items
+        where purchase_order_id = v_order.id and quantity_received < quantity_ordered
+      ) then null
+      else now()
+    end
+  where id = v_order.id
+  returning * into v_order;
+
+  return v_order;
+end;
+$$;
@@ -0,0 +1,225 @@
+-- Per-item reorder levels and quantities, and notifications for the staff who
+-- look after stock. A notification is written when a menu item first falls to
+-- its reorder level or an ingredient to its low-stock level, and once a day a
+-- digest lists everything that needs reordering. The admin app shows them in
+-- its notification list. When `app.staff_notifier_url` is set, the database
+-- also hands each one to the server function there, which forwards it by
+-- email or SMS: the request only carries the notification's id, and the
+-- function claims it with the service role through claim_staff_notification()
+-- so each is forwarded once. ensure_daily_stock_digest() is called when staff
+-- open the app; it can also be scheduled with pg_cron.
+
+create extension if not exists pg_net;
+
+alter table public.menu_items
+  add column if not exists reorder_level integer not null default 10 check (reorder_level >= 0),
+  add column if not exists reorder_quantity integer not null default 20 check (reorder_quantity > 0);
+
+create table if not exists public.staff_notifications (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('low_stock', 'daily_digest')),
+  title text not null,
+  body text,
+  menu_item_id uuid references public.menu_items (id),
+  ingredient_id uuid references public.ingredients (id),
+  read_at timestamptz,
+  read_by uuid references public.profiles (id),
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists staff_notifications_created_at_idx on public.staff_notifications (created_at desc);
+create index if not exists staff_notifications_undelivered_idx
+  on public.staff_notifications (created_at)
+  where delivered_at is null;
+
+alter table public.staff_notifications enable row level security;
+
+-- Roles with inventory:view in src/lib/permissions.js.
+create policy "Stock staff can read notifications"
+  on public.staff_notifications for select
+  using (public.has_role('admin', 'kitchen'));
+
+-- Staff only mark notifications read; delivery is recorded by
+-- claim_staff_notification().
+create policy "Stock staff can mark notifications read"
+  on public.staff_notifications for update
+  using (public.has_role('admin', 'kitchen'))
+  with check (public.has_role('admin', 'kitchen') and (read_by is null or read_by = auth.uid()));
+
+revoke update on public.staff_notifications from anon, authenticated;
+grant update (read_at, read_by) on public.staff_notifications to authenticated;
+
+alter publication supabase_realtime add table public.staff_notifications;
+
+-- How much of a low ingredient to order: enough to reach twice its low-stock
+-- level, as suggested on purchase orders.
+create or replace function public.ingredient_reorder_quantity(p_ingredient public.ingredients)
+returns numeric
+language sql
+immutable
+as $$
+  select greatest(round(p_ingredient.low_stock_threshold * 2 - greatest(p_ingredient.stock_quantity, 0), 3), 1);
+$$;
+
+create or replace function public.notify_menu_item_low_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.archived_at is null
+    and old.stock_quantity > old.reorder_level
+    and new.stock_quantity <= new.reorder_level then
+    insert into staff_notifications (kind, title, body, menu_item_id)
+    values (
+      'low_stock',
+      new.name || ' is running low',
+      format('%s left (reorder level %s). Suggested order: %s.', new.stock_quantity, new.reorder_level, new.reorder_quantity),
+      new.id
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists notify_menu_item_low_stock on public.menu_items;
+create trigger notify_menu_item_low_stock
+  after update of stock_quantity, reorder_level on public.menu_items
+  for each row execute function public.notify_menu_item_low_stock();
+
+create or replace function public.notify_ingredient_low_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.stock_quantity > old.low_stock_threshold
+    and new.stock_quantity <= new.low_stock_threshold then
+    insert into staff_notifications (kind, title, body, ingredient_id)
+    values (
+      'low_stock',
+      new.name || ' is running low',
+      format(
+        '%s %s left (low-stock level %s %s). Suggested order: %s %s.',
+        trim_scale(new.stock_quantity), new.unit,
+        trim_scale(new.low_stock_threshold), new.unit,
+        trim_scale(public.ingredient_reorder_quantity(new)), new.unit
+      ),
+      new.id
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists notify_ingredient_low_stock on public.ingredients;
+create trigger notify_ingredient_low_stock
+  after update of stock_quantity, low_stock_threshold on public.ingredients
+  for each row execute function public.notify_ingredient_low_stock();
+
+-- Hands each new notification to the staff notifier, if one is set up. pg_net
+-- only makes the request once the transaction commits.
+create or replace function public.dispatch_staff_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_notifier text := nullif(current_setting('app.staff_notifier_url', true), '');
+begin
+  if v_notifier is not null then
+    perform net.http_post(url := v_notifier, body := jsonb_build_object('notification_id', new.id));
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists dispatch_staff_notification on public.staff_notifications;
+create trigger dispatch_staff_notification
+  after insert on public.staff_notifications
+  for each row execute function public.dispatch_staff_notification();
+
+-- Called by the staff notifier with the service role: marks the notification
+-- delivered and returns it, or nothing when it already was.
+create or replace function public.claim_staff_notification(p_id uuid)
+returns setof public.staff_notifications
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.role() is distinct from 'service_role' then
+    raise exception 'Only the staff notifier claims notifications' using errcode = '42501';
+  end if;
+
+  return query
+  update staff_notifications
+  set delivered_at = now(), updated_at = now()
+  where id = p_id and delivered_at is null
+  returning *;
+end;
+$$;
+
+revoke execute on function public.claim_staff_notification(uuid) from public, anon, authenticated;
+grant execute on function public.claim_staff_notification(uuid) to service_role;
+
+-- One digest per day of everything at or below its reorder level, with a
+-- suggested quantity. Returns the day's digest, or null when nothing is low.
+create or replace function public.ensure_daily_stock_digest()
+returns public.staff_notifications
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_digest public.staff_notifications;
+  v_lines text[];
+begin
+  if auth.uid() is not null and not public.has_role('admin', 'kitchen') then
+    raise exception 'Only stock staff receive stock notifications' using errcode = '42501';
+  end if;
+
+  -- Serialise callers so two screens opening at once make one digest.
+  perform pg_advisory_xact_lock(hashtext('ensure_daily_stock_digest'));
+
+  select * into v_digest
+  from staff_notifications
+  where kind = 'daily_digest' and created_at >= current_date
+  limit 1;
+
+  if found then
+    return v_digest;
+  end if;
+
+  select array_agg(line order by source, sort_name) into v_lines
+  from (
+    select 1 as source, name as sort_name, format('%s: %s left, order %s', name, stock_quantity, reorder_quantity) as line
+    from menu_items
+    where archived_at is null and stock_quantity <= reorder_level
+    union all
+    select 2, i.name, format(
+      '%s: %s %s left, order %s %s',
+      i.name, trim_scale(i.stock_quantity), i.unit, trim_scale(public.ingredient_reorder_quantity(i)), i.unit
+    )
+    from ingredients i
+    where i.stock_quantity <= i.low_stock_threshold
+  ) low;
+
+  if v_lines is null then
+    return null;
+  end if;
+
+  insert into staff_notifications (kind, title, body)
+  values ('daily_digest', format('Daily stock digest: %s to reorder', cardinality(v_lines)), array_to_string(v_lines, E'\n'))
+  returning * into v_digest;
+
+  return v_digest;
+end;
+$$;
@@ -0,0 +1,138 @@
+-- Stock ledger and stock takes. inventory_logs already records every stock
+-- movement with the level before and after; entry_type classifies each one
+-- from the links it carries (mirrored by ledgerEntryType in src/lib/ledger.js)
+-- so the ledger page can filter on it. A stock take records a physical count
+-- of some items next to what the system expected, and can optionally set the
+-- stock to the counts, logging each correction against the stock take.
+
+create table if not exists public.stock_takes (
+  id uuid primary key default gen_random_uuid(),
+  notes text,
+  applied boolean not null default false,
+  created_by uuid references public.profiles (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_takes_created_at_idx on public.stock_takes (created_at desc);
+
+create table if not exists public.stock_take_counts (
+  id uuid primary key default gen_random_uuid(),
+  stock_take_id uuid not null references public.stock_takes (id) on delete cascade,
+  menu_item_id uuid not null references public.menu_items (id),
+  system_count integer not null,
+  counted integer not null check (counted >= 0),
+  unit_cost numeric(12, 4),
+  created_at timestamptz not null default now(),
+  unique (stock_take_id, menu_item_id)
+);
+
+alter table public.inventory_logs
+  add column if not exists stock_take_id uuid references public.stock_takes (id) on delete set null;
+
+alter table public.inventory_logs
+  add column if not exists entry_type text generated always as (
+    case
+      when purchase_order_id is not null then 'purchase'
+      when stock_take_id is not null then 'stock_take'
+      when order_id is not null then case when change_amount < 0 then 'sale' else 'cancellation' end
+      when reason = 'Menu import' then 'import'
+      else 'adjustment'
+    end
+  ) stored;
+
+create index if not exists inventory_logs_entry_type_created_at_idx on public.inventory_logs (entry_type, created_at desc);
+create index if not exists inventory_logs_menu_item_id_created_at_idx on public.inventory_logs (menu_item_id, created_at desc);
+create index if not exists inventory_logs_changed_by_idx on public.inventory_logs (changed_by);
+create index if not exists inventory_logs_stock_take_id_idx on public.inventory_logs (stock_take_id);
+
+alter table public.stock_takes enable row level security;
+alter table public.stock_take_counts enable row level security;
+
+-- Roles with inventory:view in src/lib/permissions.js. Stock takes are only
+-- written through record_stock_take().
+create policy "Stock staff can read stock takes"
+  on public.stock_takes for select
+  using (public.has_role('admin', 'kitchen'));
+
+create policy "Stock staff can read stock take counts"
+  on public.stock_take_counts for select
+  using (public.has_role('admin', 'kitchen'));
+
+-- p_counts is a list of {menu_item_id, counted}. With p_apply each counted
+-- item's stock is set to its count.
+create or replace function public.record_stock_take(
+  p_counts jsonb,
+  p_notes text default null,
+  p_apply boolean default false
+)
+returns public.stock_takes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock_take public.stock_takes;
+  v_entry jsonb;
+  v_count record;
+  v_log public.inventory_logs;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can record stock takes' using errcode = '42501';
+  end if;
+
+  if jsonb_array_length(coalesce(p_counts, '[]'::jsonb)) = 0 then
+    raise exception 'Count at least one item';
+  end if;
+
+  for v_entry in select * from jsonb_array_elements(p_counts)
+  loop
+    if not exists (
+      select 1 from menu_items
+      where id = nullif(v_entry ->> 'menu_item_id', '')::uuid and archived_at is null
+    ) then
+      raise exception 'Menu item not found';
+    end if;
+
+    if jsonb_typeof(v_entry -> 'counted') <> 'number'
+      or (v_entry ->> 'counted')::numeric < 0
+      or (v_entry ->> 'counted')::numeric <> trunc((v_entry ->> 'counted')::numeric) then
+      raise exception 'Counts must be whole numbers of zero or more';
+    end if;
+  end loop;
+
+  if (select count(distinct line ->> 'menu_item_id') from jsonb_array_elements(p_counts) as line)
+    <> jsonb_array_length(p_counts) then
+    raise exception 'Each item can only be counted once';
+  end if;
+
+  insert into stock_takes (notes, applied, created_by)
+  values (nullif(trim(p_notes), ''), coalesce(p_apply, false), auth.uid())
+  returning * into v_stock_take;
+
+  -- Lock in id order so concurrent stock movements cannot deadlock with us.
+  for v_count in
+    select m.id, m.stock_quantity, (line ->> 'counted')::integer as counted
+    from jsonb_array_elements(p_counts) as line
+    join menu_items m on m.id = (line ->> 'menu_item_id')::uuid
+    order by m.id
+    for update of m
+  loop
+    insert into stock_take_counts (stock_take_id, menu_item_id, system_count, counted, unit_cost)
+    values (v_stock_take.id, v_count.id, v_count.stock_quantity, v_count.counted, public.menu_item_unit_cost(v_count.id));
+
+    if v_stock_take.applied and v_count.counted <> v_count.stock_quantity then
+      -- Record the movement once, then tag it: a function call in the
+      -- where clause would run for every row scanned.
+      v_log := public.record_stock_movement(v_count.id, v_count.counted - v_count.stock_quantity, 'Stock take');
+      update inventory_logs set stock_take_id = v_stock_take.id where id = v_log.id;
+    end if;
+  end loop;
+
+  return v_stock_take;
+end;
+$$;
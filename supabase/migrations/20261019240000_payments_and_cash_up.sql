@@ -0,0 +1,586 @@
+-- Payments. Every payment and refund against an order is a row in payments,
+-- and orders.payment_status follows the settled ones: unpaid until the total
+-- is in, then paid, partially_refunded or refunded. Cash and meal card money
+-- is taken at the counter and recorded by staff with record_counter_payment().
+-- M-Pesa orders are paid from the customer's phone: start_payment() opens a
+-- pending request, the payment provider (src/lib/payment-providers.js) sends
+-- the STK push, and its server function reports the outcome through
+-- settle_payment() with the service role. Cancelling a paid order refunds it;
+-- counter refunds are handed back at once, online ones stay pending until the
+-- provider confirms them. close_cash_up() reconciles each payment method's
+-- takings against the orders delivered that day and records the end-of-day
+-- count against what the day's payments say was taken.
+--
+-- Orders placed before this migration start out unpaid.
+
+alter table public.orders
+  add column if not exists payment_status text not null default 'unpaid'
+    check (payment_status in ('unpaid', 'paid', 'partially_refunded', 'refunded'));
+
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  kind text not null check (kind in ('payment', 'refund')),
+  method text not null check (method in ('cash', 'mpesa', 'card')),
+  -- counter: taken or handed back by staff; mpesa / mock: a payment provider.
+  provider text not null check (provider in ('counter', 'mpesa', 'mock')),
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  amount numeric(10, 2) not null check (amount > 0),
+  phone text,
+  provider_reference text,
+  refund_of uuid references public.payments (id),
+  reason text,
+  failure_reason text,
+  created_by uuid references public.profiles (id),
+  settled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((kind = 'refund') = (refund_of is not null))
+);
+
+create index if not exists payments_order_id_idx on public.payments (order_id, created_at);
+create index if not exists payments_settled_at_idx on public.payments (settled_at) where status = 'succeeded';
+create index if not exists payments_refund_of_idx on public.payments (refund_of);
+
+create table if not exists public.cash_ups (
+  id uuid primary key default gen_random_uuid(),
+  business_date date not null,
+  method text not null check (method in ('cash', 'mpesa', 'card')),
+  delivered_amount numeric(10, 2) not null,
+  expected_amount numeric(10, 2) not null,
+  counted_amount numeric(10, 2) not null check (counted_amount >= 0),
+  notes text,
+  closed_by uuid references public.profiles (id),
+  created_at timestamptz not null default now(),
+  unique (business_date, method)
+);
+
+alter table public.payments enable row level security;
+alter table public.cash_ups enable row level security;
+
+-- Payments are only written through the functions below.
+create policy "Payments follow their order"
+  on public.payments for select
+  using (
+    public.has_role('admin', 'kitchen', 'cashier')
+    or exists (select 1 from public.orders where orders.id = order_id and orders.user_id = auth.uid())
+  );
+
+-- Roles with payments:take in src/lib/permissions.js.
+create policy "Cashiers can read cash-ups"
+  on public.cash_ups for select
+  using (public.has_role('admin', 'cashier'));
+
+alter publication supabase_realtime add table public.payments;
+
+create or replace function public.sync_order_payment_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_paid numeric;
+  v_refunded numeric;
+  v_status text;
+begin
+  select
+    coalesce(sum(amount) filter (where kind = 'payment'), 0),
+    coalesce(sum(amount) filter (where kind = 'refund'), 0)
+  into v_paid, v_refunded
+  from payments
+  where order_id = new.order_id and status = 'succeeded';
+
+  select case
+    when v_refunded > 0 and v_refunded >= v_paid then 'refunded'
+    when v_refunded > 0 then 'partially_refunded'
+    when v_paid > 0 and v_paid >= o.total_amount then 'paid'
+    else 'unpaid'
+  end into v_status
+  from orders o
+  where o.id = new.order_id;
+
+  update orders
+  set payment_status = v_status
+  where id = new.order_id and payment_status is distinct from v_status;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sync_order_payment_status on public.payments;
+create trigger sync_order_payment_status
+  after insert or update of status on public.payments
+  for each row execute function public.sync_order_payment_status();
+
+-- Staff may update orders, but payment_status only ever follows payments:
+-- orders start unpaid and only sync_order_payment_status() moves them on.
+create or replace function public.protect_order_payment_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.payment_status <> 'unpaid' then
+      raise exception 'New orders start unpaid' using errcode = '42501';
+    end if;
+  elsif new.payment_status is distinct from old.payment_status and pg_trigger_depth() = 1 then
+    raise exception 'Payment status follows the order''s payments' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_order_payment_status on public.orders;
+create trigger protect_order_payment_status
+  before insert or update of payment_status on public.orders
+  for each row execute function public.protect_order_payment_status();
+
+-- What is left to refund of an order's payments once refunds already issued
+-- (settled or still with the provider) are taken off.
+create or replace function public.order_refundable_amount(p_order_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(p.amount), 0) - coalesce((
+    select sum(r.amount) from payments r
+    where r.order_id = p_order_id and r.kind = 'refund' and r.status <> 'failed'
+  ), 0)
+  from payments p
+  where p.order_id = p_order_id and p.kind = 'payment' and p.status = 'succeeded';
+$$;
+
+-- Returns p_amount of an order's payments, newest payment first. Money taken
+-- at the counter is handed back there and then, so those refunds are settled
+-- at once; the rest wait for the provider.
+create or replace function public.issue_refunds(
+  p_order_id uuid,
+  p_amount numeric,
+  p_reason text,
+  p_created_by uuid
+)
+returns setof public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_left numeric := p_amount;
+  v_payment record;
+  v_share numeric;
+  v_refund public.payments;
+begin
+  for v_payment in
+    select p.*, p.amount - coalesce((
+      select sum(r.amount) from payments r
+      where r.refund_of = p.id and r.status <> 'failed'
+    ), 0) as remaining
+    from payments p
+    where p.order_id = p_order_id and p.kind = 'payment' and p.status = 'succeeded'
+    order by p.created_at desc
+  loop
+    exit when v_left <= 0;
+    continue when v_payment.remaining <= 0;
+
+    v_share := least(v_left, v_payment.remaining);
+
+    insert into payments (order_id, kind, method, provider, status, amount, phone, refund_of, reason, created_by, settled_at)
+    values (
+      p_order_id, 'refund', v_payment.method, v_payment.provider,
+      case when v_payment.provider = 'counter' then 'succeeded' else 'pending' end,
+      v_share, v_payment.phone, v_payment.id, p_reason, p_created_by,
+      case when v_payment.provider = 'counter' then now() end
+    )
+    returning * into v_refund;
+
+    return next v_refund;
+    v_left := v_left - v_share;
+  end loop;
+end;
+$$;
+
+-- Refunds whatever an order holds beyond what it owes, which is everything
+-- once it is cancelled. Covers cancelling a paid order and a payment that
+-- completes after the order was cancelled or paid another way.
+create or replace function public.refund_excess(p_order_id uuid, p_created_by uuid)
+returns setof public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_excess numeric;
+begin
+  select * into v_order from orders where id = p_order_id;
+
+  v_excess := public.order_refundable_amount(p_order_id)
+    - case when v_order.status = 'cancelled' then 0 else v_order.total_amount end;
+
+  if v_excess <= 0 then
+    return;
+  end if;
+
+  return query
+  select * from public.issue_refunds(
+    p_order_id,
+    v_excess,
+    case
+      when v_order.status = 'cancelled' then 'Order #' || left(p_order_id::text, 8) || ' cancelled'
+      else 'Overpayment on Order #' || left(p_order_id::text, 8)
+    end,
+    p_created_by
+  );
+end;
+$$;
+
+revoke execute on function public.order_refundable_amount(uuid) from public, anon, authenticated;
+revoke execute on function public.issue_refunds(uuid, numeric, text, uuid) from public, anon, authenticated;
+revoke execute on function public.refund_excess(uuid, uuid) from public, anon, authenticated;
+
+create or replace function public.refund_on_cancel()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'cancelled' and old.status is distinct from 'cancelled' then
+    perform public.refund_excess(new.id, auth.uid());
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists refund_on_cancel on public.orders;
+create trigger refund_on_cancel
+  after update of status on public.orders
+  for each row execute function public.refund_on_cancel();
+
+-- Money taken at the counter: cash, a meal card, or an M-Pesa payment made to
+-- the till rather than through a payment request.
+create or replace function public.record_counter_payment(
+  p_order_id uuid,
+  p_method text,
+  p_amount numeric,
+  p_reference text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_outstanding numeric;
+  v_payment public.payments;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin', 'cashier') then
+    raise exception 'Only cashiers and administrators can take payments' using errcode = '42501';
+  end if;
+
+  if p_method is null or p_method not in ('cash', 'mpesa', 'card') then
+    raise exception 'Unknown payment method';
+  end if;
+
+  select * into v_order from orders where id = p_order_id for update;
+
+  if not found then
+    raise exception 'Order not found';
+  end if;
+
+  if v_order.status = 'cancelled' then
+    raise exception 'This order has been cancelled';
+  end if;
+
+  if p_amount is null or p_amount <= 0 or p_amount <> round(p_amount, 2) then
+    raise exception 'Amounts must be more than zero and in whole cents';
+  end if;
+
+  v_outstanding := v_order.total_amount - coalesce((
+    select sum(amount) from payments
+    where order_id = v_order.id and kind = 'payment' and status = 'succeeded'
+  ), 0);
+
+  if v_outstanding <= 0 then
+    raise exception 'This order is already paid';
+  end if;
+
+  if p_amount > v_outstanding then
+    raise exception 'Only $% is outstanding on this order', to_char(v_outstanding, 'FM999999990.00');
+  end if;
+
+  insert into payments (order_id, kind, method, provider, status, amount, provider_reference, created_by, settled_at)
+  values (v_order.id, 'payment', p_method, 'counter', 'succeeded', p_amount, nullif(trim(p_reference), ''), auth.uid(), now())
+  returning * into v_payment;
+
+  return v_payment;
+end;
+$$;
+
+-- Opens a payment request for the balance of an order paid online. A request
+-- the customer has not answered blocks another for two minutes; Safaricom
+-- gives up on an STK push after about one. The mock provider is refused unless
+-- the database has `app.mock_payments` set to on (local development only).
+create or replace function public.start_payment(
+  p_order_id uuid,
+  p_provider text,
+  p_phone text
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_outstanding numeric;
+  v_payment public.payments;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_provider is null or p_provider not in ('mpesa', 'mock')
+    or (p_provider = 'mock' and coalesce(current_setting('app.mock_payments', true), '') <> 'on') then
+    raise exception 'Unknown payment provider';
+  end if;
+
+  select * into v_order from orders where id = p_order_id for update;
+
+  if not found or (v_order.user_id <> auth.uid() and not public.has_role('admin', 'kitchen', 'cashier')) then
+    raise exception 'Order not found';
+  end if;
+
+  if v_order.status = 'cancelled' then
+    raise exception 'This order has been cancelled';
+  end if;
+
+  if v_order.payment_method <> 'mpesa' then
+    raise exception 'This order is paid at the counter';
+  end if;
+
+  if p_phone is null or p_phone !~ '^254[17][0-9]{8}$' then
+    raise exception 'Enter a Safaricom number such as 0712 345 678';
+  end if;
+
+  if exists (
+    select 1 from payments
+    where order_id = v_order.id and kind = 'payment' and status = 'pending'
+      and created_at > now() - interval '2 minutes'
+  ) then
+    raise exception 'A payment request is already waiting for approval';
+  end if;
+
+  v_outstanding := v_order.total_amount - coalesce((
+    select sum(amount) from payments
+    where order_id = v_order.id and kind = 'payment' and status = 'succeeded'
+  ), 0);
+
+  if v_outstanding <= 0 then
+    raise exception 'This order is already paid';
+  end if;
+
+  insert into payments (order_id, kind, method, provider, amount, phone, created_by)
+  values (v_order.id, 'payment', v_order.payment_method, p_provider, v_outstanding, p_phone, auth.uid())
+  returning * into v_payment;
+
+  return v_payment;
+end;
+$$;
+
+-- The provider's answer to a payment request or refund. Real providers settle
+-- with the service role from their callback; signed-in users can only settle
+-- mock payments on orders they can see, which is what the mock provider does.
+create or replace function public.settle_payment(
+  p_payment_id uuid,
+  p_succeeded boolean,
+  p_provider_reference text default null,
+  p_failure_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments;
+  v_order public.orders;
+begin
+  select * into v_payment from payments where id = p_payment_id for update;
+
+  if found then
+    select * into v_order from orders where id = v_payment.order_id for update;
+  end if;
+
+  if auth.role() is distinct from 'service_role' then
+    if auth.uid() is null then
+      raise exception 'Not authenticated';
+    end if;
+
+    if v_payment.id is null
+      or (v_order.user_id <> auth.uid() and not public.has_role('admin', 'kitchen', 'cashier')) then
+      raise exception 'Payment not found';
+    end if;
+
+    if v_payment.provider <> 'mock' then
+      raise exception 'Only the payment provider can settle this payment' using errcode = '42501';
+    end if;
+  elsif v_payment.id is null then
+    raise exception 'Payment not found';
+  end if;
+
+  if v_payment.status <> 'pending' then
+    raise exception 'This payment has already been settled';
+  end if;
+
+  update payments
+  set status = case when p_succeeded then 'succeeded' else 'failed' end,
+    provider_reference = nullif(trim(p_provider_reference), ''),
+    failure_reason = case when p_succeeded then null else coalesce(nullif(trim(p_failure_reason), ''), 'Declined') end,
+    settled_at = now(),
+    updated_at = now()
+  where id = v_payment.id
+  returning * into v_payment;
+
+  -- Money that arrives for a cancelled or already paid order goes back.
+  if p_succeeded and v_payment.kind = 'payment' then
+    perform public.refund_excess(v_order.id, null);
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+revoke execute on function public.settle_payment(uuid, boolean, text, text) from public, anon;
+grant execute on function public.settle_payment(uuid, boolean, text, text) to authenticated, service_role;
+
+-- Returns part or all of what an order was paid.
+create or replace function public.refund_payment(
+  p_order_id uuid,
+  p_amount numeric,
+  p_reason text
+)
+returns setof public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_refundable numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can issue refunds' using errcode = '42501';
+  end if;
+
+  if nullif(trim(p_reason), '') is null then
+    raise exception 'Give a reason for the refund';
+  end if;
+
+  perform 1 from orders where id = p_order_id for update;
+
+  if not found then
+    raise exception 'Order not found';
+  end if;
+
+  if p_amount is null or p_amount <= 0 or p_amount <> round(p_amount, 2) then
+    raise exception 'Amounts must be more than zero and in whole cents';
+  end if;
+
+  v_refundable := public.order_refundable_amount(p_order_id);
+
+  if v_refundable <= 0 then
+    raise exception 'Nothing is left to refund on this order';
+  end if;
+
+  if p_amount > v_refundable then
+    raise exception 'At most $% can be refunded', to_char(v_refundable, 'FM999999990.00');
+  end if;
+
+  return query
+  select * from public.issue_refunds(p_order_id, p_amount, trim(p_reason), auth.uid());
+end;
+$$;
+
+-- Closes a business day: per payment method, the value of the orders
+-- delivered, the money the day's settled payments say was taken net of
+-- refunds and the amount counted (cash in the drawer, the M-Pesa statement,
+-- the meal card terminal). p_counts maps each method to its count. Mirrors
+-- cashUpSummary in src/lib/payments.js.
+create or replace function public.close_cash_up(
+  p_date date,
+  p_counts jsonb,
+  p_notes text default null
+)
+returns setof public.cash_ups
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin', 'cashier') then
+    raise exception 'Only cashiers and administrators can cash up' using errcode = '42501';
+  end if;
+
+  if p_date is null then
+    raise exception 'Choose the day to cash up';
+  end if;
+
+  if p_date > current_date then
+    raise exception 'That day has not happened yet';
+  end if;
+
+  if exists (select 1 from cash_ups where business_date = p_date) then
+    raise exception 'That day has already been cashed up';
+  end if;
+
+  if exists (
+    select 1 from unnest(array['cash', 'mpesa', 'card']) as m(method)
+    where jsonb_typeof(p_counts -> m.method) is distinct from 'number'
+      or (p_counts ->> m.method)::numeric < 0
+  ) then
+    raise exception 'Enter the amount counted for each method';
+  end if;
+
+  return query
+  insert into cash_ups (business_date, method, delivered_amount, expected_amount, counted_amount, notes, closed_by)
+  select
+    p_date,
+    m.method,
+    coalesce((
+      select sum(o.total_amount) from orders o
+      where o.payment_method = m.method
+        and exists (
+          select 1 from order_status_history h
+          where h.order_id = o.id and h.to_status = 'delivered'
+            and h.created_at >= p_date and h.created_at < p_date + 1
+        )
+    ), 0),
+    coalesce((
+      select sum(case when p.kind = 'payment' then p.amount else -p.amount end) from payments p
+      where p.method = m.method and p.status = 'succeeded'
+        and p.settled_at >= p_date and p.settled_at < p_date + 1
+    ), 0),
+    round((p_counts ->> m.method)::numeric, 2),
+    nullif(trim(p_notes), ''),
+    auth.uid()
+  from unnest(array['cash', 'mpesa', 'card']) with ordinality as m(method, position)
+  order by m.position
+  returning *;
+end;
+$$;
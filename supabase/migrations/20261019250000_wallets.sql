@@ -0,0 +1,691 @@
+-- Prepaid wallets. Every profile can hold a balance, kept as a ledger in
+-- wallet_transactions: top-ups taken at the counter, debits for orders paid
+-- with the `wallet` method, refunds when those orders are cancelled, monthly
+-- meal-plan allowances and audited manual adjustments. wallets.balance is the
+-- running total and never goes below zero.
+--
+-- A wallet can have a sponsor (a parent or bursary contact with their own
+-- account) who sees its statement and sets a per-order spend limit and a
+-- daily cap. Allowances are credited by credit_monthly_allowances(), which the
+-- app calls when a wallet screen opens; schedule it for the first of the month
+-- as well if pg_cron is available:
+--
+--   select cron.schedule('wallet-allowances', '5 0 1 * *', 'select public.credit_monthly_allowances()');
+
+create table if not exists public.wallets (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null unique references public.profiles (id) on delete cascade,
+  balance numeric(10, 2) not null default 0 check (balance >= 0),
+  monthly_allowance numeric(10, 2) not null default 0 check (monthly_allowance >= 0),
+  -- First day of the month whose allowance was last credited.
+  allowance_month date,
+  spend_limit numeric(10, 2) check (spend_limit > 0),
+  daily_cap numeric(10, 2) check (daily_cap > 0),
+  sponsor_id uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (sponsor_id is distinct from profile_id)
+);
+
+create index if not exists wallets_sponsor_id_idx on public.wallets (sponsor_id);
+
+create table if not exists public.wallet_transactions (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  kind text not null check (kind in ('top_up', 'order', 'refund', 'allowance', 'adjustment')),
+  -- Positive for money in, negative for money spent.
+  amount numeric(10, 2) not null check (amount <> 0),
+  balance_after numeric(10, 2) not null,
+  -- How a top-up was paid.
+  method text check (method in ('cash', 'mpesa', 'card')),
+  order_id uuid references public.orders (id),
+  payment_id uuid references public.payments (id),
+  reason text,
+  created_by uuid references public.profiles (id),
+  created_at timestamptz not null default now(),
+  check ((kind = 'top_up') = (method is not null)),
+  check (kind <> 'adjustment' or reason is not null)
+);
+
+create index if not exists wallet_transactions_profile_id_idx on public.wallet_transactions (profile_id, created_at);
+create index if not exists wallet_transactions_top_ups_idx on public.wallet_transactions (created_at) where kind = 'top_up';
+
+-- Wallet orders are paid at placement and refunded back into the wallet.
+alter table public.payments drop constraint if exists payments_method_check;
+alter table public.payments
+  add constraint payments_method_check check (method in ('cash', 'mpesa', 'card', 'wallet'));
+alter table public.payments drop constraint if exists payments_provider_check;
+alter table public.payments
+  add constraint payments_provider_check check (provider in ('counter', 'mpesa', 'mock', 'wallet'));
+
+alter table public.wallets enable row level security;
+alter table public.wallet_transactions enable row level security;
+
+-- Wallets are only written through the functions below. Staff with
+-- wallets:view in src/lib/permissions.js are admins and cashiers.
+create policy "Holders, sponsors and cashiers read wallets"
+  on public.wallets for select
+  using (profile_id = auth.uid() or sponsor_id = auth.uid() or public.has_role('admin', 'cashier'));
+
+create policy "Holders, sponsors and cashiers read wallet transactions"
+  on public.wallet_transactions for select
+  using (
+    profile_id = auth.uid()
+    or public.has_role('admin', 'cashier')
+    or exists (
+      select 1 from public.wallets
+      where wallets.profile_id = wallet_transactions.profile_id and wallets.sponsor_id = auth.uid()
+    )
+  );
+
+create policy "Sponsors see the profiles they sponsor"
+  on public.profiles for select
+  using (
+    exists (select 1 from public.wallets where wallets.profile_id = profiles.id and wallets.sponsor_id = auth.uid())
+  );
+
+-- Wallets are opened on first use.
+create or replace function public.ensure_wallet(p_profile_id uuid)
+returns public.wallets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wallet public.wallets;
+begin
+  insert into wallets (profile_id) values (p_profile_id)
+  on conflict (profile_id) do nothing;
+
+  select * into v_wallet from wallets where profile_id = p_profile_id for update;
+  return v_wallet;
+end;
+$$;
+
+-- Moves a wallet's balance by p_amount (negative for money spent) and writes
+-- the ledger entry with the balance it leaves.
+create or replace function public.record_wallet_transaction(
+  p_profile_id uuid,
+  p_kind text,
+  p_amount numeric,
+  p_method text default null,
+  p_order_id uuid default null,
+  p_payment_id uuid default null,
+  p_reason text default null,
+  p_created_by uuid default null
+)
+returns public.wallet_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wallet public.wallets;
+  v_entry public.wallet_transactions;
+begin
+  v_wallet := public.ensure_wallet(p_profile_id);
+
+  if v_wallet.balance + p_amount < 0 then
+    raise exception 'Not enough in the wallet: $% left', to_char(v_wallet.balance, 'FM999999990.00');
+  end if;
+
+  update wallets
+  set balance = balance + p_amount, updated_at = now()
+  where id = v_wallet.id
+  returning * into v_wallet;
+
+  insert into wallet_transactions (profile_id, kind, amount, balance_after, method, order_id, payment_id, reason, created_by)
+  values (p_profile_id, p_kind, p_amount, v_wallet.balance, p_method, p_order_id, p_payment_id, p_reason, p_created_by)
+  returning * into v_entry;
+
+  return v_entry;
+end;
+$$;
+
+-- What a wallet has spent on orders placed today, less anything refunded on
+-- those orders since. Today is the canteen's, which started as long ago as
+-- its clock has run since midnight. Mirrors spentToday in src/lib/wallets.js.
+create or replace function public.wallet_spent_today(p_profile_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with todays_orders as (
+    select order_id, amount from wallet_transactions
+    where profile_id = p_profile_id and kind = 'order'
+      and created_at >= now() - (public.canteen_local_time() - date_trunc('day', public.canteen_local_time()))
+  )
+  select greatest(
+    -coalesce((select sum(amount) from todays_orders), 0)
+    - coalesce((
+      select sum(amount) from wallet_transactions
+      where profile_id = p_profile_id and kind = 'refund'
+        and order_id in (select order_id from todays_orders)
+    ), 0),
+    0
+  );
+$$;
+
+-- Credits this month's allowance to every wallet that has one and hasn't had
+-- it yet, or just p_profile_id's. Safe to call as often as you like.
+create or replace function public.credit_monthly_allowances(p_profile_id uuid default null)
+returns setof public.wallet_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_month date := date_trunc('month', public.canteen_local_time())::date;
+  v_wallet public.wallets;
+begin
+  if auth.uid() is null and auth.role() is distinct from 'service_role' then
+    raise exception 'Not authenticated';
+  end if;
+
+  for v_wallet in
+    select * from wallets
+    where (p_profile_id is null or profile_id = p_profile_id)
+      and monthly_allowance > 0
+      and (allowance_month is null or allowance_month < v_month)
+    order by profile_id
+    for update skip locked
+  loop
+    update wallets set allowance_month = v_month where id = v_wallet.id;
+
+    return next public.record_wallet_transaction(
+      v_wallet.profile_id,
+      'allowance',
+      v_wallet.monthly_allowance,
+      p_reason => 'Allowance for ' || trim(to_char(v_month, 'FMMonth YYYY'))
+    );
+  end loop;
+end;
+$$;
+
+-- Pays a just-placed order from its customer's wallet within the sponsor's
+-- limits. Messages match walletSpendProblem in src/lib/wallets.js.
+create or replace function public.pay_from_wallet(p_order public.orders)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wallet public.wallets;
+  v_spent numeric;
+  v_payment public.payments;
+begin
+  perform public.credit_monthly_allowances(p_order.user_id);
+  v_wallet := public.ensure_wallet(p_order.user_id);
+  v_spent := public.wallet_spent_today(p_order.user_id);
+
+  if v_wallet.spend_limit is not null and p_order.total_amount > v_wallet.spend_limit then
+    raise exception 'Orders paid from this wallet are limited to $%', to_char(v_wallet.spend_limit, 'FM999999990.00');
+  end if;
+
+  if v_wallet.daily_cap is not null and v_spent + p_order.total_amount > v_wallet.daily_cap then
+    raise exception 'This wallet can spend $% more today',
+      to_char(greatest(v_wallet.daily_cap - v_spent, 0), 'FM999999990.00');
+  end if;
+
+  if v_wallet.balance < p_order.total_amount then
+    raise exception 'Not enough in your wallet: $% left', to_char(v_wallet.balance, 'FM999999990.00');
+  end if;
+
+  insert into payments (order_id, kind, method, provider, status, amount, created_by, settled_at)
+  values (p_order.id, 'payment', 'wallet', 'wallet', 'succeeded', p_order.total_amount, p_order.user_id, now())
+  returning * into v_payment;
+
+  perform public.record_wallet_transaction(
+    p_order.user_id,
+    'order',
+    -p_order.total_amount,
+    p_order_id => p_order.id,
+    p_payment_id => v_payment.id,
+    p_reason => 'Order #' || left(p_order.id::text, 8),
+    p_created_by => p_order.user_id
+  );
+
+  return v_payment;
+end;
+$$;
+
+revoke execute on function public.ensure_wallet(uuid) from public, anon, authenticated;
+revoke execute on function public.record_wallet_transaction(uuid, text, numeric, text, uuid, uuid, text, uuid) from public, anon, authenticated;
+revoke execute on function public.wallet_spent_today(uuid) from public, anon, authenticated;
+revoke execute on function public.pay_from_wallet(public.orders) from public, anon, authenticated;
+revoke execute on function public.credit_monthly_allowances(uuid) from public, anon;
+grant execute on function public.credit_monthly_allowances(uuid) to authenticated, service_role;
+
+-- As before, and wallet payments go straight back into the wallet, so like
+-- counter refunds they are settled at once.
+create or replace function public.issue_refunds(
+  p_order_id uuid,
+  p_amount numeric,
+  p_reason text,
+  p_created_by uuid
+)
+returns setof public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_left numeric := p_amount;
+  v_payment record;
+  v_share numeric;
+  v_immediate boolean;
+  v_refund public.payments;
+begin
+  for v_payment in
+    select p.*, o.user_id, p.amount - coalesce((
+      select sum(r.amount) from payments r
+      where r.refund_of = p.id and r.status <> 'failed'
+    ), 0) as remaining
+    from payments p
+    join orders o on o.id = p.order_id
+    where p.order_id = p_order_id and p.kind = 'payment' and p.status = 'succeeded'
+    order by p.created_at desc
+  loop
+    exit when v_left <= 0;
+    continue when v_payment.remaining <= 0;
+
+    v_share := least(v_left, v_payment.remaining);
+    v_immediate := v_payment.provider in ('counter', 'wallet');
+
+    insert into payments (order_id, kind, method, provider, status, amount, phone, refund_of, reason, created_by, settled_at)
+    values (
+      p_order_id, 'refund', v_payment.method, v_payment.provider,
+      case when v_immediate then 'succeeded' else 'pending' end,
+      v_share, v_payment.phone, v_payment.id, p_reason, p_created_by,
+      case when v_immediate then now() end
+    )
+    returning * into v_refund;
+
+    if v_payment.provider = 'wallet' then
+      perform public.record_wallet_transaction(
+        v_payment.user_id,
+        'refund',
+        v_share,
+        p_order_id => p_order_id,
+        p_payment_id => v_refund.id,
+        p_reason => p_reason,
+        p_created_by => p_created_by
+      );
+    end if;
+
+    return next v_refund;
+    v_left := v_left - v_share;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.issue_refunds(uuid, numeric, text, uuid) from public, anon, authenticated;
+
+-- As before, with the payment method checked and wallet orders paid as they
+-- are placed.
+create or replace function public.place_order(
+  p_items jsonb,
+  p_payment_method text,
+  p_notes text default null
+)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.menu_items;
+  v_quantity integer;
+  v_options jsonb;
+  v_unit_price numeric;
+  v_total numeric := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty';
+  end if;
+
+  if p_payment_method is null or p_payment_method not in ('cash', 'mpesa', 'card', 'wallet') then
+    raise exception 'Unknown payment method';
+  end if;
+
+  insert into public.orders (user_id, total_amount, payment_method, notes, status)
+  values (auth.uid(), 0, p_payment_method, nullif(trim(p_notes), ''), 'pending')
+  returning * into v_order;
+
+  -- Lock items in a stable order so concurrent checkouts cannot deadlock.
+  for v_line in
+    select value from jsonb_array_elements(p_items) order by value ->> 'menu_item_id'
+  loop
+    v_quantity := (v_line ->> 'quantity')::integer;
+
+    if v_quantity is null or v_quantity <= 0 then
+      raise exception 'Quantities must be positive';
+    end if;
+
+    select * into v_item
+    from public.menu_items
+    where id = (v_line ->> 'menu_item_id')::uuid
+    for update;
+
+    if not found or not v_item.is_available then
+      raise exception '% is no longer available', coalesce(v_item.name, 'An item');
+    end if;
+
+    if v_quantity > v_item.stock_quantity then
+      raise exception 'Only % % left in stock', v_item.stock_quantity, v_item.name;
+    end if;
+
+    v_options := public.resolve_order_line_options(
+      v_item,
+      array(select jsonb_array_elements_text(coalesce(v_line -> 'option_ids', '[]'::jsonb))::uuid)
+    );
+
+    v_unit_price := v_item.price
+      + coalesce((select sum((o ->> 'price_delta')::numeric) from jsonb_array_elements(v_options) as o), 0);
+
+    if v_unit_price < 0 then
+      raise exception 'Options for % cannot bring its price below zero', v_item.name;
+    end if;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_time, options)
+    values (v_order.id, v_item.id, v_quantity, v_unit_price, v_options);
+
+    perform public.record_stock_movement(
+      v_item.id,
+      -v_quantity,
+      'Order #' || left(v_order.id::text, 8),
+      v_order.id
+    );
+
+    v_total := v_total + v_unit_price * v_quantity;
+  end loop;
+
+  update public.orders
+  set total_amount = v_total
+  where id = v_order.id
+  returning * into v_order;
+
+  if v_order.payment_method = 'wallet' then
+    perform public.pay_from_wallet(v_order);
+    select * into v_order from public.orders where id = v_order.id;
+  end if;
+
+  return v_order;
+end;
+$$;
+
+-- Money paid into a customer's wallet at the counter.
+create or replace function public.top_up_wallet(
+  p_profile_id uuid,
+  p_method text,
+  p_amount numeric,
+  p_reference text default null
+)
+returns public.wallet_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin', 'cashier') then
+    raise exception 'Only cashiers and administrators can top up wallets' using errcode = '42501';
+  end if;
+
+  if p_method is null or p_method not in ('cash', 'mpesa', 'card') then
+    raise exception 'Unknown payment method';
+  end if;
+
+  if not exists (select 1 from profiles where id = p_profile_id) then
+    raise exception 'Customer not found';
+  end if;
+
+  if p_amount is null or p_amount <= 0 or p_amount <> round(p_amount, 2) then
+    raise exception 'Amounts must be more than zero and in whole cents';
+  end if;
+
+  return public.record_wallet_transaction(
+    p_profile_id,
+    'top_up',
+    p_amount,
+    p_method => p_method,
+    p_reason => nullif(trim(p_reference), ''),
+    p_created_by => auth.uid()
+  );
+end;
+$$;
+
+-- Corrects a balance by hand. The reason and who made it stay on the
+-- statement.
+create or replace function public.adjust_wallet(
+  p_profile_id uuid,
+  p_amount numeric,
+  p_reason text
+)
+returns public.wallet_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can adjust wallet balances' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from profiles where id = p_profile_id) then
+    raise exception 'Customer not found';
+  end if;
+
+  if p_amount is null or p_amount = 0 or p_amount <> round(p_amount, 2) then
+    raise exception 'Adjustments must be non-zero and in whole cents';
+  end if;
+
+  if nullif(trim(p_reason), '') is null then
+    raise exception 'Give a reason for the adjustment';
+  end if;
+
+  return public.record_wallet_transaction(
+    p_profile_id,
+    'adjustment',
+    p_amount,
+    p_reason => trim(p_reason),
+    p_created_by => auth.uid()
+  );
+end;
+$$;
+
+-- The per-order limit and daily cap, set by the wallet's sponsor or an
+-- administrator. Null removes a limit.
+create or replace function public.set_wallet_limits(
+  p_profile_id uuid,
+  p_spend_limit numeric,
+  p_daily_cap numeric
+)
+returns public.wallets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wallet public.wallets;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin')
+    and not exists (select 1 from wallets where profile_id = p_profile_id and sponsor_id = auth.uid()) then
+    raise exception 'Only the sponsor or an administrator can set wallet limits' using errcode = '42501';
+  end if;
+
+  if (p_spend_limit is not null and (p_spend_limit <= 0 or p_spend_limit <> round(p_spend_limit, 2)))
+    or (p_daily_cap is not null and (p_daily_cap <= 0 or p_daily_cap <> round(p_daily_cap, 2))) then
+    raise exception 'Limits must be more than zero and in whole cents';
+  end if;
+
+  if p_spend_limit > p_daily_cap then
+    raise exception 'The per-order limit cannot be more than the daily cap';
+  end if;
+
+  perform public.ensure_wallet(p_profile_id);
+
+  update wallets
+  set spend_limit = p_spend_limit, daily_cap = p_daily_cap, updated_at = now()
+  where profile_id = p_profile_id
+  returning * into v_wallet;
+
+  return v_wallet;
+end;
+$$;
+
+-- The monthly allowance and who sponsors the wallet, looked up by email. An
+-- allowance takes effect with this month's credit.
+create or replace function public.set_wallet_plan(
+  p_profile_id uuid,
+  p_monthly_allowance numeric,
+  p_sponsor_email text default null
+)
+returns public.wallets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(nullif(trim(p_sponsor_email), ''));
+  v_sponsor_id uuid;
+  v_wallet public.wallets;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin') then
+    raise exception 'Only administrators can set meal plans' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from profiles where id = p_profile_id) then
+    raise exception 'Customer not found';
+  end if;
+
+  if p_monthly_allowance is null or p_monthly_allowance < 0 or p_monthly_allowance <> round(p_monthly_allowance, 2) then
+    raise exception 'Allowances must be zero or more and in whole cents';
+  end if;
+
+  if v_email is not null then
+    select id into v_sponsor_id from profiles where email = v_email;
+
+    if v_sponsor_id is null then
+      raise exception 'No account uses %', v_email;
+    end if;
+
+    if v_sponsor_id = p_profile_id then
+      raise exception 'A customer cannot sponsor their own wallet';
+    end if;
+  end if;
+
+  perform public.ensure_wallet(p_profile_id);
+
+  update wallets
+  set monthly_allowance = p_monthly_allowance, sponsor_id = v_sponsor_id, updated_at = now()
+  where profile_id = p_profile_id;
+
+  perform public.credit_monthly_allowances(p_profile_id);
+
+  select * into v_wallet from wallets where profile_id = p_profile_id;
+  return v_wallet;
+end;
+$$;
+
+-- As before, with wallet top-ups counted in the money recorded for the
+-- method they were paid with, and p_date taken as the canteen's day: from its
+-- midnight to the next, however far that is from now on the canteen's clock.
+create or replace function public.close_cash_up(
+  p_date date,
+  p_counts jsonb,
+  p_notes text default null
+)
+returns setof public.cash_ups
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_from timestamptz := now() + (p_date::timestamp - public.canteen_local_time());
+  v_to timestamptz := v_from + interval '1 day';
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin', 'cashier') then
+    raise exception 'Only cashiers and administrators can cash up' using errcode = '42501';
+  end if;
+
+  if p_date is null then
+    raise exception 'Choose the day to cash up';
+  end if;
+
+  if p_date > public.canteen_local_time()::date then
+    raise exception 'That day has not happened yet';
+  end if;
+
+  if exists (select 1 from cash_ups where business_date = p_date) then
+    raise exception 'That day has already been cashed up';
+  end if;
+
+  if exists (
+    select 1 from unnest(array['cash', 'mpesa', 'card']) as m(method)
+    where jsonb_typeof(p_counts -> m.method) is distinct from 'number'
+      or (p_counts ->> m.method)::numeric < 0
+  ) then
+    raise exception 'Enter the amount counted for each method';
+  end if;
+
+  return query
+  insert into cash_ups (business_date, method, expected_amount, recorded_amount, counted_amount, notes, closed_by)
+  select
+    p_date,
+    m.method,
+    coalesce((
+      select sum(o.total_amount) from orders o
+      where o.payment_method = m.method
+        and exists (
+          select 1 from order_status_history h
+          where h.order_id = o.id and h.to_status = 'delivered'
+            and h.created_at >= v_from and h.created_at < v_to
+        )
+    ), 0),
+    coalesce((
+      select sum(case when p.kind = 'payment' then p.amount else -p.amount end) from payments p
+      where p.method = m.method and p.status = 'succeeded'
+        and p.settled_at >= v_from and p.settled_at < v_to
+    ), 0)
+    + coalesce((
+      select sum(t.amount) from wallet_transactions t
+      where t.kind = 'top_up' and t.method = m.method
+        and t.created_at >= v_from and t.created_at < v_to
+    ), 0),
+    round((p_counts ->> m.method)::numeric, 2),
+    nullif(trim(p_notes), ''),
+    auth.uid()
+  from unnest(array['cash', 'mpesa', 'card']) with ordinality as m(method, position)
+  order by m.position
+  returning *;
+end;
+$$;
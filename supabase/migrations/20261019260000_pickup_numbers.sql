@@ -0,0 +1,82 @@
+-- Pickup numbers. Every order gets a short number that starts again at 1 each
+-- day, which is what the kitchen calls out and the counter asks for, and the
+-- customer's order page shows it with a QR code of the order for staff to
+-- scan. Numbers are fixed once assigned. Days are the canteen's, from
+-- canteen_local_time(), not UTC.
+
+-- Wall-clock time at the canteen at p_at, for dating orders already placed;
+-- the same zone as canteen_local_time().
+create or replace function public.canteen_local_time(p_at timestamptz)
+returns timestamp
+language sql
+stable
+as $$
+  select p_at at time zone coalesce(nullif(current_setting('app.canteen_timezone', true), ''), 'Africa/Nairobi');
+$$;
+
+alter table public.orders
+  add column if not exists pickup_date date,
+  add column if not exists pickup_number integer;
+
+create or replace function public.assign_pickup_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.pickup_date := old.pickup_date;
+    new.pickup_number := old.pickup_number;
+    return new;
+  end if;
+
+  new.pickup_date := public.canteen_local_time()::date;
+  -- One checkout at a time takes the day's next number; the lock is held
+  -- until the order commits.
+  perform pg_advisory_xact_lock(hashtext('order_pickup_numbers'), new.pickup_date - date '2000-01-01');
+
+  select coalesce(max(pickup_number), 0) + 1 into new.pickup_number
+  from orders
+  where pickup_date = new.pickup_date;
+
+  return new;
+end;
+$$;
+
+revoke execute on function public.assign_pickup_number() from public, anon, authenticated;
+
+-- Existing orders are numbered in the order they were placed each day.
+update public.orders o
+set pickup_date = numbered.day, pickup_number = numbered.number
+from (
+  select
+    id,
+    public.canteen_local_time(created_at)::date as day,
+    row_number() over (partition by public.canteen_local_time(created_at)::date order by created_at, id) as number
+  from public.orders
+) numbered
+where numbered.id = o.id and o.pickup_number is null;
+
+alter table public.orders
+  alter column pickup_date set not null,
+  alter column pickup_number set not null;
+
+create unique index if not exists orders_pickup_number_idx on public.orders (pickup_date, pickup_number);
+
+drop trigger if exists assign_pickup_number on public.orders;
+create trigger assign_pickup_number
+  before insert or update of pickup_date, pickup_number on public.orders
+  for each row execute function public.assign_pickup_number();
+
+-- The order called out as number p_pickup_number today, for the pickup
+-- counter. The server decides which day "today" is.
+create or replace function public.find_pickup_order(p_pickup_number integer)
+returns uuid
+language sql
+stable
+set search_path = public
+as $$
+  select id from orders
+  where pickup_date = public.canteen_local_time()::date and pickup_number = p_pickup_number;
+$$;
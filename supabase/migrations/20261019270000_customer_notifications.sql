@@ -0,0 +1,358 @@
+-- Tell customers when their order moves on. Every status change a customer
+-- has asked to hear about (by default ready and cancelled) is written to
+-- customer_notifications, which is also the log of everything sent:
+--
+-- - an `in_app` row, logged as sent straight away. The store subscribes to
+--   its own rows over realtime and shows them while the customer has it open.
+-- - a `push` row for each browser the customer turned Web Push on in.
+-- - `sms` and `email` rows when the customer opted in.
+--
+-- Push, SMS and email are sent from the server, not from anyone's browser.
+-- Each row is handed to the sender for its channel as it is queued: the
+-- server function at `app.web_push_url`, which holds the VAPID private key
+-- and looks the subscription up by push_subscription_id, or the one at
+-- `app.customer_notifier_url`, which sends SMS and email. The request only
+-- carries the notification's id; the sender claims it with the service role
+-- through claim_customer_notification(), so each goes out once and only what
+-- was queued here can be sent. Rows for a channel with no sender set up are
+-- logged as skipped.
+
+create extension if not exists pg_net;
+
+create table if not exists public.notification_preferences (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null unique references public.profiles (id) on delete cascade,
+  -- Order statuses the customer is told about.
+  statuses text[] not null default array['ready', 'cancelled']
+    check (statuses <@ array['preparing', 'ready', 'delivered', 'cancelled']),
+  sms_enabled boolean not null default false,
+  email_enabled boolean not null default false,
+  -- 2547XXXXXXXX / 2541XXXXXXXX, as for M-Pesa.
+  phone text check (phone ~ '^254[17][0-9]{8}$'),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (not sms_enabled or phone is not null)
+);
+
+-- One row per browser that accepted Web Push.
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  endpoint text not null unique,
+  p256dh text not null,
+  auth text not null,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_profile_id_idx on public.push_subscriptions (profile_id);
+
+create table if not exists public.customer_notifications (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  order_id uuid not null references public.orders (id) on delete cascade,
+  order_status text not null,
+  channel text not null check (channel in ('in_app', 'push', 'sms', 'email')),
+  -- Phone number, email address or push endpoint.
+  recipient text,
+  push_subscription_id uuid references public.push_subscriptions (id) on delete set null,
+  title text not null,
+  body text not null,
+  state text not null default 'pending' check (state in ('pending', 'sent', 'failed', 'skipped')),
+  error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists customer_notifications_profile_id_idx
+  on public.customer_notifications (profile_id, created_at desc);
+create index if not exists customer_notifications_created_at_idx on public.customer_notifications (created_at desc);
+create index if not exists customer_notifications_pending_idx
+  on public.customer_notifications (created_at)
+  where state = 'pending';
+
+alter table public.notification_preferences enable row level security;
+alter table public.push_subscriptions enable row level security;
+alter table public.customer_notifications enable row level security;
+
+-- Preferences are saved with set_notification_preferences() and
+-- subscriptions with save_push_subscription().
+create policy "Customers read their notification preferences"
+  on public.notification_preferences for select
+  using (profile_id = auth.uid());
+
+create policy "Customers read their push subscriptions"
+  on public.push_subscriptions for select
+  using (profile_id = auth.uid());
+
+create policy "Customers remove their push subscriptions"
+  on public.push_subscriptions for delete
+  using (profile_id = auth.uid());
+
+create policy "Customers and admins read customer notifications"
+  on public.customer_notifications for select
+  using (profile_id = auth.uid() or public.has_role('admin'));
+
+alter publication supabase_realtime add table public.customer_notifications;
+
+-- Wording is shared with src/lib/customer-notifications.js.
+create or replace function public.customer_notification_text(p_order public.orders, p_status text)
+returns table (title text, body text)
+language sql
+immutable
+as $$
+  select
+    format(
+      case p_status
+        when 'preparing' then 'Order No. %s is being prepared'
+        when 'ready' then 'Order No. %s is ready'
+        when 'delivered' then 'Order No. %s has been collected'
+        else 'Order No. %s was cancelled'
+      end,
+      p_order.pickup_number
+    ),
+    case p_status
+      when 'preparing' then 'We will let you know when it is ready.'
+      when 'ready' then 'Show your pickup code at the counter to collect it.'
+      when 'delivered' then 'Enjoy your meal!'
+      else 'Any payment you made has been refunded.'
+    end;
+$$;
+
+create or replace function public.queue_customer_notifications()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefs public.notification_preferences;
+  v_title text;
+  v_body text;
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  select * into v_prefs from notification_preferences where profile_id = new.user_id;
+
+  if not new.status = any(coalesce(v_prefs.statuses, array['ready', 'cancelled'])) then
+    return new;
+  end if;
+
+  select title, body into v_title, v_body from public.customer_notification_text(new, new.status);
+
+  insert into customer_notifications (profile_id, order_id, order_status, channel, title, body, state, sent_at)
+  values (new.user_id, new.id, new.status, 'in_app', v_title, v_body, 'sent', now());
+
+  insert into customer_notifications (profile_id, order_id, order_status, channel, recipient, push_subscription_id, title, body)
+  select new.user_id, new.id, new.status, 'push', endpoint, id, v_title, v_body
+  from push_subscriptions
+  where profile_id = new.user_id;
+
+  if v_prefs.sms_enabled then
+    insert into customer_notifications (profile_id, order_id, order_status, channel, recipient, title, body)
+    values (new.user_id, new.id, new.status, 'sms', v_prefs.phone, v_title, v_body);
+  end if;
+
+  if v_prefs.email_enabled then
+    insert into customer_notifications (profile_id, order_id, order_status, channel, recipient, title, body)
+    select new.user_id, new.id, new.status, 'email', email, v_title, v_body
+    from profiles
+    where id = new.user_id and email is not null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists queue_customer_notifications on public.orders;
+create trigger queue_customer_notifications
+  after update of status on public.orders
+  for each row execute function public.queue_customer_notifications();
+
+-- The server function that sends a channel's notifications, if one is set up.
+create or replace function public.customer_notification_sender(p_channel text)
+returns text
+language sql
+stable
+as $$
+  select nullif(current_setting(
+    case p_channel when 'push' then 'app.web_push_url' else 'app.customer_notifier_url' end,
+    true
+  ), '');
+$$;
+
+-- Hands each queued push, SMS or email notification to its sender. pg_net
+-- only makes the request once the order update commits.
+create or replace function public.dispatch_customer_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sender text := public.customer_notification_sender(new.channel);
+begin
+  if new.state <> 'pending' then
+    return new;
+  end if;
+
+  if v_sender is null then
+    new.state := 'skipped';
+    new.error := format('No %s channel is set up', new.channel);
+  else
+    perform net.http_post(url := v_sender, body := jsonb_build_object('notification_id', new.id));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists dispatch_customer_notification on public.customer_notifications;
+create trigger dispatch_customer_notification
+  before insert on public.customer_notifications
+  for each row execute function public.dispatch_customer_notification();
+
+-- Called by a sender with the service role: marks the notification sent and
+-- returns it, or nothing when it is not pending any more. One left pending
+-- for an hour is skipped instead: a "ready" message that late does more harm
+-- than good.
+create or replace function public.claim_customer_notification(p_id uuid)
+returns setof public.customer_notifications
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.role() is distinct from 'service_role' then
+    raise exception 'Only the notification senders claim notifications' using errcode = '42501';
+  end if;
+
+  update customer_notifications
+  set state = 'skipped', error = 'Not sent within an hour', updated_at = now()
+  where id = p_id and state = 'pending' and created_at < now() - interval '1 hour';
+
+  return query
+  update customer_notifications
+  set state = 'sent', sent_at = now(), updated_at = now()
+  where id = p_id and state = 'pending'
+  returning *;
+end;
+$$;
+
+-- Called by a sender with the service role when a claimed notification could
+-- not be sent.
+create or replace function public.report_customer_notification(p_id uuid, p_error text)
+returns public.customer_notifications
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_notification public.customer_notifications;
+begin
+  if auth.role() is distinct from 'service_role' then
+    raise exception 'Only the notification senders report on notifications' using errcode = '42501';
+  end if;
+
+  update customer_notifications
+  set state = 'failed', error = p_error, sent_at = null, updated_at = now()
+  where id = p_id and channel <> 'in_app'
+  returning * into v_notification;
+
+  if not found then
+    raise exception 'Notification not found';
+  end if;
+
+  return v_notification;
+end;
+$$;
+
+create or replace function public.set_notification_preferences(
+  p_statuses text[],
+  p_sms_enabled boolean,
+  p_email_enabled boolean,
+  p_phone text
+)
+returns public.notification_preferences
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefs public.notification_preferences;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not coalesce(p_statuses, '{}') <@ array['preparing', 'ready', 'delivered', 'cancelled'] then
+    raise exception 'Unknown order status';
+  end if;
+
+  if p_phone is not null and p_phone !~ '^254[17][0-9]{8}$' then
+    raise exception 'Enter a mobile number such as 0712 345 678';
+  end if;
+
+  if p_sms_enabled and p_phone is null then
+    raise exception 'Add a phone number for text messages';
+  end if;
+
+  insert into notification_preferences (profile_id, statuses, sms_enabled, email_enabled, phone)
+  values (auth.uid(), coalesce(p_statuses, '{}'), p_sms_enabled, p_email_enabled, p_phone)
+  on conflict (profile_id) do update
+  set statuses = excluded.statuses,
+    sms_enabled = excluded.sms_enabled,
+    email_enabled = excluded.email_enabled,
+    phone = excluded.phone,
+    updated_at = now()
+  returning * into v_prefs;
+
+  return v_prefs;
+end;
+$$;
+
+-- A browser's subscription belongs to whoever last turned push on in it.
+create or replace function public.save_push_subscription(
+  p_endpoint text,
+  p_p256dh text,
+  p_auth text,
+  p_user_agent text
+)
+returns public.push_subscriptions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_subscription public.push_subscriptions;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_endpoint !~ '^https://' or p_p256dh is null or p_auth is null then
+    raise exception 'Invalid push subscription';
+  end if;
+
+  insert into push_subscriptions (profile_id, endpoint, p256dh, auth, user_agent)
+  values (auth.uid(), p_endpoint, p_p256dh, p_auth, p_user_agent)
+  on conflict (endpoint) do update
+  set profile_id = excluded.profile_id,
+    p256dh = excluded.p256dh,
+    auth = excluded.auth,
+    user_agent = excluded.user_agent
+  returning * into v_subscription;
+
+  return v_subscription;
+end;
+$$;
+
+revoke execute on function public.customer_notification_text(public.orders, text) from public, anon, authenticated;
+revoke execute on function public.customer_notification_sender(text) from public, anon, authenticated;
+revoke execute on function public.claim_customer_notification(uuid) from public, anon, authenticated;
+revoke execute on function public.report_customer_notification(uuid, text) from public, anon, authenticated;
+grant execute on function public.claim_customer_notification(uuid) to service_role;
+grant execute on function public.report_customer_notification(uuid, text) to service_role;
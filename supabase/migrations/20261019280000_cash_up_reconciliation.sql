@@ -0,0 +1,81 @@
+-- Cash-ups reconcile each payment method's takings against the orders
+-- delivered that day, next to the money expected in the till. This replaces
+-- the wallets migration's close_cash_up: per method it records
+--
+-- - delivered_amount: the value of the orders handed over that day;
+-- - expected_amount: the day's settled payments net of refunds, plus wallet
+--   top-ups taken by that method, which the count is checked against.
+--
+-- Days are the canteen's, from canteen_local_time(), not UTC. Mirrors
+-- cashUpSummary in src/lib/payments.js.
+create or replace function public.close_cash_up(
+  p_date date,
+  p_counts jsonb,
+  p_notes text default null
+)
+returns setof public.cash_ups
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not public.has_role('admin', 'cashier') then
+    raise exception 'Only cashiers and administrators can cash up' using errcode = '42501';
+  end if;
+
+  if p_date is null then
+    raise exception 'Choose the day to cash up';
+  end if;
+
+  if p_date > public.canteen_local_time()::date then
+    raise exception 'That day has not happened yet';
+  end if;
+
+  if exists (select 1 from cash_ups where business_date = p_date) then
+    raise exception 'That day has already been cashed up';
+  end if;
+
+  if exists (
+    select 1 from unnest(array['cash', 'mpesa', 'card']) as m(method)
+    where jsonb_typeof(p_counts -> m.method) is distinct from 'number'
+      or (p_counts ->> m.method)::numeric < 0
+  ) then
+    raise exception 'Enter the amount counted for each method';
+  end if;
+
+  return query
+  insert into cash_ups (business_date, method, delivered_amount, expected_amount, counted_amount, notes, closed_by)
+  select
+    p_date,
+    m.method,
+    coalesce((
+      select sum(o.total_amount) from orders o
+      where o.payment_method = m.method
+        and exists (
+          select 1 from order_status_history h
+          where h.order_id = o.id and h.to_status = 'delivered'
+            and public.canteen_local_time(h.created_at)::date = p_date
+        )
+    ), 0),
+    coalesce((
+      select sum(case when p.kind = 'payment' then p.amount else -p.amount end) from payments p
+      where p.method = m.method and p.status = 'succeeded'
+        and public.canteen_local_time(p.settled_at)::date = p_date
+    ), 0)
+    + coalesce((
+      select sum(t.amount) from wallet_transactions t
+      where t.kind = 'top_up' and t.method = m.method
+        and public.canteen_local_time(t.created_at)::date = p_date
+    ), 0),
+    round((p_counts ->> m.method)::numeric, 2),
+    nullif(trim(p_notes), ''),
+    auth.uid()
+  from unnest(array['cash', 'mpesa', 'card']) with ordinality as m(method, position)
+  order by m.position
+  returning *;
+end;
+$$;
@@ -1,7 +1,21 @@
-import { defineConfig } from 'vite'
+import { fileURLToPath, URL } from 'node:url'
+import process from 'node:process'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { mockStoragePlugin } from './src/integrations/supabase/mock/storage-plugin.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // The mock upload endpoint is only served for the mock backend.
+  const useMockBackend = loadEnv(mode, process.cwd(), '').VITE_USE_MOCK_BACKEND === 'true'
+
+  return {
+    plugins: [react(), tailwindcss(), ...(useMockBackend ? [mockStoragePlugin()] : [])],
+    resolve: {
+      alias: {
+        '@': fileURLToPath(new URL('./src', import.meta.url)),
+      },
+    },
+  }
 })